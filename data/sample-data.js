@@ -0,0 +1,54 @@
+// Generated by tools/build-sample-data.js from data/regions.json and the traffic data and zones it lists.
+// Do not edit by hand: change the source files and re-run the script.
+window.REGION_CONFIG = {"default":"udaipur","regions":[{"id":"udaipur","name":"Udaipur","center":[24.5854,73.7125],"zoom":13,"bounds":{"south":24.5,"west":73.6,"north":24.68,"east":73.82},"sources":{"data":"data/trafficData.json","zones":"data/zones.geojson"},"thresholds":{"congestion":{"three":[40,70],"five":[20,40,60,80]}},"labels":{"title":"GeoSense Udaipur","map":"Udaipur Traffic Map","area":"the Udaipur area"},"translations":{"hi":{"name":"उदयपुर","labels":{"title":"जियोसेंस उदयपुर","map":"उदयपुर ट्रैफ़िक मानचित्र","area":"उदयपुर क्षेत्र"}}}},{"id":"rajsamand","name":"Rajsamand","center":[25.066,73.88],"zoom":14,"bounds":{"south":25,"west":73.8,"north":25.14,"east":73.96},"sources":{"data":"data/regions/rajsamand/trafficData.json","zones":"data/regions/rajsamand/zones.geojson"},"thresholds":{"congestion":{"three":[35,65],"five":[15,35,55,75]}},"labels":{"title":"GeoSense Rajsamand","map":"Rajsamand & Kankroli Traffic Map","area":"Rajsamand and Kankroli"},"translations":{"hi":{"name":"राजसमंद","labels":{"title":"जियोसेंस राजसमंद","map":"राजसमंद और कांकरोली ट्रैफ़िक मानचित्र","area":"राजसमंद और कांकरोली"}}}},{"id":"chittorgarh","name":"Chittorgarh","center":[24.886,74.625],"zoom":14,"bounds":{"south":24.82,"west":74.54,"north":24.96,"east":74.7},"sources":{"data":"data/regions/chittorgarh/trafficData.json","zones":"data/regions/chittorgarh/zones.geojson"},"thresholds":{"congestion":{"three":[40,70],"five":[20,40,60,80]}},"labels":{"title":"GeoSense Chittorgarh","map":"Chittorgarh Traffic Map","area":"the Chittorgarh area"},"translations":{"hi":{"name":"चित्तौड़गढ़","labels":{"title":"जियोसेंस चित्तौड़गढ़","map":"चित्तौड़गढ़ ट्रैफ़िक मानचित्र","area":"चित्तौड़गढ़ क्षेत्र"}}}}]};
+
+window.SAMPLE_TRAFFIC_DATA = {
+    "udaipur": [
+        {"road":"MG Road","names":{"hi":"एमजी रोड"},"location":[24.5854,73.7125],"congestion":70,"accidents":2,"averageSpeed":25,"segments":[{"id":"mg-road-1","geometry":{"type":"LineString","coordinates":[[73.71,24.59],[73.7109,24.5873]]},"congestion":69,"averageSpeed":25},{"id":"mg-road-2","geometry":{"type":"LineString","coordinates":[[73.7109,24.5873],[73.7125,24.5854]]},"congestion":64,"averageSpeed":27},{"id":"mg-road-3","geometry":{"type":"LineString","coordinates":[[73.7125,24.5854],[73.7063,24.5825]]},"congestion":65,"averageSpeed":27},{"id":"mg-road-4","geometry":{"type":"LineString","coordinates":[[73.7063,24.5825],[73.7,24.58]]},"congestion":78,"averageSpeed":22}]},
+        {"road":"Lake Pichola Road","names":{"hi":"पिछोला झील रोड"},"location":[24.5754,73.69],"congestion":40,"accidents":0,"averageSpeed":35,"segments":[{"id":"lake-pichola-road-1","geometry":{"type":"LineString","coordinates":[[73.685,24.578],[73.6875,24.5768]]},"congestion":36,"averageSpeed":37},{"id":"lake-pichola-road-2","geometry":{"type":"LineString","coordinates":[[73.6875,24.5768],[73.69,24.5754]]},"congestion":52,"averageSpeed":30},{"id":"lake-pichola-road-3","geometry":{"type":"LineString","coordinates":[[73.69,24.5754],[73.6932,24.5807]]},"congestion":39,"averageSpeed":35},{"id":"lake-pichola-road-4","geometry":{"type":"LineString","coordinates":[[73.6932,24.5807],[73.695,24.585]]},"congestion":37,"averageSpeed":36}]},
+        {"road":"Airport Road","names":{"hi":"एयरपोर्ट रोड"},"location":[24.605,73.725],"congestion":55,"accidents":1,"averageSpeed":30,"segments":[{"id":"airport-road-1","geometry":{"type":"LineString","coordinates":[[73.72,24.595],[73.722,24.5999]]},"congestion":55,"averageSpeed":30},{"id":"airport-road-2","geometry":{"type":"LineString","coordinates":[[73.722,24.5999],[73.725,24.605]]},"congestion":60,"averageSpeed":28},{"id":"airport-road-3","geometry":{"type":"LineString","coordinates":[[73.725,24.605],[73.7326,24.6033]]},"congestion":54,"averageSpeed":31},{"id":"airport-road-4","geometry":{"type":"LineString","coordinates":[[73.7326,24.6033],[73.74,24.6]]},"congestion":51,"averageSpeed":32}]},
+        {"road":"Hiran Magri","names":{"hi":"हिरण मगरी"},"location":[24.57,73.73],"congestion":65,"accidents":1,"averageSpeed":28,"segments":[{"id":"hiran-magri-1","geometry":{"type":"LineString","coordinates":[[73.7125,24.5854],[73.7199,24.5776]]},"congestion":66,"averageSpeed":27},{"id":"hiran-magri-2","geometry":{"type":"LineString","coordinates":[[73.7199,24.5776],[73.73,24.57]]},"congestion":55,"averageSpeed":32},{"id":"hiran-magri-3","geometry":{"type":"LineString","coordinates":[[73.73,24.57],[73.7158,24.5696]]},"congestion":74,"averageSpeed":24},{"id":"hiran-magri-4","geometry":{"type":"LineString","coordinates":[[73.7158,24.5696],[73.705,24.572]]},"congestion":65,"averageSpeed":28}]},
+        {"road":"Sukhadia Circle","names":{"hi":"सुखाड़िया सर्किल"},"location":[24.58,73.7],"congestion":85,"accidents":3,"averageSpeed":15,"segments":[{"id":"sukhadia-circle-1","geometry":{"type":"LineString","coordinates":[[73.695,24.585],[73.6971,24.582]]},"congestion":89,"averageSpeed":13},{"id":"sukhadia-circle-2","geometry":{"type":"LineString","coordinates":[[73.6971,24.582],[73.7,24.58]]},"congestion":80,"averageSpeed":17}]},
+        {"road":"Fateh Sagar Road","names":{"hi":"फतह सागर रोड"},"location":[24.595,73.68],"congestion":35,"accidents":0,"averageSpeed":40,"segments":[{"id":"fateh-sagar-road-1","geometry":{"type":"LineString","coordinates":[[73.69,24.59],[73.6848,24.5926]]},"congestion":38,"averageSpeed":38},{"id":"fateh-sagar-road-2","geometry":{"type":"LineString","coordinates":[[73.6848,24.5926],[73.68,24.595]]},"congestion":36,"averageSpeed":39},{"id":"fateh-sagar-road-3","geometry":{"type":"LineString","coordinates":[[73.68,24.595],[73.6798,24.6032]]},"congestion":37,"averageSpeed":39},{"id":"fateh-sagar-road-4","geometry":{"type":"LineString","coordinates":[[73.6798,24.6032],[73.68,24.61]]},"congestion":30,"averageSpeed":42}]},
+        {"road":"Chetak Circle","names":{"hi":"चेतक सर्किल"},"location":[24.59,73.71],"congestion":75,"accidents":2,"averageSpeed":22,"segments":[{"id":"chetak-circle-1","geometry":{"type":"LineString","coordinates":[[73.72,24.595],[73.7153,24.5933]]},"congestion":78,"averageSpeed":21},{"id":"chetak-circle-2","geometry":{"type":"LineString","coordinates":[[73.7153,24.5933],[73.71,24.59]]},"congestion":73,"averageSpeed":23}]},
+        {"road":"Bapu Bazaar","names":{"hi":"बापू बाज़ार"},"location":[24.578,73.685],"congestion":90,"accidents":1,"averageSpeed":10,"segments":[{"id":"bapu-bazaar-1","geometry":{"type":"LineString","coordinates":[[73.695,24.585],[73.6892,24.5811]]},"congestion":87,"averageSpeed":12},{"id":"bapu-bazaar-2","geometry":{"type":"LineString","coordinates":[[73.6892,24.5811],[73.685,24.578]]},"congestion":94,"averageSpeed":8}]},
+        {"road":"University Road","names":{"hi":"यूनिवर्सिटी रोड"},"location":[24.6,73.74],"congestion":45,"accidents":0,"averageSpeed":38,"segments":[{"id":"university-road-1","geometry":{"type":"LineString","coordinates":[[73.735,24.615],[73.7371,24.6074]]},"congestion":38,"averageSpeed":41},{"id":"university-road-2","geometry":{"type":"LineString","coordinates":[[73.7371,24.6074],[73.74,24.6]]},"congestion":52,"averageSpeed":36}]},
+        {"road":"Shastri Circle","names":{"hi":"शास्त्री सर्किल"},"location":[24.572,73.705],"congestion":60,"accidents":1,"averageSpeed":27,"segments":[{"id":"shastri-circle-1","geometry":{"type":"LineString","coordinates":[[73.7,24.58],[73.7027,24.5756]]},"congestion":64,"averageSpeed":25},{"id":"shastri-circle-2","geometry":{"type":"LineString","coordinates":[[73.7027,24.5756],[73.705,24.572]]},"congestion":59,"averageSpeed":27},{"id":"shastri-circle-3","geometry":{"type":"LineString","coordinates":[[73.705,24.572],[73.6998,24.5693]]},"congestion":66,"averageSpeed":24},{"id":"shastri-circle-4","geometry":{"type":"LineString","coordinates":[[73.6998,24.5693],[73.695,24.565]]},"congestion":53,"averageSpeed":30}]},
+        {"road":"Rani Road","names":{"hi":"रानी रोड"},"location":[24.565,73.68],"congestion":30,"accidents":0,"averageSpeed":45,"segments":[{"id":"rani-road-1","geometry":{"type":"LineString","coordinates":[[73.685,24.578],[73.6822,24.5719]]},"congestion":32,"averageSpeed":44},{"id":"rani-road-2","geometry":{"type":"LineString","coordinates":[[73.6822,24.5719],[73.68,24.565]]},"congestion":30,"averageSpeed":45},{"id":"rani-road-3","geometry":{"type":"LineString","coordinates":[[73.68,24.565],[73.6841,24.5694]]},"congestion":25,"averageSpeed":47},{"id":"rani-road-4","geometry":{"type":"LineString","coordinates":[[73.6841,24.5694],[73.69,24.5754]]},"congestion":33,"averageSpeed":44}]},
+        {"road":"Delhi Gate","names":{"hi":"दिल्ली गेट"},"location":[24.585,73.695],"congestion":80,"accidents":2,"averageSpeed":18,"segments":[{"id":"delhi-gate-1","geometry":{"type":"LineString","coordinates":[[73.69,24.59],[73.692,24.5874]]},"congestion":74,"averageSpeed":21},{"id":"delhi-gate-2","geometry":{"type":"LineString","coordinates":[[73.692,24.5874],[73.695,24.585]]},"congestion":86,"averageSpeed":16}]},
+        {"road":"Ambamata Road","names":{"hi":"अंबामाता रोड"},"location":[24.59,73.69],"congestion":50,"accidents":0,"averageSpeed":32,"segments":[{"id":"ambamata-road-1","geometry":{"type":"LineString","coordinates":[[73.69,24.6],[73.6895,24.5952]]},"congestion":47,"averageSpeed":33},{"id":"ambamata-road-2","geometry":{"type":"LineString","coordinates":[[73.6895,24.5952],[73.69,24.59]]},"congestion":52,"averageSpeed":31}]},
+        {"road":"Ashwini Marg","names":{"hi":"अश्विनी मार्ग"},"location":[24.595,73.72],"congestion":40,"accidents":0,"averageSpeed":36,"segments":[{"id":"ashwini-marg-1","geometry":{"type":"LineString","coordinates":[[73.7125,24.5854],[73.717,24.5894]]},"congestion":34,"averageSpeed":38},{"id":"ashwini-marg-2","geometry":{"type":"LineString","coordinates":[[73.717,24.5894],[73.72,24.595]]},"congestion":45,"averageSpeed":34}]},
+        {"road":"Sector 14 Road","names":{"hi":"सेक्टर 14 रोड"},"location":[24.61,73.71],"congestion":25,"accidents":0,"averageSpeed":48,"segments":[{"id":"sector-14-road-1","geometry":{"type":"LineString","coordinates":[[73.7,24.62],[73.705,24.616]]},"congestion":39,"averageSpeed":42},{"id":"sector-14-road-2","geometry":{"type":"LineString","coordinates":[[73.705,24.616],[73.71,24.61]]},"congestion":25,"averageSpeed":48},{"id":"sector-14-road-3","geometry":{"type":"LineString","coordinates":[[73.71,24.61],[73.7179,24.6085]]},"congestion":24,"averageSpeed":48},{"id":"sector-14-road-4","geometry":{"type":"LineString","coordinates":[[73.7179,24.6085],[73.725,24.605]]},"congestion":16,"averageSpeed":51}]},
+        {"road":"Goverdhan Villas Road","names":{"hi":"गोवर्धन विलास रोड"},"location":[24.62,73.7],"congestion":20,"accidents":0,"averageSpeed":50,"segments":[{"id":"goverdhan-villas-road-1","geometry":{"type":"LineString","coordinates":[[73.68,24.61],[73.691,24.6136]]},"congestion":21,"averageSpeed":50},{"id":"goverdhan-villas-road-2","geometry":{"type":"LineString","coordinates":[[73.691,24.6136],[73.7,24.62]]},"congestion":18,"averageSpeed":51}]},
+        {"road":"Durga Nursery Road","names":{"hi":"दुर्गा नर्सरी रोड"},"location":[24.565,73.695],"congestion":70,"accidents":1,"averageSpeed":24,"segments":[{"id":"durga-nursery-road-1","geometry":{"type":"LineString","coordinates":[[73.69,24.5754],[73.6922,24.5702]]},"congestion":66,"averageSpeed":26},{"id":"durga-nursery-road-2","geometry":{"type":"LineString","coordinates":[[73.6922,24.5702],[73.695,24.565]]},"congestion":74,"averageSpeed":23}]},
+        {"road":"Rajiv Gandhi Nagar","names":{"hi":"राजीव गांधी नगर"},"location":[24.615,73.735],"congestion":35,"accidents":0,"averageSpeed":42,"segments":[{"id":"rajiv-gandhi-nagar-1","geometry":{"type":"LineString","coordinates":[[73.725,24.605],[73.7306,24.6097]]},"congestion":41,"averageSpeed":40},{"id":"rajiv-gandhi-nagar-2","geometry":{"type":"LineString","coordinates":[[73.7306,24.6097],[73.735,24.615]]},"congestion":28,"averageSpeed":45}]},
+        {"road":"Saheli Marg","names":{"hi":"सहेली मार्ग"},"location":[24.6,73.69],"congestion":60,"accidents":0,"averageSpeed":29,"segments":[{"id":"saheli-marg-1","geometry":{"type":"LineString","coordinates":[[73.68,24.595],[73.6844,24.5976]]},"congestion":56,"averageSpeed":30},{"id":"saheli-marg-2","geometry":{"type":"LineString","coordinates":[[73.6844,24.5976],[73.69,24.6]]},"congestion":63,"averageSpeed":28}]},
+        {"road":"New Fatehpura Road","names":{"hi":"न्यू फतेहपुरा रोड"},"location":[24.61,73.68],"congestion":45,"accidents":0,"averageSpeed":34,"segments":[{"id":"new-fatehpura-road-1","geometry":{"type":"LineString","coordinates":[[73.69,24.6],[73.6849,24.6046]]},"congestion":54,"averageSpeed":30},{"id":"new-fatehpura-road-2","geometry":{"type":"LineString","coordinates":[[73.6849,24.6046],[73.68,24.61]]},"congestion":36,"averageSpeed":37}]}
+    ],
+    "rajsamand": [
+        {"road":"Kankroli Main Road","names":{"hi":"कांकरोली मेन रोड"},"location":[25.066,73.888],"congestion":62,"accidents":1,"averageSpeed":24,"segments":[{"id":"kankroli-main-road-1","geometry":{"type":"LineString","coordinates":[[73.882,25.056],[73.885,25.061]]},"congestion":55,"averageSpeed":27},{"id":"kankroli-main-road-2","geometry":{"type":"LineString","coordinates":[[73.885,25.061],[73.888,25.066]]},"congestion":70,"averageSpeed":21},{"id":"kankroli-main-road-3","geometry":{"type":"LineString","coordinates":[[73.888,25.066],[73.89,25.071]]},"congestion":70,"averageSpeed":22}]},
+        {"road":"Dwarkadhish Temple Road","names":{"hi":"द्वारकाधीश मंदिर रोड"},"location":[25.0665,73.8905],"congestion":71,"accidents":2,"averageSpeed":18,"segments":[{"id":"dwarkadhish-temple-road-1","geometry":{"type":"LineString","coordinates":[[73.895,25.0645],[73.8905,25.0665]]},"congestion":75,"averageSpeed":17},{"id":"dwarkadhish-temple-road-2","geometry":{"type":"LineString","coordinates":[[73.8905,25.0665],[73.886,25.069]]},"congestion":79,"averageSpeed":17}]},
+        {"road":"Rajnagar Bazaar","names":{"hi":"राजनगर बाज़ार"},"location":[25.067,73.864],"congestion":55,"accidents":0,"averageSpeed":22,"segments":[{"id":"rajnagar-bazaar-1","geometry":{"type":"LineString","coordinates":[[73.86,25.069],[73.864,25.067]]},"congestion":51,"averageSpeed":23},{"id":"rajnagar-bazaar-2","geometry":{"type":"LineString","coordinates":[[73.864,25.067],[73.869,25.065]]},"congestion":55,"averageSpeed":19}]},
+        {"road":"Nauchowki Pal Road","names":{"hi":"नौचौकी पाल रोड"},"location":[25.072,73.877],"congestion":38,"accidents":0,"averageSpeed":32,"segments":[{"id":"nauchowki-pal-road-1","geometry":{"type":"LineString","coordinates":[[73.872,25.075],[73.877,25.072]]},"congestion":38,"averageSpeed":32},{"id":"nauchowki-pal-road-2","geometry":{"type":"LineString","coordinates":[[73.877,25.072],[73.881,25.07]]},"congestion":40,"averageSpeed":31}]},
+        {"road":"Rajsamand Bypass","names":{"hi":"राजसमंद बाईपास"},"location":[25.059,73.879],"congestion":30,"accidents":1,"averageSpeed":48,"segments":[{"id":"rajsamand-bypass-1","geometry":{"type":"LineString","coordinates":[[73.87,25.045],[73.876,25.052]]},"congestion":25,"averageSpeed":51},{"id":"rajsamand-bypass-2","geometry":{"type":"LineString","coordinates":[[73.876,25.052],[73.879,25.059]]},"congestion":32,"averageSpeed":47},{"id":"rajsamand-bypass-3","geometry":{"type":"LineString","coordinates":[[73.879,25.059],[73.874,25.065]]},"congestion":22,"averageSpeed":49}]},
+        {"road":"Station Road","names":{"hi":"स्टेशन रोड"},"location":[25.06,73.891],"congestion":46,"accidents":0,"averageSpeed":28,"segments":[{"id":"station-road-1","geometry":{"type":"LineString","coordinates":[[73.895,25.057],[73.891,25.06]]},"congestion":44,"averageSpeed":25},{"id":"station-road-2","geometry":{"type":"LineString","coordinates":[[73.891,25.06],[73.886,25.062]]},"congestion":44,"averageSpeed":25}]},
+        {"road":"Collectorate Road","names":{"hi":"कलेक्ट्रेट रोड"},"location":[25.076,73.872],"congestion":34,"accidents":0,"averageSpeed":35,"segments":[{"id":"collectorate-road-1","geometry":{"type":"LineString","coordinates":[[73.876,25.08],[73.872,25.076]]},"congestion":40,"averageSpeed":35},{"id":"collectorate-road-2","geometry":{"type":"LineString","coordinates":[[73.872,25.076],[73.868,25.073]]},"congestion":28,"averageSpeed":38}]},
+        {"road":"Nathdwara Road","names":{"hi":"नाथद्वारा रोड"},"location":[25.056,73.894],"congestion":52,"accidents":1,"averageSpeed":38,"segments":[{"id":"nathdwara-road-1","geometry":{"type":"LineString","coordinates":[[73.899,25.05],[73.894,25.056]]},"congestion":47,"averageSpeed":38},{"id":"nathdwara-road-2","geometry":{"type":"LineString","coordinates":[[73.894,25.056],[73.885,25.061]]},"congestion":44,"averageSpeed":35}]}
+    ],
+    "chittorgarh": [
+        {"road":"Fort Road","names":{"hi":"किला रोड"},"location":[24.887,74.643],"congestion":58,"accidents":1,"averageSpeed":21,"segments":[{"id":"fort-road-1","geometry":{"type":"LineString","coordinates":[[74.633,24.888],[74.638,24.8875]]},"congestion":63,"averageSpeed":24},{"id":"fort-road-2","geometry":{"type":"LineString","coordinates":[[74.638,24.8875],[74.643,24.887]]},"congestion":62,"averageSpeed":21},{"id":"fort-road-3","geometry":{"type":"LineString","coordinates":[[74.643,24.887],[74.647,24.886]]},"congestion":59,"averageSpeed":22}]},
+        {"road":"Station Road","names":{"hi":"स्टेशन रोड"},"location":[24.883,74.622],"congestion":66,"accidents":2,"averageSpeed":20,"segments":[{"id":"station-road-1","geometry":{"type":"LineString","coordinates":[[74.618,24.88],[74.622,24.883]]},"congestion":74,"averageSpeed":23},{"id":"station-road-2","geometry":{"type":"LineString","coordinates":[[74.622,24.883],[74.626,24.886]]},"congestion":63,"averageSpeed":23}]},
+        {"road":"Collectorate Circle","names":{"hi":"कलेक्ट्रेट सर्किल"},"location":[24.89,74.627],"congestion":72,"accidents":1,"averageSpeed":17,"segments":[{"id":"collectorate-circle-1","geometry":{"type":"LineString","coordinates":[[74.624,24.889],[74.627,24.89]]},"congestion":77,"averageSpeed":15},{"id":"collectorate-circle-2","geometry":{"type":"LineString","coordinates":[[74.627,24.89],[74.63,24.891]]},"congestion":67,"averageSpeed":20}]},
+        {"road":"Pratap Nagar Road","names":{"hi":"प्रताप नगर रोड"},"location":[24.896,74.615],"congestion":41,"accidents":0,"averageSpeed":31,"segments":[{"id":"pratap-nagar-road-1","geometry":{"type":"LineString","coordinates":[[74.61,24.895],[74.615,24.896]]},"congestion":39,"averageSpeed":31},{"id":"pratap-nagar-road-2","geometry":{"type":"LineString","coordinates":[[74.615,24.896],[74.62,24.897]]},"congestion":39,"averageSpeed":29}]},
+        {"road":"Gandhi Nagar Road","names":{"hi":"गांधी नगर रोड"},"location":[24.881,74.633],"congestion":48,"accidents":0,"averageSpeed":27,"segments":[{"id":"gandhi-nagar-road-1","geometry":{"type":"LineString","coordinates":[[74.63,24.878],[74.633,24.881]]},"congestion":44,"averageSpeed":29},{"id":"gandhi-nagar-road-2","geometry":{"type":"LineString","coordinates":[[74.633,24.881],[74.636,24.884]]},"congestion":55,"averageSpeed":24}]},
+        {"road":"Senthi Road","names":{"hi":"सेंथी रोड"},"location":[24.874,74.623],"congestion":35,"accidents":0,"averageSpeed":34,"segments":[{"id":"senthi-road-1","geometry":{"type":"LineString","coordinates":[[74.62,24.87],[74.623,24.874]]},"congestion":41,"averageSpeed":31},{"id":"senthi-road-2","geometry":{"type":"LineString","coordinates":[[74.623,24.874],[74.626,24.878]]},"congestion":41,"averageSpeed":34}]},
+        {"road":"Udaipur Road","names":{"hi":"उदयपुर रोड"},"location":[24.878,74.61],"congestion":29,"accidents":1,"averageSpeed":52,"segments":[{"id":"udaipur-road-1","geometry":{"type":"LineString","coordinates":[[74.59,24.868],[74.6,24.873]]},"congestion":24,"averageSpeed":53},{"id":"udaipur-road-2","geometry":{"type":"LineString","coordinates":[[74.6,24.873],[74.61,24.878]]},"congestion":36,"averageSpeed":55},{"id":"udaipur-road-3","geometry":{"type":"LineString","coordinates":[[74.61,24.878],[74.618,24.882]]},"congestion":37,"averageSpeed":52}]},
+        {"road":"Kumbha Nagar Road","names":{"hi":"कुंभा नगर रोड"},"location":[24.902,74.632],"congestion":39,"accidents":0,"averageSpeed":33,"segments":[{"id":"kumbha-nagar-road-1","geometry":{"type":"LineString","coordinates":[[74.628,24.899],[74.632,24.902]]},"congestion":42,"averageSpeed":33},{"id":"kumbha-nagar-road-2","geometry":{"type":"LineString","coordinates":[[74.632,24.902],[74.636,24.905]]},"congestion":36,"averageSpeed":30}]}
+    ]
+};
+
+window.SAMPLE_ZONES = {
+    "udaipur": {"type":"FeatureCollection","features":[{"type":"Feature","properties":{"id":"old-city","name":"Old City"},"geometry":{"type":"Polygon","coordinates":[[[73.67,24.562],[73.692,24.562],[73.692,24.57],[73.7,24.574],[73.716,24.575],[73.716,24.592],[73.696,24.592],[73.67,24.585],[73.67,24.562]]]}},{"type":"Feature","properties":{"id":"hiran-magri","name":"Hiran Magri"},"geometry":{"type":"Polygon","coordinates":[[[73.692,24.545],[73.76,24.545],[73.76,24.582],[73.722,24.582],[73.716,24.575],[73.7,24.574],[73.692,24.57],[73.692,24.545]]]}},{"type":"Feature","properties":{"id":"sector-14","name":"Sector 14"},"geometry":{"type":"Polygon","coordinates":[[[73.696,24.592],[73.716,24.592],[73.716,24.6],[73.728,24.63],[73.696,24.63],[73.696,24.592]]]}},{"type":"Feature","properties":{"id":"fatehpura","name":"Fatehpura"},"geometry":{"type":"Polygon","coordinates":[[[73.66,24.585],[73.67,24.585],[73.696,24.592],[73.696,24.63],[73.66,24.63],[73.66,24.585]]]}},{"type":"Feature","properties":{"id":"airport-corridor","name":"Airport corridor"},"geometry":{"type":"Polygon","coordinates":[[[73.716,24.575],[73.722,24.582],[73.76,24.582],[73.76,24.63],[73.728,24.63],[73.716,24.6],[73.716,24.575]]]}}]},
+    "rajsamand": {"type":"FeatureCollection","features":[{"type":"Feature","properties":{"id":"kankroli","name":"Kankroli"},"geometry":{"type":"Polygon","coordinates":[[[73.882,25.053],[73.882,25.072],[73.902,25.072],[73.902,25.053],[73.882,25.053]]]}},{"type":"Feature","properties":{"id":"rajnagar","name":"Rajnagar"},"geometry":{"type":"Polygon","coordinates":[[[73.855,25.062],[73.855,25.085],[73.882,25.085],[73.882,25.062],[73.855,25.062]]]}},{"type":"Feature","properties":{"id":"bypass","name":"Bypass & Outskirts"},"geometry":{"type":"Polygon","coordinates":[[[73.86,25.04],[73.86,25.062],[73.882,25.062],[73.882,25.04],[73.86,25.04]]]}}]},
+    "chittorgarh": {"type":"FeatureCollection","features":[{"type":"Feature","properties":{"id":"fort","name":"Fort & Old Town"},"geometry":{"type":"Polygon","coordinates":[[[74.628,24.866],[74.628,24.896],[74.65,24.896],[74.65,24.866],[74.628,24.866]]]}},{"type":"Feature","properties":{"id":"central","name":"Central Chittorgarh"},"geometry":{"type":"Polygon","coordinates":[[[74.615,24.866],[74.615,24.896],[74.628,24.896],[74.628,24.866],[74.615,24.866]]]}},{"type":"Feature","properties":{"id":"north","name":"Pratap & Kumbha Nagar"},"geometry":{"type":"Polygon","coordinates":[[[74.605,24.896],[74.605,24.91],[74.64,24.91],[74.64,24.896],[74.605,24.896]]]}},{"type":"Feature","properties":{"id":"west","name":"Udaipur Road Corridor"},"geometry":{"type":"Polygon","coordinates":[[[74.585,24.86],[74.585,24.89],[74.615,24.89],[74.615,24.86],[74.585,24.86]]]}}]}
+};
@@ -0,0 +1,162 @@
+// Screen-reader support for what the dashboard shows graphically: a text
+// summary of each chart, written from the data the chart draws, and a live
+// region announcing significant changes after live updates.
+
+// Announcements are at least this far apart; changes in between are summed up
+const ANNOUNCE_MIN_INTERVAL_MS = 30 * 1000;
+// Roads named per announcement before "and N more"
+const ANNOUNCE_MAX_ROADS = 3;
+// Change of the city's average congestion, in points, worth announcing
+const ANNOUNCE_AVERAGE_CHANGE = 10;
+
+// Per road name: { level, accidents } as of the last announcement
+let announcedRoads = new Map();
+let announcedAverage = null;
+let lastAnnouncementAt = 0;
+
+function announce(message) {
+    document.getElementById('liveAnnouncer').textContent = message;
+}
+
+function getAverageCongestion(data) {
+    return data.length > 0 ? Math.round(data.reduce((sum, road) => sum + road.congestion, 0) / data.length) : null;
+}
+
+// Take `data` as the state later updates are compared with, e.g. after a new dataset
+function resetTrafficAnnouncements(data) {
+    announcedRoads = new Map(data.map(road => [road.road, {
+        level: getCongestionLevelIndex(road.congestion),
+        accidents: road.accidents
+    }]));
+    announcedAverage = getAverageCongestion(data);
+}
+
+// "A, B, C and 2 more"
+function listForAnnouncement(items) {
+    const named = items.slice(0, ANNOUNCE_MAX_ROADS).join(', ');
+    const more = items.length - ANNOUNCE_MAX_ROADS;
+    return more > 0 ? `${named} ${tn('a11y.more', more)}` : named;
+}
+
+// Announce roads that moved to another congestion level, new accidents and
+// big swings of the average since the last announcement
+function announceTrafficChanges(data, now = Date.now()) {
+    if (now - lastAnnouncementAt < ANNOUNCE_MIN_INTERVAL_MS) return;
+    
+    const levelChanges = [];
+    const accidentRoads = [];
+    let newAccidents = 0;
+    data.forEach(road => {
+        const previous = announcedRoads.get(road.road);
+        if (!previous) return;
+        const level = getCongestionLevelIndex(road.congestion);
+        if (level !== previous.level) levelChanges.push({ road, change: level - previous.level });
+        if (road.accidents > previous.accidents) {
+            newAccidents += road.accidents - previous.accidents;
+            accidentRoads.push(getRoadName(road));
+        }
+    });
+    // Roads that got worse come first
+    levelChanges.sort((a, b) => b.change - a.change);
+    
+    const changes = [];
+    if (levelChanges.length > 0) {
+        changes.push(tn('a11y.levelChanges', levelChanges.length, {
+            roads: listForAnnouncement(levelChanges.map(({ road }) => t('a11y.levelChange', {
+                road: getRoadName(road),
+                level: getCongestionLevel(road.congestion),
+                congestion: formatPercent(road.congestion)
+            })))
+        }));
+    }
+    if (newAccidents > 0) {
+        changes.push(tn('a11y.newAccidents', newAccidents, { roads: listForAnnouncement(accidentRoads) }));
+    }
+    const average = getAverageCongestion(data);
+    if (announcedAverage !== null && average !== null && Math.abs(average - announcedAverage) >= ANNOUNCE_AVERAGE_CHANGE) {
+        changes.push(t(average > announcedAverage ? 'a11y.averageRose' : 'a11y.averageFell', { value: formatPercent(average) }));
+    }
+    if (changes.length === 0) return;
+    
+    announce(t('a11y.liveUpdate', { changes: changes.join(' ') }));
+    resetTrafficAnnouncements(data);
+    lastAnnouncementAt = now;
+}
+
+// The road picked for a chart, or the whole city, as a summary's opening
+function getChartScope(chartKey) {
+    const roadName = chartRoadSelection[chartKey];
+    return roadName === CITY_WIDE ? t('charts.wholeCity') : getRoadName(roadName);
+}
+
+// Highest and lowest value of a chart with their labels; null when nothing is recorded
+function getChartExtremes(chart) {
+    const points = chart.data.datasets[0].data
+        .map((value, i) => ({ value, label: chart.data.labels[i] }))
+        .filter(point => point.value !== null);
+    if (points.length === 0) return null;
+    const sorted = [...points].sort((a, b) => b.value - a.value);
+    return { highest: sorted[0], lowest: sorted[sorted.length - 1] };
+}
+
+// A chart with a single recorded hour or day has no busiest and quietest
+function describeOnlyPoint(point, format) {
+    return t('a11y.chart.onlyPoint', { label: point.label, value: format(point.value) });
+}
+
+function summarizeCongestionChart() {
+    const counts = congestionChart.data.datasets[0].data;
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const parts = getCongestionLevels().map((level, i) => t('a11y.chart.levelCount', { count: formatNumber(counts[i]), level: level.rangeLabel }));
+    const roadName = chartRoadSelection.congestion;
+    return roadName === CITY_WIDE || !getFilteredData().some(road => road.road === roadName)
+        ? tn('a11y.chart.distribution', total, { parts: parts.join(', ') })
+        : tn('a11y.chart.segmentDistribution', total, { road: getRoadName(roadName), parts: parts.join(', ') });
+}
+
+function summarizePeakHoursChart() {
+    const extremes = getChartExtremes(peakHoursChart);
+    if (!extremes) return `${getChartScope('peakHours')}: ${t('charts.noObservations')}`;
+    if (extremes.highest === extremes.lowest) return `${getChartScope('peakHours')}: ${describeOnlyPoint(extremes.highest, formatPercent)}`;
+    return `${getChartScope('peakHours')}: ${t('a11y.chart.peakHours', {
+        busiest: extremes.highest.label,
+        busiestValue: formatPercent(extremes.highest.value),
+        quietest: extremes.lowest.label,
+        quietestValue: formatPercent(extremes.lowest.value)
+    })}`;
+}
+
+function summarizeSpeedTrendChart() {
+    const extremes = getChartExtremes(speedTrendChart);
+    if (!extremes) return `${getChartScope('speedTrend')}: ${t('charts.noObservations')}`;
+    if (extremes.highest === extremes.lowest) return `${getChartScope('speedTrend')}: ${describeOnlyPoint(extremes.highest, formatSpeed)}`;
+    return `${getChartScope('speedTrend')}: ${t('a11y.chart.speedTrend', {
+        fastest: extremes.highest.label,
+        fastestValue: formatSpeed(extremes.highest.value),
+        slowest: extremes.lowest.label,
+        slowestValue: formatSpeed(extremes.lowest.value)
+    })}`;
+}
+
+function summarizeSafetyChart() {
+    const extremes = getChartExtremes(safetyChart);
+    if (!extremes) return t('a11y.chart.noRoads');
+    const scores = safetyChart.data.datasets[0].data;
+    const safe = scores.filter(score => score >= SAFETY_GRADE_BANDS[0].min).length;
+    return tn('a11y.chart.safety', scores.length, {
+        safest: extremes.highest.label,
+        safestScore: formatNumber(extremes.highest.value),
+        riskiest: extremes.lowest.label,
+        riskiestScore: formatNumber(extremes.lowest.value),
+        safe: formatNumber(safe),
+        grade: SAFETY_GRADE_BANDS[0].grade
+    });
+}
+
+// Called after the charts are updated
+function renderChartSummaries() {
+    document.getElementById('congestionChartSummary').textContent = summarizeCongestionChart();
+    document.getElementById('peakHoursChartSummary').textContent = summarizePeakHoursChart();
+    document.getElementById('speedTrendChartSummary').textContent = summarizeSpeedTrendChart();
+    document.getElementById('safetyChartSummary').textContent = summarizeSafetyChart();
+}
@@ -0,0 +1,318 @@
+// Alerts: user-defined rules evaluated on every data update, delivered as
+// in-app toasts and browser notifications, and kept in a history log.
+
+const ALERT_RULES_KEY = 'geosense-alert-rules';
+const ALERT_HISTORY_KEY = 'geosense-alert-history';
+const ALERT_HISTORY_LIMIT = 200;
+const ALERT_SNOOZE_MS = 30 * 60 * 1000;
+const ALERT_TOAST_MS = 10 * 1000;
+
+const ALERT_METRICS = {
+    congestion: { labelKey: 'alerts.metricName.congestion', format: value => formatPercent(value) },
+    averageSpeed: { labelKey: 'alerts.metricName.averageSpeed', format: value => formatSpeed(value) },
+    accidents: { labelKey: 'alerts.metricName.accidents', format: value => formatNumber(value) }
+};
+
+let alertRules = [];
+let alertHistory = [];
+// Runtime state per rule: when its condition started holding, and whether it has fired
+let alertRuleState = {};
+
+function loadAlerts() {
+    alertRuleState = {};
+    try {
+        alertRules = JSON.parse(localStorage.getItem(getRegionStorageKey(ALERT_RULES_KEY)) || '[]');
+        alertHistory = JSON.parse(localStorage.getItem(getRegionStorageKey(ALERT_HISTORY_KEY)) || '[]');
+    } catch (error) {
+        console.warn('Ignoring unreadable alert settings:', error);
+        alertRules = [];
+        alertHistory = [];
+    }
+}
+
+function saveAlertRules() {
+    localStorage.setItem(getRegionStorageKey(ALERT_RULES_KEY), JSON.stringify(alertRules));
+}
+
+function saveAlertHistory() {
+    alertHistory = alertHistory.slice(-ALERT_HISTORY_LIMIT);
+    localStorage.setItem(getRegionStorageKey(ALERT_HISTORY_KEY), JSON.stringify(alertHistory));
+}
+
+function addAlertRule(rule) {
+    const created = { ...rule, id: `rule-${Date.now().toString(36)}`, enabled: true, createdAt: Date.now(), lastCheckedAt: Date.now(), snoozedUntil: null };
+    alertRules.push(created);
+    saveAlertRules();
+    return created;
+}
+
+function removeAlertRule(id) {
+    alertRules = alertRules.filter(rule => rule.id !== id);
+    delete alertRuleState[id];
+    saveAlertRules();
+}
+
+function describeAlertRule(rule) {
+    if (rule.type === 'incident') {
+        return t(rule.incidentType === 'collision' ? 'alerts.rule.accident' : 'alerts.rule.incident', {
+            radius: formatNumber(rule.radiusKm),
+            road: getRoadName(rule.road)
+        });
+    }
+    const metric = ALERT_METRICS[rule.metric];
+    const subject = rule.type === 'city' ? t(rule.metric === 'accidents' ? 'alerts.rule.city' : 'alerts.rule.cityAverage') : getRoadName(rule.road);
+    const duration = rule.durationMinutes > 0 ? ` ${tn('alerts.rule.duration', rule.durationMinutes)}` : '';
+    return `${subject} ${t(metric.labelKey)} ${rule.operator} ${metric.format(rule.value)}${duration}`;
+}
+
+function compareAlertValue(value, operator, threshold) {
+    return operator === '>' ? value > threshold : value < threshold;
+}
+
+// Current value a threshold rule looks at, or null if it cannot be measured
+function getAlertRuleValue(rule, data) {
+    if (rule.type === 'city') {
+        if (rule.metric === 'accidents') return getTodaysAccidentTotal(data);
+        if (data.length === 0) return null;
+        return data.reduce((sum, road) => sum + road[rule.metric], 0) / data.length;
+    }
+    const road = data.find(r => r.road === rule.road);
+    return road ? road[rule.metric] : null;
+}
+
+// Evaluate every enabled rule against the latest data; returns the alerts raised
+function evaluateAlertRules(data, now = Date.now()) {
+    const raised = [];
+    
+    alertRules.filter(rule => rule.enabled).forEach(rule => {
+        const snoozed = rule.snoozedUntil && rule.snoozedUntil > now;
+        
+        if (rule.type === 'incident') {
+            const place = data.find(r => r.road === rule.road);
+            const fresh = incidents.filter(incident =>
+                incident.timestamp > rule.lastCheckedAt &&
+                (rule.incidentType !== 'collision' || isAccident(incident)) &&
+                place && haversineDistance(place.location, incident.latLng) <= rule.radiusKm
+            );
+            rule.lastCheckedAt = now;
+            if (!snoozed) {
+                fresh.forEach(incident => raised.push(raiseAlert(rule, t('alerts.incidentReported', {
+                    type: t(INCIDENT_TYPES[incident.type].labelKey),
+                    severity: t(INCIDENT_SEVERITIES[incident.severity].labelKey).toLocaleLowerCase(getLocale()),
+                    distance: formatNumber(haversineDistance(place.location, incident.latLng), { maximumFractionDigits: 1 }),
+                    road: getRoadName(rule.road)
+                }), now)));
+            }
+            return;
+        }
+        
+        const value = getAlertRuleValue(rule, data);
+        const state = alertRuleState[rule.id] || (alertRuleState[rule.id] = { since: null, fired: false });
+        if (value === null || !compareAlertValue(value, rule.operator, rule.value)) {
+            // Condition cleared: the next breach starts a new episode
+            state.since = null;
+            state.fired = false;
+            return;
+        }
+        
+        if (state.since === null) state.since = now;
+        const heldMinutes = (now - state.since) / 60000;
+        if (!state.fired && !snoozed && heldMinutes >= (rule.durationMinutes || 0)) {
+            state.fired = true;
+            const { format } = ALERT_METRICS[rule.metric];
+            raised.push(raiseAlert(rule, t('alerts.triggered', { rule: describeAlertRule(rule), value: format(Math.round(value)) }), now));
+        }
+    });
+    
+    saveAlertRules();
+    if (raised.length > 0) renderAlertPanel();
+    return raised;
+}
+
+function raiseAlert(rule, message, now) {
+    const alert = { id: `alert-${now.toString(36)}-${alertHistory.length}`, ruleId: rule.id, message, timestamp: now, acknowledged: false };
+    alertHistory.push(alert);
+    saveAlertHistory();
+    showAlertToast(alert);
+    showBrowserNotification(alert);
+    return alert;
+}
+
+function acknowledgeAlert(id) {
+    const alert = alertHistory.find(a => a.id === id);
+    if (alert) alert.acknowledged = true;
+    saveAlertHistory();
+    renderAlertPanel();
+}
+
+// Snoozing silences the rule behind an alert for ALERT_SNOOZE_MS
+function snoozeAlert(id) {
+    const alert = alertHistory.find(a => a.id === id);
+    const rule = alert && alertRules.find(r => r.id === alert.ruleId);
+    if (rule) {
+        rule.snoozedUntil = Date.now() + ALERT_SNOOZE_MS;
+        saveAlertRules();
+    }
+    acknowledgeAlert(id);
+}
+
+function showBrowserNotification(alert) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+        new Notification(t('alerts.notificationTitle'), { body: alert.message, tag: alert.ruleId });
+    } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.warn('Browser notification failed:', error);
+    }
+}
+
+function showAlertToast(alert) {
+    const container = document.getElementById('toastContainer');
+    const toast = document.createElement('div');
+    toast.className = 'alert-toast bg-white rounded-lg shadow-lg p-3 border-l-4 border-orange-500';
+    toast.setAttribute('role', 'alert');
+    toast.innerHTML = `
+        <div class="flex items-start gap-2">
+            <i class="fas fa-bell text-orange-500 mt-1"></i>
+            <div class="flex-1 text-sm text-gray-800">${escapeHtml(alert.message)}</div>
+        </div>
+        <div class="flex justify-end gap-2 mt-2 text-xs">
+            <button data-alert-action="snooze" class="px-2 py-1 rounded bg-gray-100 text-gray-700">${t('alerts.snooze')}</button>
+            <button data-alert-action="acknowledge" class="px-2 py-1 rounded bg-blue-600 text-white">${t('alerts.acknowledge')}</button>
+        </div>
+    `;
+    toast.querySelectorAll('[data-alert-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.alertAction === 'snooze') snoozeAlert(alert.id);
+            else acknowledgeAlert(alert.id);
+            toast.remove();
+        });
+    });
+    container.appendChild(toast);
+    setTimeout(() => toast.remove(), ALERT_TOAST_MS);
+}
+
+// Setup the rule form, notification permission button and lists
+function setupAlerts() {
+    loadAlerts();
+    const form = document.getElementById('alertRuleForm');
+    
+    const showFields = () => {
+        const type = form.elements.type.value;
+        form.querySelectorAll('[data-alert-field]').forEach(field => {
+            field.classList.toggle('hidden', !field.dataset.alertField.split(' ').includes(type));
+        });
+        // Accident counts are only tracked city-wide
+        form.elements.metric.querySelector('option[value="accidents"]').disabled = type !== 'city';
+        if (type !== 'city' && form.elements.metric.value === 'accidents') form.elements.metric.value = 'congestion';
+    };
+    form.elements.type.addEventListener('change', showFields);
+    showFields();
+    
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const type = form.elements.type.value;
+        const rule = { type, road: form.elements.road.value };
+        if (type === 'incident') {
+            Object.assign(rule, { radiusKm: Number(form.elements.radiusKm.value) || 1, incidentType: form.elements.incidentType.value });
+        } else {
+            Object.assign(rule, {
+                metric: form.elements.metric.value,
+                operator: form.elements.operator.value,
+                value: Number(form.elements.value.value),
+                durationMinutes: Number(form.elements.durationMinutes.value) || 0
+            });
+        }
+        addAlertRule(rule);
+        requestNotificationPermission();
+        renderAlertPanel();
+    });
+    
+    document.getElementById('notificationBtn').addEventListener('click', requestNotificationPermission);
+    document.getElementById('alertBell').addEventListener('click', () => {
+        document.getElementById('alertsPanel').scrollIntoView({ behavior: 'smooth' });
+    });
+    
+    document.getElementById('alertRuleList').addEventListener('click', event => {
+        const button = event.target.closest('[data-rule-action]');
+        if (!button) return;
+        const rule = alertRules.find(r => r.id === button.dataset.ruleId);
+        if (button.dataset.ruleAction === 'delete') {
+            removeAlertRule(button.dataset.ruleId);
+        } else if (rule) {
+            rule.enabled = !rule.enabled;
+            rule.snoozedUntil = null;
+            saveAlertRules();
+        }
+        renderAlertPanel();
+    });
+    
+    document.getElementById('alertHistoryList').addEventListener('click', event => {
+        const button = event.target.closest('[data-alert-action]');
+        if (!button) return;
+        if (button.dataset.alertAction === 'snooze') snoozeAlert(button.dataset.alertId);
+        else acknowledgeAlert(button.dataset.alertId);
+    });
+    
+    renderAlertPanel();
+}
+
+function setupAlertRoadOptions(data) {
+    const select = document.getElementById('alertRuleForm').elements.road;
+    const current = select.value;
+    select.innerHTML = data.map(road => `<option value="${escapeHtml(road.road)}">${escapeHtml(getRoadName(road))}</option>`).join('');
+    if (data.some(road => road.road === current)) select.value = current;
+}
+
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) return;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    renderAlertPanel();
+}
+
+function renderAlertPanel() {
+    const now = Date.now();
+    const unacknowledged = alertHistory.filter(alert => !alert.acknowledged).length;
+    const badge = document.getElementById('alertCount');
+    badge.textContent = unacknowledged;
+    badge.classList.toggle('hidden', unacknowledged === 0);
+    
+    const notificationBtn = document.getElementById('notificationBtn');
+    const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+    notificationBtn.disabled = permission !== 'default';
+    notificationBtn.textContent = t(`alerts.notifications.${permission}`);
+    
+    document.getElementById('alertRuleList').innerHTML = alertRules.length === 0
+        ? `<li class="text-gray-500">${t('alerts.noRules')}</li>`
+        : alertRules.map(rule => `
+            <li class="flex items-center justify-between gap-2 p-2 rounded-lg bg-gray-50 ${rule.enabled ? '' : 'opacity-60'}">
+                <span>
+                    ${escapeHtml(describeAlertRule(rule))}
+                    ${rule.snoozedUntil > now ? `<span class="text-xs text-gray-500">(${t('alerts.snoozedUntil', { time: formatTime(rule.snoozedUntil) })})</span>` : ''}
+                </span>
+                <span class="flex gap-1">
+                    <button data-rule-action="toggle" data-rule-id="${rule.id}" class="px-2 py-1 rounded bg-white border text-xs">${t(rule.enabled ? 'alerts.pause' : 'alerts.resume')}</button>
+                    <button data-rule-action="delete" data-rule-id="${rule.id}" class="px-2 py-1 rounded bg-white border text-xs text-red-600" title="${t('alerts.deleteRule')}"><i class="fas fa-trash"></i></button>
+                </span>
+            </li>
+        `).join('');
+    
+    document.getElementById('alertHistoryList').innerHTML = alertHistory.length === 0
+        ? `<li class="text-gray-500">${t('alerts.noAlerts')}</li>`
+        : [...alertHistory].reverse().slice(0, 50).map(alert => `
+            <li class="p-2 rounded-lg ${alert.acknowledged ? 'bg-gray-50 text-gray-500' : 'bg-orange-50 text-gray-800'}">
+                <div class="flex justify-between gap-2">
+                    <span>${escapeHtml(alert.message)}</span>
+                    <span class="text-xs text-gray-500 whitespace-nowrap">${formatTime(alert.timestamp)}</span>
+                </div>
+                ${alert.acknowledged ? '' : `
+                    <div class="flex justify-end gap-2 mt-1 text-xs">
+                        <button data-alert-action="snooze" data-alert-id="${alert.id}" class="px-2 py-1 rounded bg-white border">${t('alerts.snooze')}</button>
+                        <button data-alert-action="acknowledge" data-alert-id="${alert.id}" class="px-2 py-1 rounded bg-blue-600 text-white">${t('alerts.acknowledge')}</button>
+                    </div>
+                `}
+            </li>
+        `).join('');
+}
@@ -0,0 +1,173 @@
+// Chart analytics: aggregates recorded snapshots into hourly congestion,
+// day-of-week speed and per-road safety figures, and the KPI figures and
+// road lists computed from the filtered data.
+
+const CITY_WIDE = 'all';
+const OBSERVATION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+// Snapshots recorded from now on (or from the last region switch) are added
+// as they happen, not read back
+let analyticsSessionStart = Date.now();
+
+// 1 January 2024 was a Monday, so its hours and week give the chart labels
+const LABEL_REFERENCE_DATE = [2024, 0, 1];
+
+let observationStats = createObservationStats();
+
+function createObservationStats() {
+    // hourly/weekday hold the charted metrics; the other two feed the forecaster
+    return { count: 0, since: null, hourly: {}, weekday: {}, hourlySpeed: {}, weekdayCongestion: {} };
+}
+
+function addToBucket(buckets, key, index, value) {
+    if (!buckets[key]) buckets[key] = [];
+    if (!buckets[key][index]) buckets[key][index] = { sum: 0, count: 0 };
+    buckets[key][index].sum += value;
+    buckets[key][index].count += 1;
+}
+
+// Fold one snapshot into the running per-road and city-wide averages
+function addObservation(snapshot, stats = observationStats) {
+    if (!snapshot || snapshot.roads.length === 0) return stats;
+    
+    const date = new Date(snapshot.timestamp);
+    const hour = date.getHours();
+    const weekday = (date.getDay() + 6) % 7; // Monday first
+    
+    snapshot.roads.forEach(road => {
+        addToBucket(stats.hourly, road.road, hour, road.congestion);
+        addToBucket(stats.weekday, road.road, weekday, road.averageSpeed);
+        addToBucket(stats.hourlySpeed, road.road, hour, road.averageSpeed);
+        addToBucket(stats.weekdayCongestion, road.road, weekday, road.congestion);
+    });
+    
+    const cityCongestion = snapshot.roads.reduce((sum, road) => sum + road.congestion, 0) / snapshot.roads.length;
+    const citySpeed = snapshot.roads.reduce((sum, road) => sum + road.averageSpeed, 0) / snapshot.roads.length;
+    addToBucket(stats.hourly, CITY_WIDE, hour, cityCongestion);
+    addToBucket(stats.weekday, CITY_WIDE, weekday, citySpeed);
+    
+    stats.count += 1;
+    stats.since = stats.since === null ? snapshot.timestamp : Math.min(stats.since, snapshot.timestamp);
+    return stats;
+}
+
+// Start over for another region; its stored snapshots are read back again
+function resetObservationStats() {
+    observationStats = createObservationStats();
+    analyticsSessionStart = Date.now();
+}
+
+// Read the last week of stored snapshots into the running averages
+async function loadObservationStats() {
+    try {
+        const snapshots = await getSnapshotRange(analyticsSessionStart - OBSERVATION_WINDOW_MS, analyticsSessionStart - 1);
+        snapshots.forEach(snapshot => addObservation(snapshot));
+    } catch (error) {
+        console.warn('Could not load recorded observations:', error);
+    }
+    return observationStats;
+}
+
+function averageBuckets(buckets, length) {
+    return Array.from({ length }, (_, i) => {
+        const bucket = buckets && buckets[i];
+        return bucket ? Math.round(bucket.sum / bucket.count * 10) / 10 : null;
+    });
+}
+
+// Pool the buckets of several roads, e.g. the roads left by the filters
+function mergeRoadBuckets(bucketsByRoad, roadNames, length) {
+    return Array.from({ length }, (_, i) => {
+        const merged = { sum: 0, count: 0 };
+        roadNames.forEach(name => {
+            const bucket = bucketsByRoad[name] && bucketsByRoad[name][i];
+            if (bucket) {
+                merged.sum += bucket.sum;
+                merged.count += bucket.count;
+            }
+        });
+        return merged.count > 0 ? merged : null;
+    });
+}
+
+// City-wide figures cover `roadNames` instead of every road when given
+function getRoadBuckets(bucketsByRoad, roadName, roadNames, length) {
+    if (roadName === CITY_WIDE && roadNames) return mergeRoadBuckets(bucketsByRoad, roadNames, length);
+    return bucketsByRoad[roadName];
+}
+
+// Average congestion for each hour of the day
+function getPeakHourData(roadName = CITY_WIDE, stats = observationStats, roadNames = null) {
+    return averageBuckets(getRoadBuckets(stats.hourly, roadName, roadNames, 24), 24);
+}
+
+// Average speed for each day of the week
+function getSpeedTrendData(roadName = CITY_WIDE, stats = observationStats, roadNames = null) {
+    return averageBuckets(getRoadBuckets(stats.weekday, roadName, roadNames, 7), 7);
+}
+
+// Road count per congestion band, or segment count for a single road
+function getCongestionDistribution(data, roadName = CITY_WIDE) {
+    const road = data.find(r => r.road === roadName);
+    const values = road
+        ? (hasSegments(road) ? road.segments : [road]).map(item => item.congestion)
+        : data.map(r => r.congestion);
+    
+    return getCongestionLevels().map(level => values.filter(value => matchesCongestionFilter(value, level.key)).length);
+}
+
+// Safety scores (0-100) as computed by js/safety.js
+function getSafetyData(data, time = getDisplayedTime()) {
+    return data.map(road => getSafetyScore(road, time));
+}
+
+// Hour-of-day and weekday (Monday first) chart labels in the current language
+function getHourLabels() {
+    return Array.from({ length: 24 }, (_, hour) =>
+        formatDateTime(new Date(...LABEL_REFERENCE_DATE, hour), { hour: 'numeric' }));
+}
+
+function getWeekdayLabels() {
+    return Array.from({ length: 7 }, (_, day) =>
+        formatDateTime(new Date(LABEL_REFERENCE_DATE[0], LABEL_REFERENCE_DATE[1], LABEL_REFERENCE_DATE[2] + day), { weekday: 'short' }));
+}
+
+function describeObservations(stats = observationStats) {
+    if (stats.count === 0) return t('charts.noObservations');
+    const since = formatDateTime(stats.since, { weekday: 'short', day: 'numeric', month: 'short' });
+    return tn('charts.observations', stats.count, { since });
+}
+
+// KPI figures for the filtered data; averages are null when no road matches
+function getKPIs(data = getFilteredData(), time = getDisplayedTime()) {
+    // Flagged readings are left out when the data-health toggle says so
+    const average = key => {
+        const values = data.filter(road => !isReadingExcluded(road.road, key)).map(road => road[key]);
+        return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    };
+    return {
+        roadCount: data.length,
+        avgCongestion: average('congestion'),
+        // Live city-wide counts also include collisions recorded away from any road
+        totalAccidents: isReplaying() || isFilterActive()
+            ? data.reduce((sum, road) => sum + road.accidents, 0)
+            : getTodaysAccidentTotal(data),
+        avgSpeed: average('averageSpeed'),
+        avgSafetyScore: data.length > 0 ? Math.round(getSafetyData(data, time).reduce((sum, score) => sum + score, 0) / data.length) : null,
+        safeRoutes: data.filter(road => isSafeRoad(road, time)).length
+    };
+}
+
+// Safe (grade A) roads, highest safety score first
+function getSafeRoutes(data = getFilteredData(), time = getDisplayedTime()) {
+    return data
+        .filter(road => isSafeRoad(road, time))
+        .sort((a, b) => getSafetyScore(b, time) - getSafetyScore(a, time) || a.congestion - b.congestion)
+        .slice(0, 6);
+}
+
+// Roads with accidents today, most first
+function getAccidentRoads(data = getFilteredData()) {
+    return data
+        .filter(road => road.accidents > 0)
+        .sort((a, b) => b.accidents - a.accidents);
+}
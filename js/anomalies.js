@@ -0,0 +1,207 @@
+// Anomaly detection: every new reading is checked against the road's recent
+// readings (robust z-score, repeated identical values) and against how speed
+// and congestion usually relate. Flagged values are marked in popups and
+// lists, can be left out of the KPI averages, and the data-health panel lists
+// suspicious and stale roads.
+
+const ANOMALY_EXCLUDE_KEY = 'geosense-exclude-flagged';
+// Readings kept per road, and how many are needed before judging a new one
+const ANOMALY_HISTORY_LENGTH = 20;
+const ANOMALY_MIN_HISTORY = 5;
+// Robust z-score (distance from the median in scaled MADs) that counts as an outlier
+const ANOMALY_Z_LIMIT = 3.5;
+// Smaller jumps from the previous reading are never outliers, however steady the road has been
+const ANOMALY_MIN_JUMP = { congestion: 15, averageSpeed: 12 };
+// The same congestion and speed this many times in a row looks like a stuck sensor
+const ANOMALY_STUCK_READINGS = 6;
+// Roads without a reading for this long are stale
+const ANOMALY_STALE_AFTER_MS = 10 * 60 * 1000;
+const DATA_HEALTH_REFRESH_MS = 60 * 1000;
+
+const ANOMALY_METRICS = {
+    congestion: { labelKey: 'anomalies.metric.congestion', format: value => formatPercent(value) },
+    averageSpeed: { labelKey: 'anomalies.metric.averageSpeed', format: value => formatSpeed(value) }
+};
+
+// Speed and congestion that contradict each other
+const SPEED_CONGESTION_RULES = [
+    {
+        test: road => road.congestion >= 70 && road.averageSpeed >= 45,
+        key: 'anomalies.fastDespiteCongestion'
+    },
+    {
+        test: road => road.congestion <= 20 && road.averageSpeed <= 10,
+        key: 'anomalies.slowWithoutCongestion'
+    }
+];
+
+// Recent { timestamp, congestion, averageSpeed } per road name, oldest first
+let roadReadings = new Map();
+// Flags of each road's latest reading: [{ rule, metrics, key, params }];
+// the message is built when shown so it follows the language
+let roadAnomalies = new Map();
+let excludeFlaggedReadings = localStorage.getItem(ANOMALY_EXCLUDE_KEY) === 'true';
+
+// Start over for another region
+function resetAnomalies() {
+    roadReadings = new Map();
+    roadAnomalies = new Map();
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Distance from the median in units of the scaled median absolute deviation;
+// the MAD has a floor of 1 so a perfectly steady road doesn't divide by zero
+function getRobustZScore(value, history) {
+    const center = median(history);
+    const mad = median(history.map(v => Math.abs(v - center)));
+    return Math.abs(value - center) / (1.4826 * Math.max(mad, 1));
+}
+
+// Flags for a road's current values given its earlier readings
+function detectRoadAnomalies(road, readings) {
+    const flags = [];
+    
+    if (readings.length >= ANOMALY_MIN_HISTORY) {
+        const previous = readings[readings.length - 1];
+        Object.keys(ANOMALY_METRICS).forEach(metric => {
+            const history = readings.map(reading => reading[metric]);
+            const value = road[metric];
+            if (Math.abs(value - previous[metric]) < ANOMALY_MIN_JUMP[metric]) return;
+            if (getRobustZScore(value, history) <= ANOMALY_Z_LIMIT) return;
+            flags.push({
+                rule: 'outlier',
+                metrics: [metric],
+                key: value === 0 ? 'anomalies.dropped' : 'anomalies.jumped',
+                params: { metric, value, usual: Math.round(median(history)) }
+            });
+        });
+    }
+    
+    const recent = [...readings.slice(-(ANOMALY_STUCK_READINGS - 1)), road];
+    if (recent.length === ANOMALY_STUCK_READINGS && recent.every(reading =>
+        reading.congestion === road.congestion && reading.averageSpeed === road.averageSpeed
+    )) {
+        flags.push({ rule: 'stuck', metrics: Object.keys(ANOMALY_METRICS), key: 'anomalies.stuck', params: {} });
+    }
+    
+    const contradiction = SPEED_CONGESTION_RULES.find(rule => rule.test(road));
+    if (contradiction) {
+        flags.push({
+            rule: 'contradiction',
+            metrics: Object.keys(ANOMALY_METRICS),
+            key: contradiction.key,
+            params: { congestion: road.congestion, averageSpeed: road.averageSpeed }
+        });
+    }
+    
+    return flags;
+}
+
+// Check the roads that have a reading newer than their last checked one, then remember it
+function checkReadings(data) {
+    data.forEach(road => {
+        const readings = roadReadings.get(road.road) || [];
+        const timestamp = road.updatedAt || Date.now();
+        if (readings.length > 0 && readings[readings.length - 1].timestamp === timestamp) return;
+        
+        roadAnomalies.set(road.road, detectRoadAnomalies(road, readings));
+        readings.push({ timestamp, congestion: road.congestion, averageSpeed: road.averageSpeed });
+        roadReadings.set(road.road, readings.slice(-ANOMALY_HISTORY_LENGTH));
+    });
+}
+
+// Flags only describe live readings, not replayed history or forecasts
+function getRoadAnomalies(roadName) {
+    if (getDisplayedData() !== trafficData) return [];
+    return roadAnomalies.get(roadName) || [];
+}
+
+function isReadingFlagged(roadName, metric) {
+    return getRoadAnomalies(roadName).some(flag => flag.metrics.includes(metric));
+}
+
+// Whether a road's value is left out of the KPI averages
+function isReadingExcluded(roadName, metric) {
+    return excludeFlaggedReadings && isReadingFlagged(roadName, metric);
+}
+
+function isRoadStale(road, now = Date.now()) {
+    return Boolean(road.updatedAt) && now - road.updatedAt > ANOMALY_STALE_AFTER_MS;
+}
+
+// A flag's message in the current language
+function describeAnomaly({ key, params }) {
+    if (params.metric) {
+        const { labelKey, format } = ANOMALY_METRICS[params.metric];
+        return t(key, { metric: t(labelKey), value: format(params.value), usual: format(params.usual) });
+    }
+    if (key === 'anomalies.stuck') return t(key, { count: formatNumber(ANOMALY_STUCK_READINGS) });
+    return t(key, { congestion: formatPercent(params.congestion), speed: formatSpeed(params.averageSpeed) });
+}
+
+// Popup warning listing the road's flags
+function createAnomalyNote(road) {
+    const flags = getRoadAnomalies(road.road);
+    if (flags.length === 0) return '';
+    return `<div class="popup-anomaly-note"><i class="fas fa-exclamation-triangle"></i> ${t('anomalies.suspectReading', { flags: flags.map(flag => escapeHtml(describeAnomaly(flag))).join('; ') })}</div>`;
+}
+
+// Small badge for list rows
+function createAnomalyBadge(roadName) {
+    const flags = getRoadAnomalies(roadName);
+    if (flags.length === 0) return '';
+    return `<span class="anomaly-badge" title="${escapeHtml(flags.map(describeAnomaly).join('; '))}"><i class="fas fa-exclamation-triangle"></i> ${t('anomalies.suspect')}</span>`;
+}
+
+// Live roads with suspicious or stale readings, suspicious first
+function getDataHealth(data = trafficData, now = Date.now()) {
+    return data
+        .map(road => ({ road, flags: roadAnomalies.get(road.road) || [], stale: isRoadStale(road, now) }))
+        .filter(entry => entry.flags.length > 0 || entry.stale)
+        .sort((a, b) => b.flags.length - a.flags.length || a.road.road.localeCompare(b.road.road));
+}
+
+function renderDataHealth() {
+    const now = Date.now();
+    const entries = getDataHealth(trafficData, now);
+    const suspicious = entries.filter(entry => entry.flags.length > 0).length;
+    const stale = entries.filter(entry => entry.stale).length;
+    const excluded = excludeFlaggedReadings
+        ? trafficData.reduce((count, road) => count + Object.keys(ANOMALY_METRICS).filter(metric => isReadingFlagged(road.road, metric)).length, 0)
+        : 0;
+    
+    document.getElementById('dataHealthSummary').textContent = entries.length === 0
+        ? tn('health.allNormal', trafficData.length)
+        : tn('health.summary', trafficData.length, { suspicious: formatNumber(suspicious), stale: formatNumber(stale) }) +
+            (excluded > 0 ? ` · ${tn('health.excluded', excluded)}` : '');
+    
+    patchList(document.getElementById('dataHealthList'), entries, entry => entry.road.road, ({ road, flags, stale }) => `
+        <li class="flex items-start justify-between gap-3 p-2 rounded-lg ${flags.length > 0 ? 'bg-amber-50' : 'bg-gray-50'}">
+            <div>
+                <div class="font-medium text-gray-800">${escapeHtml(getRoadName(road))}</div>
+                ${flags.map(flag => `<div class="text-amber-800"><i class="fas fa-exclamation-triangle mr-1"></i>${escapeHtml(describeAnomaly(flag))}</div>`).join('')}
+                ${stale ? `<div class="text-gray-600"><i class="fas fa-hourglass-half mr-1"></i>${tn('health.noReading', Math.round((now - road.updatedAt) / 60000))}</div>` : ''}
+            </div>
+            <button class="text-xs text-blue-600 hover:underline whitespace-nowrap" data-road-details="${escapeHtml(road.road)}">${t('health.details')}</button>
+        </li>
+    `);
+}
+
+// Setup the data-health panel; `onChange` redraws the views that use the KPIs
+function setupDataHealth(onChange) {
+    const toggle = document.getElementById('excludeFlaggedToggle');
+    toggle.checked = excludeFlaggedReadings;
+    toggle.addEventListener('change', function() {
+        excludeFlaggedReadings = this.checked;
+        localStorage.setItem(ANOMALY_EXCLUDE_KEY, String(excludeFlaggedReadings));
+        renderDataHealth();
+        onChange();
+    });
+    // Roads turn stale without any update arriving
+    setInterval(renderDataHealth, DATA_HEALTH_REFRESH_MS);
+}
@@ -0,0 +1,244 @@
+// Congestion classification: the levels congestion is split into, where they
+// start and the palette they are drawn in. The map, legend, filters, charts,
+// popups and exports all classify through here, so they change together.
+
+const CONGESTION_SETTINGS_KEY = 'geosense-congestion-scale';
+// Threshold overrides are kept per region, on top of the region's defaults
+const CONGESTION_THRESHOLDS_KEY = 'geosense-congestion-thresholds';
+
+// Names are message keys, looked up in the current language when shown
+const CONGESTION_SCALES = {
+    three: {
+        labelKey: 'levels.scale.three',
+        levels: [
+            { key: 'low', labelKey: 'levels.low' },
+            { key: 'medium', labelKey: 'levels.medium' },
+            { key: 'high', labelKey: 'levels.high' }
+        ]
+    },
+    five: {
+        labelKey: 'levels.scale.five',
+        levels: [
+            { key: 'free', labelKey: 'levels.free' },
+            { key: 'light', labelKey: 'levels.light' },
+            { key: 'moderate', labelKey: 'levels.moderate' },
+            { key: 'heavy', labelKey: 'levels.heavy' },
+            { key: 'gridlock', labelKey: 'levels.gridlock' }
+        ]
+    }
+};
+
+// Colours per number of levels, lightest traffic first
+const CONGESTION_PALETTES = {
+    classic: {
+        labelKey: 'levels.palette.classic',
+        colors: {
+            3: ['#10B981', '#F59E0B', '#EF4444'],
+            5: ['#10B981', '#84CC16', '#F59E0B', '#EF4444', '#7F1D1D']
+        }
+    },
+    // Okabe–Ito colours: told apart by hue and lightness with any colour vision
+    colorblind: {
+        labelKey: 'levels.palette.colorblind',
+        colors: {
+            3: ['#0072B2', '#E69F00', '#882255'],
+            5: ['#0072B2', '#56B4E9', '#E69F00', '#D55E00', '#882255']
+        }
+    }
+};
+
+let congestionSettings = { scale: 'three', palette: 'classic' };
+let congestionThresholds = {};
+// The last getCongestionLevels() result and what it was built from; every
+// road colour on the map goes through it, so it is only rebuilt when the
+// language, scale, palette or thresholds change
+let congestionLevelsCache = { key: null, levels: null };
+
+function loadCongestionSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONGESTION_SETTINGS_KEY) || '{}');
+        congestionSettings = {
+            scale: CONGESTION_SCALES[stored.scale] ? stored.scale : 'three',
+            palette: CONGESTION_PALETTES[stored.palette] ? stored.palette : 'classic'
+        };
+    } catch (error) {
+        console.warn('Ignoring unreadable congestion settings:', error);
+    }
+    loadCongestionThresholds();
+}
+
+function saveCongestionSettings() {
+    localStorage.setItem(CONGESTION_SETTINGS_KEY, JSON.stringify(congestionSettings));
+}
+
+// The current region's overrides; invalid ones fall back to its defaults
+function loadCongestionThresholds() {
+    congestionThresholds = {};
+    try {
+        const stored = JSON.parse(localStorage.getItem(getRegionStorageKey(CONGESTION_THRESHOLDS_KEY)) || '{}');
+        Object.keys(CONGESTION_SCALES).forEach(scale => {
+            if (validateCongestionThresholds(stored[scale], scale) === null) congestionThresholds[scale] = stored[scale];
+        });
+    } catch (error) {
+        console.warn('Ignoring unreadable congestion thresholds:', error);
+    }
+}
+
+function saveCongestionThresholds() {
+    localStorage.setItem(getRegionStorageKey(CONGESTION_THRESHOLDS_KEY), JSON.stringify(congestionThresholds));
+}
+
+function getDefaultCongestionThresholds(scale = congestionSettings.scale) {
+    return [...getRegion().thresholds.congestion[scale]];
+}
+
+// Boundaries between neighbouring levels; one fewer than there are levels
+function getCongestionThresholds(scale = congestionSettings.scale) {
+    return congestionThresholds[scale] || getDefaultCongestionThresholds(scale);
+}
+
+// Null when valid, otherwise the reason
+function validateCongestionThresholds(values, scale = congestionSettings.scale) {
+    const count = CONGESTION_SCALES[scale].levels.length - 1;
+    if (!Array.isArray(values) || values.length !== count) return t('levels.errorCount', { count: formatNumber(count) });
+    if (!values.every(value => Number.isFinite(value) && value > 0 && value < 100)) return t('levels.errorRange');
+    if (values.some((value, i) => i > 0 && value <= values[i - 1])) return t('levels.errorOrder');
+    return null;
+}
+
+// Levels of the current scale with their colour and legend label
+function getCongestionLevels() {
+    const thresholds = getCongestionThresholds();
+    const key = [getLocale(), congestionSettings.scale, congestionSettings.palette, ...thresholds].join('|');
+    if (congestionLevelsCache.key === key) return congestionLevelsCache.levels;
+    
+    const { levels } = CONGESTION_SCALES[congestionSettings.scale];
+    const colors = CONGESTION_PALETTES[congestionSettings.palette].colors[levels.length];
+    const result = levels.map((level, i) => {
+        const range = i === 0 ? `< ${formatPercent(thresholds[0])}`
+            : i === levels.length - 1 ? `> ${formatPercent(thresholds[i - 1])}`
+            : t('format.percent', { value: `${formatNumber(thresholds[i - 1])}-${formatNumber(thresholds[i])}` });
+        const label = t(level.labelKey);
+        return { ...level, label, color: colors[i], rangeLabel: `${label} (${range})` };
+    });
+    congestionLevelsCache = { key, levels: result };
+    return result;
+}
+
+function isCongestionLevel(key) {
+    return CONGESTION_SCALES[congestionSettings.scale].levels.some(level => level.key === key);
+}
+
+// Below the first threshold is the lightest level; each later threshold is
+// the highest value of its level
+function getCongestionLevelIndex(congestion, thresholds = getCongestionThresholds()) {
+    if (congestion < thresholds[0]) return 0;
+    const index = thresholds.findIndex((limit, i) => i > 0 && congestion <= limit);
+    return index === -1 ? thresholds.length : index;
+}
+
+function getCongestionColor(congestion) {
+    return getCongestionLevels()[getCongestionLevelIndex(congestion)].color;
+}
+
+function getCongestionLevel(congestion) {
+    return getCongestionLevels()[getCongestionLevelIndex(congestion)].label;
+}
+
+function matchesCongestionFilter(congestion, filter) {
+    const index = CONGESTION_SCALES[congestionSettings.scale].levels.findIndex(level => level.key === filter);
+    return index === -1 || getCongestionLevelIndex(congestion) === index;
+}
+
+function renderCongestionLegend() {
+    document.getElementById('congestionLegend').innerHTML = getCongestionLevels().map(level => `
+        <div class="flex items-center">
+            <div class="w-3 h-3 rounded-full mr-2" style="background-color: ${level.color}"></div>
+            <span>${level.rangeLabel}</span>
+        </div>
+    `).join('');
+}
+
+function renderCongestionFilterButtons() {
+    document.getElementById('congestionFilters').innerHTML = `
+        <button class="filter-btn px-4 py-2 rounded-lg bg-blue-600 text-white" data-filter="all">
+            ${t('filters.allRoads')}
+        </button>
+        ${getCongestionLevels().map(level => `
+            <button class="filter-btn px-4 py-2 rounded-lg bg-gray-100 text-gray-700" data-filter="${level.key}">
+                <i class="fas fa-circle mr-1" style="color: ${level.color}"></i> ${t('filters.levelCongestion', { level: level.label })}
+            </button>
+        `).join('')}
+    `;
+}
+
+// Fill the scale, palette and threshold controls from the settings
+function renderCongestionSettings() {
+    const scaleSelect = document.getElementById('congestionScaleSelect');
+    const paletteSelect = document.getElementById('congestionPaletteSelect');
+    scaleSelect.innerHTML = Object.entries(CONGESTION_SCALES)
+        .map(([key, scale]) => `<option value="${key}">${t(scale.labelKey)}</option>`)
+        .join('');
+    paletteSelect.innerHTML = Object.entries(CONGESTION_PALETTES)
+        .map(([key, palette]) => `<option value="${key}">${t(palette.labelKey)}</option>`)
+        .join('');
+    scaleSelect.value = congestionSettings.scale;
+    paletteSelect.value = congestionSettings.palette;
+    const levels = getCongestionLevels();
+    document.getElementById('congestionThresholdInputs').innerHTML = getCongestionThresholds().map((value, i) => `
+        <label class="text-gray-600">
+            ${levels[i].label} / ${levels[i + 1].label}
+            <input type="number" min="1" max="99" value="${value}" data-congestion-threshold="${i}" class="block w-20 border border-gray-300 rounded-lg px-2 py-1">
+        </label>
+    `).join('');
+    document.getElementById('congestionSettingsError').textContent = '';
+}
+
+// Everything that shows the levels
+function renderCongestionControls() {
+    renderCongestionLegend();
+    renderCongestionFilterButtons();
+    renderCongestionSettings();
+}
+
+// Setup the level settings panel; `onChange` redraws the views
+function setupCongestionSettings(onChange) {
+    loadCongestionSettings();
+    const scaleSelect = document.getElementById('congestionScaleSelect');
+    const paletteSelect = document.getElementById('congestionPaletteSelect');
+    
+    const changed = () => {
+        renderCongestionControls();
+        onChange();
+    };
+    
+    document.getElementById('congestionSettingsBtn').addEventListener('click', () => {
+        document.getElementById('congestionSettings').classList.toggle('hidden');
+    });
+    scaleSelect.addEventListener('change', function() {
+        congestionSettings.scale = this.value;
+        saveCongestionSettings();
+        changed();
+    });
+    paletteSelect.addEventListener('change', function() {
+        congestionSettings.palette = this.value;
+        saveCongestionSettings();
+        changed();
+    });
+    document.getElementById('congestionThresholdInputs').addEventListener('change', () => {
+        const values = [...document.querySelectorAll('[data-congestion-threshold]')].map(input => Number(input.value));
+        const error = validateCongestionThresholds(values);
+        document.getElementById('congestionSettingsError').textContent = error || '';
+        if (error) return;
+        congestionThresholds[congestionSettings.scale] = values;
+        saveCongestionThresholds();
+        changed();
+    });
+    document.getElementById('resetCongestionBtn').addEventListener('click', () => {
+        delete congestionThresholds[congestionSettings.scale];
+        saveCongestionThresholds();
+        changed();
+    });
+    
+    renderCongestionControls();
+}
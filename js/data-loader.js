@@ -0,0 +1,382 @@
+// Data ingestion: schema validation for traffic records, CSV and GeoJSON
+// import, and the data-quality panel that lists rejected rows.
+
+// Each rule returns true when the value is valid, or the key of its error message
+const TRAFFIC_RECORD_SCHEMA = {
+    road: value => (typeof value === 'string' && value.trim() !== '') || 'data.rule.name',
+    location: value => isLatLngInBounds(value) || 'data.rule.location',
+    congestion: value => isNumberInRange(value, 0, 100) || 'data.rule.percent',
+    accidents: value => (Number.isInteger(value) && value >= 0) || 'data.rule.count',
+    averageSpeed: value => isNumberInRange(value, 0, Infinity) || 'data.rule.nonNegative'
+};
+
+const SEGMENT_SCHEMA = {
+    id: value => (typeof value === 'string' && value.trim() !== '') || 'data.rule.id',
+    geometry: value => isLineStringInBounds(value) || 'data.rule.lineString',
+    congestion: TRAFFIC_RECORD_SCHEMA.congestion,
+    averageSpeed: TRAFFIC_RECORD_SCHEMA.averageSpeed
+};
+
+// The last load shown in the data-quality panel, so it can be redrawn in another language
+let lastDataLoad = null;
+
+// Row labels, issue messages and the data source are kept as { key, params }
+// and built when shown, like the anomaly flags. Params may be messages
+// themselves; every issue is about the current region, so {region} is filled in.
+function formatDataMessage({ key, params = {} }) {
+    const values = Object.fromEntries(Object.entries(params).map(([name, value]) =>
+        [name, value && typeof value === 'object' ? formatDataMessage(value) : value]));
+    return t(key, { region: getRegionName(), ...values });
+}
+
+function createRowLabel(key, number) {
+    return { key, params: { number: formatNumber(number) } };
+}
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Inside the current region's bounds
+function isLatLngInBounds(value, bounds = getRegion().bounds) {
+    return Array.isArray(value) && value.length === 2 &&
+        isNumberInRange(value[0], bounds.south, bounds.north) &&
+        isNumberInRange(value[1], bounds.west, bounds.east);
+}
+
+function isLineStringInBounds(geometry) {
+    return Boolean(geometry) && geometry.type === 'LineString' &&
+        Array.isArray(geometry.coordinates) && geometry.coordinates.length >= 2 &&
+        geometry.coordinates.every(point => Array.isArray(point) && isLatLngInBounds([point[1], point[0]]));
+}
+
+function checkSchema(schema, record) {
+    return Object.entries(schema)
+        .map(([field, rule]) => ({ field, result: rule(record[field]) }))
+        .filter(({ result }) => result !== true)
+        .map(({ field, result }) => ({ field, message: { key: result, params: { field } } }));
+}
+
+// Validate records; invalid rows are rejected and invalid segments dropped.
+// Returns the clean records plus a list of issues for the data-quality panel.
+function validateTrafficRecords(records, labelFor = index => createRowLabel('data.row.row', index + 1)) {
+    const valid = [];
+    const issues = [];
+    const seenRoads = new Set();
+    const seenSegmentIds = new Set();
+    
+    if (!Array.isArray(records)) {
+        return { valid, issues: [{ level: 'error', row: { key: 'data.row.file' }, road: '', field: '', message: { key: 'data.error.notList' } }] };
+    }
+    
+    records.forEach((record, index) => {
+        const row = labelFor(index);
+        const road = record && typeof record.road === 'string' ? record.road.trim() : '';
+        
+        if (!record || typeof record !== 'object') {
+            issues.push({ level: 'error', row, road, field: '', message: { key: 'data.error.notRecord' } });
+            return;
+        }
+        
+        const errors = checkSchema(TRAFFIC_RECORD_SCHEMA, record);
+        if (road && seenRoads.has(road.toLowerCase())) {
+            errors.push({ field: 'road', message: { key: 'data.error.duplicate', params: { road } } });
+        }
+        if (errors.length > 0) {
+            errors.forEach(error => issues.push({ level: 'error', row, road, ...error }));
+            return;
+        }
+        
+        const clean = {
+            road,
+            location: [record.location[0], record.location[1]],
+            congestion: record.congestion,
+            accidents: record.accidents,
+            averageSpeed: record.averageSpeed
+        };
+        
+        // Translated names per language, e.g. { hi: '…' }; anything but non-empty strings is dropped
+        if (record.names && typeof record.names === 'object') {
+            const names = Object.entries(record.names).filter(([, name]) => typeof name === 'string' && name.trim() !== '');
+            if (names.length > 0) clean.names = Object.fromEntries(names.map(([locale, name]) => [locale, name.trim()]));
+        }
+        
+        if (record.segments !== undefined) {
+            // Map layers and feed deltas find segments by id, and a road's values
+            // are weighted by segment length, so repeated ids and lines without
+            // length reject the row
+            const rowErrors = [];
+            const ids = new Set();
+            const segments = (Array.isArray(record.segments) ? record.segments : []).filter((segment, i) => {
+                const segmentErrors = checkSchema(SEGMENT_SCHEMA, segment || {});
+                segmentErrors.forEach(error => issues.push({
+                    level: 'warning', row, road, field: `segments[${i}].${error.field}`,
+                    message: { key: 'data.error.segmentSkipped', params: { reason: error.message } }
+                }));
+                if (segmentErrors.length > 0) return false;
+                
+                if (seenSegmentIds.has(segment.id) || ids.has(segment.id)) {
+                    rowErrors.push({ field: `segments[${i}].id`, message: { key: 'data.error.duplicateSegment', params: { id: segment.id } } });
+                }
+                if (getSegmentLength(segment) === 0) {
+                    rowErrors.push({ field: `segments[${i}].geometry`, message: { key: 'data.error.zeroLength', params: { field: `segments[${i}].geometry` } } });
+                }
+                ids.add(segment.id);
+                return true;
+            });
+            if (rowErrors.length > 0) {
+                rowErrors.forEach(error => issues.push({ level: 'error', row, road, ...error }));
+                return;
+            }
+            ids.forEach(id => seenSegmentIds.add(id));
+            if (segments.length > 0) {
+                clean.segments = segments.map(({ id, geometry, congestion, averageSpeed }) => ({ id, geometry, congestion, averageSpeed }));
+            }
+        }
+        
+        seenRoads.add(road.toLowerCase());
+        valid.push(summarizeRoad(clean));
+    });
+    
+    return { valid, issues };
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+const CSV_COLUMNS = {
+    road: ['road', 'name', 'road name'],
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude'],
+    congestion: ['congestion', 'congestion %'],
+    accidents: ['accidents', 'accident count'],
+    averageSpeed: ['averagespeed', 'average speed', 'average_speed', 'speed']
+};
+
+// Convert CSV text (one road per line, with a header row) to road records
+function csvToRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const names = header.map(name => name.trim().toLowerCase());
+    const column = key => names.findIndex(name => CSV_COLUMNS[key].includes(name));
+    const indexes = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+    const number = (row, key) => {
+        const value = indexes[key] >= 0 ? row[indexes[key]] : undefined;
+        return value === undefined || value.trim() === '' ? undefined : Number(value);
+    };
+    
+    return rows.map(row => ({
+        road: indexes.road >= 0 ? row[indexes.road] : undefined,
+        location: [number(row, 'lat'), number(row, 'lng')],
+        congestion: number(row, 'congestion'),
+        accidents: number(row, 'accidents'),
+        averageSpeed: number(row, 'averageSpeed')
+    }));
+}
+
+// Convert a GeoJSON FeatureCollection to road records. Point features become
+// whole roads; LineString features become segments grouped by road name.
+function geoJsonToRecords(geojson) {
+    const features = geojson && geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    const byRoad = new Map();
+    
+    (features || []).forEach(feature => {
+        if (!feature || !feature.geometry) return;
+        const props = feature.properties || {};
+        const name = String(props.road || props.name || '').trim();
+        const key = name.toLowerCase();
+        if (!byRoad.has(key)) {
+            byRoad.set(key, { road: name, accidents: 0, segments: [] });
+        }
+        const record = byRoad.get(key);
+        if (typeof props.accidents === 'number') record.accidents = Math.max(record.accidents, props.accidents);
+        if (props.names) record.names = props.names;
+        
+        const { type, coordinates } = feature.geometry;
+        if (type === 'Point') {
+            Object.assign(record, {
+                location: [coordinates[1], coordinates[0]],
+                congestion: props.congestion,
+                averageSpeed: props.averageSpeed
+            });
+        } else if (type === 'LineString' || type === 'MultiLineString') {
+            const lines = type === 'LineString' ? [coordinates] : coordinates;
+            lines.forEach((line, i) => record.segments.push({
+                // Each line of a MultiLineString is a segment of its own, with its own id
+                id: !props.id ? `${slugify(name)}-${record.segments.length + 1}`
+                    : type === 'MultiLineString' ? `${props.id}-${i + 1}` : String(props.id),
+                geometry: { type: 'LineString', coordinates: line },
+                congestion: props.congestion,
+                averageSpeed: props.averageSpeed
+            }));
+        }
+    });
+    
+    return [...byRoad.values()].map(record => {
+        if (record.segments.length === 0) {
+            delete record.segments;
+            return record;
+        }
+        // Line-only roads take their aggregate values and marker point from the segments
+        const middle = record.segments[Math.floor(record.segments.length / 2)].geometry.coordinates[0];
+        const average = key => {
+            const values = record.segments.map(segment => segment[key]).filter(value => typeof value === 'number');
+            return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : undefined;
+        };
+        return {
+            location: middle ? [middle[1], middle[0]] : undefined,
+            congestion: average('congestion'),
+            averageSpeed: average('averageSpeed'),
+            ...record
+        };
+    });
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+// Imported roads replace existing roads with the same name; others are added
+function mergeTrafficData(existing, imported) {
+    const importedByName = new Map(imported.map(road => [road.road.toLowerCase(), road]));
+    const merged = existing.map(road => importedByName.get(road.road.toLowerCase()) || road);
+    imported.forEach(road => {
+        if (!existing.some(r => r.road.toLowerCase() === road.road.toLowerCase())) merged.push(road);
+    });
+    return merged;
+}
+
+// Parse an imported file into records based on its extension or content
+async function readImportFile(file) {
+    const text = await file.text();
+    const name = file.name.toLowerCase();
+    
+    if (name.endsWith('.csv')) {
+        return { records: csvToRecords(text), labelFor: index => createRowLabel('data.row.line', index + 2) };
+    }
+    
+    const json = JSON.parse(text);
+    if (Array.isArray(json)) {
+        return { records: json, labelFor: index => createRowLabel('data.row.record', index + 1) };
+    }
+    const records = geoJsonToRecords(json);
+    return { records, labelFor: index => ({ key: 'data.row.road', params: { road: records[index].road || '?' } }) };
+}
+
+// Setup drag-and-drop and file picker import
+function setupDataImport(onImport) {
+    const fileInput = document.getElementById('importFile');
+    const dropOverlay = document.getElementById('dropOverlay');
+    let dragDepth = 0;
+    
+    const importFiles = async files => {
+        const mode = document.getElementById('importMode').value;
+        for (const file of files) {
+            try {
+                const { records, labelFor } = await readImportFile(file);
+                onImport(validateTrafficRecords(records, labelFor), file.name, mode);
+            } catch (error) {
+                renderDataIssues({
+                    valid: [],
+                    issues: [{
+                        level: 'error', row: { key: 'data.row.file' }, road: '', field: '',
+                        message: { key: 'data.error.unreadable', params: { error: error.message } }
+                    }]
+                }, file.name);
+            }
+        }
+    };
+    
+    document.getElementById('importBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', function() {
+        importFiles([...this.files]);
+        this.value = '';
+    });
+    
+    document.addEventListener('dragenter', event => {
+        if (!event.dataTransfer || ![...event.dataTransfer.types].includes('Files')) return;
+        dragDepth++;
+        dropOverlay.classList.remove('hidden');
+    });
+    document.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropOverlay.classList.add('hidden');
+    });
+    document.addEventListener('dragover', event => event.preventDefault());
+    document.addEventListener('drop', event => {
+        event.preventDefault();
+        dragDepth = 0;
+        dropOverlay.classList.add('hidden');
+        if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+            importFiles([...event.dataTransfer.files]);
+        }
+    });
+}
+
+// Show what was loaded and list any rejected rows; without arguments, redraw the last load
+function renderDataIssues(result = lastDataLoad && lastDataLoad.result, source = lastDataLoad && lastDataLoad.source) {
+    if (!result) return;
+    lastDataLoad = { result, source };
+    const errors = result.issues.filter(issue => issue.level === 'error');
+    const warnings = result.issues.filter(issue => issue.level === 'warning');
+    const rejectedRows = new Set(errors.map(issue => formatDataMessage(issue.row))).size;
+    
+    document.getElementById('dataSummary').textContent =
+        tn('data.loaded', result.valid.length, { source: typeof source === 'string' ? source : formatDataMessage(source) }) +
+        (rejectedRows ? ` · ${tn('data.rejected', rejectedRows)}` : '') +
+        (warnings.length ? ` · ${tn('data.warnings', warnings.length)}` : '');
+    
+    const panel = document.getElementById('dataIssues');
+    panel.classList.toggle('hidden', result.issues.length === 0);
+    panel.querySelector('ul').innerHTML = result.issues.map(issue => `
+        <li class="data-issue data-issue-${issue.level}">
+            <i class="fas ${issue.level === 'error' ? 'fa-times-circle' : 'fa-exclamation-circle'} mr-1"></i>
+            <strong>${escapeHtml(formatDataMessage(issue.row))}</strong>${issue.road ? ` (${escapeHtml(issue.road)})` : ''}: ${escapeHtml(formatDataMessage(issue.message))}
+        </li>
+    `).join('');
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,476 @@
+// Events calendar: planned events (festivals, weddings, tourist peaks, school
+// hours) with a location, radius and time window, optionally repeating. They
+// are drawn on the map and timeline, add an expected-impact estimate to
+// nearby roads and forecasts, and shade the peak-hours and speed-trend charts.
+
+const EVENT_STORAGE_KEY = 'geosense-events';
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Traffic builds up before an event and drains after it, linearly over this long
+const EVENT_RAMP_MS = 30 * 60 * 1000;
+// Impact fades from full at the radius to nothing at this multiple of it
+const EVENT_FALLOFF = 2;
+// Expected congestion is capped, and each point of it costs this much speed (km/h)
+const EVENT_MAX_IMPACT = 50;
+const EVENT_SPEED_PER_POINT = 0.3;
+// Events starting within this window count as upcoming in popups and the list
+const EVENT_UPCOMING_MS = 3 * 60 * 60 * 1000;
+
+const EVENT_TYPES = {
+    festival: { labelKey: 'events.type.festival', icon: 'fa-star', color: '#DB2777' },
+    wedding: { labelKey: 'events.type.wedding', icon: 'fa-ring', color: '#9333EA' },
+    tourism: { labelKey: 'events.type.tourism', icon: 'fa-camera', color: '#0891B2' },
+    school: { labelKey: 'events.type.school', icon: 'fa-school', color: '#CA8A04' },
+    other: { labelKey: 'events.type.other', icon: 'fa-calendar-day', color: '#4B5563' }
+};
+
+// Extra congestion (points) on roads inside the radius while the event runs
+const EVENT_IMPACT_LEVELS = {
+    low: { labelKey: 'events.impact.low', congestion: 10 },
+    medium: { labelKey: 'events.impact.medium', congestion: 20 },
+    high: { labelKey: 'events.impact.high', congestion: 35 }
+};
+
+// Message keys of the repeat options
+const EVENT_REPEATS = {
+    none: 'events.repeat.none',
+    daily: 'events.repeat.daily',
+    weekdays: 'events.repeat.weekdays'
+};
+
+let events = [];
+let eventLayer = null;
+// Which events were running when the markers were last drawn
+let renderedEventActivity = null;
+
+function loadEvents() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getRegionStorageKey(EVENT_STORAGE_KEY)) || '[]');
+        events = Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable events:', error);
+        events = [];
+    }
+    pruneEvents();
+    return events;
+}
+
+function saveEvents() {
+    localStorage.setItem(getRegionStorageKey(EVENT_STORAGE_KEY), JSON.stringify(events));
+}
+
+// Drop events whose last occurrence ended more than the retention period ago
+function pruneEvents(now = Date.now()) {
+    events = events.filter(event => getEventLastEnd(event) > now - EVENT_RETENTION_MS);
+}
+
+function getEventLastEnd(event) {
+    if (event.repeat === 'none') return event.end;
+    if (!event.until) return Infinity;
+    return getStartOfDay(event.until) + (event.end - getStartOfDay(event.start));
+}
+
+// Returns an error message, or null when the event can be saved
+function validateEvent(event) {
+    if (!event.name) return t('events.error.name');
+    if (!Number.isFinite(event.start) || !Number.isFinite(event.end)) return t('events.error.times');
+    if (event.end <= event.start) return t('events.error.order');
+    if (event.repeat !== 'none' && event.end - event.start > 24 * 60 * 60 * 1000) return t('events.error.repeatLength');
+    if (event.repeat !== 'none' && event.until && event.until < getStartOfDay(event.start)) return t('events.error.until');
+    if (!(event.radiusKm > 0)) return t('events.error.radius');
+    return null;
+}
+
+function addEvent(fields) {
+    const event = {
+        id: `evt-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        createdAt: Date.now(),
+        ...fields
+    };
+    events.push(event);
+    saveEvents();
+    return event;
+}
+
+function removeEvent(eventId) {
+    events = events.filter(event => event.id !== eventId);
+    saveEvents();
+}
+
+// Occurrences of an event ({ start, end }) that overlap [from, until]
+function getEventOccurrences(event, from, until) {
+    if (event.repeat === 'none') {
+        return event.end >= from && event.start <= until ? [{ start: event.start, end: event.end }] : [];
+    }
+    const duration = event.end - event.start;
+    const offset = event.start - getStartOfDay(event.start);
+    const lastDay = Math.min(getStartOfDay(until), event.until ? getStartOfDay(event.until) : Infinity);
+    const occurrences = [];
+    // Start a day early so an occurrence running past midnight into `from` is found
+    for (let day = Math.max(getStartOfDay(event.start), getStartOfDay(from - duration)); day <= lastDay; day = getStartOfDay(day + 36 * 60 * 60 * 1000)) {
+        const weekday = new Date(day).getDay();
+        if (event.repeat === 'weekdays' && (weekday === 0 || weekday === 6)) continue;
+        const start = day + offset;
+        if (start + duration >= from && start <= until) occurrences.push({ start, end: start + duration });
+    }
+    return occurrences;
+}
+
+// 0-1: how much of the event's traffic is on the roads at `time`
+function getEventTimeFactor(event, time) {
+    return getEventOccurrences(event, time - EVENT_RAMP_MS, time + EVENT_RAMP_MS).reduce((best, { start, end }) => {
+        const factor = time < start ? 1 - (start - time) / EVENT_RAMP_MS
+            : time > end ? 1 - (time - end) / EVENT_RAMP_MS
+            : 1;
+        return Math.max(best, factor);
+    }, 0);
+}
+
+// 0-1: full inside the radius, fading out to EVENT_FALLOFF times the radius
+function getEventDistanceFactor(event, road) {
+    const distance = haversineDistance(road.location, event.latLng);
+    if (distance <= event.radiusKm) return 1;
+    const outer = event.radiusKm * EVENT_FALLOFF;
+    return distance >= outer ? 0 : (outer - distance) / (outer - event.radiusKm);
+}
+
+// Expected extra congestion and lost speed on a road at `time`, with the events behind it
+function getRoadEventImpact(road, time = getDisplayedTime()) {
+    const contributions = events.map(event => ({
+        event,
+        congestion: EVENT_IMPACT_LEVELS[event.impact].congestion * getEventDistanceFactor(event, road) * getEventTimeFactor(event, time)
+    })).filter(contribution => contribution.congestion >= 1);
+    const congestion = Math.round(Math.min(EVENT_MAX_IMPACT, contributions.reduce((sum, c) => sum + c.congestion, 0)));
+    return {
+        congestion,
+        averageSpeed: -Math.round(congestion * EVENT_SPEED_PER_POINT),
+        events: contributions.sort((a, b) => b.congestion - a.congestion)
+    };
+}
+
+// Roads an event reaches, most affected first, at full strength
+function getEventAffectedRoads(event, data = trafficData) {
+    return data
+        .map(road => ({ road, congestion: Math.round(EVENT_IMPACT_LEVELS[event.impact].congestion * getEventDistanceFactor(event, road)) }))
+        .filter(item => item.congestion >= 1)
+        .sort((a, b) => b.congestion - a.congestion);
+}
+
+// Next occurrence that hasn't ended yet, if any within two weeks
+function getNextOccurrence(event, now = Date.now()) {
+    return getEventOccurrences(event, now, now + 14 * 24 * 60 * 60 * 1000)[0] || null;
+}
+
+function formatEventWindow(event, occurrence = null) {
+    const { start, end } = occurrence || event;
+    const sameDay = getStartOfDay(start) === getStartOfDay(end);
+    const time = formatTime;
+    const date = timestamp => formatDateTime(timestamp, { weekday: 'short', day: 'numeric', month: 'short' });
+    if (event.repeat !== 'none' && !occurrence) {
+        const until = event.until ? ` ${t('events.until', { date: date(event.until) })}` : '';
+        return `${t(EVENT_REPEATS[event.repeat])} ${time(start)}–${time(end)}, ${t('events.from', { date: date(start) })}${until}`;
+    }
+    return sameDay ? `${date(start)} ${time(start)}–${time(end)}` : `${date(start)} ${time(start)} – ${date(end)} ${time(end)}`;
+}
+
+// Shaded ranges for a chart: hours of the displayed day ('hour') or days of its week ('weekday')
+function getEventAnnotations(kind, time = getDisplayedTime()) {
+    const dayStart = getStartOfDay(time);
+    const from = kind === 'hour' ? dayStart : dayStart - ((new Date(time).getDay() + 6) % 7) * 24 * 60 * 60 * 1000;
+    const until = kind === 'hour' ? from + 24 * 60 * 60 * 1000 - 1 : from + 7 * 24 * 60 * 60 * 1000 - 1;
+    const unit = kind === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const last = kind === 'hour' ? 23 : 6;
+    
+    return events.flatMap(event => getEventOccurrences(event, from, until).map(occurrence => ({
+        from: Math.max(0, Math.floor((occurrence.start - from) / unit)),
+        to: Math.min(last, Math.floor((occurrence.end - 1 - from) / unit)),
+        label: event.name,
+        color: EVENT_TYPES[event.type].color
+    })));
+}
+
+// Chart.js plugin: shades `options.ranges` ({ from, to, label, color } in
+// label indexes) behind the datasets
+const eventAnnotationPlugin = {
+    id: 'eventAnnotations',
+    beforeDatasetsDraw(chart, args, options) {
+        const ranges = options.ranges || [];
+        if (ranges.length === 0) return;
+        const { ctx, chartArea, scales: { x } } = chart;
+        const half = chart.data.labels.length > 1 ? (x.getPixelForValue(1) - x.getPixelForValue(0)) / 2 : chartArea.width / 2;
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'top';
+        ranges.forEach(({ from, to, label, color }, i) => {
+            const left = Math.max(chartArea.left, x.getPixelForValue(from) - half);
+            const right = Math.min(chartArea.right, x.getPixelForValue(to) + half);
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = color;
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            ctx.globalAlpha = 0.9;
+            ctx.fillText(label, left + 2, chartArea.top + 2 + (i % 3) * 11, right - left - 4);
+        });
+        ctx.restore();
+    }
+};
+
+// Event bars above the timeline slider, placed by snapshot index like the slider
+function renderTimelineEvents() {
+    const strip = document.getElementById('timelineEvents');
+    if (!strip) return;
+    if (historyTimestamps.length < 2) {
+        strip.innerHTML = '';
+        return;
+    }
+    
+    const first = historyTimestamps[0];
+    const last = historyTimestamps[historyTimestamps.length - 1];
+    const maxIndex = historyTimestamps.length - 1;
+    const indexAt = time => {
+        const index = historyTimestamps.findIndex(timestamp => timestamp >= time);
+        return index === -1 ? maxIndex : index;
+    };
+    strip.innerHTML = events.flatMap(event => getEventOccurrences(event, first, last).map(occurrence => {
+        const start = indexAt(occurrence.start);
+        const end = Math.max(start, indexAt(occurrence.end) - (occurrence.end < last ? 1 : 0));
+        return `
+            <span class="timeline-event" title="${escapeHtml(`${event.name} · ${formatEventWindow(event, occurrence)}`)}"
+                  style="left: ${start / maxIndex * 100}%; width: ${Math.max(1, (end - start) / maxIndex * 100)}%; background-color: ${EVENT_TYPES[event.type].color};"></span>
+        `;
+    })).join('');
+}
+
+// Names of the events running at a moment, for the timeline label
+function getActiveEventNames(time) {
+    return events.filter(event => getEventOccurrences(event, time, time).length > 0).map(event => event.name);
+}
+
+// Short note for road popups about events affecting the road now or soon
+function createEventImpactNote(road, time = getDisplayedTime()) {
+    const now = getRoadEventImpact(road, time);
+    if (now.congestion > 0) {
+        return `<div class="popup-event-note"><i class="fas fa-calendar-day"></i> ${escapeHtml(t('events.impactNow', { name: now.events[0].event.name, congestion: formatPercent(now.congestion) }))}</div>`;
+    }
+    const upcoming = events
+        .map(event => ({ event, occurrence: getNextOccurrence(event, time) }))
+        .filter(({ event, occurrence }) => occurrence && occurrence.start - time <= EVENT_UPCOMING_MS && getEventDistanceFactor(event, road) > 0)
+        .sort((a, b) => a.occurrence.start - b.occurrence.start)[0];
+    if (!upcoming) return '';
+    const minutes = Math.max(1, Math.round((upcoming.occurrence.start - time) / 60000));
+    return `<div class="popup-event-note"><i class="fas fa-calendar-day"></i> ${escapeHtml(t('events.startsIn', { name: upcoming.event.name, time: minutes < 60 ? tn('time.minutes', minutes) : tn('time.hours', Math.round(minutes / 60)) }))}</div>`;
+}
+
+function getEventActivity(time) {
+    return events.map(event => `${event.id}:${getEventTimeFactor(event, time) > 0}`).join('|');
+}
+
+// Redraw the markers only when an event has started or ended since the last draw
+function refreshEventMarkers() {
+    if (getEventActivity(getDisplayedTime()) !== renderedEventActivity) renderEventMarkers();
+}
+
+function renderEventMarkers() {
+    if (!eventLayer) return;
+    eventLayer.clearLayers();
+    const now = getDisplayedTime();
+    renderedEventActivity = getEventActivity(now);
+    
+    events.forEach(event => {
+        const type = EVENT_TYPES[event.type];
+        const active = getEventTimeFactor(event, now) > 0;
+        L.circle(event.latLng, {
+            radius: event.radiusKm * 1000,
+            color: type.color,
+            weight: 1,
+            dashArray: active ? null : '4 4',
+            fillOpacity: active ? 0.15 : 0.05,
+            interactive: false
+        }).addTo(eventLayer);
+        
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="event-marker ${active ? 'active' : ''}" style="background-color: ${type.color};">
+                    <i class="fas ${type.icon}"></i>
+                  </div>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        });
+        L.marker(event.latLng, { icon })
+            .bindPopup(createEventPopupContent(event))
+            .addTo(eventLayer);
+    });
+}
+
+function createEventPopupContent(event) {
+    const type = EVENT_TYPES[event.type];
+    const affected = getEventAffectedRoads(event).slice(0, 5);
+    return `
+        <div class="popup-content">
+            <div class="popup-header"><i class="fas ${type.icon} mr-1"></i> ${escapeHtml(event.name)}</div>
+            <div class="popup-subheader">${t(type.labelKey)} · ${t('events.impactLabel', { impact: t(EVENT_IMPACT_LEVELS[event.impact].labelKey) })} · ${t('events.radiusLabel', { radius: formatNumber(event.radiusKm) })}</div>
+            <div style="font-size: 12px; color: #666; margin-bottom: 6px;">
+                <i class="fas fa-clock"></i> ${formatEventWindow(event)}
+            </div>
+            <div style="font-size: 12px;">
+                ${affected.length > 0
+                    ? t('events.expected', { roads: affected.map(item => `${escapeHtml(getRoadName(item.road))} +${formatPercent(item.congestion)}`).join(', ') })
+                    : t('events.noRoads')}
+            </div>
+            <button class="incident-action" data-event-remove="${event.id}">${t('events.delete')}</button>
+        </div>
+    `;
+}
+
+// Upcoming and running events first, then the rest by start time
+function renderEventList() {
+    const list = document.getElementById('eventList');
+    const now = Date.now();
+    const items = events
+        .map(event => ({ event, next: getNextOccurrence(event, now) }))
+        .sort((a, b) => (a.next ? a.next.start : Infinity) - (b.next ? b.next.start : Infinity) || b.event.start - a.event.start);
+    
+    if (items.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500">${t('events.empty')}</p>`;
+        return;
+    }
+    list.innerHTML = items.map(({ event, next }) => {
+        const type = EVENT_TYPES[event.type];
+        const running = next && next.start <= now;
+        const affected = getEventAffectedRoads(event);
+        const status = running ? `<span class="event-status running">${t('events.status.running')}</span>`
+            : next && next.start - now <= EVENT_UPCOMING_MS ? `<span class="event-status upcoming">${t('events.status.soon')}</span>`
+            : !next ? `<span class="event-status">${t('events.status.past')}</span>` : '';
+        return `
+            <div class="flex items-start gap-3 p-2 rounded-lg hover:bg-gray-50 ${next ? '' : 'opacity-60'}">
+                <i class="fas ${type.icon} mt-1" style="color: ${type.color}"></i>
+                <div class="flex-1 min-w-0">
+                    <div class="font-medium text-gray-800">${escapeHtml(event.name)} ${status}</div>
+                    <div class="text-xs text-gray-500">${t(type.labelKey)} · ${formatEventWindow(event)}${next && event.repeat !== 'none' ? ` · ${t('events.next', { window: formatEventWindow(event, next) })}` : ''}</div>
+                    <div class="text-xs text-gray-600 truncate">
+                        ${affected.length > 0 ? tn('events.affected', affected.length, { congestion: formatPercent(affected[0].congestion), road: escapeHtml(getRoadName(affected[0].road)) }) : t('events.noRoads')}
+                    </div>
+                </div>
+                <button class="text-gray-400 hover:text-blue-600" data-event-locate="${event.id}" title="${t('events.locate')}"><i class="fas fa-location-crosshairs"></i></button>
+                <button class="text-gray-400 hover:text-red-600" data-event-remove="${event.id}" title="${t('events.delete')}"><i class="fas fa-trash"></i></button>
+            </div>
+        `;
+    }).join('');
+}
+
+// datetime-local inputs work in local time without a zone
+function toDateTimeInputValue(timestamp) {
+    const date = new Date(timestamp - new Date(timestamp).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 16);
+}
+
+function openEventForm(latLng, onChange) {
+    const nearest = findNearestRoad(trafficData, latLng);
+    const start = Math.ceil(Date.now() / (60 * 60 * 1000)) * 60 * 60 * 1000;
+    const form = document.createElement('form');
+    form.className = 'event-form';
+    form.innerHTML = `
+        <div class="popup-header">${t('events.plan')}</div>
+        <div class="popup-subheader">${nearest ? t('incidents.near', { road: escapeHtml(getRoadName(nearest.road)) }) : t('incidents.offRoad')}</div>
+        <label>${t('events.name')}
+            <input type="text" name="name" maxlength="80" required placeholder="${t('events.namePlaceholder')}">
+        </label>
+        <label>${t('incidents.type')}
+            <select name="type">
+                ${Object.entries(EVENT_TYPES).map(([key, type]) => `<option value="${key}">${t(type.labelKey)}</option>`).join('')}
+            </select>
+        </label>
+        <label>${t('events.expectedImpact')}
+            <select name="impact">
+                ${Object.entries(EVENT_IMPACT_LEVELS).map(([key, level]) => `<option value="${key}" ${key === 'medium' ? 'selected' : ''}>${t(level.labelKey)} (+${formatPercent(level.congestion)})</option>`).join('')}
+            </select>
+        </label>
+        <label>${t('events.radius')}
+            <input type="number" name="radiusKm" min="0.1" max="5" step="0.1" value="0.5">
+        </label>
+        <label>${t('events.starts')}
+            <input type="datetime-local" name="start" value="${toDateTimeInputValue(start)}">
+        </label>
+        <label>${t('events.ends')}
+            <input type="datetime-local" name="end" value="${toDateTimeInputValue(start + 2 * 60 * 60 * 1000)}">
+        </label>
+        <label>${t('events.repeats')}
+            <select name="repeat">
+                ${Object.entries(EVENT_REPEATS).map(([key, labelKey]) => `<option value="${key}">${t(labelKey)}</option>`).join('')}
+            </select>
+        </label>
+        <label>${t('events.repeatUntil')}
+            <input type="date" name="until">
+        </label>
+        <p class="event-form-error"></p>
+        <button type="submit">${t('events.add')}</button>
+    `;
+    form.addEventListener('submit', submitEvent => {
+        submitEvent.preventDefault();
+        const fields = {
+            name: form.elements.name.value.trim(),
+            type: form.elements.type.value,
+            impact: form.elements.impact.value,
+            radiusKm: Number(form.elements.radiusKm.value),
+            latLng,
+            start: new Date(form.elements.start.value).getTime(),
+            end: new Date(form.elements.end.value).getTime(),
+            repeat: form.elements.repeat.value,
+            until: form.elements.repeat.value !== 'none' && form.elements.until.value
+                ? new Date(`${form.elements.until.value}T00:00`).getTime()
+                : null
+        };
+        const error = validateEvent(fields);
+        if (error) {
+            form.querySelector('.event-form-error').textContent = error;
+            return;
+        }
+        addEvent(fields);
+        map.closePopup();
+        onChange();
+    });
+    
+    L.popup().setLatLng(latLng).setContent(form).openOn(map);
+}
+
+function setEventPlacingMode(enabled) {
+    map.getContainer().classList.toggle('event-placing', enabled);
+    document.getElementById('addEventBtn').classList.toggle('active', enabled);
+}
+
+// Setup the events panel and map layer; `onChange` redraws whatever shows events
+function setupEvents(onChange) {
+    loadEvents();
+    eventLayer = L.layerGroup().addTo(map);
+    
+    registerMapClickMode('event', {
+        start: () => setEventPlacingMode(true),
+        stop: () => setEventPlacingMode(false),
+        click: latLng => {
+            setMapClickMode(null);
+            openEventForm(latLng, onChange);
+        }
+    });
+    document.getElementById('addEventBtn').addEventListener('click', () => toggleMapClickMode('event'));
+    document.getElementById('showEvents').addEventListener('change', function() {
+        if (this.checked) eventLayer.addTo(map);
+        else map.removeLayer(eventLayer);
+    });
+    
+    // Buttons in the list and in marker popups
+    const handleClick = clickEvent => {
+        const removeButton = clickEvent.target.closest('[data-event-remove]');
+        if (removeButton) {
+            removeEvent(removeButton.dataset.eventRemove);
+            map.closePopup();
+            onChange();
+        }
+        const locateButton = clickEvent.target.closest('[data-event-locate]');
+        if (locateButton) {
+            const event = events.find(e => e.id === locateButton.dataset.eventLocate);
+            if (event) map.setView(event.latLng, Math.max(map.getZoom(), 15));
+        }
+    };
+    document.getElementById('eventList').addEventListener('click', handleClick);
+    map.getContainer().addEventListener('click', handleClick);
+    
+    renderEventList();
+}
@@ -0,0 +1,285 @@
+// Exports: the filtered data as CSV or GeoJSON, charts as PNG and a
+// one-page printable report. Everything is generated in the browser.
+
+const STATIC_MAP_SIZE = { width: 800, height: 450 };
+const TILE_SIZE = 256;
+const TILE_LOAD_TIMEOUT_MS = 5000;
+
+// Columns match the CSV importer, so an export can be imported again
+const CSV_EXPORT_COLUMNS = ['road', 'lat', 'lng', 'congestion', 'accidents', 'averageSpeed', 'safetyScore', 'safetyGrade'];
+
+function csvEscape(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function trafficDataToCsv(data) {
+    const rows = data.map(road => [
+        road.road, road.location[0], road.location[1], road.congestion,
+        road.accidents, road.averageSpeed, getSafetyScore(road), getSafetyRating(road)
+    ]);
+    return [CSV_EXPORT_COLUMNS, ...rows].map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+// A Point feature per road plus a LineString per segment, as the importer expects
+function trafficDataToGeoJson(data) {
+    const features = [];
+    data.forEach(road => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [road.location[1], road.location[0]] },
+            properties: {
+                road: road.road,
+                ...(road.names ? { names: road.names } : {}),
+                congestion: road.congestion,
+                accidents: road.accidents,
+                averageSpeed: road.averageSpeed,
+                safetyScore: getSafetyScore(road),
+                safetyGrade: getSafetyRating(road)
+            }
+        });
+        (road.segments || []).forEach(segment => features.push({
+            type: 'Feature',
+            geometry: segment.geometry,
+            properties: {
+                road: road.road,
+                id: segment.id,
+                congestion: segment.congestion,
+                averageSpeed: segment.averageSpeed
+            }
+        }));
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+// e.g. geosense-udaipur-congestion-2024-01-01-09-30.png, named after the current region
+function getExportFileName(extension, name = '') {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    return `geosense-${getRegion().id}${name ? `-${name}` : ''}-${stamp}.${extension}`;
+}
+
+function downloadUrl(fileName, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    downloadUrl(fileName, url);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Chart canvases are transparent; flatten onto white so the PNG reads well anywhere
+function chartToPngDataUrl(chart) {
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.canvas.width;
+    canvas.height = chart.canvas.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+function getChartByKey(key) {
+    return { congestion: congestionChart, peakHours: peakHoursChart, speedTrend: speedTrendChart, safety: safetyChart }[key];
+}
+
+function exportChart(key) {
+    const chart = getChartByKey(key);
+    if (chart) downloadUrl(getExportFileName('png', slugify(key)), chartToPngDataUrl(chart));
+}
+
+// Web Mercator pixel position of a [lat, lng] at a zoom level
+function projectToPixels([lat, lng], zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return [
+        (lng + 180) / 360 * scale,
+        (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    ];
+}
+
+function getDataLatLngs(data) {
+    return data.flatMap(road => hasSegments(road)
+        ? road.segments.flatMap(getSegmentLatLngs)
+        : [road.location]);
+}
+
+// Highest zoom at which every point fits the image with some margin
+function getStaticMapView(latLngs, { width, height }) {
+    for (let zoom = 17; zoom > 1; zoom--) {
+        const pixels = latLngs.map(latLng => projectToPixels(latLng, zoom));
+        const xs = pixels.map(([x]) => x);
+        const ys = pixels.map(([, y]) => y);
+        if (Math.max(...xs) - Math.min(...xs) <= width * 0.9 && Math.max(...ys) - Math.min(...ys) <= height * 0.9) {
+            return { zoom, center: [(Math.max(...xs) + Math.min(...xs)) / 2, (Math.max(...ys) + Math.min(...ys)) / 2] };
+        }
+    }
+    return { zoom: 1, center: projectToPixels(latLngs[0], 1) };
+}
+
+function loadTile(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), TILE_LOAD_TIMEOUT_MS);
+        image.crossOrigin = 'anonymous';
+        image.onload = () => { clearTimeout(timer); resolve(image); };
+        image.onerror = () => { clearTimeout(timer); resolve(null); };
+        image.src = url;
+    });
+}
+
+// Draw the roads over map tiles; without tiles (offline, blocked) the roads
+// are drawn on a plain background
+async function renderStaticMap(data, size = STATIC_MAP_SIZE, withTiles = true) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillRect(0, 0, size.width, size.height);
+    
+    const latLngs = getDataLatLngs(data);
+    if (latLngs.length === 0) return canvas.toDataURL('image/png');
+    
+    const { zoom, center } = getStaticMapView(latLngs, size);
+    const origin = [center[0] - size.width / 2, center[1] - size.height / 2];
+    const toCanvas = latLng => {
+        const [x, y] = projectToPixels(latLng, zoom);
+        return [x - origin[0], y - origin[1]];
+    };
+    
+    if (withTiles) {
+        const tiles = [];
+        for (let x = Math.floor(origin[0] / TILE_SIZE); x * TILE_SIZE < origin[0] + size.width; x++) {
+            for (let y = Math.floor(origin[1] / TILE_SIZE); y * TILE_SIZE < origin[1] + size.height; y++) {
+                tiles.push(loadTile(formatTileUrl(zoom, x, y)).then(image => image && ctx.drawImage(image, x * TILE_SIZE - origin[0], y * TILE_SIZE - origin[1])));
+            }
+        }
+        await Promise.all(tiles);
+    }
+    
+    data.forEach(road => {
+        if (!hasSegments(road)) {
+            const [x, y] = toCanvas(road.location);
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, 2 * Math.PI);
+            ctx.fillStyle = getCongestionColor(road.congestion);
+            ctx.fill();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            return;
+        }
+        road.segments.forEach(segment => {
+            ctx.beginPath();
+            getSegmentLatLngs(segment).map(toCanvas).forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+            ctx.strokeStyle = getCongestionColor(segment.congestion);
+            ctx.lineWidth = 5;
+            ctx.lineCap = 'round';
+            ctx.stroke();
+        });
+    });
+    
+    // Legend in the corner, so the colours read the same as on screen
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    const levels = getCongestionLevels();
+    const legendWidth = Math.max(...levels.map(level => ctx.measureText(level.rangeLabel).width)) + 28;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(6, 6, legendWidth, levels.length * 16 + 6);
+    levels.forEach((level, i) => {
+        ctx.fillStyle = level.color;
+        ctx.fillRect(12, 12 + i * 16, 10, 10);
+        ctx.fillStyle = '#334155';
+        ctx.fillText(level.rangeLabel, 28, 21 + i * 16);
+    });
+    
+    ctx.fillStyle = '#334155';
+    ctx.textAlign = 'right';
+    ctx.fillText('© OpenStreetMap contributors', size.width - 6, size.height - 6);
+    
+    try {
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        // A tile server without CORS headers taints the canvas
+        return withTiles ? renderStaticMap(data, size, false) : null;
+    }
+}
+
+// Fill the print-only report and open the print dialog ("Save as PDF" gives a PDF)
+async function printReport() {
+    const data = getFilteredData();
+    const kpis = getKPIs(data);
+    const filters = getFilterChips().map(chip => chip.label);
+    const mapImage = await renderStaticMap(data);
+    const meta = [
+        t('report.generated', { time: formatDateTime(Date.now()) }),
+        isReplaying() ? t('report.dataAsOf', { time: formatDateTime(replayTimestamp) }) : null,
+        forecastData ? t('report.forecast', { horizon: formatNumber(forecastHorizon) }) : null,
+        filters.length > 0 ? t('report.filters', { filters: filters.join(', ') }) : t('filters.allRoads')
+    ].filter(Boolean).join(' · ');
+    
+    document.getElementById('printReport').innerHTML = `
+        <h1>${escapeHtml(t('report.title', { title: getRegionLabels().title }))}</h1>
+        <p class="report-meta">
+            ${escapeHtml(meta)} (${tn('report.roads', kpis.roadCount)})
+        </p>
+        <div class="report-kpis">
+            <div><span>${kpis.avgCongestion !== null ? formatPercent(kpis.avgCongestion) : '--'}</span>${t('kpi.avgCongestion')}</div>
+            <div><span>${formatNumber(kpis.totalAccidents)}</span>${t('kpi.accidentsToday')}</div>
+            <div><span>${kpis.avgSpeed !== null ? formatSpeed(kpis.avgSpeed) : '--'}</span>${t('kpi.avgSpeed')}</div>
+            <div><span>${formatNumber(kpis.safeRoutes)}</span>${t('kpi.safeRoutes')}</div>
+        </div>
+        ${mapImage ? `<img class="report-map" src="${mapImage}" alt="${t('report.mapAlt')}">` : ''}
+        <div class="report-columns">
+            <section>
+                <h2>${t('report.accidentList')}</h2>
+                ${createReportTable([t('report.road'), t('popup.accidents'), t('report.lastAccident'), t('report.open')], getAccidentRoads(data).map(road => {
+                    const last = getLastAccident(road.road);
+                    return [getRoadName(road), formatNumber(road.accidents), last ? formatIncidentTime(last.timestamp) : '—', formatNumber(getOpenIncidents(road.road).length)];
+                }), t('hotspots.noAccidents'))}
+            </section>
+            <section>
+                <h2>${t('safeRoutes.title')}</h2>
+                ${createReportTable([t('report.road'), t('popup.congestion'), t('report.speed')], getSafeRoutes(data).map(road =>
+                    [getRoadName(road), formatPercent(road.congestion), formatSpeed(road.averageSpeed)]
+                ), t('report.noSafeRoutes'))}
+            </section>
+        </div>
+        <p class="report-meta">${t('report.source', { source: escapeHtml(document.getElementById('feedSourceName').textContent) })}</p>
+    `;
+    
+    // Give the map image a moment to decode before printing
+    const image = document.querySelector('#printReport img');
+    if (image && image.decode) await image.decode().catch(() => {});
+    window.print();
+}
+
+function createReportTable(headers, rows, emptyText) {
+    if (rows.length === 0) return `<p>${emptyText}</p>`;
+    return `
+        <table>
+            <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+            <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>
+    `;
+}
+
+function setupExports() {
+    document.getElementById('exportCsvBtn').addEventListener('click', () => {
+        downloadFile(getExportFileName('csv'), trafficDataToCsv(getFilteredData()), 'text/csv');
+    });
+    document.getElementById('exportGeoJsonBtn').addEventListener('click', () => {
+        downloadFile(getExportFileName('geojson'), JSON.stringify(trafficDataToGeoJson(getFilteredData()), null, 2), 'application/geo+json');
+    });
+    document.getElementById('printReportBtn').addEventListener('click', printReport);
+    document.querySelectorAll('.chart-export-btn').forEach(button => {
+        button.addEventListener('click', () => exportChart(button.dataset.chart));
+    });
+}
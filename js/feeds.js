@@ -0,0 +1,382 @@
+// Live data feeds: interchangeable adapters (simulator, WebSocket, SSE,
+// REST polling) that deliver partial per-road delta messages.
+//
+// Delta message format:
+//   { "type": "delta", "timestamp": 1700000000000, "roads": [
+//       { "road": "MG Road", "accidents": 3,
+//         "segments": [{ "id": "mg-road-2", "congestion": 81, "averageSpeed": 19 }] } ] }
+// Road-level "congestion" / "averageSpeed" may be sent instead of segments.
+// { "type": "heartbeat" } keeps a quiet connection from being marked stale.
+// Polling asks for ?since=<timestamp of the last delta> and accepts a list of
+// the deltas after it, or a single message from servers that keep only the latest.
+
+const FEED_STALE_AFTER_MS = 75 * 1000;
+const FEED_BACKOFF_INITIAL_MS = 1000;
+const FEED_BACKOFF_MAX_MS = 30 * 1000;
+const FEED_POLL_INTERVAL_MS = 15 * 1000;
+const SIMULATOR_INTERVAL_MS = 30 * 1000;
+const FEED_STORAGE_KEY = 'geosense-feed';
+
+const FEED_ADAPTERS = {
+    // Simulated updates never came over the network, so they don't count as a sync
+    simulator: {
+        labelKey: 'feeds.simulator',
+        simulated: true,
+        create: () => createSimulatorFeed(SIMULATOR_INTERVAL_MS)
+    },
+    websocket: {
+        labelKey: 'feeds.websocket',
+        create: () => createWebSocketFeed(getFeedUrl('feed/ws', 'ws'))
+    },
+    sse: {
+        labelKey: 'feeds.sse',
+        create: () => createSseFeed(getFeedUrl('feed/stream'))
+    },
+    polling: {
+        labelKey: 'feeds.polling',
+        create: () => createPollingFeed(getFeedUrl('feed/deltas'), FEED_POLL_INTERVAL_MS)
+    }
+};
+
+// ?seed= makes the simulator produce the same updates on every run
+let simulatorRandom = createSimulatorRandom(new URLSearchParams(window.location.search).get('seed'));
+let activeFeed = null;
+let feedState = { key: null, status: 'offline', lastMessageAt: null, retryAt: null, attempt: 0 };
+let feedReconnectTimer = null;
+let feedStatusTimer = null;
+
+// Resolve a feed endpoint against a ?feedUrl= override, the region's feed
+// server or the page, in that order
+function getFeedUrl(path, protocol = 'http') {
+    const override = new URLSearchParams(window.location.search).get('feedUrl');
+    const url = new URL(path, override || getRegion().sources.feed || window.location.href);
+    if (protocol === 'ws') url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.toString();
+}
+
+// Apply a delta message to the data in place; returns the names of changed roads
+function applyFeedDelta(data, message) {
+    if (!message || message.type !== 'delta' || !Array.isArray(message.roads)) return [];
+    
+    const changed = [];
+    message.roads.forEach(delta => {
+        const road = data.find(r => r.road === delta.road);
+        if (!road) return;
+        
+        if (hasSegments(road) && Array.isArray(delta.segments)) {
+            delta.segments.forEach(segmentDelta => {
+                const segment = road.segments.find(s => s.id === segmentDelta.id);
+                if (!segment) return;
+                if (typeof segmentDelta.congestion === 'number') segment.congestion = clamp(segmentDelta.congestion, 0, 100);
+                if (typeof segmentDelta.averageSpeed === 'number') segment.averageSpeed = Math.max(0, segmentDelta.averageSpeed);
+            });
+            summarizeRoad(road);
+        } else if (hasSegments(road)) {
+            // A road-level value shifts every segment by the same amount
+            ['congestion', 'averageSpeed'].forEach(key => {
+                if (typeof delta[key] !== 'number') return;
+                const shift = delta[key] - road[key];
+                road.segments.forEach(segment => {
+                    segment[key] = key === 'congestion' ? clamp(segment[key] + shift, 0, 100) : Math.max(0, segment[key] + shift);
+                });
+            });
+            summarizeRoad(road);
+        } else {
+            if (typeof delta.congestion === 'number') road.congestion = clamp(delta.congestion, 0, 100);
+            if (typeof delta.averageSpeed === 'number') road.averageSpeed = Math.max(0, delta.averageSpeed);
+        }
+        
+        if (typeof delta.accidents === 'number') road.accidents = road.reportedAccidents = Math.max(0, delta.accidents);
+        road.updatedAt = typeof message.timestamp === 'number' ? message.timestamp : Date.now();
+        changed.push(road.road);
+    });
+    
+    return changed;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Math.random, or a seeded generator when a numeric seed is given
+function createSimulatorRandom(seed) {
+    if (seed === null || seed === undefined || seed === '' || !Number.isFinite(Number(seed))) return Math.random;
+    return createSeededRandom(Number(seed));
+}
+
+// Mulberry32: a small, fast generator whose sequence depends only on the seed
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Random walk used by the simulator: small changes to a few segments per tick
+function generateSimulatedDelta(data, random = simulatorRandom, timestamp = Date.now()) {
+    const roads = [];
+    
+    data.forEach(road => {
+        const delta = { road: road.road };
+        // Segments change independently; roads without geometry change as a whole
+        const targets = hasSegments(road) ? road.segments : [road];
+        const changes = targets.map(target => {
+            const change = {};
+            // 30% chance to update congestion
+            if (random() < 0.3) {
+                change.congestion = clamp(target.congestion + Math.floor(random() * 10) - 5, 0, 100); // -5 to +5
+            }
+            // 10% chance to update speed
+            if (random() < 0.1) {
+                change.averageSpeed = clamp(target.averageSpeed + Math.floor(random() * 8) - 4, 5, 80); // -4 to +4
+            }
+            return change;
+        });
+        
+        if (hasSegments(road)) {
+            const segments = changes
+                .map((change, i) => ({ id: road.segments[i].id, ...change }))
+                .filter(change => Object.keys(change).length > 1);
+            if (segments.length > 0) delta.segments = segments;
+        } else {
+            Object.assign(delta, changes[0]);
+        }
+        
+        // 5% chance to add an accident (if less than 3)
+        if (random() < 0.05 && road.accidents < 3) {
+            delta.accidents = road.accidents + 1;
+        }
+        
+        if (Object.keys(delta).length > 1) roads.push(delta);
+    });
+    
+    return { type: 'delta', timestamp, roads };
+}
+
+// Adapters share one shape: connect({ onOpen, onMessage, onClose }) and disconnect()
+function createSimulatorFeed(interval) {
+    let timer = null;
+    return {
+        connect({ onOpen, onMessage }) {
+            onOpen();
+            timer = setInterval(() => onMessage(generateSimulatedDelta(trafficData)), interval);
+        },
+        disconnect() {
+            clearInterval(timer);
+        }
+    };
+}
+
+function createWebSocketFeed(url) {
+    let socket = null;
+    return {
+        connect({ onOpen, onMessage, onClose }) {
+            socket = new WebSocket(url);
+            socket.onopen = onOpen;
+            socket.onmessage = event => onMessage(parseFeedMessage(event.data));
+            socket.onclose = () => onClose(new Error('WebSocket closed'));
+        },
+        disconnect() {
+            if (!socket) return;
+            socket.onclose = null;
+            socket.close();
+        }
+    };
+}
+
+function createSseFeed(url) {
+    let source = null;
+    return {
+        connect({ onOpen, onMessage, onClose }) {
+            source = new EventSource(url);
+            source.onopen = onOpen;
+            source.onmessage = event => onMessage(parseFeedMessage(event.data));
+            // Let the feed manager own reconnection instead of EventSource's fixed retry
+            source.onerror = () => {
+                source.close();
+                onClose(new Error('Event stream interrupted'));
+            };
+        },
+        disconnect() {
+            if (source) source.close();
+        }
+    };
+}
+
+function createPollingFeed(url, interval) {
+    let timer = null;
+    let opened = false;
+    // Timestamp of the newest delta received
+    let cursor = null;
+    return {
+        connect({ onOpen, onMessage, onClose }) {
+            const poll = async () => {
+                try {
+                    const target = new URL(url);
+                    if (cursor !== null) target.searchParams.set('since', cursor);
+                    const response = await fetch(target.toString(), { cache: 'no-store' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    if (!opened) {
+                        opened = true;
+                        onOpen();
+                    }
+                    const body = await response.json();
+                    (Array.isArray(body) ? body : [body]).forEach(message => {
+                        // A server ignoring ?since= sends the latest delta again
+                        const timestamp = message && message.type === 'delta' ? message.timestamp : null;
+                        if (typeof timestamp === 'number' && cursor !== null && timestamp <= cursor) return;
+                        if (typeof timestamp === 'number') cursor = timestamp;
+                        onMessage(message);
+                    });
+                } catch (error) {
+                    clearInterval(timer);
+                    onClose(error);
+                }
+            };
+            poll();
+            timer = setInterval(poll, interval);
+        },
+        disconnect() {
+            clearInterval(timer);
+        }
+    };
+}
+
+function parseFeedMessage(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.warn('Ignoring malformed feed message:', error);
+        return null;
+    }
+}
+
+// Whether the current feed's updates come over the network
+function isNetworkFeed(key = feedState.key) {
+    return Boolean(FEED_ADAPTERS[key]) && !FEED_ADAPTERS[key].simulated;
+}
+
+// Pick the feed from ?feed=, then the saved choice, then the simulator
+function getInitialFeedKey() {
+    const requested = new URLSearchParams(window.location.search).get('feed');
+    if (FEED_ADAPTERS[requested]) return requested;
+    const saved = localStorage.getItem(FEED_STORAGE_KEY);
+    return FEED_ADAPTERS[saved] ? saved : 'simulator';
+}
+
+// Connect to a feed, replacing the current one
+function startFeed(key, onUpdate) {
+    stopFeed();
+    feedState = { key, status: 'connecting', lastMessageAt: null, retryAt: null, attempt: 0 };
+    localStorage.setItem(FEED_STORAGE_KEY, key);
+    connectFeed(onUpdate);
+    
+    clearInterval(feedStatusTimer);
+    feedStatusTimer = setInterval(checkFeedStaleness, 1000);
+    updateFeedStatus();
+}
+
+function connectFeed(onUpdate) {
+    const feed = FEED_ADAPTERS[feedState.key].create();
+    activeFeed = feed;
+    
+    feed.connect({
+        onOpen: () => {
+            if (activeFeed !== feed) return;
+            feedState.status = 'connected';
+            feedState.attempt = 0;
+            feedState.lastMessageAt = Date.now();
+            updateFeedStatus();
+        },
+        onMessage: message => {
+            if (activeFeed !== feed || !message) return;
+            feedState.status = 'connected';
+            feedState.lastMessageAt = Date.now();
+            if (message.type === 'delta') onUpdate(message);
+            updateFeedStatus();
+        },
+        onClose: () => {
+            if (activeFeed !== feed) return;
+            scheduleFeedReconnect(onUpdate);
+        }
+    });
+}
+
+// Exponential backoff with jitter, capped at FEED_BACKOFF_MAX_MS
+function getFeedBackoffDelay(attempt) {
+    const delay = Math.min(FEED_BACKOFF_MAX_MS, FEED_BACKOFF_INITIAL_MS * 2 ** attempt);
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+function scheduleFeedReconnect(onUpdate) {
+    activeFeed.disconnect();
+    const delay = getFeedBackoffDelay(feedState.attempt);
+    feedState.attempt += 1;
+    feedState.status = 'offline';
+    feedState.retryAt = Date.now() + delay;
+    updateFeedStatus();
+    
+    clearTimeout(feedReconnectTimer);
+    feedReconnectTimer = setTimeout(() => {
+        feedState.status = 'connecting';
+        feedState.retryAt = null;
+        updateFeedStatus();
+        connectFeed(onUpdate);
+    }, delay);
+}
+
+function stopFeed() {
+    clearTimeout(feedReconnectTimer);
+    if (activeFeed) activeFeed.disconnect();
+    activeFeed = null;
+}
+
+function checkFeedStaleness() {
+    if (feedState.status === 'connected' && Date.now() - feedState.lastMessageAt > FEED_STALE_AFTER_MS) {
+        feedState.status = 'stale';
+    }
+    updateFeedStatus();
+}
+
+// Show connection state in the header badge
+function updateFeedStatus() {
+    const badge = document.getElementById('feedStatus');
+    if (!badge) return;
+    
+    const label = t(FEED_ADAPTERS[feedState.key].labelKey);
+    const statusText = feedState.status === 'offline' && feedState.retryAt
+        ? t('feeds.status.retrying', { seconds: formatNumber(Math.max(0, Math.ceil((feedState.retryAt - Date.now()) / 1000))) })
+        : t(`feeds.status.${feedState.status}`);
+    
+    badge.className = `feed-status feed-status-${feedState.status} px-3 py-1 rounded-full text-sm font-medium`;
+    badge.title = t('feeds.feed', { label });
+    badge.querySelector('span').textContent = statusText;
+    
+    if (feedState.lastMessageAt) {
+        const timeString = formatTime(feedState.lastMessageAt);
+        document.getElementById('syncTime').textContent = timeString;
+        document.getElementById('lastUpdate').textContent = timeString;
+    }
+    document.getElementById('feedSourceName').textContent = label;
+}
+
+// Setup feed picker
+function setupFeedPicker(onUpdate) {
+    const select = document.getElementById('feedSelect');
+    renderFeedOptions();
+    select.addEventListener('change', function() {
+        startFeed(this.value, onUpdate);
+    });
+}
+
+function renderFeedOptions() {
+    const select = document.getElementById('feedSelect');
+    select.innerHTML = Object.entries(FEED_ADAPTERS)
+        .map(([key, adapter]) => `<option value="${key}">${t(adapter.labelKey)}</option>`)
+        .join('');
+    select.value = feedState.key;
+}
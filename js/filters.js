@@ -0,0 +1,310 @@
+// Filters: one query state (search, congestion band, speed range, safety
+// grade, accidents, zone and a drawn area) that every view is rendered from.
+
+const SAFETY_GRADES = ['A', 'B', 'C', 'D'];
+
+let filterState = createFilterState();
+let filterAreaLayer = null;
+let areaDrawPoints = [];
+let areaDrawLayer = null;
+
+function createFilterState() {
+    return { search: '', congestion: 'all', minSpeed: null, maxSpeed: null, grades: [], accidents: 'any', zone: null, area: null };
+}
+
+function isFilterActive(state = filterState) {
+    return state.search !== '' || state.congestion !== 'all' || state.minSpeed !== null ||
+        state.maxSpeed !== null || state.grades.length > 0 || state.accidents !== 'any' || state.zone !== null || state.area !== null;
+}
+
+// Restricted Damerau-Levenshtein distance (adjacent swaps count as one edit)
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Words in any script; combining marks stay in, as Devanagari vowel signs are marks
+function tokenize(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+// "rd" for "road": same first letter, remaining letters in order
+function isAbbreviation(token, word) {
+    if (token[0] !== word[0]) return false;
+    let position = 0;
+    for (const char of word) {
+        if (char === token[position]) position++;
+        if (position === token.length) return true;
+    }
+    return false;
+}
+
+// Typo-tolerant match: every query word must be close to the start of some
+// word in the text, or abbreviate it. Longer words allow more typos.
+function fuzzyMatch(query, text) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return false;
+    if (text.toLowerCase().includes(query.toLowerCase().trim())) return true;
+    
+    const textTokens = tokenize(text);
+    return queryTokens.every(token => {
+        const allowed = token.length <= 2 ? 0 : token.length <= 5 ? 1 : 2;
+        return textTokens.some(word =>
+            word.startsWith(token) ||
+            isAbbreviation(token, word) ||
+            editDistance(token, word) <= allowed ||
+            editDistance(token, word.slice(0, token.length)) <= allowed
+        );
+    });
+}
+
+// Ray casting; both the point and the polygon vertices are [lat, lng]
+function isPointInPolygon([lat, lng], polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function isRoadInArea(road, area) {
+    if (isPointInPolygon(road.location, area)) return true;
+    return hasSegments(road) && road.segments.some(segment =>
+        getSegmentLatLngs(segment).some(latLng => isPointInPolygon(latLng, area))
+    );
+}
+
+// A road is found by its name in the current language, its record name or any translation
+function matchesRoadSearch(query, road) {
+    const names = new Set([getRoadName(road), road.road, ...Object.values(road.names || {})]);
+    return [...names].some(name => fuzzyMatch(query, name));
+}
+
+function matchesFilters(road, state = filterState, time = getDisplayedTime()) {
+    if (state.search && !matchesRoadSearch(state.search, road)) return false;
+    if (state.congestion !== 'all') {
+        const values = hasSegments(road) ? road.segments.map(segment => segment.congestion) : [road.congestion];
+        if (!values.some(value => matchesCongestionFilter(value, state.congestion))) return false;
+    }
+    if (state.minSpeed !== null && road.averageSpeed < state.minSpeed) return false;
+    if (state.maxSpeed !== null && road.averageSpeed > state.maxSpeed) return false;
+    if (state.grades.length > 0 && !state.grades.includes(getSafetyRating(road, time))) return false;
+    if (state.accidents === 'with' && road.accidents === 0) return false;
+    if (state.accidents === 'without' && road.accidents > 0) return false;
+    if (state.zone && getRoadZoneId(road) !== state.zone) return false;
+    if (state.area && !isRoadInArea(road, state.area)) return false;
+    return true;
+}
+
+function applyFilters(data, state = filterState, time = getDisplayedTime()) {
+    return data.filter(road => matchesFilters(road, state, time));
+}
+
+// Segments drawn for a matching road: only those in the selected band
+function matchesSegmentFilter(segment, state = filterState) {
+    return matchesCongestionFilter(segment.congestion, state.congestion);
+}
+
+// One chip per active filter, keyed by the part of the state it clears
+function getFilterChips(state = filterState) {
+    const chips = [];
+    if (state.search) chips.push({ key: 'search', label: t('filters.chip.search', { search: state.search }) });
+    if (state.congestion !== 'all') {
+        const level = getCongestionLevels().find(l => l.key === state.congestion);
+        chips.push({ key: 'congestion', label: t('filters.chip.congestion', { level: level ? level.label : state.congestion }) });
+    }
+    if (state.minSpeed !== null || state.maxSpeed !== null) {
+        const label = state.minSpeed !== null && state.maxSpeed !== null ? t('format.speed', { value: `${formatNumber(state.minSpeed)}–${formatNumber(state.maxSpeed)}` })
+            : state.minSpeed !== null ? `≥ ${formatSpeed(state.minSpeed)}` : `≤ ${formatSpeed(state.maxSpeed)}`;
+        chips.push({ key: 'speed', label: t('filters.chip.speed', { range: label }) });
+    }
+    if (state.grades.length > 0) chips.push({ key: 'grades', label: t('filters.chip.grades', { grades: state.grades.join(', ') }) });
+    if (state.accidents !== 'any') chips.push({ key: 'accidents', label: t(state.accidents === 'with' ? 'filters.withAccidents' : 'filters.withoutAccidents') });
+    if (state.zone) chips.push({ key: 'zone', label: t('filters.chip.zone', { zone: getZone(state.zone) ? getZone(state.zone).name : state.zone }) });
+    if (state.area) chips.push({ key: 'area', label: t('filters.chip.area') });
+    return chips;
+}
+
+// Replace the whole filter state, e.g. from a URL or a saved view
+function setFilterState(state) {
+    filterState = { ...createFilterState(), ...state };
+    syncFilterControls();
+    renderFilterAreaLayer();
+}
+
+function clearFilter(key) {
+    const defaults = createFilterState();
+    if (key === 'speed') {
+        filterState.minSpeed = null;
+        filterState.maxSpeed = null;
+    } else {
+        filterState[key] = defaults[key];
+    }
+}
+
+// Setup the filter controls; `onChange` redraws the views
+function setupFilters(onChange) {
+    const changed = () => {
+        syncFilterControls();
+        renderFilterAreaLayer();
+        onChange();
+    };
+    
+    let searchTimer = null;
+    document.getElementById('searchInput').addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            filterState.search = this.value.trim();
+            changed();
+        }, 150);
+    });
+    
+    // The band buttons follow the congestion scale, so they are handled by delegation
+    document.getElementById('congestionFilters').addEventListener('click', event => {
+        const button = event.target.closest('.filter-btn');
+        if (!button) return;
+        filterState.congestion = button.dataset.filter;
+        changed();
+    });
+    
+    ['minSpeed', 'maxSpeed'].forEach(key => {
+        document.getElementById(`${key}Filter`).addEventListener('change', function() {
+            filterState[key] = this.value === '' ? null : Number(this.value);
+            changed();
+        });
+    });
+    
+    document.querySelectorAll('.grade-filter-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const grade = this.dataset.grade;
+            filterState.grades = filterState.grades.includes(grade)
+                ? filterState.grades.filter(g => g !== grade)
+                : SAFETY_GRADES.filter(g => g === grade || filterState.grades.includes(g));
+            changed();
+        });
+    });
+    
+    document.getElementById('accidentPresenceFilter').addEventListener('change', function() {
+        filterState.accidents = this.value;
+        changed();
+    });
+    
+    document.getElementById('zoneFilter').addEventListener('change', function() {
+        filterState.zone = this.value || null;
+        changed();
+    });
+    
+    registerMapClickMode('area', {
+        start: startAreaDrawing,
+        stop: stopAreaDrawing,
+        click: latLng => {
+            areaDrawPoints.push(latLng);
+            if (areaDrawLayer) map.removeLayer(areaDrawLayer);
+            areaDrawLayer = L.polyline(areaDrawPoints, { color: '#2563EB', dashArray: '4 4' }).addTo(map);
+        }
+    });
+    document.getElementById('drawAreaBtn').addEventListener('click', () => {
+        if (getMapClickMode() === 'area') {
+            finishAreaDrawing(changed);
+        } else {
+            setMapClickMode('area');
+        }
+    });
+    map.on('dblclick', () => {
+        if (getMapClickMode() === 'area') finishAreaDrawing(changed);
+    });
+    
+    document.getElementById('filterChips').addEventListener('click', event => {
+        const chip = event.target.closest('[data-filter-key]');
+        if (!chip) return;
+        if (chip.dataset.filterKey === 'all') {
+            filterState = createFilterState();
+        } else {
+            clearFilter(chip.dataset.filterKey);
+        }
+        changed();
+    });
+    
+    syncFilterControls();
+}
+
+function startAreaDrawing() {
+    areaDrawPoints = [];
+    map.doubleClickZoom.disable();
+    map.getContainer().classList.add('area-drawing');
+    document.getElementById('drawAreaBtn').innerHTML = `<i class="fas fa-check mr-1"></i> <span data-i18n="filters.finishArea">${t('filters.finishArea')}</span>`;
+}
+
+// Leave drawing without keeping the points, e.g. when another map click mode starts
+function stopAreaDrawing() {
+    map.getContainer().classList.remove('area-drawing');
+    map.doubleClickZoom.enable();
+    if (areaDrawLayer) map.removeLayer(areaDrawLayer);
+    areaDrawLayer = null;
+    areaDrawPoints = [];
+    document.getElementById('drawAreaBtn').innerHTML = `<i class="fas fa-draw-polygon mr-1"></i> <span data-i18n="filters.drawArea">${t('filters.drawArea')}</span>`;
+}
+
+// Close the drawn polygon; fewer than three points cancels the drawing
+function finishAreaDrawing(onDone) {
+    const points = areaDrawPoints;
+    setMapClickMode(null);
+    if (points.length >= 3) filterState.area = points;
+    onDone();
+}
+
+function renderFilterAreaLayer() {
+    if (filterAreaLayer) map.removeLayer(filterAreaLayer);
+    filterAreaLayer = filterState.area
+        ? L.polygon(filterState.area, { color: '#2563EB', weight: 2, fillOpacity: 0.05, interactive: false }).addTo(map)
+        : null;
+}
+
+// Reflect the filter state in the controls and chip bar
+function syncFilterControls() {
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput.value.trim() !== filterState.search) searchInput.value = filterState.search;
+    
+    document.querySelectorAll('.filter-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.filter === filterState.congestion);
+    });
+    document.getElementById('minSpeedFilter').value = filterState.minSpeed ?? '';
+    document.getElementById('maxSpeedFilter').value = filterState.maxSpeed ?? '';
+    document.querySelectorAll('.grade-filter-btn').forEach(button => {
+        button.classList.toggle('active', filterState.grades.includes(button.dataset.grade));
+    });
+    document.getElementById('accidentPresenceFilter').value = filterState.accidents;
+    document.getElementById('zoneFilter').value = filterState.zone || '';
+    
+    const chips = getFilterChips();
+    const container = document.getElementById('filterChips');
+    container.classList.toggle('hidden', chips.length === 0);
+    container.innerHTML = chips.map(chip => `
+        <button class="filter-chip" data-filter-key="${chip.key}" title="${t('filters.removeFilter')}">
+            ${escapeHtml(chip.label)} <i class="fas fa-times ml-1"></i>
+        </button>
+    `).join('') + (chips.length > 1 ? `<button class="filter-chip-clear" data-filter-key="all">${t('filters.clearAll')}</button>` : '');
+}
+
+function renderFilterSummary(shown, total) {
+    const summary = document.getElementById('filterSummary');
+    const text = isFilterActive()
+        ? tn('filters.showing', total, { shown: formatNumber(shown) })
+        : tn('filters.showingAll', total);
+    // The summary is a status region, so only real changes are read out
+    if (summary.textContent !== text) summary.textContent = text;
+}
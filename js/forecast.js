@@ -0,0 +1,218 @@
+// Short-term forecasting: predicts each road's congestion and speed 15, 30
+// and 60 minutes ahead from time-of-day and day-of-week seasonality in the
+// recorded observations, the trend of the last few minutes and planned
+// events nearby, and tracks how far past forecasts were from what actually
+// happened.
+
+const FORECAST_HORIZONS = [15, 30, 60];
+// Recent observations used for the trend (about 15 minutes of 30 s ticks)
+const FORECAST_TREND_WINDOW = 30;
+// The trend is extrapolated at most this far, and halved, to stay conservative
+const FORECAST_TREND_CAP_MIN = 20;
+const FORECAST_TREND_DAMPING = 0.5;
+// New forecasts are logged for scoring at most this often
+const FORECAST_ISSUE_INTERVAL_MS = 5 * 60 * 1000;
+const FORECAST_ACCURACY_KEY = 'geosense-forecast-accuracy';
+
+const FORECAST_METRICS = {
+    congestion: { hourly: 'hourly', weekday: 'weekdayCongestion', min: 0, max: 100 },
+    averageSpeed: { hourly: 'hourlySpeed', weekday: 'weekday', min: 5, max: 80 }
+};
+
+let forecastHorizon = 0; // minutes ahead shown on the map; 0 means now
+let forecastData = null;
+let forecastRecent = [];
+let pendingForecasts = [];
+let lastForecastIssuedAt = 0;
+let forecastAccuracy = loadForecastAccuracy();
+
+function loadForecastAccuracy() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getRegionStorageKey(FORECAST_ACCURACY_KEY)));
+        if (stored && stored.horizons) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable forecast accuracy:', error);
+    }
+    return {
+        horizons: Object.fromEntries(FORECAST_HORIZONS.map(h => [h, { count: 0, error: 0, naiveError: 0 }]))
+    };
+}
+
+// Start over for another region: its own accuracy record and no carried-over trend
+function resetForecasts() {
+    forecastData = null;
+    forecastRecent = [];
+    pendingForecasts = [];
+    lastForecastIssuedAt = 0;
+    forecastAccuracy = loadForecastAccuracy();
+    renderForecastAccuracy();
+}
+
+function bucketAverage(bucket) {
+    return bucket && bucket.count > 0 ? bucket.sum / bucket.count : null;
+}
+
+// Expected value at a time from the hour-of-day profile (interpolated between
+// hours) shifted by how that day of the week differs from the road's average
+function getSeasonalValue(roadName, metric, timestamp, stats = observationStats) {
+    const { hourly, weekday } = FORECAST_METRICS[metric];
+    const hours = stats[hourly][roadName];
+    if (!hours) return null;
+    
+    const date = new Date(timestamp);
+    const hour = date.getHours();
+    const fraction = date.getMinutes() / 60;
+    const current = bucketAverage(hours[hour]);
+    const next = bucketAverage(hours[(hour + 1) % 24]);
+    if (current === null) return null;
+    let value = next === null ? current : current + (next - current) * fraction;
+    
+    const days = (stats[weekday][roadName] || []).map(bucketAverage).filter(v => v !== null);
+    const today = bucketAverage((stats[weekday][roadName] || [])[(date.getDay() + 6) % 7]);
+    if (days.length > 1 && today !== null) {
+        value += today - days.reduce((sum, v) => sum + v, 0) / days.length;
+    }
+    return value;
+}
+
+// Least-squares slope per minute over the recent observations
+function getRecentSlope(roadName, metric, recent = forecastRecent) {
+    const points = recent
+        .map(observation => ({ x: observation.timestamp / 60000, y: observation.values[roadName] && observation.values[roadName][metric] }))
+        .filter(point => typeof point.y === 'number');
+    if (points.length < 3) return 0;
+    
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    return variance === 0 ? 0 : covariance / variance;
+}
+
+// Predicted { congestion, averageSpeed } for a road some minutes ahead
+function forecastRoad(road, horizonMinutes, now = Date.now()) {
+    const prediction = {};
+    const eventsNow = getRoadEventImpact(road, now);
+    const eventsThen = getRoadEventImpact(road, now + horizonMinutes * 60000);
+    Object.entries(FORECAST_METRICS).forEach(([metric, config]) => {
+        const current = road[metric];
+        const trend = getRecentSlope(road.road, metric) * Math.min(horizonMinutes, FORECAST_TREND_CAP_MIN) * FORECAST_TREND_DAMPING;
+        const seasonalNow = getSeasonalValue(road.road, metric, now);
+        const seasonalThen = getSeasonalValue(road.road, metric, now + horizonMinutes * 60000);
+        const seasonal = seasonalNow !== null && seasonalThen !== null ? seasonalThen - seasonalNow : 0;
+        // Current values already include whatever events are running now
+        const eventShift = eventsThen[metric] - eventsNow[metric];
+        prediction[metric] = Math.round(clamp(current + trend + seasonal + eventShift, config.min, config.max));
+    });
+    return prediction;
+}
+
+// Copy of the data with forecast values; segments move with their road
+function getForecastData(data, horizonMinutes, now = Date.now()) {
+    return data.map(road => {
+        const prediction = forecastRoad(road, horizonMinutes, now);
+        const shift = {
+            congestion: prediction.congestion - road.congestion,
+            averageSpeed: prediction.averageSpeed - road.averageSpeed
+        };
+        const forecast = {
+            ...road,
+            ...prediction,
+            forecast: { horizon: horizonMinutes, at: now + horizonMinutes * 60000, congestion: road.congestion, averageSpeed: road.averageSpeed }
+        };
+        if (hasSegments(road)) {
+            forecast.segments = road.segments.map(segment => ({
+                ...segment,
+                congestion: Math.round(clamp(segment.congestion + shift.congestion, 0, 100)),
+                averageSpeed: Math.round(clamp(segment.averageSpeed + shift.averageSpeed, 5, 80))
+            }));
+        }
+        return forecast;
+    });
+}
+
+// Recompute the forecast view for the selected horizon
+function updateForecastData(data) {
+    forecastData = forecastHorizon > 0 ? getForecastData(data, forecastHorizon) : null;
+    return forecastData;
+}
+
+// Feed a new observation: score forecasts that have come due, remember the
+// values for the trend, and log fresh forecasts for later scoring
+function addForecastObservation(snapshot, data) {
+    const values = Object.fromEntries(snapshot.roads.map(road => [road.road, { congestion: road.congestion, averageSpeed: road.averageSpeed }]));
+    
+    scoreDueForecasts(values, snapshot.timestamp);
+    
+    forecastRecent.push({ timestamp: snapshot.timestamp, values });
+    forecastRecent = forecastRecent.slice(-FORECAST_TREND_WINDOW);
+    
+    if (snapshot.timestamp - lastForecastIssuedAt >= FORECAST_ISSUE_INTERVAL_MS) {
+        lastForecastIssuedAt = snapshot.timestamp;
+        FORECAST_HORIZONS.forEach(horizon => {
+            data.forEach(road => pendingForecasts.push({
+                road: road.road,
+                horizon,
+                due: snapshot.timestamp + horizon * 60000,
+                predicted: forecastRoad(road, horizon, snapshot.timestamp).congestion,
+                naive: road.congestion
+            }));
+        });
+    }
+}
+
+// Compare due forecasts with actual congestion, alongside a naive
+// "no change" forecast as the baseline to beat
+function scoreDueForecasts(values, now) {
+    const due = pendingForecasts.filter(forecast => forecast.due <= now);
+    if (due.length === 0) return;
+    pendingForecasts = pendingForecasts.filter(forecast => forecast.due > now);
+    
+    due.forEach(forecast => {
+        const actual = values[forecast.road];
+        if (!actual) return;
+        const stats = forecastAccuracy.horizons[forecast.horizon];
+        stats.count += 1;
+        stats.error += Math.abs(forecast.predicted - actual.congestion);
+        stats.naiveError += Math.abs(forecast.naive - actual.congestion);
+    });
+    localStorage.setItem(getRegionStorageKey(FORECAST_ACCURACY_KEY), JSON.stringify(forecastAccuracy));
+}
+
+function renderForecastAccuracy() {
+    const container = document.getElementById('forecastAccuracy');
+    if (!container) return;
+    
+    const parts = FORECAST_HORIZONS.map(horizon => {
+        const stats = forecastAccuracy.horizons[horizon];
+        const label = `+${horizon < 60 ? tn('time.minutes', horizon) : tn('time.hours', horizon / 60)}`;
+        if (stats.count === 0) return t('forecast.notScored', { label });
+        const oneDecimal = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        return t('forecast.scored', {
+            label,
+            mae: formatNumber(stats.error / stats.count, oneDecimal),
+            naive: formatNumber(stats.naiveError / stats.count, oneDecimal),
+            count: formatNumber(stats.count)
+        });
+    });
+    container.textContent = t('forecast.accuracy', { parts: parts.join(' · ') });
+}
+
+// Setup the Now / +30 min / +1 h toggle
+function setupForecastToggle(onChange) {
+    document.querySelectorAll('.forecast-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            setForecastHorizon(Number(this.dataset.horizon));
+            onChange();
+        });
+    });
+    renderForecastAccuracy();
+}
+
+function setForecastHorizon(horizon) {
+    forecastHorizon = horizon;
+    document.querySelectorAll('.forecast-btn').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.horizon) === horizon);
+    });
+    document.getElementById('map').classList.toggle('forecasting', horizon > 0);
+}
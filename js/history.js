@@ -0,0 +1,285 @@
+// Traffic history: every data tick is stored as a timestamped snapshot in
+// IndexedDB, one database per region, and the timeline under the map replays
+// any stored moment.
+
+const HISTORY_DB_NAME = 'geosense-history';
+const HISTORY_STORE = 'snapshots';
+// Keep every tick for a day, then one snapshot per bucket up to the max age
+const HISTORY_FULL_RESOLUTION_MS = 24 * 60 * 60 * 1000;
+const HISTORY_BUCKET_MS = 15 * 60 * 1000;
+const HISTORY_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+const REPLAY_STEP_MS = 600;
+
+let historyDbPromise = null;
+let historyTimestamps = [];
+let replayData = null;
+let replayTimestamp = null;
+let replayTimer = null;
+// Counts requests to change what the timeline shows; a snapshot lookup that
+// finishes after a newer request, or after going back to live, is dropped
+let replayRequest = 0;
+
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(getRegionStorageKey(HISTORY_DB_NAME), 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(HISTORY_STORE, { keyPath: 'timestamp' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDbPromise;
+}
+
+// Close the history of the previous region and show the current one's timeline
+async function resetHistory() {
+    stopReplay();
+    replayRequest += 1;
+    replayData = null;
+    replayTimestamp = null;
+    if (historyDbPromise) historyDbPromise.then(db => db.close()).catch(() => {});
+    historyDbPromise = null;
+    try {
+        historyTimestamps = await getSnapshotTimestamps();
+    } catch (error) {
+        historyTimestamps = [];
+    }
+    updateTimelineControls();
+}
+
+// Run a request against the snapshot store and resolve with its result
+async function historyRequest(mode, createRequest) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = createRequest(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Geometry never changes between ticks, so only the measured values are stored
+function createSnapshot(data, timestamp = Date.now()) {
+    return {
+        timestamp,
+        roads: data.map(road => ({
+            road: road.road,
+            congestion: road.congestion,
+            accidents: road.accidents,
+            averageSpeed: road.averageSpeed,
+            segments: hasSegments(road)
+                ? road.segments.map(({ id, congestion, averageSpeed }) => ({ id, congestion, averageSpeed }))
+                : undefined
+        }))
+    };
+}
+
+// Rebuild full road records for a snapshot using the current data as the template
+function snapshotToTrafficData(snapshot, template) {
+    const valuesByRoad = new Map(snapshot.roads.map(road => [road.road, road]));
+    
+    return template
+        .filter(road => valuesByRoad.has(road.road))
+        .map(road => {
+            const values = valuesByRoad.get(road.road);
+            const restored = {
+                ...road,
+                congestion: values.congestion,
+                accidents: values.accidents,
+                averageSpeed: values.averageSpeed,
+                updatedAt: snapshot.timestamp
+            };
+            if (hasSegments(road) && values.segments) {
+                const segmentValues = new Map(values.segments.map(segment => [segment.id, segment]));
+                restored.segments = road.segments.map(segment => ({ ...segment, ...segmentValues.get(segment.id) }));
+            }
+            return restored;
+        });
+}
+
+async function saveSnapshot(snapshot) {
+    await historyRequest('readwrite', store => store.put(snapshot));
+    return snapshot.timestamp;
+}
+
+async function getSnapshotAt(timestamp) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(HISTORY_STORE)
+            .objectStore(HISTORY_STORE)
+            .openCursor(IDBKeyRange.upperBound(timestamp), 'prev');
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getSnapshotRange(from, to) {
+    return historyRequest('readonly', store => store.getAll(IDBKeyRange.bound(from, to)));
+}
+
+function getSnapshotTimestamps() {
+    return historyRequest('readonly', store => store.getAllKeys());
+}
+
+// Apply the retention policy: drop snapshots past the max age and thin
+// out older ones to the first snapshot in each bucket
+async function pruneSnapshots(now = Date.now()) {
+    const timestamps = await getSnapshotTimestamps();
+    const expired = [];
+    const keptBuckets = new Set();
+    
+    timestamps.forEach(timestamp => {
+        const age = now - timestamp;
+        if (age > HISTORY_MAX_AGE_MS) {
+            expired.push(timestamp);
+        } else if (age > HISTORY_FULL_RESOLUTION_MS) {
+            const bucket = Math.floor(timestamp / HISTORY_BUCKET_MS);
+            if (keptBuckets.has(bucket)) expired.push(timestamp);
+            keptBuckets.add(bucket);
+        }
+    });
+    
+    if (expired.length > 0) {
+        await historyRequest('readwrite', store => {
+            expired.forEach(timestamp => store.delete(timestamp));
+            return store.count();
+        });
+    }
+    return expired.length;
+}
+
+// Store a snapshot and keep the timeline in step
+async function recordSnapshot(snapshot) {
+    try {
+        await saveSnapshot(snapshot);
+        await pruneSnapshots();
+        historyTimestamps = await getSnapshotTimestamps();
+        updateTimelineControls();
+    } catch (error) {
+        console.warn('Could not record traffic snapshot:', error);
+    }
+}
+
+// Setup timeline controls
+async function setupTimeline() {
+    const slider = document.getElementById('timelineSlider');
+    
+    try {
+        historyTimestamps = await getSnapshotTimestamps();
+    } catch (error) {
+        console.warn('Traffic history unavailable:', error);
+        document.getElementById('timeline').classList.add('hidden');
+        return;
+    }
+    
+    slider.addEventListener('input', function() {
+        stopReplay();
+        const index = Number(this.value);
+        if (index >= historyTimestamps.length - 1) {
+            showLiveData();
+        } else {
+            showHistoricalMoment(historyTimestamps[index]);
+        }
+    });
+    
+    document.getElementById('timelinePlay').addEventListener('click', toggleReplay);
+    document.getElementById('timelineLive').addEventListener('click', () => {
+        stopReplay();
+        showLiveData();
+    });
+    document.getElementById('timelineJump').addEventListener('change', function() {
+        if (!this.value) return;
+        stopReplay();
+        showHistoricalMoment(new Date(this.value).getTime());
+    });
+    
+    updateTimelineControls();
+}
+
+function isReplaying() {
+    return replayData !== null;
+}
+
+async function showHistoricalMoment(timestamp) {
+    const request = ++replayRequest;
+    const snapshot = await getSnapshotAt(timestamp);
+    if (request !== replayRequest) return;
+    if (!snapshot) {
+        document.getElementById('timelineLabel').textContent = t('timeline.noData');
+        return;
+    }
+    
+    replayTimestamp = snapshot.timestamp;
+    replayData = snapshotToTrafficData(snapshot, trafficData);
+    refreshDisplayedData();
+    updateTimelineControls();
+}
+
+function showLiveData() {
+    replayRequest += 1;
+    replayData = null;
+    replayTimestamp = null;
+    refreshDisplayedData();
+    updateTimelineControls();
+}
+
+function toggleReplay() {
+    if (replayTimer) {
+        stopReplay();
+        return;
+    }
+    if (historyTimestamps.length < 2) return;
+    
+    // Start from the beginning unless already part-way through history
+    let index = isReplaying() ? historyTimestamps.indexOf(replayTimestamp) : 0;
+    showHistoricalMoment(historyTimestamps[Math.max(0, index)]);
+    
+    replayTimer = setInterval(() => {
+        index += 1;
+        if (index >= historyTimestamps.length - 1) {
+            stopReplay();
+            showLiveData();
+            return;
+        }
+        showHistoricalMoment(historyTimestamps[index]);
+    }, REPLAY_STEP_MS);
+    updateTimelineControls();
+}
+
+function stopReplay() {
+    clearInterval(replayTimer);
+    replayTimer = null;
+    updateTimelineControls();
+}
+
+function updateTimelineControls() {
+    const slider = document.getElementById('timelineSlider');
+    const label = document.getElementById('timelineLabel');
+    const playIcon = document.querySelector('#timelinePlay i');
+    if (!slider) return;
+    
+    slider.max = Math.max(0, historyTimestamps.length - 1);
+    slider.disabled = historyTimestamps.length < 2;
+    slider.value = isReplaying() ? historyTimestamps.indexOf(replayTimestamp) : slider.max;
+    
+    playIcon.className = replayTimer ? 'fas fa-pause' : 'fas fa-play';
+    document.getElementById('timeline').classList.toggle('replaying', isReplaying());
+    
+    if (isReplaying()) {
+        const activeEvents = getActiveEventNames(replayTimestamp);
+        label.textContent = formatDateTime(replayTimestamp, {
+            weekday: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }) + (activeEvents.length > 0 ? ` · ${activeEvents.join(', ')}` : '');
+    } else {
+        label.textContent = historyTimestamps.length > 0
+            ? `${t('timeline.live')} · ${tn('timeline.snapshots', historyTimestamps.length)}`
+            : t('timeline.live');
+    }
+    renderTimelineEvents();
+}
@@ -0,0 +1,294 @@
+// Accident hotspots: DBSCAN clustering of recent incidents into named zones
+// with a severity score and trend, plus a density heatmap layer. Accidents
+// the dataset or a feed only reports as a road's count are clustered too,
+// placed at the road's marker.
+
+const HOTSPOT_WINDOW_DAYS = 7;
+// DBSCAN neighbourhood radius (km) and minimum incidents for a zone
+const HOTSPOT_EPS_KM = 0.4;
+const HOTSPOT_MIN_INCIDENTS = 3;
+const HOTSPOT_SEVERITY_WEIGHTS = { minor: 1, moderate: 2, severe: 4 };
+// Non-collision incidents (breakdowns, road work...) count for half
+const HOTSPOT_NON_COLLISION_FACTOR = 0.5;
+
+let hotspotMode = false;
+let hotspotZones = [];
+let heatLayer = null;
+let hotspotZoneLayer = null;
+// The road accident counts the hotspots were last drawn from
+let renderedHotspotAccidents = null;
+
+// Density-based clustering. Returns clusters of points; noise is left out.
+function dbscan(points, epsKm, minPoints) {
+    const labels = new Array(points.length).fill(undefined);
+    const neighbours = index => points
+        .map((point, i) => i)
+        .filter(i => haversineDistance(points[index].latLng, points[i].latLng) <= epsKm);
+    const clusters = [];
+    
+    points.forEach((point, index) => {
+        if (labels[index] !== undefined) return;
+        const seeds = neighbours(index);
+        if (seeds.length < minPoints) {
+            labels[index] = null; // noise, may still join a cluster as a border point
+            return;
+        }
+        
+        const cluster = [];
+        clusters.push(cluster);
+        const queue = [...seeds];
+        labels[index] = clusters.length - 1;
+        cluster.push(point);
+        
+        while (queue.length) {
+            const i = queue.shift();
+            if (labels[i] === null) {
+                labels[i] = clusters.length - 1;
+                cluster.push(points[i]);
+            }
+            if (labels[i] !== undefined) continue;
+            labels[i] = clusters.length - 1;
+            cluster.push(points[i]);
+            const more = neighbours(i);
+            if (more.length >= minPoints) queue.push(...more);
+        }
+    });
+    
+    return clusters;
+}
+
+function getIncidentWeight(incident) {
+    const weight = HOTSPOT_SEVERITY_WEIGHTS[incident.severity] || 1;
+    return isAccident(incident) ? weight : weight * HOTSPOT_NON_COLLISION_FACTOR;
+}
+
+// One point per accident a road reports without a record, at the road's
+// marker and dated `now`, since the counts are today's. They have no
+// severity, so they weigh as minor collisions; they are never stored.
+function getReportedAccidentPoints(data, now = Date.now()) {
+    return data.flatMap(road => Array.from({ length: getUnrecordedAccidents(road, now) }, () => ({
+        latLng: road.location,
+        road: road.road,
+        type: 'collision',
+        timestamp: now,
+        reported: true
+    })));
+}
+
+// Incidents of the last HOTSPOT_WINDOW_DAYS plus the roads' reported accidents
+function getHotspotPoints(incidentList, data, now) {
+    const windowStart = now - HOTSPOT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    return [
+        ...incidentList.filter(incident => incident.timestamp >= windowStart && incident.timestamp <= now),
+        ...getReportedAccidentPoints(data, now)
+    ];
+}
+
+// Cluster the last HOTSPOT_WINDOW_DAYS of incidents, and the accidents `data`
+// reports without records, into scored zones
+function analyzeHotspots(incidentList, now = Date.now(), data = []) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const windowStart = now - HOTSPOT_WINDOW_DAYS * dayMs;
+    
+    return dbscan(getHotspotPoints(incidentList, data, now), HOTSPOT_EPS_KM, HOTSPOT_MIN_INCIDENTS)
+        .map((members, index) => {
+            const center = [
+                members.reduce((sum, incident) => sum + incident.latLng[0], 0) / members.length,
+                members.reduce((sum, incident) => sum + incident.latLng[1], 0) / members.length
+            ];
+            const radiusKm = Math.max(...members.map(incident => haversineDistance(center, incident.latLng)));
+            const reportedCount = members.filter(incident => incident.reported).length;
+            
+            // Compare with the same area over the previous window; reported
+            // counts only cover today, so the trend follows records alone
+            const previousCount = incidentList.filter(incident =>
+                incident.timestamp >= windowStart - HOTSPOT_WINDOW_DAYS * dayMs &&
+                incident.timestamp < windowStart &&
+                haversineDistance(center, incident.latLng) <= Math.max(radiusKm, HOTSPOT_EPS_KM)
+            ).length;
+            
+            const daily = Array.from({ length: HOTSPOT_WINDOW_DAYS }, (_, day) => {
+                const dayEnd = now - (HOTSPOT_WINDOW_DAYS - 1 - day) * dayMs;
+                return members.filter(incident => incident.timestamp > dayEnd - dayMs && incident.timestamp <= dayEnd).length;
+            });
+            
+            return {
+                id: `zone-${index + 1}`,
+                name: getHotspotName(members, index),
+                center,
+                radiusKm,
+                incidents: members,
+                count: members.length,
+                severeCount: members.filter(incident => incident.severity === 'severe').length,
+                openCount: members.filter(incident => incident.status === 'open').length,
+                collisionCount: members.filter(isAccident).length,
+                reportedCount,
+                severityScore: Math.round(members.reduce((sum, incident) => sum + getIncidentWeight(incident), 0) * 10) / 10,
+                daily,
+                previousCount,
+                trend: members.length - reportedCount > previousCount ? 'rising'
+                    : members.length - reportedCount < previousCount ? 'falling' : 'stable'
+            };
+        })
+        .sort((a, b) => b.severityScore - a.severityScore);
+}
+
+// Name a zone after the road most of its incidents were assigned to
+function getHotspotName(members, index) {
+    const counts = {};
+    members.forEach(incident => {
+        if (incident.road) counts[incident.road] = (counts[incident.road] || 0) + 1;
+    });
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? getRoadName(ranked[0][0]) : t('zones.unnamed', { number: formatNumber(index + 1) });
+}
+
+// Plain-language reasons a zone is flagged, for its popup
+function explainHotspot(zone) {
+    const days = formatNumber(HOTSPOT_WINDOW_DAYS);
+    const reasons = [
+        tn('hotspots.reason.cluster', zone.count, {
+            radius: formatNumber(Math.max(100, Math.round(zone.radiusKm * 1000))),
+            days,
+            min: formatNumber(HOTSPOT_MIN_INCIDENTS),
+            eps: formatNumber(HOTSPOT_EPS_KM * 1000)
+        })
+    ];
+    if (zone.collisionCount > 0) reasons.push(tn('hotspots.reason.collisions', zone.collisionCount));
+    if (zone.reportedCount > 0) reasons.push(tn('hotspots.reason.reported', zone.reportedCount));
+    if (zone.severeCount > 0) reasons.push(tn('hotspots.reason.severe', zone.severeCount));
+    if (zone.openCount > 0) reasons.push(tn('hotspots.reason.open', zone.openCount));
+    if (zone.trend === 'rising') {
+        reasons.push(t('hotspots.reason.rising', { previous: formatNumber(zone.previousCount), days }));
+    } else if (zone.trend === 'falling') {
+        reasons.push(t('hotspots.reason.falling', { previous: formatNumber(zone.previousCount), days }));
+    }
+    return reasons;
+}
+
+function getHotspotColor(zone) {
+    if (zone.severityScore >= 12) return '#B91C1C';
+    if (zone.severityScore >= 6) return '#EA580C';
+    return '#F59E0B';
+}
+
+function getTrendIcon(trend) {
+    if (trend === 'rising') return '<i class="fas fa-arrow-trend-up text-red-500"></i>';
+    if (trend === 'falling') return '<i class="fas fa-arrow-trend-down text-green-500"></i>';
+    return '<i class="fas fa-minus text-gray-400"></i>';
+}
+
+function createHotspotPopupContent(zone) {
+    const maxDaily = Math.max(1, ...zone.daily);
+    return `
+        <div class="popup-content">
+            <div class="popup-header"><i class="fas fa-fire text-red-600 mr-1"></i> ${escapeHtml(zone.name)}</div>
+            <div class="popup-stats">
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${formatNumber(zone.count)}</span>
+                    <span class="popup-stat-label">${t('hotspots.incidents')}</span>
+                </div>
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${formatNumber(zone.severityScore)}</span>
+                    <span class="popup-stat-label">${t('hotspots.severityScore')}</span>
+                </div>
+            </div>
+            <div class="hotspot-sparkline" title="${t('hotspots.perDay', { days: formatNumber(HOTSPOT_WINDOW_DAYS) })}">
+                ${zone.daily.map(count => `<span style="height: ${Math.round(count / maxDaily * 100)}%"></span>`).join('')}
+            </div>
+            <div style="font-size: 12px; color: #374151; margin-top: 6px;">
+                <strong>${t('hotspots.whyFlagged')}</strong>
+                <ul class="hotspot-reasons">
+                    ${explainHotspot(zone).map(reason => `<li>${reason}</li>`).join('')}
+                </ul>
+            </div>
+        </div>
+    `;
+}
+
+// Draw the heatmap and zone circles while hotspot mode is on
+function renderHotspots() {
+    if (heatLayer) map.removeLayer(heatLayer);
+    if (hotspotZoneLayer) map.removeLayer(hotspotZoneLayer);
+    heatLayer = null;
+    hotspotZoneLayer = null;
+    
+    const until = isReplaying() ? replayTimestamp : Date.now();
+    const data = getDisplayedData();
+    renderedHotspotAccidents = getHotspotAccidentKey(data, until);
+    hotspotZones = analyzeHotspots(incidents, until, data);
+    renderHotspotList();
+    if (!hotspotMode) return;
+    
+    const heatPoints = getHotspotPoints(incidents, data, until)
+        .map(incident => [...incident.latLng, getIncidentWeight(incident) / HOTSPOT_SEVERITY_WEIGHTS.severe]);
+    
+    if (typeof L.heatLayer === 'function') {
+        heatLayer = L.heatLayer(heatPoints, { radius: 30, blur: 22, maxZoom: 16, minOpacity: 0.3 }).addTo(map);
+    } else {
+        console.warn('Leaflet.heat is not loaded; showing hotspot zones only');
+    }
+    
+    hotspotZoneLayer = L.layerGroup(hotspotZones.map(zone => {
+        const color = getHotspotColor(zone);
+        return L.circle(zone.center, {
+            radius: Math.max(150, zone.radiusKm * 1000 + 100),
+            color,
+            weight: 2,
+            fillColor: color,
+            fillOpacity: 0.12
+        }).bindPopup(createHotspotPopupContent(zone));
+    })).addTo(map);
+}
+
+function getHotspotAccidentKey(data, now) {
+    return data.map(road => getUnrecordedAccidents(road, now)).join(',');
+}
+
+// Redraw after a live update only when a road's reported accidents changed
+function refreshHotspots() {
+    const until = isReplaying() ? replayTimestamp : Date.now();
+    if (getHotspotAccidentKey(getDisplayedData(), until) !== renderedHotspotAccidents) renderHotspots();
+}
+
+function renderHotspotList() {
+    const container = document.getElementById('hotspotZones');
+    if (!container) return;
+    
+    if (hotspotZones.length === 0) {
+        container.innerHTML = `<p class="text-sm text-gray-500">${t('hotspots.none', { days: formatNumber(HOTSPOT_WINDOW_DAYS) })}</p>`;
+        return;
+    }
+    
+    container.innerHTML = '';
+    hotspotZones.forEach(zone => {
+        const item = document.createElement('button');
+        item.className = 'hotspot-zone w-full flex items-center justify-between p-2 rounded-lg text-left';
+        item.style.borderLeft = `4px solid ${getHotspotColor(zone)}`;
+        item.innerHTML = `
+            <span>
+                <span class="font-medium text-gray-800">${escapeHtml(zone.name)}</span>
+                <span class="block text-xs text-gray-500">${tn('hotspots.summary', zone.count, { score: formatNumber(zone.severityScore) })}</span>
+            </span>
+            <span title="${t('hotspots.trend', { days: formatNumber(HOTSPOT_WINDOW_DAYS) })}">${getTrendIcon(zone.trend)}</span>
+        `;
+        item.addEventListener('click', () => focusHotspot(zone));
+        container.appendChild(item);
+    });
+}
+
+function focusHotspot(zone) {
+    if (!hotspotMode) setHotspotMode(true);
+    map.setView(zone.center, 16);
+    L.popup().setLatLng(zone.center).setContent(createHotspotPopupContent(zone)).openOn(map);
+}
+
+function setHotspotMode(enabled) {
+    hotspotMode = enabled;
+    document.getElementById('accidentFilter').classList.toggle('active', enabled);
+    renderHotspots();
+    
+    if (enabled && hotspotZones.length > 0) {
+        map.fitBounds(L.latLngBounds(hotspotZones.map(zone => zone.center)).pad(0.3));
+    }
+}
@@ -0,0 +1,129 @@
+// Internationalisation: message lookup in the catalogs under js/locales/,
+// the language switcher, translated road and region names, and number and
+// time formatting in the chosen language. Static markup is translated through
+// data-i18n attributes, dynamic text through t().
+
+const LOCALE_STORAGE_KEY = 'geosense-locale';
+const DEFAULT_LOCALE = 'en';
+// `intl` is the locale handed to Intl for numbers, dates and plural rules
+const LOCALES = {
+    en: { label: 'English', intl: 'en-IN' },
+    hi: { label: 'हिन्दी', intl: 'hi-IN' }
+};
+
+let currentLocale = getInitialLocale();
+// Intl formatters are slow to create, so they are reused per locale and options
+const localeFormatters = new Map();
+
+// Pick the language from ?lang=, then the saved choice, then the browser
+function getInitialLocale() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (LOCALES[requested]) return requested;
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[stored]) return stored;
+    const browser = (navigator.language || '').split('-')[0];
+    return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+function getLocale() {
+    return currentLocale;
+}
+
+// The message for `key` with {placeholders} filled from `params`; falls
+// back to English, then to the key itself
+function t(key, params = {}) {
+    const catalogs = window.LOCALE_MESSAGES || {};
+    const catalog = catalogs[currentLocale] || {};
+    const fallback = catalogs[DEFAULT_LOCALE] || {};
+    const template = key in catalog ? catalog[key] : key in fallback ? fallback[key] : key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+}
+
+// Plural-aware lookup: `${key}.one`, `${key}.other`, ... chosen by the
+// language's plural rules for `count`, which is also available as {count}
+function tn(key, count, params = {}) {
+    const rule = getFormatter('PluralRules', {}).select(count);
+    const catalog = (window.LOCALE_MESSAGES || {})[currentLocale] || {};
+    const pluralKey = `${key}.${rule}` in catalog ? `${key}.${rule}` : `${key}.other`;
+    return t(pluralKey, { count: formatNumber(count), ...params });
+}
+
+function getFormatter(type, options) {
+    const cacheKey = `${currentLocale}|${type}|${JSON.stringify(options)}`;
+    if (!localeFormatters.has(cacheKey)) {
+        localeFormatters.set(cacheKey, new Intl[type](LOCALES[currentLocale].intl, options));
+    }
+    return localeFormatters.get(cacheKey);
+}
+
+function formatNumber(value, options = {}) {
+    return getFormatter('NumberFormat', options).format(value);
+}
+
+function formatPercent(value) {
+    return t('format.percent', { value: formatNumber(value) });
+}
+
+function formatSpeed(value) {
+    return t('format.speed', { value: formatNumber(value) });
+}
+
+// 1st, 2nd, ... using the language's ordinal rules
+function formatOrdinal(value) {
+    const rule = getFormatter('PluralRules', { type: 'ordinal' }).select(value);
+    const catalog = (window.LOCALE_MESSAGES || {})[currentLocale] || {};
+    const key = `format.ordinal.${rule}` in catalog ? `format.ordinal.${rule}` : 'format.ordinal.other';
+    return t(key, { value: formatNumber(value) });
+}
+
+function formatTime(timestamp) {
+    return getFormatter('DateTimeFormat', { hour: '2-digit', minute: '2-digit' }).format(timestamp);
+}
+
+function formatDateTime(timestamp, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return getFormatter('DateTimeFormat', options).format(timestamp);
+}
+
+// A road's name in the current language; `road` is a record or a road name.
+// Roads are still identified by their English name everywhere else.
+function getRoadName(road) {
+    const record = typeof road === 'string' ? trafficData.find(r => r.road === road) : road;
+    const name = typeof road === 'string' ? road : road.road;
+    return (record && record.names && record.names[currentLocale]) || name;
+}
+
+// Translate static markup: data-i18n sets the text, data-i18n-title,
+// data-i18n-placeholder and data-i18n-aria-label set those attributes
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    document.documentElement.lang = currentLocale;
+}
+
+function setLocale(locale) {
+    if (!LOCALES[locale] || locale === currentLocale) return false;
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    document.getElementById('localeSelect').value = locale;
+    applyTranslations();
+    return true;
+}
+
+// Setup the language picker; `onChange` redraws the dynamic views
+function setupLocalePicker(onChange) {
+    const select = document.getElementById('localeSelect');
+    select.innerHTML = Object.entries(LOCALES)
+        .map(([key, locale]) => `<option value="${key}" lang="${key}">${locale.label}</option>`)
+        .join('');
+    select.value = currentLocale;
+    select.addEventListener('change', function() {
+        if (setLocale(this.value)) onChange();
+    });
+    applyTranslations();
+}
@@ -0,0 +1,302 @@
+// Incidents: typed, time-stamped accident and disruption records with their
+// own coordinates. Accident counts from the dataset or a feed have neither,
+// so they are kept on the road as its reported count, never turned into records.
+
+const INCIDENT_STORAGE_KEY = 'geosense-incidents';
+const INCIDENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Incidents further than this (km) from every road stay unassigned
+const INCIDENT_ROAD_RADIUS_KM = 0.5;
+// Sources of records that earlier versions made up from accident counts
+const GENERATED_INCIDENT_SOURCES = ['dataset', 'feed'];
+
+const INCIDENT_TYPES = {
+    collision: { labelKey: 'incidents.type.collision', icon: 'fa-car-burst' },
+    breakdown: { labelKey: 'incidents.type.breakdown', icon: 'fa-car' },
+    waterlogging: { labelKey: 'incidents.type.waterlogging', icon: 'fa-water' },
+    roadwork: { labelKey: 'incidents.type.roadwork', icon: 'fa-person-digging' },
+    vip: { labelKey: 'incidents.type.vip', icon: 'fa-user-shield' }
+};
+
+// `weight` is what one open incident adds to a road's severity (see js/safety.js)
+const INCIDENT_SEVERITIES = {
+    minor: { labelKey: 'incidents.severity.minor', color: '#F59E0B', weight: 0.25 },
+    moderate: { labelKey: 'incidents.severity.moderate', color: '#F97316', weight: 0.5 },
+    severe: { labelKey: 'incidents.severity.severe', color: '#DC2626', weight: 1 }
+};
+
+let incidents = [];
+let incidentLayer = null;
+
+function loadIncidents() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getRegionStorageKey(INCIDENT_STORAGE_KEY)) || '[]');
+        incidents = Array.isArray(stored)
+            ? stored.filter(incident => !GENERATED_INCIDENT_SOURCES.includes(incident.source))
+            : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable incident records:', error);
+        incidents = [];
+    }
+    pruneIncidents();
+    return incidents;
+}
+
+function saveIncidents() {
+    localStorage.setItem(getRegionStorageKey(INCIDENT_STORAGE_KEY), JSON.stringify(incidents));
+}
+
+function pruneIncidents(now = Date.now()) {
+    incidents = incidents.filter(incident => now - incident.timestamp <= INCIDENT_RETENTION_MS);
+}
+
+function createIncident({ latLng, type = 'collision', severity = 'minor', description = '', source = 'report', timestamp = Date.now(), road }) {
+    const nearest = road ? null : findNearestRoad(trafficData, latLng);
+    return {
+        id: `inc-${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        latLng,
+        road: road || (nearest ? nearest.road.road : null),
+        type,
+        severity,
+        status: 'open',
+        description,
+        source,
+        timestamp,
+        clearedAt: null
+    };
+}
+
+function addIncident(details) {
+    const incident = createIncident(details);
+    incidents.push(incident);
+    saveIncidents();
+    return incident;
+}
+
+function setIncidentStatus(id, status) {
+    const incident = incidents.find(i => i.id === id);
+    if (!incident) return null;
+    incident.status = status;
+    incident.clearedAt = status === 'cleared' ? Date.now() : null;
+    saveIncidents();
+    return incident;
+}
+
+// Nearest road within INCIDENT_ROAD_RADIUS_KM, measured to segment lines or road points
+function findNearestRoad(data, latLng) {
+    let nearest = null;
+    data.forEach(road => {
+        const distance = getDistanceToRoad(road, latLng);
+        if (distance <= INCIDENT_ROAD_RADIUS_KM && (!nearest || distance < nearest.distance)) {
+            nearest = { road, distance };
+        }
+    });
+    return nearest;
+}
+
+function getDistanceToRoad(road, latLng) {
+    if (!hasSegments(road)) return haversineDistance(road.location, latLng);
+    
+    let best = Infinity;
+    road.segments.forEach(segment => {
+        const points = getSegmentLatLngs(segment);
+        for (let i = 1; i < points.length; i++) {
+            best = Math.min(best, getDistanceToLine(latLng, points[i - 1], points[i]));
+        }
+    });
+    return best;
+}
+
+// Distance in km from a point to a short line, using a local flat projection
+function getDistanceToLine(point, start, end) {
+    const kmPerDegLng = 111.32 * Math.cos(point[0] * Math.PI / 180);
+    const toXY = ([lat, lng]) => [lng * kmPerDegLng, lat * 110.57];
+    const [px, py] = toXY(point);
+    const [ax, ay] = toXY(start);
+    const [bx, by] = toXY(end);
+    const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSquared));
+    return Math.hypot(px - (ax + t * (bx - ax)), py - (ay + t * (by - ay)));
+}
+
+function getStartOfDay(now = Date.now()) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function isAccident(incident) {
+    return incident.type === 'collision';
+}
+
+// Collisions reported since midnight
+function getTodaysAccidents(roadName, now = Date.now()) {
+    const startOfDay = getStartOfDay(now);
+    return incidents.filter(incident =>
+        isAccident(incident) &&
+        incident.timestamp >= startOfDay &&
+        (roadName === undefined || incident.road === roadName)
+    );
+}
+
+function getOpenIncidents(roadName) {
+    return incidents.filter(incident =>
+        incident.status === 'open' && (roadName === undefined || incident.road === roadName)
+    );
+}
+
+// Keep the accident counts a new dataset brings as the roads' reported counts
+function setReportedAccidents(data) {
+    data.forEach(road => {
+        road.reportedAccidents = road.accidents || 0;
+    });
+}
+
+// Write the counts back onto the road records. The reported count may already
+// include collisions recorded here, so a road has whichever of the two is higher.
+function syncRoadIncidents(data) {
+    data.forEach(road => {
+        road.accidents = Math.max(road.reportedAccidents || 0, getTodaysAccidents(road.road).length);
+        road.incidentSeverity = getOpenIncidents(road.road)
+            .reduce((sum, incident) => sum + INCIDENT_SEVERITIES[incident.severity].weight, 0);
+    });
+}
+
+// Accidents on a road with no record, so with time and location unknown
+function getUnrecordedAccidents(road, until = Date.now()) {
+    const recorded = getTodaysAccidents(road.road, until).filter(incident => incident.timestamp <= until).length;
+    return Math.max(0, road.accidents - recorded);
+}
+
+// Accidents today: the roads' counts plus collisions recorded away from them
+function getTodaysAccidentTotal(data) {
+    const roads = new Set(data.map(road => road.road));
+    const elsewhere = getTodaysAccidents().filter(incident => !roads.has(incident.road)).length;
+    return data.reduce((sum, road) => sum + road.accidents, 0) + elsewhere;
+}
+
+// Setup incident reporting and the marker layer
+function setupIncidents(onChange) {
+    incidentLayer = L.layerGroup().addTo(map);
+    
+    const setReporting = enabled => {
+        map.getContainer().classList.toggle('incident-reporting', enabled);
+        document.getElementById('reportIncidentBtn').classList.toggle('active', enabled);
+    };
+    registerMapClickMode('incident', {
+        start: () => setReporting(true),
+        stop: () => setReporting(false),
+        click: latLng => {
+            setMapClickMode(null);
+            openIncidentForm(latLng, onChange);
+        }
+    });
+    document.getElementById('reportIncidentBtn').addEventListener('click', () => toggleMapClickMode('incident'));
+    
+    document.getElementById('showIncidents').addEventListener('change', function() {
+        if (this.checked) incidentLayer.addTo(map);
+        else map.removeLayer(incidentLayer);
+    });
+    
+    // Popup buttons are plain HTML, so handle them by delegation
+    map.getContainer().addEventListener('click', event => {
+        const button = event.target.closest('[data-incident-action]');
+        if (!button) return;
+        setIncidentStatus(button.dataset.incidentId, button.dataset.incidentAction);
+        map.closePopup();
+        onChange();
+    });
+}
+
+function openIncidentForm(latLng, onChange) {
+    const nearest = findNearestRoad(trafficData, latLng);
+    const form = document.createElement('form');
+    form.className = 'incident-form';
+    form.innerHTML = `
+        <div class="popup-header">${t('incidents.report')}</div>
+        <div class="popup-subheader">${nearest ? t('incidents.near', { road: escapeHtml(getRoadName(nearest.road)) }) : t('incidents.offRoad')}</div>
+        <label>${t('incidents.type')}
+            <select name="type">
+                ${Object.entries(INCIDENT_TYPES).map(([key, type]) => `<option value="${key}">${t(type.labelKey)}</option>`).join('')}
+            </select>
+        </label>
+        <label>${t('incidents.severity')}
+            <select name="severity">
+                ${Object.entries(INCIDENT_SEVERITIES).map(([key, severity]) => `<option value="${key}">${t(severity.labelKey)}</option>`).join('')}
+            </select>
+        </label>
+        <label>${t('incidents.details')}
+            <input type="text" name="description" maxlength="140" placeholder="${t('incidents.optional')}">
+        </label>
+        <button type="submit">${t('incidents.submit')}</button>
+    `;
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        addIncident({
+            latLng,
+            type: form.elements.type.value,
+            severity: form.elements.severity.value,
+            description: form.elements.description.value.trim()
+        });
+        map.closePopup();
+        onChange();
+    });
+    
+    L.popup().setLatLng(latLng).setContent(form).openOn(map);
+}
+
+function renderIncidentMarkers() {
+    if (!incidentLayer) return;
+    incidentLayer.clearLayers();
+    
+    incidents.forEach(incident => {
+        const type = INCIDENT_TYPES[incident.type] || INCIDENT_TYPES.collision;
+        const color = incident.status === 'open' ? INCIDENT_SEVERITIES[incident.severity].color : '#9CA3AF';
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="incident-marker ${incident.status}" style="background-color: ${color};">
+                    <i class="fas ${type.icon}"></i>
+                  </div>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        });
+        
+        L.marker(incident.latLng, { icon: icon })
+            // Built on opening, so the time since the report stays current
+            .bindPopup(() => createIncidentPopupContent(incident))
+            .addTo(incidentLayer);
+    });
+}
+
+function createIncidentPopupContent(incident) {
+    const type = INCIDENT_TYPES[incident.type] || INCIDENT_TYPES.collision;
+    const severity = INCIDENT_SEVERITIES[incident.severity];
+    const nextStatus = incident.status === 'open' ? 'cleared' : 'open';
+    return `
+        <div class="popup-content">
+            <div class="popup-header"><i class="fas ${type.icon} mr-1"></i> ${t(type.labelKey)}</div>
+            <div class="popup-subheader">${incident.road ? escapeHtml(getRoadName(incident.road)) : t('incidents.unassigned')}</div>
+            <div style="margin-bottom: 5px;">
+                <span style="background-color: ${severity.color}; color: white; padding: 2px 8px; border-radius: 10px; font-size: 12px;">
+                    ${t(severity.labelKey)}
+                </span>
+                <span class="incident-status ${incident.status}">${t(`incidents.status.${incident.status}`)}</span>
+            </div>
+            ${incident.description ? `<p style="margin: 6px 0;">${escapeHtml(incident.description)}</p>` : ''}
+            <div style="font-size: 12px; color: #666;">
+                <i class="fas fa-clock"></i> ${t('incidents.reported', { time: formatIncidentTime(incident.timestamp) })}
+            </div>
+            <button class="incident-action" data-incident-action="${nextStatus}" data-incident-id="${incident.id}">
+                ${t(nextStatus === 'cleared' ? 'incidents.markCleared' : 'incidents.reopen')}
+            </button>
+        </div>
+    `;
+}
+
+function formatIncidentTime(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    const time = formatTime(timestamp);
+    if (minutes < 1) return t('time.justNow', { time });
+    if (minutes < 60) return tn('time.minutesAgo', minutes, { time });
+    if (timestamp >= getStartOfDay()) return t('time.todayAt', { time });
+    return formatDateTime(timestamp, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
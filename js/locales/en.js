@@ -0,0 +1,568 @@
+// English messages, also the fallback for keys missing from other languages.
+// Plural messages have `.one` and `.other` variants, see tn() in js/i18n.js.
+
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES.en = {
+    // Formats
+    'format.percent': '{value}%',
+    'format.speed': '{value} km/h',
+    'format.speedUnit': 'km/h',
+    'format.km': '{value} km',
+    'format.ordinal.one': '{value}st',
+    'format.ordinal.two': '{value}nd',
+    'format.ordinal.few': '{value}rd',
+    'format.ordinal.other': '{value}th',
+    'time.justNow': 'just now ({time})',
+    'time.minutesAgo.one': '{count} min ago ({time})',
+    'time.minutesAgo.other': '{count} min ago ({time})',
+    'time.todayAt': 'today at {time}',
+    'time.minutes.one': '{count} min',
+    'time.minutes.other': '{count} min',
+    'time.hours.one': '{count} h',
+    'time.hours.other': '{count} h',
+
+    // Header
+    'header.documentTitle': 'GeoSense – {region} Traffic & Safety Insights',
+    'header.tagline': 'Real-time Traffic & Safety Intelligence Dashboard',
+    'header.region': 'Region',
+    'header.language': 'Language',
+    'header.feedSource': 'Live data source',
+    'header.lastUpdated': 'Last updated:',
+
+    // KPI cards
+    'kpi.avgCongestion': 'Avg. Congestion',
+    'kpi.accidentsToday': 'Accidents Today',
+    'kpi.avgSpeed': 'Avg. Speed',
+    'kpi.safeRoutes': 'Safe Routes',
+    'kpi.safeRoutesHint': 'Roads with safety grade A',
+    'kpi.slowerThanUsual': 'Slower than usual',
+    'kpi.higherThanUsual': 'Higher than usual',
+    'kpi.lowerThanUsual': 'Lower than usual',
+    'kpi.normalLevels': 'Normal levels',
+    'kpi.score': '(score {score})',
+    'kpi.exerciseCaution': 'Exercise caution',
+    'kpi.safeConditions': 'Safe conditions',
+    'kpi.moderateSafety': 'Moderate safety',
+
+    // Filters
+    'filters.searchPlaceholder': 'Search roads (e.g., MG Road, Lake Pichola Rd)',
+    'filters.hotspots': 'Accident Hotspots',
+    'filters.allRoads': 'All Roads',
+    'filters.levelCongestion': '{level} Congestion',
+    'filters.speed': 'Speed',
+    'filters.min': 'min',
+    'filters.max': 'max',
+    'filters.safety': 'Safety',
+    'filters.anyAccidents': 'Any accidents',
+    'filters.withAccidents': 'With accidents today',
+    'filters.withoutAccidents': 'No accidents today',
+    'filters.zone': 'Zone',
+    'filters.zoneHint': 'Show figures for one zone or the whole city',
+    'filters.drawArea': 'Draw area',
+    'filters.drawAreaHint': 'Click the map to add corners, double-click to finish',
+    'filters.finishArea': 'Finish area',
+    'filters.chip.search': 'Search: “{search}”',
+    'filters.chip.congestion': '{level} congestion',
+    'filters.chip.speed': 'Speed {range}',
+    'filters.chip.grades': 'Grade {grades}',
+    'filters.chip.zone': 'Zone: {zone}',
+    'filters.chip.area': 'Drawn area',
+    'filters.removeFilter': 'Remove filter',
+    'filters.clearAll': 'Clear all',
+    'filters.showing.one': 'Showing {shown} of {count} road',
+    'filters.showing.other': 'Showing {shown} of {count} roads',
+    'filters.showingAll.one': 'Showing the only road',
+    'filters.showingAll.other': 'Showing all {count} roads',
+
+    // Saved views
+    'views.switch': 'Switch to a saved view',
+    'views.saved': 'Saved views…',
+    'views.save': 'Save the current view',
+    'views.delete': 'Delete the selected view',
+    'views.namePrompt': 'Name this view',
+    'views.deleteConfirm': 'Delete the saved view "{name}"?',
+
+    // Data import, export and offline
+    'data.importModeHint': 'How imported roads are combined with the current data',
+    'data.replace': 'Replace dataset',
+    'data.merge': 'Merge by road name',
+    'data.import': 'Import CSV / GeoJSON',
+    'data.exportHint': 'Export the roads matching the current filters',
+    'data.report': 'Report',
+    'data.saveOffline': 'Save map for offline use',
+    'data.saveOfflineHint': 'Download map tiles of {area} for use without a connection',
+    'data.issues': 'Rejected rows and warnings',
+    'data.drop': 'Drop a CSV or GeoJSON file to import',
+    'data.loaded.one': '{count} road loaded from {source}',
+    'data.loaded.other': '{count} roads loaded from {source}',
+    'data.rejected.one': '{count} rejected',
+    'data.rejected.other': '{count} rejected',
+    'data.warnings.one': '{count} warning',
+    'data.warnings.other': '{count} warnings',
+    'data.source.offline': 'the bundled offline copy',
+    'data.row.row': 'Row {number}',
+    'data.row.line': 'Line {number}',
+    'data.row.record': 'Record {number}',
+    'data.row.road': 'Road "{road}"',
+    'data.row.file': 'File',
+    'data.rule.name': '{field} must be a non-empty name',
+    'data.rule.location': '{field} must be [lat, lng] inside {region}',
+    'data.rule.percent': '{field} must be a number from 0 to 100',
+    'data.rule.count': '{field} must be a non-negative whole number',
+    'data.rule.nonNegative': '{field} must be a non-negative number',
+    'data.rule.id': '{field} must be a non-empty id',
+    'data.rule.lineString': '{field} must be a LineString inside {region}',
+    'data.error.notList': 'expected a list of road records',
+    'data.error.notRecord': 'is not a record',
+    'data.error.duplicate': 'road "{road}" appears more than once',
+    'data.error.unreadable': 'could not be read ({error})',
+    'data.error.segmentSkipped': '{reason}; segment skipped',
+    'data.error.duplicateSegment': 'segment id "{id}" appears more than once',
+    'data.error.zeroLength': '{field} has no length; it needs two different points',
+    'offline.sampleData': 'showing the sample data bundled with the app',
+    'offline.dataFrom': 'data from {time}',
+    'offline.lastData': 'showing the last data received',
+    'offline.offline': 'Offline, {message}',
+    'offline.reconnected': 'Reconnected, {message}',
+    'offline.unreachable': 'Could not get fresh data from the server, {message}',
+    'offline.unsupported': 'Offline maps need a browser with Cache Storage',
+    'offline.saving': 'Saving map tiles… {done}/{count}',
+    'offline.partial': 'Saved {saved} of {total} map tiles; try again to fetch the rest',
+    'offline.saved.one': 'Map of {area} saved for offline use ({count} tile)',
+    'offline.saved.other': 'Map of {area} saved for offline use ({count} tiles)',
+    'offline.failed': 'Could not save the map for offline use',
+
+    // Forecast
+    'forecast.hint': 'Show current or forecast congestion',
+    'forecast.now': 'Now',
+    'forecast.30': '+30 min',
+    'forecast.60': '+1 h',
+    'forecast.notScored': '{label}: not scored yet',
+    'forecast.scored': '{label}: ±{mae} pts (no-change ±{naive}, n={count})',
+    'forecast.accuracy': 'Forecast error, mean absolute congestion: {parts}',
+
+    // Zones
+    'zones.layerHint': 'Colour zones by a metric',
+    'zones.none': 'No zones',
+    'zones.congestion': 'Zones: congestion',
+    'zones.speed': 'Zones: speed',
+    'zones.incidents': 'Zones: incidents',
+    'zones.metric.congestion': 'Avg. congestion',
+    'zones.metric.averageSpeed': 'Avg. speed',
+    'zones.metric.incidentRate': 'Incidents per day',
+    'zones.roads.one': '{count} road',
+    'zones.roads.other': '{count} roads',
+    'zones.cityWide': 'City-wide',
+    'zones.unnamed': 'Zone {number}',
+
+    // Map
+    'map.incidents': 'Incidents',
+    'map.events': 'Events',
+    'map.reportIncident': 'Report incident',
+    'map.reportIncidentHint': 'Click, then click the map where it happened',
+
+    // History timeline
+    'timeline.play': 'Play / pause history',
+    'timeline.events': 'Planned events in the recorded history',
+    'timeline.jump': 'Jump to a moment',
+    'timeline.live': 'Live',
+    'timeline.noData': 'No data recorded before that time',
+    'timeline.snapshots.one': '{count} snapshot stored',
+    'timeline.snapshots.other': '{count} snapshots stored',
+
+    // Congestion levels
+    'levels.hint': 'Congestion levels and colours',
+    'levels.button': 'Levels',
+    'levels.scale': 'Levels',
+    'levels.scale.three': '3 levels',
+    'levels.scale.five': '5 levels',
+    'levels.palette': 'Colours',
+    'levels.palette.classic': 'Green–red',
+    'levels.palette.colorblind': 'Colour-blind safe',
+    'levels.thresholdsHint': 'Congestion % where each level ends',
+    'levels.reset': 'Reset thresholds',
+    'levels.low': 'Low',
+    'levels.medium': 'Medium',
+    'levels.high': 'High',
+    'levels.free': 'Free-flow',
+    'levels.light': 'Light',
+    'levels.moderate': 'Moderate',
+    'levels.heavy': 'Heavy',
+    'levels.gridlock': 'Gridlock',
+    'levels.errorCount': 'Enter {count} thresholds',
+    'levels.errorRange': 'Thresholds must be between 1 and 99%',
+    'levels.errorOrder': 'Each threshold must be higher than the one before',
+
+    // Road popups
+    'popup.expected': 'Expected',
+    'popup.congestion': 'Congestion',
+    'popup.accidents': 'Accidents',
+    'popup.level': 'Level',
+    'popup.safety': 'Safety {score}',
+    'popup.segment': 'Segment {index} of {count} · {length} km',
+    'popup.roadAverage': 'Road Avg.',
+    'popup.roadSafety': 'Road Safety {score}',
+    'popup.details': 'Details & history',
+    'popup.forecastFor': 'Forecast for {time} (+{horizon} min) · now {congestion}, {speed}',
+    'popup.unknownTime': 'unknown',
+    'popup.recorded': 'Recorded: {time}',
+    'popup.lastUpdated': 'Last updated: {time}',
+
+    // Charts
+    'charts.congestion': 'Congestion Distribution',
+    'charts.peakHours': 'Peak Traffic Hours',
+    'charts.speedTrend': 'Average Speed Trends',
+    'charts.safety': 'Road Safety Index',
+    'charts.roadHint': 'Show one road or the whole city',
+    'charts.wholeCity': 'Whole city',
+    'charts.download': 'Download as PNG',
+    'charts.congestionAxis': 'Congestion %',
+    'charts.averageSpeed': 'Average Speed (km/h)',
+    'charts.speedAxis': 'Speed (km/h)',
+    'charts.safetyScore': 'Safety score',
+    'charts.noObservations': 'No observations recorded yet',
+    'charts.observations.one': 'Based on {count} observation since {since}',
+    'charts.observations.other': 'Based on {count} observations since {since}',
+    'charts.filteredRoads.one': '{count} filtered road',
+    'charts.filteredRoads.other': '{count} filtered roads',
+
+    // Accident list and hotspots
+    'hotspots.title': 'Accident Hotspots',
+    'hotspots.zones': 'Hotspot zones',
+    'hotspots.byRoad': 'Accidents today by road',
+    'hotspots.noAccidents': 'No accident zones reported today',
+    'hotspots.lastAccident': 'Last accident: {time} · {severity}',
+    'hotspots.lastAccidentUnknown': 'Last accident: time and location unknown',
+    'hotspots.unrecorded.one': '{count} more with time and location unknown',
+    'hotspots.unrecorded.other': '{count} more with time and location unknown',
+    'hotspots.openIncidents.one': '{count} open incident',
+    'hotspots.openIncidents.other': '{count} open incidents',
+    'hotspots.incidents': 'Incidents',
+    'hotspots.severityScore': 'Severity score',
+    'hotspots.perDay': 'Incidents per day, last {days} days',
+    'hotspots.whyFlagged': 'Why it is flagged',
+    'hotspots.none': 'No hotspot zones in the last {days} days',
+    'hotspots.summary.one': '{count} incident · score {score}',
+    'hotspots.summary.other': '{count} incidents · score {score}',
+    'hotspots.trend': 'Trend vs previous {days} days',
+    'hotspots.reason.cluster.one': '{count} incident within {radius} m in the last {days} days (a zone needs {min} within {eps} m of each other)',
+    'hotspots.reason.cluster.other': '{count} incidents within {radius} m in the last {days} days (a zone needs {min} within {eps} m of each other)',
+    'hotspots.reason.collisions.one': '{count} of them a collision',
+    'hotspots.reason.collisions.other': '{count} of them collisions',
+    'hotspots.reason.reported.one': '{count} of them with time and location unknown, shown at its road',
+    'hotspots.reason.reported.other': '{count} of them with time and location unknown, shown at their roads',
+    'hotspots.reason.severe.one': '{count} severe',
+    'hotspots.reason.severe.other': '{count} severe',
+    'hotspots.reason.open.one': '{count} still open',
+    'hotspots.reason.open.other': '{count} still open',
+    'hotspots.reason.rising': 'rising: up from {previous} in the previous {days} days',
+    'hotspots.reason.falling': 'falling: down from {previous} in the previous {days} days',
+
+    // Route planner and safe routes
+    'route.title': 'Route Planner',
+    'route.origin': 'Origin road',
+    'route.pickOrigin': 'Pick origin on map',
+    'route.destination': 'Destination road',
+    'route.pickDestination': 'Pick destination on map',
+    'route.plan': 'Plan',
+    'route.clear': 'Clear route',
+    'route.click.origin': 'Click on the map to set the origin',
+    'route.click.destination': 'Click on the map to set the destination',
+    'route.mapPoint': 'Map point ({lat}, {lng})',
+    'route.ready': 'Ready to plan',
+    'route.chooseOrigin': 'Choose an origin',
+    'route.chooseDestination': 'Choose a destination',
+    'route.chooseBoth': 'Choose both an origin and a destination',
+    'route.profile.fastest': 'Fastest',
+    'route.profile.leastCongested': 'Least Congested',
+    'route.profile.safest': 'Safest',
+    'route.routeTitle': '{profile} route',
+    'route.originLabel': 'Origin: {label}',
+    'route.destinationLabel': 'Destination: {label}',
+    'route.noRoute': 'No route found between these points.',
+    'route.safetyScore': 'Safety score {score}/100',
+    'safeRoutes.title': 'Recommended Safe Routes',
+    'safeRoutes.safe': 'Safe · score {score}',
+    'safeRoutes.planRoute': 'Plan a route here',
+
+    // Safety scores
+    'safety.scoring': 'Scoring',
+    'safety.resetWeights': 'Reset weights',
+    'safety.band.a': 'Safe: low risk on every factor.',
+    'safety.band.b': 'Mostly safe: one factor adds some risk.',
+    'safety.band.c': 'Elevated risk: take care.',
+    'safety.band.d': 'High risk: avoid if you can.',
+    'safety.bandBelow': '{grade} below {min}',
+    'safety.factor.accidents': 'Accident frequency',
+    'safety.factor.accidentsHint': 'Accidents today, at full risk from {cap}',
+    'safety.factor.severity': 'Incident severity',
+    'safety.factor.severityHint': 'Open incidents on the road, weighted by severity; one severe incident is full risk',
+    'safety.factor.congestion': 'Congestion',
+    'safety.factor.congestionHint': 'Share of capacity in use',
+    'safety.factor.speed': 'Speed',
+    'safety.factor.speedHint': 'Average speed above {from}, at full risk from {to}',
+    'safety.factor.timeOfDay': 'Time of day',
+    'safety.factor.timeOfDayHint': 'Night (22:00–05:00) is full risk, dawn and evening half',
+    'safety.accidentsToday.one': '{count} today',
+    'safety.accidentsToday.other': '{count} today',
+    'safety.noneOpen': 'None open',
+    'safety.summaryNoRisk': 'Score {score}/100: no factor adds risk.',
+    'safety.summary': 'Score {score}/100: loses {losses}.',
+    'safety.pointsLost.one': '{count} point to {factor}',
+    'safety.pointsLost.other': '{count} points to {factor}',
+    'safety.and': ' and ',
+    'safety.share': '{share} of the score',
+
+    // Incidents
+    'incidents.report': 'Report incident',
+    'incidents.near': 'Near {road}',
+    'incidents.offRoad': 'Not on a known road',
+    'incidents.type': 'Type',
+    'incidents.severity': 'Severity',
+    'incidents.details': 'Details',
+    'incidents.optional': 'Optional',
+    'incidents.submit': 'Submit report',
+    'incidents.unassigned': 'Unassigned location',
+    'incidents.status.open': 'Open',
+    'incidents.status.cleared': 'Cleared',
+    'incidents.reported': 'Reported {time}',
+    'incidents.markCleared': 'Mark as cleared',
+    'incidents.reopen': 'Reopen',
+    'incidents.type.collision': 'Collision',
+    'incidents.type.breakdown': 'Breakdown',
+    'incidents.type.waterlogging': 'Waterlogging',
+    'incidents.type.roadwork': 'Road work',
+    'incidents.type.vip': 'VIP movement',
+    'incidents.severity.minor': 'Minor',
+    'incidents.severity.moderate': 'Moderate',
+    'incidents.severity.severe': 'Severe',
+
+    // Events calendar
+    'events.title': 'Events Calendar',
+    'events.intro': 'Festivals, weddings, tourist peaks and school hours near a road add to its expected congestion and forecasts',
+    'events.add': 'Add event',
+    'events.addHint': 'Click, then click the map where the event takes place',
+    'events.plan': 'Plan event',
+    'events.name': 'Name',
+    'events.namePlaceholder': 'e.g. Gangaur procession',
+    'events.expectedImpact': 'Expected impact',
+    'events.radius': 'Radius (km)',
+    'events.starts': 'Starts',
+    'events.ends': 'Ends',
+    'events.repeats': 'Repeats',
+    'events.repeatUntil': 'Repeat until',
+    'events.type.festival': 'Festival',
+    'events.type.wedding': 'Wedding',
+    'events.type.tourism': 'Tourist peak',
+    'events.type.school': 'School hours',
+    'events.type.other': 'Other',
+    'events.impact.low': 'Low',
+    'events.impact.medium': 'Medium',
+    'events.impact.high': 'High',
+    'events.repeat.none': 'Once',
+    'events.repeat.daily': 'Every day',
+    'events.repeat.weekdays': 'Weekdays',
+    'events.error.name': 'Give the event a name',
+    'events.error.times': 'Set a start and an end time',
+    'events.error.order': 'The end must be after the start',
+    'events.error.repeatLength': 'Repeating events can last at most a day',
+    'events.error.until': 'Repeat until must be after the start',
+    'events.error.radius': 'The radius must be above 0 km',
+    'events.from': 'from {date}',
+    'events.until': 'until {date}',
+    'events.startsIn': '{name} starts in {time}',
+    'events.impactNow': '{name}: about +{congestion} congestion expected',
+    'events.impactLabel': '{impact} impact',
+    'events.radiusLabel': '{radius} km radius',
+    'events.expected': 'Expected while it runs: {roads}',
+    'events.noRoads': 'No known roads within reach',
+    'events.delete': 'Delete event',
+    'events.locate': 'Show on map',
+    'events.empty': 'No events planned. Use "Add event" and click the map where it takes place.',
+    'events.status.running': 'Running',
+    'events.status.soon': 'Soon',
+    'events.status.past': 'Past',
+    'events.next': 'next {window}',
+    'events.affected.one': '{count} road affected, up to +{congestion} on {road}',
+    'events.affected.other': '{count} roads affected, up to +{congestion} on {road}',
+
+    // Data health
+    'health.title': 'Data Health',
+    'health.waiting': 'Waiting for readings…',
+    'health.exclude': 'Exclude flagged values from KPIs',
+    'health.excludeHint': 'Leave suspicious congestion and speed values out of the averages at the top',
+    'health.allNormal.one': 'The only road is reporting normally',
+    'health.allNormal.other': 'All {count} roads reporting normally',
+    'health.summary.one': '{suspicious} suspicious and {stale} stale of {count} road',
+    'health.summary.other': '{suspicious} suspicious and {stale} stale of {count} roads',
+    'health.excluded.one': '{count} flagged value left out of the KPIs',
+    'health.excluded.other': '{count} flagged values left out of the KPIs',
+    'health.noReading.one': 'No reading for {count} min',
+    'health.noReading.other': 'No reading for {count} min',
+    'health.details': 'Details',
+    'anomalies.metric.congestion': 'Congestion',
+    'anomalies.metric.averageSpeed': 'Speed',
+    'anomalies.dropped': '{metric} dropped to {value} (usually {usual})',
+    'anomalies.jumped': '{metric} jumped to {value} (usually {usual})',
+    'anomalies.stuck': 'Same reading {count} times in a row',
+    'anomalies.fastDespiteCongestion': '{speed} despite {congestion} congestion',
+    'anomalies.slowWithoutCongestion': '{speed} with only {congestion} congestion',
+    'anomalies.suspectReading': 'Suspect reading: {flags}',
+    'anomalies.suspect': 'Suspect',
+
+    // Alerts
+    'alerts.title': 'Alerts',
+    'alerts.when': 'When',
+    'alerts.aRoad': 'a road',
+    'alerts.theCity': 'the city',
+    'alerts.incidentNear': 'new incident near',
+    'alerts.road': 'Road',
+    'alerts.metric': 'Metric',
+    'alerts.metricCongestion': 'Congestion (%)',
+    'alerts.metricSpeed': 'Average speed (km/h)',
+    'alerts.metricAccidents': 'Accidents today',
+    'alerts.is': 'Is',
+    'alerts.above': 'above',
+    'alerts.below': 'below',
+    'alerts.value': 'Value',
+    'alerts.duration': 'For (min)',
+    'alerts.radius': 'Within (km)',
+    'alerts.type': 'Type',
+    'alerts.collisionsOnly': 'Accidents only',
+    'alerts.anyIncident': 'Any incident',
+    'alerts.addRule': 'Add rule',
+    'alerts.rules': 'Rules',
+    'alerts.history': 'History',
+    'alerts.metricName.congestion': 'congestion',
+    'alerts.metricName.averageSpeed': 'speed',
+    'alerts.metricName.accidents': 'accidents today',
+    'alerts.rule.accident': 'Any new accident within {radius} km of {road}',
+    'alerts.rule.incident': 'Any new incident within {radius} km of {road}',
+    'alerts.rule.city': 'City',
+    'alerts.rule.cityAverage': 'City average',
+    'alerts.rule.duration.one': 'for {count} minute',
+    'alerts.rule.duration.other': 'for {count} minutes',
+    'alerts.incidentReported': '{type} ({severity}) reported {distance} km from {road}',
+    'alerts.triggered': '{rule} — now {value}',
+    'alerts.notificationTitle': 'GeoSense alert',
+    'alerts.snooze': 'Snooze 30 min',
+    'alerts.acknowledge': 'Acknowledge',
+    'alerts.notifications.granted': 'Browser notifications on',
+    'alerts.notifications.denied': 'Browser notifications blocked',
+    'alerts.notifications.unsupported': 'Browser notifications unavailable',
+    'alerts.notifications.default': 'Enable browser notifications',
+    'alerts.noRules': 'No rules yet',
+    'alerts.snoozedUntil': '(snoozed until {time})',
+    'alerts.pause': 'Pause',
+    'alerts.resume': 'Resume',
+    'alerts.deleteRule': 'Delete rule',
+    'alerts.noAlerts': 'No alerts yet',
+
+    // Live feeds
+    'feeds.simulator': 'Simulator',
+    'feeds.websocket': 'WebSocket',
+    'feeds.sse': 'Server-Sent Events',
+    'feeds.polling': 'REST polling',
+    'feeds.feed': '{label} feed',
+    'feeds.status.connecting': 'Connecting…',
+    'feeds.status.connected': 'Live',
+    'feeds.status.stale': 'Stale',
+    'feeds.status.offline': 'Offline',
+    'feeds.status.retrying': 'Offline · retry in {seconds}s',
+
+    // Road drawer
+    'drawer.close': 'Close',
+    'drawer.range.day': 'Today',
+    'drawer.range.week': '7 days',
+    'drawer.notEnoughHistory': 'Not enough history yet',
+    'drawer.sparklineChange': '{change} pts in 2 h',
+    'drawer.compareRoads': 'Compare roads',
+    'drawer.recorded': 'Recorded {time}',
+    'drawer.forecast': 'Forecast +{horizon} min',
+    'drawer.congestionHistory': 'Congestion history',
+    'drawer.history': 'Congestion & speed history',
+    'drawer.compare': 'Compare',
+    'drawer.removeRoad': 'Remove from comparison',
+    'drawer.addRoad': 'Add a road to compare…',
+    'drawer.maxRoads': 'Up to {count} roads can be compared',
+    'drawer.grade': 'Grade · {score}',
+    'drawer.rank.safety': '{rank} safest of {total}',
+    'drawer.rank.congestion': '{rank} most congested',
+    'drawer.rank.speed': '{rank} fastest',
+    'drawer.averageSpeed': 'Average speed',
+    'drawer.heldBackBy': 'Held back by',
+    'drawer.safetyRank': 'Safety rank',
+    'drawer.rankOf': '{rank} of {total}',
+    'drawer.openIncidents': 'Open incidents',
+    'drawer.whyGrade': 'Why grade {grade}',
+    'drawer.noIncidents': 'No incidents recorded on this road',
+    'drawer.noHistory': 'No recorded history for this period yet',
+    'drawer.fiveMinuteAverages': '5-minute averages of recorded updates',
+    'drawer.hourlyAverages': 'Hourly averages of recorded updates',
+
+    // Road table
+    'table.title': 'Roads',
+    'table.caption': 'Filtered roads with their congestion, speed, accidents and safety grade. Column headers sort the table.',
+    'table.road': 'Road',
+    'table.congestion': 'Congestion',
+    'table.speed': 'Speed',
+    'table.accidents': 'Accidents',
+    'table.safety': 'Safety',
+    'table.actions': 'Actions',
+    'table.showOnMap': 'Show on the map',
+    'table.grade': '{grade} · {score}',
+    'table.detailsFor': 'Details for {road}',
+    'table.empty': 'No roads match the filters',
+
+    // Accessibility
+    'a11y.skipToTable': 'Skip to the road table',
+    'a11y.mapLabel': 'Traffic map. Tab to a road, use the arrow keys to move between roads and Enter to open its details.',
+    'a11y.roadLabel': '{road}: {congestion} congestion, {level}; average speed {speed}; {accidents}; safety grade {grade}',
+    'a11y.accidents.one': '{count} accident today',
+    'a11y.accidents.other': '{count} accidents today',
+    'a11y.more.one': 'and {count} more',
+    'a11y.more.other': 'and {count} more',
+    'a11y.liveUpdate': 'Live update. {changes}',
+    'a11y.levelChanges.one': 'Congestion level changed on {count} road: {roads}.',
+    'a11y.levelChanges.other': 'Congestion level changed on {count} roads: {roads}.',
+    'a11y.levelChange': '{road} now {level} at {congestion}',
+    'a11y.newAccidents.one': '{count} new accident on {roads}.',
+    'a11y.newAccidents.other': '{count} new accidents on {roads}.',
+    'a11y.averageRose': 'Average congestion rose to {value}.',
+    'a11y.averageFell': 'Average congestion fell to {value}.',
+    'a11y.chart.levelCount': '{count} {level}',
+    'a11y.chart.distribution.one': '{count} road by congestion level: {parts}.',
+    'a11y.chart.distribution.other': '{count} roads by congestion level: {parts}.',
+    'a11y.chart.segmentDistribution.one': '{road}, {count} stretch by congestion level: {parts}.',
+    'a11y.chart.segmentDistribution.other': '{road}, {count} stretches by congestion level: {parts}.',
+    'a11y.chart.peakHours': 'busiest at {busiest} ({busiestValue}), quietest at {quietest} ({quietestValue}).',
+    'a11y.chart.onlyPoint': 'only {label} recorded so far ({value}).',
+    'a11y.chart.speedTrend': 'fastest on {fastest} ({fastestValue}), slowest on {slowest} ({slowestValue}).',
+    'a11y.chart.safety.one': 'Safety score of {count} road: safest {safest} ({safestScore}), least safe {riskiest} ({riskiestScore}); {safe} graded {grade}.',
+    'a11y.chart.safety.other': 'Safety scores of {count} roads: safest {safest} ({safestScore}), least safe {riskiest} ({riskiestScore}); {safe} graded {grade}.',
+    'a11y.chart.noRoads': 'No roads match the filters',
+
+    // Printed report
+    'report.title': '{title} — Traffic & Safety Report',
+    'report.generated': 'Generated {time}',
+    'report.dataAsOf': 'data as of {time}',
+    'report.forecast': 'forecast +{horizon} min',
+    'report.filters': 'Filters: {filters}',
+    'report.roads.one': '{count} road',
+    'report.roads.other': '{count} roads',
+    'report.mapAlt': 'Map of the reported roads',
+    'report.accidentList': 'Accident list',
+    'report.road': 'Road',
+    'report.lastAccident': 'Last accident',
+    'report.open': 'Open',
+    'report.speed': 'Speed',
+    'report.noSafeRoutes': 'No road currently meets the safe criteria',
+    'report.source': 'Source: {source} · Map data © OpenStreetMap contributors',
+
+    // Footer
+    'footer.tagline': 'Smart Traffic & Safety Intelligence',
+    'footer.simulated': 'Data is simulated for demonstration purposes',
+    'footer.source': 'Source:',
+    'footer.lastSync': 'Last sync:',
+    'footer.copyright': '© 2024 GeoSense Project. All data is mock/simulated. Powered by Leaflet & Chart.js'
+};
@@ -0,0 +1,569 @@
+// Hindi messages. Missing keys fall back to English.
+// Hindi plurals use `.one` (0 and 1) and `.other`.
+
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES.hi = {
+    // Formats
+    'format.percent': '{value}%',
+    'format.speed': '{value} किमी/घं',
+    'format.speedUnit': 'किमी/घं',
+    'format.km': '{value} किमी',
+    'format.ordinal.one': '{value}ला',
+    'format.ordinal.two': '{value}रा',
+    'format.ordinal.few': '{value}था',
+    'format.ordinal.many': '{value}ठा',
+    'format.ordinal.other': '{value}वाँ',
+    'time.justNow': 'अभी ({time})',
+    'time.minutesAgo.one': '{count} मिनट पहले ({time})',
+    'time.minutesAgo.other': '{count} मिनट पहले ({time})',
+    'time.todayAt': 'आज {time} बजे',
+    'time.minutes.one': '{count} मिनट',
+    'time.minutes.other': '{count} मिनट',
+    'time.hours.one': '{count} घंटा',
+    'time.hours.other': '{count} घंटे',
+
+    // Header
+    'header.documentTitle': 'जियोसेंस – {region} ट्रैफ़िक और सुरक्षा जानकारी',
+    'header.tagline': 'रीयल-टाइम ट्रैफ़िक और सुरक्षा डैशबोर्ड',
+    'header.region': 'क्षेत्र',
+    'header.language': 'भाषा',
+    'header.feedSource': 'लाइव डेटा स्रोत',
+    'header.lastUpdated': 'अंतिम अपडेट:',
+
+    // KPI cards
+    'kpi.avgCongestion': 'औसत भीड़',
+    'kpi.accidentsToday': 'आज की दुर्घटनाएँ',
+    'kpi.avgSpeed': 'औसत गति',
+    'kpi.safeRoutes': 'सुरक्षित मार्ग',
+    'kpi.safeRoutesHint': 'सुरक्षा ग्रेड A वाली सड़कें',
+    'kpi.slowerThanUsual': 'सामान्य से धीमा',
+    'kpi.higherThanUsual': 'सामान्य से अधिक',
+    'kpi.lowerThanUsual': 'सामान्य से कम',
+    'kpi.normalLevels': 'सामान्य स्तर',
+    'kpi.score': '(स्कोर {score})',
+    'kpi.exerciseCaution': 'सावधानी बरतें',
+    'kpi.safeConditions': 'सुरक्षित स्थिति',
+    'kpi.moderateSafety': 'मध्यम सुरक्षा',
+
+    // Filters
+    'filters.searchPlaceholder': 'सड़क खोजें (जैसे MG Road, Lake Pichola Rd)',
+    'filters.hotspots': 'दुर्घटना हॉटस्पॉट',
+    'filters.allRoads': 'सभी सड़कें',
+    'filters.levelCongestion': '{level} भीड़',
+    'filters.speed': 'गति',
+    'filters.min': 'न्यूनतम',
+    'filters.max': 'अधिकतम',
+    'filters.safety': 'सुरक्षा',
+    'filters.anyAccidents': 'कोई भी दुर्घटना',
+    'filters.withAccidents': 'आज दुर्घटना वाली',
+    'filters.withoutAccidents': 'आज कोई दुर्घटना नहीं',
+    'filters.zone': 'ज़ोन',
+    'filters.zoneHint': 'एक ज़ोन या पूरे शहर के आँकड़े दिखाएँ',
+    'filters.drawArea': 'क्षेत्र बनाएँ',
+    'filters.drawAreaHint': 'कोने जोड़ने के लिए मानचित्र पर क्लिक करें, पूरा करने के लिए डबल-क्लिक करें',
+    'filters.finishArea': 'क्षेत्र पूरा करें',
+    'filters.chip.search': 'खोज: “{search}”',
+    'filters.chip.congestion': '{level} भीड़',
+    'filters.chip.speed': 'गति {range}',
+    'filters.chip.grades': 'ग्रेड {grades}',
+    'filters.chip.zone': 'ज़ोन: {zone}',
+    'filters.chip.area': 'बनाया गया क्षेत्र',
+    'filters.removeFilter': 'फ़िल्टर हटाएँ',
+    'filters.clearAll': 'सब हटाएँ',
+    'filters.showing.one': '{count} में से {shown} सड़क दिखाई जा रही है',
+    'filters.showing.other': '{count} में से {shown} सड़कें दिखाई जा रही हैं',
+    'filters.showingAll.one': 'एकमात्र सड़क दिखाई जा रही है',
+    'filters.showingAll.other': 'सभी {count} सड़कें दिखाई जा रही हैं',
+
+    // Saved views
+    'views.switch': 'सहेजे गए दृश्य पर जाएँ',
+    'views.saved': 'सहेजे गए दृश्य…',
+    'views.save': 'मौजूदा दृश्य सहेजें',
+    'views.delete': 'चुना गया दृश्य हटाएँ',
+    'views.namePrompt': 'इस दृश्य का नाम',
+    'views.deleteConfirm': 'सहेजा गया दृश्य "{name}" हटाएँ?',
+
+    // Data import, export and offline
+    'data.importModeHint': 'आयात की गई सड़कें मौजूदा डेटा के साथ कैसे जोड़ी जाएँ',
+    'data.replace': 'डेटासेट बदलें',
+    'data.merge': 'सड़क के नाम से मिलाएँ',
+    'data.import': 'CSV / GeoJSON आयात करें',
+    'data.exportHint': 'मौजूदा फ़िल्टर से मेल खाने वाली सड़कें निर्यात करें',
+    'data.report': 'रिपोर्ट',
+    'data.saveOffline': 'ऑफ़लाइन उपयोग के लिए मानचित्र सहेजें',
+    'data.saveOfflineHint': 'बिना कनेक्शन के उपयोग के लिए {area} की मानचित्र टाइलें डाउनलोड करें',
+    'data.issues': 'अस्वीकृत पंक्तियाँ और चेतावनियाँ',
+    'data.drop': 'आयात करने के लिए CSV या GeoJSON फ़ाइल यहाँ छोड़ें',
+    'data.loaded.one': '{source} से {count} सड़क लोड हुई',
+    'data.loaded.other': '{source} से {count} सड़कें लोड हुईं',
+    'data.rejected.one': '{count} अस्वीकृत',
+    'data.rejected.other': '{count} अस्वीकृत',
+    'data.warnings.one': '{count} चेतावनी',
+    'data.warnings.other': '{count} चेतावनियाँ',
+    'data.source.offline': 'साथ आई ऑफ़लाइन प्रति',
+    'data.row.row': 'पंक्ति {number}',
+    'data.row.line': 'लाइन {number}',
+    'data.row.record': 'रिकॉर्ड {number}',
+    'data.row.road': 'सड़क "{road}"',
+    'data.row.file': 'फ़ाइल',
+    'data.rule.name': '{field} एक नाम होना चाहिए, खाली नहीं',
+    'data.rule.location': '{field} {region} के भीतर [lat, lng] होना चाहिए',
+    'data.rule.percent': '{field} 0 से 100 तक की संख्या होनी चाहिए',
+    'data.rule.count': '{field} शून्य या उससे बड़ी पूर्ण संख्या होनी चाहिए',
+    'data.rule.nonNegative': '{field} शून्य या उससे बड़ी संख्या होनी चाहिए',
+    'data.rule.id': '{field} एक आईडी होनी चाहिए, खाली नहीं',
+    'data.rule.lineString': '{field} {region} के भीतर LineString होना चाहिए',
+    'data.error.notList': 'सड़क रिकॉर्ड की सूची अपेक्षित थी',
+    'data.error.notRecord': 'रिकॉर्ड नहीं है',
+    'data.error.duplicate': 'सड़क "{road}" एक से अधिक बार आई है',
+    'data.error.unreadable': 'पढ़ी नहीं जा सकी ({error})',
+    'data.error.segmentSkipped': '{reason}; खंड छोड़ा गया',
+    'data.error.duplicateSegment': 'खंड आईडी "{id}" एक से अधिक बार आई है',
+    'data.error.zeroLength': '{field} की कोई लंबाई नहीं है; दो अलग बिंदु चाहिए',
+    'offline.sampleData': 'ऐप के साथ आया नमूना डेटा दिखाया जा रहा है',
+    'offline.dataFrom': '{time} का डेटा',
+    'offline.lastData': 'अंतिम प्राप्त डेटा दिखाया जा रहा है',
+    'offline.offline': 'ऑफ़लाइन, {message}',
+    'offline.reconnected': 'फिर से जुड़ गया, {message}',
+    'offline.unreachable': 'सर्वर से नया डेटा नहीं मिल सका, {message}',
+    'offline.unsupported': 'ऑफ़लाइन मानचित्र के लिए Cache Storage वाला ब्राउज़र चाहिए',
+    'offline.saving': 'मानचित्र टाइलें सहेजी जा रही हैं… {done}/{count}',
+    'offline.partial': '{total} में से {saved} मानचित्र टाइलें सहेजी गईं; बाकी के लिए फिर से प्रयास करें',
+    'offline.saved.one': '{area} का मानचित्र ऑफ़लाइन उपयोग के लिए सहेजा गया ({count} टाइल)',
+    'offline.saved.other': '{area} का मानचित्र ऑफ़लाइन उपयोग के लिए सहेजा गया ({count} टाइलें)',
+    'offline.failed': 'मानचित्र ऑफ़लाइन उपयोग के लिए सहेजा नहीं जा सका',
+
+    // Forecast
+    'forecast.hint': 'मौजूदा या पूर्वानुमानित भीड़ दिखाएँ',
+    'forecast.now': 'अभी',
+    'forecast.30': '+30 मिनट',
+    'forecast.60': '+1 घंटा',
+    'forecast.notScored': '{label}: अभी आकलन नहीं हुआ',
+    'forecast.scored': '{label}: ±{mae} अंक (बिना बदलाव ±{naive}, n={count})',
+    'forecast.accuracy': 'पूर्वानुमान त्रुटि, औसत निरपेक्ष भीड़: {parts}',
+
+    // Zones
+    'zones.layerHint': 'ज़ोन को किसी माप से रंगें',
+    'zones.none': 'कोई ज़ोन नहीं',
+    'zones.congestion': 'ज़ोन: भीड़',
+    'zones.speed': 'ज़ोन: गति',
+    'zones.incidents': 'ज़ोन: घटनाएँ',
+    'zones.metric.congestion': 'औसत भीड़',
+    'zones.metric.averageSpeed': 'औसत गति',
+    'zones.metric.incidentRate': 'प्रति दिन घटनाएँ',
+    'zones.roads.one': '{count} सड़क',
+    'zones.roads.other': '{count} सड़कें',
+    'zones.cityWide': 'पूरा शहर',
+    'zones.unnamed': 'ज़ोन {number}',
+
+    // Map
+    'map.incidents': 'घटनाएँ',
+    'map.events': 'कार्यक्रम',
+    'map.reportIncident': 'घटना की सूचना दें',
+    'map.reportIncidentHint': 'क्लिक करें, फिर मानचित्र पर वहाँ क्लिक करें जहाँ यह हुई',
+
+    // History timeline
+    'timeline.play': 'इतिहास चलाएँ / रोकें',
+    'timeline.events': 'दर्ज इतिहास में नियोजित कार्यक्रम',
+    'timeline.jump': 'किसी समय पर जाएँ',
+    'timeline.live': 'लाइव',
+    'timeline.noData': 'उस समय से पहले का कोई डेटा दर्ज नहीं है',
+    'timeline.snapshots.one': '{count} स्नैपशॉट सहेजा गया',
+    'timeline.snapshots.other': '{count} स्नैपशॉट सहेजे गए',
+
+    // Congestion levels
+    'levels.hint': 'भीड़ के स्तर और रंग',
+    'levels.button': 'स्तर',
+    'levels.scale': 'स्तर',
+    'levels.scale.three': '3 स्तर',
+    'levels.scale.five': '5 स्तर',
+    'levels.palette': 'रंग',
+    'levels.palette.classic': 'हरा–लाल',
+    'levels.palette.colorblind': 'रंग-अंधता के अनुकूल',
+    'levels.thresholdsHint': 'भीड़ % जहाँ हर स्तर समाप्त होता है',
+    'levels.reset': 'सीमाएँ रीसेट करें',
+    'levels.low': 'कम',
+    'levels.medium': 'मध्यम',
+    'levels.high': 'अधिक',
+    'levels.free': 'मुक्त प्रवाह',
+    'levels.light': 'हल्की',
+    'levels.moderate': 'मध्यम',
+    'levels.heavy': 'भारी',
+    'levels.gridlock': 'जाम',
+    'levels.errorCount': '{count} सीमाएँ दर्ज करें',
+    'levels.errorRange': 'सीमाएँ 1 और 99% के बीच होनी चाहिए',
+    'levels.errorOrder': 'हर सीमा पिछली सीमा से अधिक होनी चाहिए',
+
+    // Road popups
+    'popup.expected': 'अपेक्षित',
+    'popup.congestion': 'भीड़',
+    'popup.accidents': 'दुर्घटनाएँ',
+    'popup.level': 'स्तर',
+    'popup.safety': 'सुरक्षा {score}',
+    'popup.segment': '{count} में से खंड {index} · {length} किमी',
+    'popup.roadAverage': 'सड़क औसत',
+    'popup.roadSafety': 'सड़क सुरक्षा {score}',
+    'popup.details': 'विवरण और इतिहास',
+    'popup.forecastFor': '{time} का पूर्वानुमान (+{horizon} मिनट) · अभी {congestion}, {speed}',
+    'popup.unknownTime': 'अज्ञात',
+    'popup.recorded': 'दर्ज: {time}',
+    'popup.lastUpdated': 'अंतिम अपडेट: {time}',
+
+    // Charts
+    'charts.congestion': 'भीड़ का वितरण',
+    'charts.peakHours': 'सबसे व्यस्त समय',
+    'charts.speedTrend': 'औसत गति के रुझान',
+    'charts.safety': 'सड़क सुरक्षा सूचकांक',
+    'charts.roadHint': 'एक सड़क या पूरा शहर दिखाएँ',
+    'charts.wholeCity': 'पूरा शहर',
+    'charts.download': 'PNG के रूप में डाउनलोड करें',
+    'charts.congestionAxis': 'भीड़ %',
+    'charts.averageSpeed': 'औसत गति (किमी/घं)',
+    'charts.speedAxis': 'गति (किमी/घं)',
+    'charts.safetyScore': 'सुरक्षा स्कोर',
+    'charts.noObservations': 'अभी तक कोई अवलोकन दर्ज नहीं',
+    'charts.observations.one': '{since} से {count} अवलोकन पर आधारित',
+    'charts.observations.other': '{since} से {count} अवलोकनों पर आधारित',
+    'charts.filteredRoads.one': '{count} फ़िल्टर की गई सड़क',
+    'charts.filteredRoads.other': '{count} फ़िल्टर की गई सड़कें',
+
+    // Accident list and hotspots
+    'hotspots.title': 'दुर्घटना हॉटस्पॉट',
+    'hotspots.zones': 'हॉटस्पॉट ज़ोन',
+    'hotspots.byRoad': 'सड़क के अनुसार आज की दुर्घटनाएँ',
+    'hotspots.noAccidents': 'आज कोई दुर्घटना क्षेत्र दर्ज नहीं',
+    'hotspots.lastAccident': 'अंतिम दुर्घटना: {time} · {severity}',
+    'hotspots.lastAccidentUnknown': 'अंतिम दुर्घटना: समय और स्थान अज्ञात',
+    'hotspots.unrecorded.one': '{count} और, समय और स्थान अज्ञात',
+    'hotspots.unrecorded.other': '{count} और, समय और स्थान अज्ञात',
+    'hotspots.openIncidents.one': '{count} खुली घटना',
+    'hotspots.openIncidents.other': '{count} खुली घटनाएँ',
+    'hotspots.incidents': 'घटनाएँ',
+    'hotspots.severityScore': 'गंभीरता स्कोर',
+    'hotspots.perDay': 'प्रति दिन घटनाएँ, पिछले {days} दिन',
+    'hotspots.whyFlagged': 'इसे क्यों चिह्नित किया गया',
+    'hotspots.none': 'पिछले {days} दिनों में कोई हॉटस्पॉट ज़ोन नहीं',
+    'hotspots.summary.one': '{count} घटना · स्कोर {score}',
+    'hotspots.summary.other': '{count} घटनाएँ · स्कोर {score}',
+    'hotspots.trend': 'पिछले {days} दिनों की तुलना में रुझान',
+    'hotspots.reason.cluster.one': 'पिछले {days} दिनों में {radius} मी के भीतर {count} घटना (ज़ोन के लिए एक-दूसरे से {eps} मी के भीतर {min} चाहिए)',
+    'hotspots.reason.cluster.other': 'पिछले {days} दिनों में {radius} मी के भीतर {count} घटनाएँ (ज़ोन के लिए एक-दूसरे से {eps} मी के भीतर {min} चाहिए)',
+    'hotspots.reason.collisions.one': 'इनमें से {count} टक्कर',
+    'hotspots.reason.collisions.other': 'इनमें से {count} टक्करें',
+    'hotspots.reason.reported.one': 'इनमें से {count} का समय और स्थान अज्ञात, उसकी सड़क पर दिखाई गई',
+    'hotspots.reason.reported.other': 'इनमें से {count} का समय और स्थान अज्ञात, उनकी सड़कों पर दिखाई गईं',
+    'hotspots.reason.severe.one': '{count} गंभीर',
+    'hotspots.reason.severe.other': '{count} गंभीर',
+    'hotspots.reason.open.one': '{count} अभी भी खुली',
+    'hotspots.reason.open.other': '{count} अभी भी खुली',
+    'hotspots.reason.rising': 'बढ़ रहा है: पिछले {days} दिनों में {previous} था',
+    'hotspots.reason.falling': 'घट रहा है: पिछले {days} दिनों में {previous} था',
+
+    // Route planner and safe routes
+    'route.title': 'मार्ग योजनाकार',
+    'route.origin': 'आरंभ सड़क',
+    'route.pickOrigin': 'मानचित्र पर आरंभ चुनें',
+    'route.destination': 'गंतव्य सड़क',
+    'route.pickDestination': 'मानचित्र पर गंतव्य चुनें',
+    'route.plan': 'योजना बनाएँ',
+    'route.clear': 'मार्ग हटाएँ',
+    'route.click.origin': 'आरंभ तय करने के लिए मानचित्र पर क्लिक करें',
+    'route.click.destination': 'गंतव्य तय करने के लिए मानचित्र पर क्लिक करें',
+    'route.mapPoint': 'मानचित्र बिंदु ({lat}, {lng})',
+    'route.ready': 'योजना के लिए तैयार',
+    'route.chooseOrigin': 'आरंभ चुनें',
+    'route.chooseDestination': 'गंतव्य चुनें',
+    'route.chooseBoth': 'आरंभ और गंतव्य दोनों चुनें',
+    'route.profile.fastest': 'सबसे तेज़',
+    'route.profile.leastCongested': 'सबसे कम भीड़',
+    'route.profile.safest': 'सबसे सुरक्षित',
+    'route.routeTitle': '{profile} मार्ग',
+    'route.originLabel': 'आरंभ: {label}',
+    'route.destinationLabel': 'गंतव्य: {label}',
+    'route.noRoute': 'इन बिंदुओं के बीच कोई मार्ग नहीं मिला।',
+    'route.safetyScore': 'सुरक्षा स्कोर {score}/100',
+    'safeRoutes.title': 'सुझाए गए सुरक्षित मार्ग',
+    'safeRoutes.safe': 'सुरक्षित · स्कोर {score}',
+    'safeRoutes.planRoute': 'यहाँ का मार्ग बनाएँ',
+
+    // Safety scores
+    'safety.scoring': 'स्कोरिंग',
+    'safety.resetWeights': 'भार रीसेट करें',
+    'safety.band.a': 'सुरक्षित: हर कारक पर कम जोखिम।',
+    'safety.band.b': 'अधिकतर सुरक्षित: एक कारक कुछ जोखिम जोड़ता है।',
+    'safety.band.c': 'बढ़ा हुआ जोखिम: सावधानी रखें।',
+    'safety.band.d': 'उच्च जोखिम: हो सके तो बचें।',
+    'safety.bandBelow': '{grade} {min} से कम',
+    'safety.factor.accidents': 'दुर्घटना आवृत्ति',
+    'safety.factor.accidentsHint': 'आज की दुर्घटनाएँ, {cap} से पूरा जोखिम',
+    'safety.factor.severity': 'घटना की गंभीरता',
+    'safety.factor.severityHint': 'सड़क पर खुली घटनाएँ, गंभीरता के अनुसार भारित; एक गंभीर घटना पूरा जोखिम है',
+    'safety.factor.congestion': 'भीड़',
+    'safety.factor.congestionHint': 'उपयोग में क्षमता का हिस्सा',
+    'safety.factor.speed': 'गति',
+    'safety.factor.speedHint': '{from} से ऊपर औसत गति, {to} से पूरा जोखिम',
+    'safety.factor.timeOfDay': 'दिन का समय',
+    'safety.factor.timeOfDayHint': 'रात (22:00–05:00) पूरा जोखिम, सुबह-सवेरे और शाम आधा',
+    'safety.accidentsToday.one': 'आज {count}',
+    'safety.accidentsToday.other': 'आज {count}',
+    'safety.noneOpen': 'कोई खुली नहीं',
+    'safety.summaryNoRisk': 'स्कोर {score}/100: कोई कारक जोखिम नहीं जोड़ता।',
+    'safety.summary': 'स्कोर {score}/100: {losses}।',
+    'safety.pointsLost.one': '{factor} से {count} अंक कम',
+    'safety.pointsLost.other': '{factor} से {count} अंक कम',
+    'safety.and': ' और ',
+    'safety.share': 'स्कोर का {share}',
+
+    // Incidents
+    'incidents.report': 'घटना की सूचना दें',
+    'incidents.near': '{road} के पास',
+    'incidents.offRoad': 'किसी ज्ञात सड़क पर नहीं',
+    'incidents.type': 'प्रकार',
+    'incidents.severity': 'गंभीरता',
+    'incidents.details': 'विवरण',
+    'incidents.optional': 'वैकल्पिक',
+    'incidents.submit': 'सूचना भेजें',
+    'incidents.unassigned': 'अनिर्धारित स्थान',
+    'incidents.status.open': 'खुली',
+    'incidents.status.cleared': 'हटाई गई',
+    'incidents.reported': 'सूचना {time}',
+    'incidents.markCleared': 'हटाई गई चिह्नित करें',
+    'incidents.reopen': 'फिर से खोलें',
+    'incidents.type.collision': 'टक्कर',
+    'incidents.type.breakdown': 'वाहन ख़राब',
+    'incidents.type.waterlogging': 'जलभराव',
+    'incidents.type.roadwork': 'सड़क निर्माण',
+    'incidents.type.vip': 'वीआईपी आवाजाही',
+    'incidents.severity.minor': 'मामूली',
+    'incidents.severity.moderate': 'मध्यम',
+    'incidents.severity.severe': 'गंभीर',
+
+    // Events calendar
+    'events.title': 'कार्यक्रम कैलेंडर',
+    'events.intro': 'किसी सड़क के पास त्योहार, शादियाँ, पर्यटन के व्यस्त समय और स्कूल का समय उसकी अपेक्षित भीड़ और पूर्वानुमान में जुड़ते हैं',
+    'events.add': 'कार्यक्रम जोड़ें',
+    'events.addHint': 'क्लिक करें, फिर मानचित्र पर वहाँ क्लिक करें जहाँ कार्यक्रम होगा',
+    'events.plan': 'कार्यक्रम की योजना',
+    'events.name': 'नाम',
+    'events.namePlaceholder': 'जैसे गणगौर की सवारी',
+    'events.expectedImpact': 'अपेक्षित प्रभाव',
+    'events.radius': 'दायरा (किमी)',
+    'events.starts': 'शुरू',
+    'events.ends': 'समाप्त',
+    'events.repeats': 'दोहराव',
+    'events.repeatUntil': 'कब तक दोहराएँ',
+    'events.type.festival': 'त्योहार',
+    'events.type.wedding': 'शादी',
+    'events.type.tourism': 'पर्यटन का व्यस्त समय',
+    'events.type.school': 'स्कूल का समय',
+    'events.type.other': 'अन्य',
+    'events.impact.low': 'कम',
+    'events.impact.medium': 'मध्यम',
+    'events.impact.high': 'अधिक',
+    'events.repeat.none': 'एक बार',
+    'events.repeat.daily': 'हर दिन',
+    'events.repeat.weekdays': 'सप्ताह के दिन',
+    'events.error.name': 'कार्यक्रम को नाम दें',
+    'events.error.times': 'शुरू और समाप्ति का समय तय करें',
+    'events.error.order': 'समाप्ति शुरू के बाद होनी चाहिए',
+    'events.error.repeatLength': 'दोहराए जाने वाले कार्यक्रम अधिकतम एक दिन के हो सकते हैं',
+    'events.error.until': '"कब तक दोहराएँ" शुरू के बाद होना चाहिए',
+    'events.error.radius': 'दायरा 0 किमी से अधिक होना चाहिए',
+    'events.from': '{date} से',
+    'events.until': '{date} तक',
+    'events.startsIn': '{name} {time} में शुरू होगा',
+    'events.impactNow': '{name}: लगभग +{congestion} भीड़ अपेक्षित',
+    'events.impactLabel': '{impact} प्रभाव',
+    'events.radiusLabel': '{radius} किमी दायरा',
+    'events.expected': 'चलने के दौरान अपेक्षित: {roads}',
+    'events.noRoads': 'पहुँच में कोई ज्ञात सड़क नहीं',
+    'events.delete': 'कार्यक्रम हटाएँ',
+    'events.locate': 'मानचित्र पर दिखाएँ',
+    'events.empty': 'कोई कार्यक्रम नियोजित नहीं। "कार्यक्रम जोड़ें" चुनें और मानचित्र पर वहाँ क्लिक करें जहाँ यह होगा।',
+    'events.status.running': 'चल रहा है',
+    'events.status.soon': 'जल्द',
+    'events.status.past': 'बीत गया',
+    'events.next': 'अगला {window}',
+    'events.affected.one': '{count} सड़क प्रभावित, {road} पर +{congestion} तक',
+    'events.affected.other': '{count} सड़कें प्रभावित, {road} पर +{congestion} तक',
+
+    // Data health
+    'health.title': 'डेटा की स्थिति',
+    'health.waiting': 'रीडिंग की प्रतीक्षा…',
+    'health.exclude': 'चिह्नित मानों को KPI से बाहर रखें',
+    'health.excludeHint': 'संदिग्ध भीड़ और गति के मानों को ऊपर के औसत से बाहर रखें',
+    'health.allNormal.one': 'एकमात्र सड़क सामान्य रूप से रिपोर्ट कर रही है',
+    'health.allNormal.other': 'सभी {count} सड़कें सामान्य रूप से रिपोर्ट कर रही हैं',
+    'health.summary.one': '{count} सड़क में से {suspicious} संदिग्ध और {stale} पुरानी',
+    'health.summary.other': '{count} सड़कों में से {suspicious} संदिग्ध और {stale} पुरानी',
+    'health.excluded.one': '{count} चिह्नित मान KPI से बाहर',
+    'health.excluded.other': '{count} चिह्नित मान KPI से बाहर',
+    'health.noReading.one': '{count} मिनट से कोई रीडिंग नहीं',
+    'health.noReading.other': '{count} मिनट से कोई रीडिंग नहीं',
+    'health.details': 'विवरण',
+    'anomalies.metric.congestion': 'भीड़',
+    'anomalies.metric.averageSpeed': 'गति',
+    'anomalies.dropped': '{metric} गिरकर {value} (आमतौर पर {usual})',
+    'anomalies.jumped': '{metric} उछलकर {value} (आमतौर पर {usual})',
+    'anomalies.stuck': 'लगातार {count} बार एक ही रीडिंग',
+    'anomalies.fastDespiteCongestion': '{congestion} भीड़ के बावजूद {speed}',
+    'anomalies.slowWithoutCongestion': 'केवल {congestion} भीड़ पर {speed}',
+    'anomalies.suspectReading': 'संदिग्ध रीडिंग: {flags}',
+    'anomalies.suspect': 'संदिग्ध',
+
+    // Alerts
+    'alerts.title': 'अलर्ट',
+    'alerts.when': 'कब',
+    'alerts.aRoad': 'कोई सड़क',
+    'alerts.theCity': 'शहर',
+    'alerts.incidentNear': 'के पास नई घटना',
+    'alerts.road': 'सड़क',
+    'alerts.metric': 'माप',
+    'alerts.metricCongestion': 'भीड़ (%)',
+    'alerts.metricSpeed': 'औसत गति (किमी/घं)',
+    'alerts.metricAccidents': 'आज की दुर्घटनाएँ',
+    'alerts.is': 'है',
+    'alerts.above': 'से अधिक',
+    'alerts.below': 'से कम',
+    'alerts.value': 'मान',
+    'alerts.duration': 'अवधि (मिनट)',
+    'alerts.radius': 'दायरा (किमी)',
+    'alerts.type': 'प्रकार',
+    'alerts.collisionsOnly': 'केवल दुर्घटनाएँ',
+    'alerts.anyIncident': 'कोई भी घटना',
+    'alerts.addRule': 'नियम जोड़ें',
+    'alerts.rules': 'नियम',
+    'alerts.history': 'इतिहास',
+    'alerts.metricName.congestion': 'भीड़',
+    'alerts.metricName.averageSpeed': 'गति',
+    'alerts.metricName.accidents': 'आज की दुर्घटनाएँ',
+    'alerts.rule.accident': '{road} से {radius} किमी के भीतर कोई नई दुर्घटना',
+    'alerts.rule.incident': '{road} से {radius} किमी के भीतर कोई नई घटना',
+    'alerts.rule.city': 'शहर',
+    'alerts.rule.cityAverage': 'शहर का औसत',
+    'alerts.rule.duration.one': '{count} मिनट तक',
+    'alerts.rule.duration.other': '{count} मिनट तक',
+    'alerts.incidentReported': '{road} से {distance} किमी पर {type} ({severity}) की सूचना',
+    'alerts.triggered': '{rule} — अभी {value}',
+    'alerts.notificationTitle': 'जियोसेंस अलर्ट',
+    'alerts.snooze': '30 मिनट के लिए रोकें',
+    'alerts.acknowledge': 'स्वीकार करें',
+    'alerts.notifications.granted': 'ब्राउज़र सूचनाएँ चालू',
+    'alerts.notifications.denied': 'ब्राउज़र सूचनाएँ अवरुद्ध',
+    'alerts.notifications.unsupported': 'ब्राउज़र सूचनाएँ उपलब्ध नहीं',
+    'alerts.notifications.default': 'ब्राउज़र सूचनाएँ चालू करें',
+    'alerts.noRules': 'अभी कोई नियम नहीं',
+    'alerts.snoozedUntil': '({time} तक रुका हुआ)',
+    'alerts.pause': 'रोकें',
+    'alerts.resume': 'फिर शुरू करें',
+    'alerts.deleteRule': 'नियम हटाएँ',
+    'alerts.noAlerts': 'अभी कोई अलर्ट नहीं',
+
+    // Live feeds
+    'feeds.simulator': 'सिम्युलेटर',
+    'feeds.websocket': 'WebSocket',
+    'feeds.sse': 'Server-Sent Events',
+    'feeds.polling': 'REST पोलिंग',
+    'feeds.feed': '{label} फ़ीड',
+    'feeds.status.connecting': 'जुड़ रहा है…',
+    'feeds.status.connected': 'लाइव',
+    'feeds.status.stale': 'पुराना',
+    'feeds.status.offline': 'ऑफ़लाइन',
+    'feeds.status.retrying': 'ऑफ़लाइन · {seconds} सेकंड में पुनः प्रयास',
+
+    // Road drawer
+    'drawer.close': 'बंद करें',
+    'drawer.range.day': 'आज',
+    'drawer.range.week': '7 दिन',
+    'drawer.notEnoughHistory': 'अभी पर्याप्त इतिहास नहीं',
+    'drawer.sparklineChange': '2 घंटे में {change} अंक',
+    'drawer.compareRoads': 'सड़कों की तुलना',
+    'drawer.recorded': 'दर्ज {time}',
+    'drawer.forecast': 'पूर्वानुमान +{horizon} मिनट',
+    'drawer.congestionHistory': 'भीड़ का इतिहास',
+    'drawer.history': 'भीड़ और गति का इतिहास',
+    'drawer.compare': 'तुलना',
+    'drawer.removeRoad': 'तुलना से हटाएँ',
+    'drawer.addRoad': 'तुलना के लिए सड़क जोड़ें…',
+    'drawer.maxRoads': 'अधिकतम {count} सड़कों की तुलना की जा सकती है',
+    'drawer.grade': 'ग्रेड · {score}',
+    'drawer.rank.safety': '{total} में {rank} सबसे सुरक्षित',
+    'drawer.rank.congestion': '{rank} सबसे अधिक भीड़ वाली',
+    'drawer.rank.speed': '{rank} सबसे तेज़',
+    'drawer.averageSpeed': 'औसत गति',
+    'drawer.heldBackBy': 'किस कारण पीछे',
+    'drawer.safetyRank': 'सुरक्षा क्रम',
+    'drawer.rankOf': '{total} में {rank}',
+    'drawer.openIncidents': 'खुली घटनाएँ',
+    'drawer.whyGrade': 'ग्रेड {grade} क्यों',
+    'drawer.noIncidents': 'इस सड़क पर कोई घटना दर्ज नहीं',
+    'drawer.noHistory': 'इस अवधि का अभी कोई इतिहास दर्ज नहीं',
+    'drawer.fiveMinuteAverages': 'दर्ज अपडेट के 5-मिनट औसत',
+    'drawer.hourlyAverages': 'दर्ज अपडेट के प्रति घंटा औसत',
+
+    // Road table
+    'table.title': 'सड़कें',
+    'table.caption': 'फ़िल्टर की गई सड़कें, उनकी भीड़, गति, दुर्घटनाओं और सुरक्षा ग्रेड के साथ। कॉलम शीर्षक तालिका को क्रमबद्ध करते हैं।',
+    'table.road': 'सड़क',
+    'table.congestion': 'भीड़',
+    'table.speed': 'गति',
+    'table.accidents': 'दुर्घटनाएँ',
+    'table.safety': 'सुरक्षा',
+    'table.actions': 'कार्रवाइयाँ',
+    'table.showOnMap': 'मानचित्र पर दिखाएँ',
+    'table.grade': '{grade} · {score}',
+    'table.detailsFor': '{road} का विवरण',
+    'table.empty': 'कोई सड़क फ़िल्टर से मेल नहीं खाती',
+
+    // Accessibility
+    'a11y.skipToTable': 'सड़क तालिका पर जाएँ',
+    'a11y.mapLabel': 'ट्रैफ़िक मानचित्र। Tab से किसी सड़क पर जाएँ, तीर कुंजियों से सड़कों के बीच चलें और विवरण खोलने के लिए Enter दबाएँ।',
+    'a11y.roadLabel': '{road}: {congestion} भीड़, {level}; औसत गति {speed}; {accidents}; सुरक्षा ग्रेड {grade}',
+    'a11y.accidents.one': 'आज {count} दुर्घटना',
+    'a11y.accidents.other': 'आज {count} दुर्घटनाएँ',
+    'a11y.more.one': 'और {count} अन्य',
+    'a11y.more.other': 'और {count} अन्य',
+    'a11y.liveUpdate': 'लाइव अपडेट। {changes}',
+    'a11y.levelChanges.one': '{count} सड़क पर भीड़ का स्तर बदला: {roads}।',
+    'a11y.levelChanges.other': '{count} सड़कों पर भीड़ का स्तर बदला: {roads}।',
+    'a11y.levelChange': '{road} अब {level}, {congestion}',
+    'a11y.newAccidents.one': '{roads} पर {count} नई दुर्घटना।',
+    'a11y.newAccidents.other': '{roads} पर {count} नई दुर्घटनाएँ।',
+    'a11y.averageRose': 'औसत भीड़ बढ़कर {value} हुई।',
+    'a11y.averageFell': 'औसत भीड़ घटकर {value} हुई।',
+    'a11y.chart.levelCount': '{count} {level}',
+    'a11y.chart.distribution.one': 'भीड़ स्तर के अनुसार {count} सड़क: {parts}।',
+    'a11y.chart.distribution.other': 'भीड़ स्तर के अनुसार {count} सड़कें: {parts}।',
+    'a11y.chart.segmentDistribution.one': '{road}, भीड़ स्तर के अनुसार {count} हिस्सा: {parts}।',
+    'a11y.chart.segmentDistribution.other': '{road}, भीड़ स्तर के अनुसार {count} हिस्से: {parts}।',
+    'a11y.chart.peakHours': 'सबसे व्यस्त {busiest} ({busiestValue}), सबसे शांत {quietest} ({quietestValue})।',
+    'a11y.chart.onlyPoint': 'अब तक केवल {label} दर्ज ({value})।',
+    'a11y.chart.speedTrend': 'सबसे तेज़ {fastest} ({fastestValue}), सबसे धीमा {slowest} ({slowestValue})।',
+    'a11y.chart.safety.one': '{count} सड़क का सुरक्षा स्कोर: सबसे सुरक्षित {safest} ({safestScore}), सबसे कम सुरक्षित {riskiest} ({riskiestScore}); {safe} को ग्रेड {grade}।',
+    'a11y.chart.safety.other': '{count} सड़कों के सुरक्षा स्कोर: सबसे सुरक्षित {safest} ({safestScore}), सबसे कम सुरक्षित {riskiest} ({riskiestScore}); {safe} को ग्रेड {grade}।',
+    'a11y.chart.noRoads': 'कोई सड़क फ़िल्टर से मेल नहीं खाती',
+
+    // Printed report
+    'report.title': '{title} — ट्रैफ़िक और सुरक्षा रिपोर्ट',
+    'report.generated': '{time} को बनाई गई',
+    'report.dataAsOf': '{time} तक का डेटा',
+    'report.forecast': 'पूर्वानुमान +{horizon} मिनट',
+    'report.filters': 'फ़िल्टर: {filters}',
+    'report.roads.one': '{count} सड़क',
+    'report.roads.other': '{count} सड़कें',
+    'report.mapAlt': 'रिपोर्ट की गई सड़कों का मानचित्र',
+    'report.accidentList': 'दुर्घटना सूची',
+    'report.road': 'सड़क',
+    'report.lastAccident': 'अंतिम दुर्घटना',
+    'report.open': 'खुली',
+    'report.speed': 'गति',
+    'report.noSafeRoutes': 'अभी कोई सड़क सुरक्षित मानदंड पूरे नहीं करती',
+    'report.source': 'स्रोत: {source} · मानचित्र डेटा © OpenStreetMap contributors',
+
+    // Footer
+    'footer.tagline': 'स्मार्ट ट्रैफ़िक और सुरक्षा जानकारी',
+    'footer.simulated': 'डेटा प्रदर्शन के लिए सिम्युलेटेड है',
+    'footer.source': 'स्रोत:',
+    'footer.lastSync': 'अंतिम सिंक:',
+    'footer.copyright': '© 2024 GeoSense Project. सारा डेटा नमूना/सिम्युलेटेड है। Leaflet और Chart.js द्वारा संचालित'
+};
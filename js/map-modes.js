@@ -0,0 +1,37 @@
+// Map click modes: reporting an incident, placing an event, picking a route
+// endpoint and drawing an area each take over clicks on the map. Only one is
+// active at a time; turning one on turns off the one before.
+
+let mapClickMode = null;
+const mapClickModes = {};
+
+// `start()` and `stop()` show and hide the mode, `click(latLng)` handles a map
+// click while it is active
+function registerMapClickMode(name, mode) {
+    mapClickModes[name] = mode;
+}
+
+// Name of the active mode, or null
+function getMapClickMode() {
+    return mapClickMode;
+}
+
+// Turn on `name` (or none, with null) and stop whichever mode was active
+function setMapClickMode(name) {
+    if (name === mapClickMode) return;
+    const previous = mapClickMode;
+    mapClickMode = name;
+    if (previous) mapClickModes[previous].stop();
+    if (name) mapClickModes[name].start();
+}
+
+function toggleMapClickMode(name) {
+    setMapClickMode(mapClickMode === name ? null : name);
+}
+
+// One map listener hands each click to the active mode
+function setupMapClickModes() {
+    map.on('click', event => {
+        if (mapClickMode) mapClickModes[mapClickMode].click([event.latlng.lat, event.latlng.lng]);
+    });
+}
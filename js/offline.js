@@ -0,0 +1,155 @@
+// Offline support: registers the service worker, restores the last synced
+// data when the page opens without a connection, shows the offline banner
+// and pre-downloads map tiles for the current region.
+
+const LAST_SYNC_KEY = 'geosense-last-sync';
+// Header the service worker adds to data it served from its cache (see sw.js)
+const CACHED_RESPONSE_HEADER = 'X-GeoSense-Cached';
+// Same cache the service worker stores map tiles in (see sw.js)
+const OFFLINE_TILE_CACHE = 'geosense-tiles';
+// Street level beyond 15 is left to normal browsing, per the OSM tile usage policy
+const OFFLINE_TILE_ZOOMS = [12, 13, 14, 15];
+const OFFLINE_TILE_CONCURRENCY = 2;
+
+// What the page is showing without fresh data: 'synced' data from the last
+// connection, the 'sample' bundled with the page, or null when up to date
+let offlineDataSource = null;
+let offlineDataTimestamp = null;
+// Whether the browser was online when fresh data could not be had, i.e. the
+// server was unreachable or slow rather than the connection down
+let offlineDataUnreachable = false;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+// Remember when data last arrived over the network
+function markDataSynced(timestamp = Date.now()) {
+    if (!navigator.onLine) return;
+    localStorage.setItem(getRegionStorageKey(LAST_SYNC_KEY), String(timestamp));
+    offlineDataSource = null;
+    updateOfflineBanner();
+}
+
+function getLastSyncTime() {
+    const value = Number(localStorage.getItem(getRegionStorageKey(LAST_SYNC_KEY)));
+    return value > 0 ? value : null;
+}
+
+// Values from the last synced history snapshot laid over `template`; roads
+// the snapshot doesn't know keep the template's values
+async function restoreLastKnownData(template) {
+    try {
+        const snapshot = await getSnapshotAt(getLastSyncTime() || Date.now());
+        if (!snapshot) return null;
+        const restored = snapshotToTrafficData(snapshot, template);
+        const missing = template.filter(road => !restored.some(r => r.road === road.road));
+        return { data: [...restored, ...missing], timestamp: snapshot.timestamp };
+    } catch (error) {
+        console.warn('Could not restore the last synced data:', error);
+        return null;
+    }
+}
+
+function setOfflineDataSource(source, timestamp = null) {
+    offlineDataSource = source;
+    offlineDataTimestamp = timestamp;
+    offlineDataUnreachable = navigator.onLine;
+    updateOfflineBanner();
+}
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    const offline = !navigator.onLine;
+    banner.classList.toggle('hidden', !offline && !offlineDataSource);
+    if (banner.classList.contains('hidden')) return;
+
+    const timestamp = offlineDataTimestamp || getLastSyncTime();
+    let message;
+    if (offlineDataSource === 'sample') {
+        message = t('offline.sampleData');
+    } else {
+        message = timestamp ? t('offline.dataFrom', { time: formatTime(timestamp) }) : t('offline.lastData');
+    }
+    const key = offline ? 'offline.offline' : offlineDataUnreachable ? 'offline.unreachable' : 'offline.reconnected';
+    banner.querySelector('span').textContent = t(key, { message });
+}
+
+// Tile coordinates covering the bounds at one zoom level
+function getTileRange(bounds, zoom) {
+    const [west, north] = projectToPixels([bounds.north, bounds.west], zoom).map(p => Math.floor(p / TILE_SIZE));
+    const [east, south] = projectToPixels([bounds.south, bounds.east], zoom).map(p => Math.floor(p / TILE_SIZE));
+    const tiles = [];
+    for (let x = west; x <= east; x++) {
+        for (let y = north; y <= south; y++) tiles.push({ zoom, x, y });
+    }
+    return tiles;
+}
+
+function getOfflineTileUrls(bounds = getRegion().bounds) {
+    return OFFLINE_TILE_ZOOMS
+        .flatMap(zoom => getTileRange(bounds, zoom))
+        .map(({ zoom, x, y }) => formatTileUrl(zoom, x, y));
+}
+
+// Fetch every tile of the area that isn't cached yet, a few at a time
+async function downloadOfflineTiles(onProgress) {
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const urls = getOfflineTileUrls();
+    let done = 0;
+    let failed = 0;
+    const queue = [...urls];
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+            try {
+                if (!await cache.match(url)) {
+                    const response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response);
+                }
+            } catch (error) {
+                failed++;
+            }
+            done++;
+            onProgress(done, urls.length, failed);
+        }
+    };
+    await Promise.all(Array.from({ length: OFFLINE_TILE_CONCURRENCY }, worker));
+    return { total: urls.length, failed };
+}
+
+function setupOffline() {
+    registerServiceWorker();
+    window.addEventListener('online', updateOfflineBanner);
+    window.addEventListener('offline', updateOfflineBanner);
+    updateOfflineBanner();
+
+    const button = document.getElementById('offlineMapBtn');
+    const status = document.getElementById('offlineMapStatus');
+    if (!('caches' in window)) {
+        button.disabled = true;
+        status.textContent = t('offline.unsupported');
+        return;
+    }
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const { total, failed } = await downloadOfflineTiles((done, count) => {
+                status.textContent = t('offline.saving', { done: formatNumber(done), count: formatNumber(count) });
+            });
+            status.textContent = failed > 0
+                ? t('offline.partial', { saved: formatNumber(total - failed), total: formatNumber(total) })
+                : tn('offline.saved', total, { area: getRegionLabels().area });
+        } catch (error) {
+            status.textContent = t('offline.failed');
+            console.warn('Tile download failed:', error);
+        }
+        button.disabled = false;
+    });
+}
@@ -0,0 +1,89 @@
+// Regions: the cities the dashboard can show, configured in data/regions.json
+// and bundled into data/sample-data.js. Each region brings its own map view,
+// bounds, data sources, zone file, congestion thresholds and labels (with
+// per-language translations), and keeps its incidents, events, alerts and
+// history apart from the other regions.
+
+const REGION_STORAGE_KEY = 'geosense-region';
+
+const regions = (window.REGION_CONFIG && window.REGION_CONFIG.regions) || [];
+let currentRegion = getInitialRegion();
+
+function getRegionById(regionId) {
+    return regions.find(region => region.id === regionId) || null;
+}
+
+function getDefaultRegion() {
+    return getRegionById(window.REGION_CONFIG && window.REGION_CONFIG.default) || regions[0];
+}
+
+// Pick the region from ?region=, then the saved choice, then the configured default
+function getInitialRegion() {
+    const requested = getRegionById(new URLSearchParams(window.location.search).get('region'));
+    return requested || getRegionById(localStorage.getItem(REGION_STORAGE_KEY)) || getDefaultRegion();
+}
+
+function getRegion() {
+    return currentRegion;
+}
+
+// The region's name and labels in the current language, English where untranslated
+function getRegionName(region = currentRegion) {
+    const translation = (region.translations || {})[getLocale()];
+    return (translation && translation.name) || region.name;
+}
+
+function getRegionLabels(region = currentRegion) {
+    const translation = (region.translations || {})[getLocale()];
+    return { ...region.labels, ...(translation && translation.labels) };
+}
+
+// Storage key for data that belongs to one region. The default region keeps
+// the plain key, so what was stored before regions existed stays with it.
+function getRegionStorageKey(key, region = currentRegion) {
+    return region.id === getDefaultRegion().id ? key : `${key}-${region.id}`;
+}
+
+// Make a region current and remember it; false for an unknown or the current region
+function setRegion(regionId) {
+    const region = getRegionById(regionId);
+    if (!region || region === currentRegion) return false;
+    
+    currentRegion = region;
+    localStorage.setItem(REGION_STORAGE_KEY, region.id);
+    document.getElementById('regionSelect').value = region.id;
+    const url = new URL(window.location.href);
+    url.searchParams.set('region', region.id);
+    history.replaceState(null, '', url);
+    renderRegionLabels();
+    return true;
+}
+
+// Headings and titles that name the region
+function renderRegionLabels() {
+    const labels = getRegionLabels();
+    document.title = t('header.documentTitle', { region: getRegionName() });
+    document.querySelectorAll('[data-region-label]').forEach(element => {
+        element.textContent = labels[element.dataset.regionLabel];
+    });
+    document.getElementById('offlineMapBtn').title = t('data.saveOfflineHint', { area: labels.area });
+    renderRegionOptions();
+}
+
+function renderRegionOptions() {
+    const select = document.getElementById('regionSelect');
+    select.innerHTML = regions
+        .map(region => `<option value="${escapeHtml(region.id)}">${escapeHtml(getRegionName(region))}</option>`)
+        .join('');
+    select.value = currentRegion.id;
+}
+
+// Setup the region picker; `onChange` loads the picked region
+function setupRegionPicker(onChange) {
+    const select = document.getElementById('regionSelect');
+    select.disabled = regions.length < 2;
+    select.addEventListener('change', function() {
+        onChange(this.value);
+    });
+    renderRegionLabels();
+}
@@ -0,0 +1,73 @@
+// Incremental rendering: lists and charts are patched in place, so a live
+// update only touches the rows and datasets whose content changed.
+
+// The HTML each list row was last rendered from
+const renderedRows = new WeakMap();
+// What each chart last drew, to skip updates that change nothing
+const renderedCharts = new WeakMap();
+
+const ROW_FLASH_MS = 1200;
+
+// Bring a container's rows in line with `items`. Rows are matched by
+// `getKey`; unchanged rows are left alone, changed ones are replaced and
+// briefly highlighted, and rows are moved to follow the order of `items`.
+// `renderItem` returns the HTML of a single element.
+function patchList(container, items, getKey, renderItem, emptyHtml = '') {
+    if (items.length === 0) {
+        container.innerHTML = emptyHtml;
+        return;
+    }
+    
+    const existing = new Map();
+    [...container.children].forEach(row => {
+        if (row.dataset.key === undefined) row.remove();
+        else existing.set(row.dataset.key, row);
+    });
+    
+    let previous = null;
+    items.forEach(item => {
+        const key = String(getKey(item));
+        const html = renderItem(item).trim();
+        let row = existing.get(key);
+        existing.delete(key);
+        
+        if (!row || renderedRows.get(row) !== html) {
+            const fresh = createListRow(html, key);
+            if (row) {
+                row.replaceWith(fresh);
+                flashListRow(fresh);
+            }
+            row = fresh;
+        }
+        
+        const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (row !== expected) container.insertBefore(row, expected);
+        previous = row;
+    });
+    existing.forEach(row => row.remove());
+}
+
+function createListRow(html, key) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const row = template.content.firstElementChild;
+    row.dataset.key = key;
+    renderedRows.set(row, html);
+    return row;
+}
+
+function flashListRow(row) {
+    row.classList.add('row-updated');
+    setTimeout(() => row.classList.remove('row-updated'), ROW_FLASH_MS);
+}
+
+// Redraw a chart only when its labels, datasets or `extra` (e.g. plugin
+// options) differ from what it last drew; Chart.js then animates from the
+// old values to the new ones
+function patchChart(chart, extra = null) {
+    const signature = JSON.stringify([chart.data.labels, chart.data.datasets, extra]);
+    if (renderedCharts.get(chart) === signature) return false;
+    renderedCharts.set(chart, signature);
+    chart.update();
+    return true;
+}
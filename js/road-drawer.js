@@ -0,0 +1,407 @@
+// Road detail drawer: history charts, incidents, safety-grade breakdown and
+// rank for one road, or two to three roads side by side.
+
+const DRAWER_MAX_ROADS = 3;
+const DRAWER_COLORS = ['#2563EB', '#DC2626', '#059669'];
+const DRAWER_RANGES = {
+    day: { labelKey: 'drawer.range.day', bucketMs: 5 * 60 * 1000 },
+    week: { labelKey: 'drawer.range.week', bucketMs: 60 * 60 * 1000 }
+};
+const SPARKLINE_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+let drawerRoads = [];
+let drawerRange = 'day';
+let roadHistoryChart = null;
+// Bumped on every render so a slow history query can't draw over a newer one
+let drawerRenderId = 0;
+// Where keyboard focus goes back to when the drawer closes
+let drawerReturnFocus = null;
+
+function setupRoadDrawer() {
+    // Popups are plain HTML, so their "Details" buttons are handled here
+    document.addEventListener('click', event => {
+        const button = event.target.closest('[data-road-details]');
+        if (button) openRoadDrawer(button.dataset.roadDetails);
+    });
+    
+    document.getElementById('roadDrawerClose').addEventListener('click', closeRoadDrawer);
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && drawerRoads.length > 0) closeRoadDrawer();
+    });
+    
+    const body = document.getElementById('roadDrawerBody');
+    body.addEventListener('click', event => {
+        const rangeButton = event.target.closest('[data-drawer-range]');
+        if (rangeButton) {
+            drawerRange = rangeButton.dataset.drawerRange;
+            renderRoadDrawer();
+        }
+        const removeButton = event.target.closest('[data-drawer-remove]');
+        if (removeButton) {
+            drawerRoads = drawerRoads.filter(name => name !== removeButton.dataset.drawerRemove);
+            renderRoadDrawer();
+        }
+    });
+    body.addEventListener('change', event => {
+        if (event.target.id !== 'drawerCompareSelect' || !event.target.value) return;
+        drawerRoads = [...drawerRoads, event.target.value].slice(0, DRAWER_MAX_ROADS);
+        renderRoadDrawer();
+    });
+}
+
+function openRoadDrawer(roadName) {
+    if (drawerRoads.length === 0) drawerReturnFocus = document.activeElement;
+    drawerRoads = [roadName];
+    map.closePopup();
+    const drawer = document.getElementById('roadDrawer');
+    drawer.classList.add('open');
+    drawer.setAttribute('aria-hidden', 'false');
+    drawer.inert = false;
+    renderRoadDrawer();
+    document.getElementById('roadDrawerClose').focus();
+}
+
+function closeRoadDrawer() {
+    const roadName = drawerRoads[0];
+    drawerRoads = [];
+    const drawer = document.getElementById('roadDrawer');
+    drawer.classList.remove('open');
+    drawer.setAttribute('aria-hidden', 'true');
+    drawer.inert = true;
+    if (roadHistoryChart) {
+        roadHistoryChart.destroy();
+        roadHistoryChart = null;
+    }
+    // A popup's button is gone once the popup closed, so fall back to the road on the map
+    const focusLayer = roadName && getRoadFocusLayer(roadName);
+    if (drawerReturnFocus && drawerReturnFocus.isConnected) drawerReturnFocus.focus();
+    else if (focusLayer) focusLayer.getElement().focus();
+    drawerReturnFocus = null;
+}
+
+// Called whenever the displayed data changes. After a live update,
+// `changedRoads` names the roads it changed: the drawer only follows when it
+// shows one of them, and then only its figures are redrawn.
+function refreshRoadDrawer(changedRoads = null) {
+    if (drawerRoads.length === 0) return;
+    if (!changedRoads) renderRoadDrawer();
+    else if (drawerRoads.some(name => changedRoads.includes(name))) updateRoadDrawerFigures();
+}
+
+// 1-based position of a road when all roads are sorted by `value`
+function getRank(data, roadName, value, descending = true) {
+    const sorted = [...data].sort((a, b) => descending ? value(b) - value(a) : value(a) - value(b));
+    return sorted.findIndex(road => road.road === roadName) + 1;
+}
+
+function getRoadRanks(data, roadName) {
+    return {
+        total: data.length,
+        safety: getRank(data, roadName, road => getSafetyScore(road)),
+        congestion: getRank(data, roadName, road => road.congestion),
+        speed: getRank(data, roadName, road => road.averageSpeed)
+    };
+}
+
+// Per-road congestion and speed averaged into fixed time buckets
+async function getRoadHistory(roadNames, from, until, bucketMs) {
+    const snapshots = await getSnapshotRange(from, until);
+    const buckets = new Map();
+    
+    snapshots.forEach(snapshot => {
+        const start = Math.floor(snapshot.timestamp / bucketMs) * bucketMs;
+        if (!buckets.has(start)) buckets.set(start, {});
+        const bucket = buckets.get(start);
+        snapshot.roads.filter(road => roadNames.includes(road.road)).forEach(road => {
+            const sums = bucket[road.road] || (bucket[road.road] = { congestion: 0, averageSpeed: 0, count: 0 });
+            sums.congestion += road.congestion;
+            sums.averageSpeed += road.averageSpeed;
+            sums.count += 1;
+        });
+    });
+    
+    const timestamps = [...buckets.keys()].sort((a, b) => a - b);
+    const series = Object.fromEntries(roadNames.map(name => [name, {
+        congestion: timestamps.map(t => buckets.get(t)[name] ? Math.round(buckets.get(t)[name].congestion / buckets.get(t)[name].count) : null),
+        averageSpeed: timestamps.map(t => buckets.get(t)[name] ? Math.round(buckets.get(t)[name].averageSpeed / buckets.get(t)[name].count) : null)
+    }]));
+    return { timestamps, series };
+}
+
+function createSparkline(values, width = 120, height = 28) {
+    const points = values.filter(value => value !== null);
+    if (points.length < 2) return `<span class="text-xs text-gray-400">${t('drawer.notEnoughHistory')}</span>`;
+    const min = Math.min(...points);
+    const range = Math.max(...points) - min || 1;
+    const path = points.map((value, i) =>
+        `${(i / (points.length - 1) * width).toFixed(1)},${(height - 2 - (value - min) / range * (height - 4)).toFixed(1)}`
+    ).join(' ');
+    const change = points[points.length - 1] - points[0];
+    const color = change > 0 ? '#DC2626' : change < 0 ? '#059669' : '#64748b';
+    return `
+        <svg class="drawer-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+            <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>
+        </svg>
+        <span class="text-xs" style="color: ${color}">${t('drawer.sparklineChange', { change: `${change > 0 ? '+' : ''}${formatNumber(change)}` })}</span>
+    `;
+}
+
+function renderRoadDrawer() {
+    const data = getDisplayedData();
+    drawerRoads = drawerRoads.filter(name => data.some(road => road.road === name));
+    if (drawerRoads.length === 0) {
+        closeRoadDrawer();
+        return;
+    }
+    
+    const roads = drawerRoads.map(name => data.find(road => road.road === name));
+    const comparing = roads.length > 1;
+    document.getElementById('roadDrawerTitle').textContent = comparing ? t('drawer.compareRoads') : getRoadName(roads[0]);
+    document.getElementById('roadDrawerSubtitle').textContent = isReplaying()
+        ? t('drawer.recorded', { time: formatDateTime(replayTimestamp) })
+        : forecastData ? t('drawer.forecast', { horizon: formatNumber(forecastHorizon) }) : t('timeline.live');
+    
+    // Put focus back on the control that had it, e.g. the range button just pressed
+    const body = document.getElementById('roadDrawerBody');
+    const focused = body.contains(document.activeElement) ? document.activeElement : null;
+    const focusSelector = focused && (focused.id ? `#${focused.id}`
+        : focused.dataset.drawerRange ? `[data-drawer-range="${focused.dataset.drawerRange}"]` : null);
+    
+    const candidates = data.filter(road => !drawerRoads.includes(road.road));
+    body.innerHTML = `
+        <div id="drawerFigures">${createRoadFigures(roads, data)}</div>
+        <section>
+            <div class="flex justify-between items-center mb-2">
+                <h4 class="drawer-heading">${t(comparing ? 'drawer.congestionHistory' : 'drawer.history')}</h4>
+                <div class="inline-flex rounded-lg bg-gray-100 p-1 text-xs">
+                    ${Object.entries(DRAWER_RANGES).map(([key, range]) => `
+                        <button class="drawer-range-btn px-2 py-1 rounded-md ${key === drawerRange ? 'active' : ''}" data-drawer-range="${key}">${t(range.labelKey)}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="h-48"><canvas id="roadHistoryChart"></canvas></div>
+            <p id="roadHistoryNote" class="text-xs text-gray-500 mt-1"></p>
+        </section>
+        ${comparing ? '' : `<div id="drawerDetails" class="space-y-5">${createRoadDetails(roads[0])}</div>`}
+        <section>
+            <h4 class="drawer-heading">${t('drawer.compare')}</h4>
+            <div class="flex flex-wrap gap-2 mb-2">
+                ${roads.map((road, i) => `
+                    <span class="drawer-road-chip" style="border-color: ${DRAWER_COLORS[i]}">
+                        ${escapeHtml(getRoadName(road))}
+                        ${comparing ? `<button data-drawer-remove="${escapeHtml(road.road)}" title="${t('drawer.removeRoad')}"><i class="fas fa-times"></i></button>` : ''}
+                    </span>
+                `).join('')}
+            </div>
+            ${drawerRoads.length < DRAWER_MAX_ROADS ? `
+                <select id="drawerCompareSelect" class="w-full text-sm border border-gray-300 rounded-lg px-2 py-1">
+                    <option value="">${t('drawer.addRoad')}</option>
+                    ${candidates.map(road => `<option value="${escapeHtml(road.road)}">${escapeHtml(getRoadName(road))}</option>`).join('')}
+                </select>
+            ` : `<p class="text-xs text-gray-500">${t('drawer.maxRoads', { count: formatNumber(DRAWER_MAX_ROADS) })}</p>`}
+        </section>
+    `;
+    if (focusSelector && body.querySelector(focusSelector)) body.querySelector(focusSelector).focus();
+    
+    loadRoadDrawerHistory(roads, ++drawerRenderId);
+}
+
+// Redraw the figures of the roads shown, leaving the controls (and focus) alone
+function updateRoadDrawerFigures() {
+    const data = getDisplayedData();
+    const roads = drawerRoads.map(name => data.find(road => road.road === name));
+    if (roads.some(road => !road)) {
+        renderRoadDrawer();
+        return;
+    }
+    
+    // The sparkline stays until the new history has been read
+    const sparkline = document.getElementById('roadSparkline');
+    const sparklineHtml = sparkline ? sparkline.innerHTML : '';
+    document.getElementById('drawerFigures').innerHTML = createRoadFigures(roads, data);
+    if (sparkline) document.getElementById('roadSparkline').innerHTML = sparklineHtml;
+    const details = document.getElementById('drawerDetails');
+    if (details) details.innerHTML = createRoadDetails(roads[0]);
+    
+    loadRoadDrawerHistory(roads, ++drawerRenderId);
+}
+
+function createRoadFigures(roads, data) {
+    return roads.length > 1 ? createComparisonTable(roads, data) : createRoadSummary(roads[0], data);
+}
+
+function createRoadDetails(road) {
+    return createSafetyBreakdown(road) + createRoadIncidentList(road.road);
+}
+
+function createRoadSummary(road, data) {
+    const ranks = getRoadRanks(data, road.road);
+    return `
+        <section>
+            <div class="grid grid-cols-4 gap-2 text-center">
+                <div class="drawer-stat"><span style="color: ${getCongestionColor(road.congestion)}">${formatPercent(road.congestion)}</span>${t('popup.congestion')}</div>
+                <div class="drawer-stat"><span>${formatNumber(road.averageSpeed)}</span>${t('format.speedUnit')}</div>
+                <div class="drawer-stat"><span>${formatNumber(road.accidents)}</span>${t('popup.accidents')}</div>
+                <div class="drawer-stat"><span>${getSafetyRating(road)}</span>${t('drawer.grade', { score: formatNumber(getSafetyScore(road)) })}</div>
+            </div>
+            <div class="flex items-center gap-2 mt-3" id="roadSparkline"></div>
+            <ul class="text-sm text-gray-700 mt-3 space-y-1">
+                <li><i class="fas fa-shield-alt text-purple-600 mr-1"></i> ${t('drawer.rank.safety', { rank: formatOrdinal(ranks.safety), total: formatNumber(ranks.total) })}</li>
+                <li><i class="fas fa-traffic-light text-amber-500 mr-1"></i> ${t('drawer.rank.congestion', { rank: formatOrdinal(ranks.congestion) })}</li>
+                <li><i class="fas fa-tachometer-alt text-green-600 mr-1"></i> ${t('drawer.rank.speed', { rank: formatOrdinal(ranks.speed) })}</li>
+            </ul>
+        </section>
+    `;
+}
+
+function createComparisonTable(roads, data) {
+    const rows = [
+        [t('popup.congestion'), road => formatPercent(road.congestion)],
+        [t('drawer.averageSpeed'), road => formatSpeed(road.averageSpeed)],
+        [t('kpi.accidentsToday'), road => formatNumber(road.accidents)],
+        [t('charts.safetyScore'), road => `${formatNumber(getSafetyScore(road))} (${getSafetyRating(road)})`],
+        [t('drawer.heldBackBy'), road => explainSafetyRating(road).factors.filter(f => f.limiting).map(f => f.label).join(', ') || '—'],
+        [t('drawer.safetyRank'), road => t('drawer.rankOf', { rank: formatOrdinal(getRoadRanks(data, road.road).safety), total: formatNumber(data.length) })],
+        [t('drawer.openIncidents'), road => formatNumber(getOpenIncidents(road.road).length)]
+    ];
+    return `
+        <section class="overflow-x-auto">
+            <table class="drawer-table">
+                <thead>
+                    <tr><th></th>${roads.map((road, i) => `<th style="color: ${DRAWER_COLORS[i]}">${escapeHtml(getRoadName(road))}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, value]) => `<tr><th>${label}</th>${roads.map(road => `<td>${escapeHtml(String(value(road)))}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
+
+function createSafetyBreakdown(road) {
+    const { grade, description, summary, factors } = explainSafetyRating(road);
+    return `
+        <section>
+            <h4 class="drawer-heading">${t('drawer.whyGrade', { grade })}</h4>
+            <p class="text-sm text-gray-600 mb-2">${description} ${summary}</p>
+            <ul class="space-y-1 text-sm">
+                ${factors.map(factor => `
+                    <li class="drawer-factor ${factor.limiting ? 'limiting' : ''}">
+                        <div class="flex justify-between">
+                            <span>${factor.label} <span class="text-gray-500">${factor.value}</span></span>
+                            <strong>−${Math.round(factor.pointsLost)}</strong>
+                        </div>
+                        <div class="text-xs text-gray-500">${factor.description} · ${t('safety.share', { share: formatPercent(Math.round(factor.share * 100)) })}</div>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
+}
+
+function createRoadIncidentList(roadName) {
+    const roadIncidents = incidents
+        .filter(incident => incident.road === roadName)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, 10);
+    return `
+        <section>
+            <h4 class="drawer-heading">${t('hotspots.incidents')}</h4>
+            ${roadIncidents.length === 0 ? `<p class="text-sm text-gray-500">${t('drawer.noIncidents')}</p>` : `
+                <ul class="space-y-2 text-sm">
+                    ${roadIncidents.map(incident => `
+                        <li class="flex items-start gap-2">
+                            <i class="fas ${INCIDENT_TYPES[incident.type].icon} mt-1" style="color: ${INCIDENT_SEVERITIES[incident.severity].color}"></i>
+                            <div class="flex-1">
+                                <div>${t(INCIDENT_TYPES[incident.type].labelKey)} · ${t(INCIDENT_SEVERITIES[incident.severity].labelKey)}
+                                    <span class="incident-status ${incident.status}">${t(`incidents.status.${incident.status}`)}</span>
+                                </div>
+                                <div class="text-xs text-gray-500">${formatIncidentTime(incident.timestamp)}${incident.description ? ` · ${escapeHtml(incident.description)}` : ''}</div>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        </section>
+    `;
+}
+
+async function loadRoadDrawerHistory(roads, renderId) {
+    const until = isReplaying() ? replayTimestamp : Date.now();
+    const range = DRAWER_RANGES[drawerRange];
+    const from = drawerRange === 'day' ? getStartOfDay(until) : until - 7 * 24 * 60 * 60 * 1000;
+    const names = roads.map(road => road.road);
+    
+    let history;
+    let recent;
+    try {
+        [history, recent] = await Promise.all([
+            getRoadHistory(names, from, until, range.bucketMs),
+            roads.length === 1 ? getRoadHistory(names, until - SPARKLINE_WINDOW_MS, until, 1) : null
+        ]);
+    } catch (error) {
+        console.warn('Could not read road history:', error);
+        return;
+    }
+    if (renderId !== drawerRenderId) return;
+    
+    if (recent) document.getElementById('roadSparkline').innerHTML = createSparkline(recent.series[names[0]].congestion);
+    document.getElementById('roadHistoryNote').textContent = history.timestamps.length === 0
+        ? t('drawer.noHistory')
+        : t(drawerRange === 'day' ? 'drawer.fiveMinuteAverages' : 'drawer.hourlyAverages');
+    renderRoadHistoryChart(history, names);
+}
+
+// The chart is updated in place while its canvas is still there, and
+// created again after the drawer was rebuilt
+function renderRoadHistoryChart(history, names) {
+    const format = drawerRange === 'day'
+        ? { hour: '2-digit', minute: '2-digit' }
+        : { weekday: 'short', hour: '2-digit' };
+    const labels = history.timestamps.map(timestamp => formatDateTime(timestamp, format));
+    
+    const datasets = names.length > 1
+        ? names.map((name, i) => ({
+            label: getRoadName(name),
+            data: history.series[name].congestion,
+            borderColor: DRAWER_COLORS[i],
+            backgroundColor: DRAWER_COLORS[i],
+            yAxisID: 'y'
+        }))
+        : [
+            { label: t('charts.congestionAxis'), data: history.series[names[0]].congestion, borderColor: '#F59E0B', backgroundColor: '#F59E0B', yAxisID: 'y' },
+            { label: t('charts.speedAxis'), data: history.series[names[0]].averageSpeed, borderColor: '#22C55E', backgroundColor: '#22C55E', yAxisID: 'y1' }
+        ];
+    
+    const styled = datasets.map(dataset => ({ ...dataset, pointRadius: 0, borderWidth: 2, tension: 0.3, spanGaps: true }));
+    
+    const canvas = document.getElementById('roadHistoryChart');
+    if (roadHistoryChart && roadHistoryChart.canvas === canvas) {
+        roadHistoryChart.data.labels = labels;
+        roadHistoryChart.data.datasets = styled;
+        patchChart(roadHistoryChart);
+        return;
+    }
+    if (roadHistoryChart) roadHistoryChart.destroy();
+    roadHistoryChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { labels, datasets: styled },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: { legend: { position: 'bottom', labels: { boxWidth: 12 } } },
+            scales: {
+                x: { ticks: { maxTicksLimit: 6 } },
+                y: { min: 0, max: 100, title: { display: true, text: t('charts.congestionAxis') } },
+                y1: {
+                    display: names.length === 1,
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: t('format.speedUnit') }
+                }
+            }
+        }
+    });
+}
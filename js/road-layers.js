@@ -0,0 +1,342 @@
+// Road layers: the coloured segments and dots on the map, kept in step with
+// the filtered data by diffing. A render restyles layers whose congestion
+// level changed, adds roads that came into the filters and removes those
+// that left; everything else stays untouched, and a live update only looks
+// at the roads it changed. Large datasets switch to a canvas renderer and
+// crowded dots are clustered. Each road has one element keyboard users can
+// focus, labelled with its values; arrow keys move between roads and Enter
+// opens the focused road's popup.
+
+// Above this many visible segments polylines are drawn on one canvas
+const CANVAS_SEGMENT_THRESHOLD = 500;
+// Dots are clustered once there are more than this many, below this zoom
+const CLUSTER_MIN_MARKERS = 50;
+const CLUSTER_MAX_ZOOM = 15;
+// Dots within the same square of this many screen pixels form a cluster
+const CLUSTER_CELL_PX = 60;
+// Layer id of a road drawn as a dot rather than segments
+const POINT_LAYER_ID = 'point';
+// Arrow keys move focus to the nearest road in that direction
+const ROAD_FOCUS_DIRECTIONS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+// Per road name: { layers: Map of segment id (or POINT_LAYER_ID) -> layer }
+let roadLayers = new Map();
+let roadPointLayer = null;
+let roadClusterLayer = null;
+let roadCanvasRenderer = null;
+let useCanvasRenderer = false;
+
+// Redraw clusters when the zoom changes which dots overlap
+function setupRoadLayers() {
+    roadPointLayer = L.layerGroup().addTo(map);
+    roadClusterLayer = L.layerGroup().addTo(map);
+    map.on('zoomend', renderRoadClusters);
+    map.getContainer().addEventListener('keydown', handleRoadKeydown);
+}
+
+// Render road segments (or point markers for roads without geometry) on map;
+// given the names of the roads a live update changed, only those are updated
+function renderMapMarkers(changedRoads = null) {
+    if (changedRoads && updateChangedRoadLayers(changedRoads)) return;
+    
+    const data = getFilteredData();
+    const segmentCount = data.reduce((sum, road) => sum + (hasSegments(road) ? road.segments.length : 0), 0);
+    const canvas = segmentCount > CANVAS_SEGMENT_THRESHOLD;
+    if (canvas !== useCanvasRenderer) {
+        // Layers can't move between renderers, so start over
+        clearRoadLayers();
+        useCanvasRenderer = canvas;
+    }
+    
+    const shown = new Set(data.map(road => road.road));
+    roadLayers.forEach((entry, name) => {
+        if (!shown.has(name)) removeRoadLayers(name);
+    });
+    data.forEach(road => updateRoadLayers(road));
+    
+    markers = [...roadLayers.values()].flatMap(entry => [...entry.layers.values()]);
+    renderRoadClusters();
+}
+
+// Add, restyle or remove the layers of the named roads as they enter, change
+// or leave the filters. Returns false when the change moves the map across
+// the canvas threshold, which needs a full render instead.
+function updateChangedRoadLayers(roadNames) {
+    const pointsBefore = markers.filter(layer => layer.isRoadPoint);
+    roadNames.forEach(name => {
+        const road = getDisplayedRoad(name);
+        if (road && matchesFilters(road)) updateRoadLayers(road);
+        else if (roadLayers.has(name)) removeRoadLayers(name);
+    });
+    
+    markers = [...roadLayers.values()].flatMap(entry => [...entry.layers.values()]);
+    const segmentCount = markers.filter(layer => !layer.isRoadPoint).length;
+    if ((segmentCount > CANVAS_SEGMENT_THRESHOLD) !== useCanvasRenderer) return false;
+    
+    // Clusters only change when dots came or went
+    const pointsAfter = markers.filter(layer => layer.isRoadPoint);
+    if (pointsAfter.length !== pointsBefore.length || pointsAfter.some((layer, i) => layer !== pointsBefore[i])) {
+        renderRoadClusters();
+    }
+    return true;
+}
+
+// Remove every road layer, e.g. when a new dataset may move the geometry
+function clearRoadLayers() {
+    [...roadLayers.keys()].forEach(name => removeRoadLayers(name));
+    markers = [];
+    if (roadClusterLayer) roadClusterLayer.clearLayers();
+}
+
+// Add, restyle or remove one road's layers to match its current values
+function updateRoadLayers(road) {
+    if (!roadLayers.has(road.road)) roadLayers.set(road.road, { layers: new Map() });
+    const { layers } = roadLayers.get(road.road);
+    const wanted = hasSegments(road) ? road.segments.filter(segment => matchesSegmentFilter(segment)) : [null];
+    const wantedIds = new Set(wanted.map(segment => segment ? segment.id : POINT_LAYER_ID));
+    
+    layers.forEach((layer, id) => {
+        if (wantedIds.has(id)) return;
+        removeRoadLayer(layer);
+        layers.delete(id);
+    });
+    
+    wanted.forEach(segment => {
+        const id = segment ? segment.id : POINT_LAYER_ID;
+        const color = getCongestionColor(segment ? segment.congestion : road.congestion);
+        const layer = layers.get(id);
+        if (!layer) {
+            layers.set(id, segment ? createSegmentLayer(road, segment, color) : createPointLayer(road, color));
+            return;
+        }
+        if (layer.roadColor !== color) restyleRoadLayer(layer, color);
+        // Popup content is built on opening, so only an open one needs refreshing
+        if (layer.isPopupOpen()) layer.getPopup().update();
+    });
+    labelRoadLayers(road);
+}
+
+function removeRoadLayers(name) {
+    roadLayers.get(name).layers.forEach(layer => removeRoadLayer(layer));
+    roadLayers.delete(name);
+}
+
+// Closing its popup this way doesn't deselect the road
+function removeRoadLayer(layer) {
+    layer.off('popupclose');
+    if (layer.isRoadPoint) roadPointLayer.removeLayer(layer);
+    else map.removeLayer(layer);
+}
+
+// The road as currently displayed, so popups opened later show fresh values
+function getDisplayedRoad(name) {
+    return getDisplayedData().find(road => road.road === name) || null;
+}
+
+function createRoadIcon(color) {
+    return L.divIcon({
+        className: 'custom-marker',
+        html: `<div style="background-color: ${color}; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 5px rgba(0,0,0,0.5);"></div>`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12]
+    });
+}
+
+// A dot for a road without geometry
+function createPointLayer(road, color) {
+    const marker = L.marker(road.location, { icon: createRoadIcon(color) })
+        .bindPopup(() => createPopupContent(getDisplayedRoad(road.road) || road));
+    marker.isRoadPoint = true;
+    marker.roadColor = color;
+    // The icon element is created again whenever a cluster releases the dot
+    marker.on('add', () => labelRoadLayers(getDisplayedRoad(road.road) || road));
+    roadPointLayer.addLayer(marker);
+    return trackRoadSelection(marker, road);
+}
+
+// A coloured polyline for one stretch of a road
+function createSegmentLayer(road, segment, color) {
+    const polyline = L.polyline(getSegmentLatLngs(segment), {
+        color,
+        weight: 6,
+        opacity: 0.85,
+        lineCap: 'round',
+        className: 'road-segment',
+        renderer: useCanvasRenderer ? getRoadCanvasRenderer() : undefined
+    }).addTo(map);
+    polyline.bindPopup(() => {
+        const current = getDisplayedRoad(road.road) || road;
+        const currentSegment = (current.segments || []).find(s => s.id === segment.id) || segment;
+        return createSegmentPopupContent(current, currentSegment);
+    });
+    polyline.roadColor = color;
+    
+    // Highlight the hovered stretch
+    polyline.on('mouseover', () => {
+        polyline.setStyle({ weight: 10, opacity: 1 });
+        polyline.bringToFront();
+    });
+    polyline.on('mouseout', () => polyline.setStyle({ weight: 6, opacity: 0.85 }));
+    
+    return trackRoadSelection(polyline, road);
+}
+
+function getRoadCanvasRenderer() {
+    if (!roadCanvasRenderer) roadCanvasRenderer = L.canvas({ padding: 0.5 });
+    return roadCanvasRenderer;
+}
+
+// Recolour a layer in place; CSS transitions fade SVG paths and dots to the new colour
+function restyleRoadLayer(layer, color) {
+    layer.roadColor = color;
+    if (!layer.isRoadPoint) {
+        layer.setStyle({ color });
+        return;
+    }
+    const icon = createRoadIcon(color);
+    const element = layer.getElement();
+    if (element) {
+        layer.options.icon = icon;
+        element.firstElementChild.style.backgroundColor = color;
+    } else {
+        layer.setIcon(icon);
+    }
+}
+
+// Opening a road's popup selects it in the URL; closing it clears the selection
+function trackRoadSelection(layer, road) {
+    layer.roadName = road.road;
+    layer.on('popupopen', () => selectRoad(road.road));
+    layer.on('popupclose', () => selectRoad(null));
+    return layer;
+}
+
+// Replace dots that share a screen cell with one cluster marker per cell
+function renderRoadClusters() {
+    if (!roadClusterLayer) return;
+    roadClusterLayer.clearLayers();
+    const points = markers.filter(layer => layer.isRoadPoint);
+    const clustering = points.length > CLUSTER_MIN_MARKERS && map.getZoom() < CLUSTER_MAX_ZOOM;
+    const groups = clustering ? groupByScreenCell(points) : points.map(point => [point]);
+    
+    groups.forEach(group => {
+        if (group.length === 1) {
+            if (!roadPointLayer.hasLayer(group[0])) roadPointLayer.addLayer(group[0]);
+            return;
+        }
+        group.forEach(layer => roadPointLayer.removeLayer(layer));
+        roadClusterLayer.addLayer(createClusterMarker(group));
+    });
+}
+
+function groupByScreenCell(layers) {
+    const zoom = map.getZoom();
+    const cells = new Map();
+    layers.forEach(layer => {
+        const point = map.project(layer.getLatLng(), zoom);
+        const cell = `${Math.floor(point.x / CLUSTER_CELL_PX)}:${Math.floor(point.y / CLUSTER_CELL_PX)}`;
+        if (!cells.has(cell)) cells.set(cell, []);
+        cells.get(cell).push(layer);
+    });
+    return [...cells.values()];
+}
+
+// Clicking a cluster zooms in on the roads it holds
+function createClusterMarker(layers) {
+    const bounds = L.latLngBounds(layers.map(layer => layer.getLatLng()));
+    const size = layers.length < 10 ? 'small' : layers.length < 100 ? 'medium' : 'large';
+    const marker = L.marker(bounds.getCenter(), {
+        icon: L.divIcon({
+            className: `marker-cluster marker-cluster-${size}`,
+            html: `<div><span>${layers.length}</span></div>`,
+            iconSize: [40, 40]
+        }),
+        title: tn('zones.roads', layers.length)
+    });
+    marker.on('click', () => map.fitBounds(bounds.pad(0.2)));
+    return marker;
+}
+
+// Make the road's first drawn layer its keyboard stop, labelled with its
+// values so the colour isn't the only cue; canvas layers have no element
+function labelRoadLayers(road) {
+    const entry = roadLayers.get(road.road);
+    if (!entry) return;
+    const label = describeRoadForScreenReader(road);
+    let focusable = null;
+    entry.layers.forEach(layer => {
+        const element = layer.getElement ? layer.getElement() : null;
+        if (!element) return;
+        if (!focusable) focusable = element;
+        element.setAttribute('tabindex', element === focusable ? '0' : '-1');
+        element.setAttribute('role', 'button');
+        element.setAttribute('aria-label', label);
+        element.dataset.roadFocus = road.road;
+    });
+}
+
+function describeRoadForScreenReader(road) {
+    return t('a11y.roadLabel', {
+        road: getRoadName(road),
+        congestion: formatPercent(road.congestion),
+        level: getCongestionLevel(road.congestion),
+        speed: formatSpeed(road.averageSpeed),
+        accidents: tn('a11y.accidents', road.accidents),
+        grade: getSafetyRating(road)
+    });
+}
+
+// The layer a road's focusable element belongs to
+function getRoadFocusLayer(roadName) {
+    const entry = roadLayers.get(roadName);
+    if (!entry) return null;
+    return [...entry.layers.values()].find(layer => layer.getElement && layer.getElement() &&
+        layer.getElement().getAttribute('tabindex') === '0') || null;
+}
+
+function getRoadLayerCenter(layer) {
+    return map.latLngToContainerPoint(layer.getLatLng ? layer.getLatLng() : layer.getBounds().getCenter());
+}
+
+// Enter or Space opens the focused road's popup, arrow keys move to the
+// nearest road on screen in that direction
+function handleRoadKeydown(event) {
+    const roadName = event.target.dataset && event.target.dataset.roadFocus;
+    if (!roadName) return;
+    const current = getRoadFocusLayer(roadName);
+    if (!current) return;
+    
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        current.openPopup();
+        return;
+    }
+    const direction = ROAD_FOCUS_DIRECTIONS[event.key];
+    if (!direction) return;
+    // Leaflet would pan the map instead
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const origin = getRoadLayerCenter(current);
+    let best = null;
+    roadLayers.forEach((entry, name) => {
+        if (name === roadName) return;
+        const layer = getRoadFocusLayer(name);
+        if (!layer) return;
+        const point = getRoadLayerCenter(layer);
+        const along = (point.x - origin.x) * direction[0] + (point.y - origin.y) * direction[1];
+        if (along <= 0) return;
+        const across = Math.abs((point.x - origin.x) * direction[1] + (point.y - origin.y) * direction[0]);
+        // Roads straight ahead win over closer ones off to the side
+        const score = along + 2 * across;
+        if (!best || score < best.score) best = { layer, score };
+    });
+    if (!best) return;
+    map.panInside(best.layer.getLatLng ? best.layer.getLatLng() : best.layer.getBounds().getCenter());
+    best.layer.getElement().focus();
+}
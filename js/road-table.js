@@ -0,0 +1,148 @@
+// Road table: the filtered roads as a sortable table kept in step with the
+// map, for keyboard and screen-reader users and anyone who would rather read
+// numbers than colours. Choosing a road in the table opens it on the map, and
+// the road selected on the map is marked in the table.
+
+const ROAD_TABLE_SORT_KEY = 'geosense-road-table-sort';
+// What each column sorts by; text columns start ascending, numbers descending
+const ROAD_TABLE_COLUMNS = {
+    road: { labelKey: 'table.road', value: road => getRoadName(road), text: true },
+    congestion: { labelKey: 'table.congestion', value: road => road.congestion },
+    averageSpeed: { labelKey: 'table.speed', value: road => road.averageSpeed },
+    accidents: { labelKey: 'table.accidents', value: road => road.accidents },
+    safety: { labelKey: 'table.safety', value: road => getSafetyScore(road, getDisplayedTime()) }
+};
+
+let roadTableSort = loadRoadTableSort();
+// Row HTML per road name, so a live update only rebuilds the changed roads' rows
+let roadTableRows = new Map();
+
+function loadRoadTableSort() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ROAD_TABLE_SORT_KEY) || '{}');
+        if (ROAD_TABLE_COLUMNS[stored.column] && ['ascending', 'descending'].includes(stored.direction)) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable road table sort:', error);
+    }
+    return { column: 'congestion', direction: 'descending' };
+}
+
+function sortRoadTableData(data) {
+    const { value, text } = ROAD_TABLE_COLUMNS[roadTableSort.column];
+    const sign = roadTableSort.direction === 'ascending' ? 1 : -1;
+    return [...data].sort((a, b) => {
+        const order = text ? value(a).localeCompare(value(b), getLocale()) : value(a) - value(b);
+        return sign * order || a.road.localeCompare(b.road);
+    });
+}
+
+function renderRoadTableHead() {
+    document.getElementById('roadTableHead').innerHTML = Object.entries(ROAD_TABLE_COLUMNS).map(([key, column]) => {
+        const sorted = roadTableSort.column === key;
+        const icon = !sorted ? 'fa-sort' : roadTableSort.direction === 'ascending' ? 'fa-sort-up' : 'fa-sort-down';
+        return `
+            <th scope="col" aria-sort="${sorted ? roadTableSort.direction : 'none'}">
+                <button class="road-table-sort" data-table-sort="${key}">
+                    ${t(column.labelKey)} <i class="fas ${icon}" aria-hidden="true"></i>
+                </button>
+            </th>
+        `;
+    }).join('') + `<th scope="col"><span class="sr-only">${t('table.actions')}</span></th>`;
+}
+
+// Given the names of the roads a live update changed, the other rows keep
+// their HTML and are only moved to follow the sort order
+function renderRoadTable(changedRoads = null) {
+    const time = getDisplayedTime();
+    if (!changedRoads) {
+        renderRoadTableHead();
+        roadTableRows = new Map();
+    }
+    patchList(document.getElementById('roadTableBody'), sortRoadTableData(getFilteredData()), road => road.road, road => {
+        if (!roadTableRows.has(road.road) || (changedRoads && changedRoads.includes(road.road))) {
+            roadTableRows.set(road.road, createRoadTableRow(road, time));
+        }
+        return roadTableRows.get(road.road);
+    }, `<tr><td colspan="${Object.keys(ROAD_TABLE_COLUMNS).length + 1}" class="text-gray-500">${t('table.empty')}</td></tr>`);
+    markSelectedTableRow();
+}
+
+function createRoadTableRow(road, time) {
+    return `
+        <tr>
+            <th scope="row">
+                <button class="road-table-link" data-table-road="${escapeHtml(road.road)}" title="${t('table.showOnMap')}">${escapeHtml(getRoadName(road))}</button>
+                ${createAnomalyBadge(road.road)}
+            </th>
+            <td>
+                ${formatPercent(road.congestion)}
+                <span class="road-table-level"><i class="fas fa-circle" style="color: ${getCongestionColor(road.congestion)}" aria-hidden="true"></i> ${getCongestionLevel(road.congestion)}</span>
+            </td>
+            <td>${formatSpeed(road.averageSpeed)}</td>
+            <td>${formatNumber(road.accidents)}</td>
+            <td>${t('table.grade', { grade: getSafetyRating(road, time), score: formatNumber(getSafetyScore(road, time)) })}</td>
+            <td>
+                <button class="text-xs text-blue-600 hover:underline" data-table-details="${escapeHtml(road.road)}" aria-label="${escapeHtml(t('table.detailsFor', { road: getRoadName(road) }))}">${t('health.details')}</button>
+            </td>
+        </tr>
+    `;
+}
+
+// Mark the road selected on the map and scroll its row into the table's view
+function markSelectedTableRow() {
+    const body = document.getElementById('roadTableBody');
+    if (!body) return;
+    [...body.children].forEach(row => {
+        const selected = row.dataset.key === selectedRoad;
+        row.classList.toggle('selected', selected);
+        if (selected) row.setAttribute('aria-current', 'true');
+        else row.removeAttribute('aria-current');
+    });
+    
+    const row = selectedRoad && [...body.children].find(r => r.dataset.key === selectedRoad);
+    const wrapper = document.getElementById('roadTableWrapper');
+    if (!row) return;
+    // scrollIntoView would scroll the whole page as well
+    const header = body.previousElementSibling.offsetHeight;
+    if (row.offsetTop - header < wrapper.scrollTop) {
+        wrapper.scrollTop = row.offsetTop - header;
+    } else if (row.offsetTop + row.offsetHeight > wrapper.scrollTop + wrapper.clientHeight) {
+        wrapper.scrollTop = row.offsetTop + row.offsetHeight - wrapper.clientHeight;
+    }
+}
+
+// Select a road and open its popup, zooming in if its dot is folded into a cluster
+function showRoadOnMap(roadName) {
+    const road = getDisplayedRoad(roadName);
+    if (!road) return;
+    selectRoad(roadName);
+    const layer = markers.find(marker => marker.roadName === roadName);
+    if (layer && !map.hasLayer(layer)) map.setView(road.location, CLUSTER_MAX_ZOOM, { animate: false });
+    openSelectedRoadPopup();
+}
+
+// Setup sorting and the row buttons
+function setupRoadTable() {
+    document.getElementById('roadTable').addEventListener('click', event => {
+        const sortButton = event.target.closest('[data-table-sort]');
+        if (sortButton) {
+            const column = sortButton.dataset.tableSort;
+            const direction = column === roadTableSort.column
+                ? (roadTableSort.direction === 'ascending' ? 'descending' : 'ascending')
+                : (ROAD_TABLE_COLUMNS[column].text ? 'ascending' : 'descending');
+            roadTableSort = { column, direction };
+            localStorage.setItem(ROAD_TABLE_SORT_KEY, JSON.stringify(roadTableSort));
+            renderRoadTable();
+            // The header was redrawn, so keep keyboard focus on the same column
+            document.querySelector(`[data-table-sort="${column}"]`).focus();
+            return;
+        }
+        const roadButton = event.target.closest('[data-table-road]');
+        if (roadButton) {
+            showRoadOnMap(roadButton.dataset.tableRoad);
+            return;
+        }
+        const detailsButton = event.target.closest('[data-table-details]');
+        if (detailsButton) openRoadDrawer(detailsButton.dataset.tableDetails);
+    });
+}
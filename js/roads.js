@@ -0,0 +1,44 @@
+// Road geometry and summaries: segment coordinates, lengths and the
+// length-weighted road values derived from them. Plain functions of the road
+// records, shared by the map, feeds, route planner and analytics.
+
+function hasSegments(road) {
+    return Array.isArray(road.segments) && road.segments.length > 0;
+}
+
+// GeoJSON stores [lng, lat]; Leaflet expects [lat, lng]
+function getSegmentLatLngs(segment) {
+    return segment.geometry.coordinates.map(([lng, lat]) => [lat, lng]);
+}
+
+function getSegmentLength(segment) {
+    const latLngs = getSegmentLatLngs(segment);
+    let length = 0;
+    for (let i = 1; i < latLngs.length; i++) {
+        length += haversineDistance(latLngs[i - 1], latLngs[i]);
+    }
+    return length;
+}
+
+// Great-circle distance in km between two [lat, lng] points
+function haversineDistance([lat1, lng1], [lat2, lng2]) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Road-level congestion and speed are length-weighted averages of its segments
+function summarizeRoad(road) {
+    if (!hasSegments(road)) return road;
+    
+    const lengths = road.segments.map(getSegmentLength);
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    const weighted = key => road.segments.reduce((sum, segment, i) => sum + segment[key] * lengths[i], 0) / totalLength;
+    
+    road.congestion = Math.round(weighted('congestion'));
+    road.averageSpeed = Math.round(weighted('averageSpeed'));
+    return road;
+}
@@ -0,0 +1,401 @@
+// Route planner: builds a road graph from segment geometry and finds
+// fastest, least-congested and safest routes between two points.
+
+let routeLayers = [];
+let routeEndpoints = { origin: null, destination: null };
+let routePickMode = null;
+
+// Nodes on different roads closer than this (km) are treated as a junction
+const JUNCTION_RADIUS_KM = 0.35;
+// Assumed speed (km/h) on junction connectors and from the chosen points to
+// the road network, which have no measured speed
+const CONNECTOR_SPEED = 20;
+
+const ROUTE_PROFILES = {
+    fastest: {
+        labelKey: 'route.profile.fastest',
+        color: '#2563EB',
+        icon: 'fa-bolt',
+        cost: edge => getEdgeTravelTime(edge)
+    },
+    leastCongested: {
+        labelKey: 'route.profile.leastCongested',
+        color: '#059669',
+        icon: 'fa-car-side',
+        cost: edge => edge.length * (1 + 3 * getEdgeCongestion(edge) / 100)
+    },
+    safest: {
+        labelKey: 'route.profile.safest',
+        color: '#7C3AED',
+        icon: 'fa-shield-alt',
+        cost: edge => edge.length * getEdgeRiskFactor(edge)
+    }
+};
+
+// Cost multiplier of a road with safety score 0; a score of 100 costs 1
+const SAFETY_RISK_PENALTY = 4;
+// Used for connector edges that aren't part of any road
+const UNKNOWN_ROAD_PENALTY = 1.5;
+
+// Build an undirected graph whose nodes are segment vertices and road points
+function buildRoadGraph(data) {
+    const nodes = new Map();
+    
+    const getNode = (latLng, road) => {
+        const id = latLng.map(value => value.toFixed(4)).join(',');
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, latLng, roads: new Set(), edges: [] });
+        }
+        const node = nodes.get(id);
+        if (road) node.roads.add(road);
+        return node;
+    };
+    
+    const connect = (a, b, road, segment) => {
+        if (a === b) return;
+        const length = haversineDistance(a.latLng, b.latLng);
+        a.edges.push({ to: b, length, road, segment });
+        b.edges.push({ to: a, length, road, segment });
+    };
+    
+    data.forEach(road => {
+        if (!hasSegments(road)) {
+            getNode(road.location, road);
+            return;
+        }
+        road.segments.forEach(segment => {
+            const latLngs = getSegmentLatLngs(segment);
+            for (let i = 1; i < latLngs.length; i++) {
+                connect(getNode(latLngs[i - 1], road), getNode(latLngs[i], road), road, segment);
+            }
+        });
+    });
+    
+    // Link nearby nodes that belong to different roads
+    const nodeList = [...nodes.values()];
+    nodeList.forEach((a, i) => {
+        nodeList.slice(i + 1).forEach(b => {
+            const sharesRoad = [...a.roads].some(road => b.roads.has(road));
+            if (!sharesRoad && haversineDistance(a.latLng, b.latLng) <= JUNCTION_RADIUS_KM) {
+                connect(a, b, null, null);
+            }
+        });
+    });
+    
+    connectGraphComponents(nodeList, connect);
+    return { nodes: nodeList };
+}
+
+// Join isolated parts of the network to the largest one through their closest nodes
+function connectGraphComponents(nodeList, connect) {
+    const components = findGraphComponents(nodeList).sort((a, b) => b.length - a.length);
+    const main = components[0] || [];
+    
+    components.slice(1).forEach(component => {
+        let best = null;
+        component.forEach(a => {
+            main.forEach(b => {
+                const distance = haversineDistance(a.latLng, b.latLng);
+                if (!best || distance < best.distance) best = { a, b, distance };
+            });
+        });
+        if (best) {
+            connect(best.a, best.b, null, null);
+            main.push(...component);
+        }
+    });
+}
+
+function findGraphComponents(nodeList) {
+    const seen = new Set();
+    const components = [];
+    
+    nodeList.forEach(start => {
+        if (seen.has(start)) return;
+        const component = [];
+        const stack = [start];
+        seen.add(start);
+        while (stack.length) {
+            const node = stack.pop();
+            component.push(node);
+            node.edges.forEach(edge => {
+                if (!seen.has(edge.to)) {
+                    seen.add(edge.to);
+                    stack.push(edge.to);
+                }
+            });
+        }
+        components.push(component);
+    });
+    
+    return components;
+}
+
+function findNearestNode(graph, latLng) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    graph.nodes.forEach(node => {
+        const distance = haversineDistance(node.latLng, latLng);
+        if (distance < nearestDistance) {
+            nearest = node;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Dijkstra's shortest path using the given edge cost function
+function findShortestPath(graph, start, goal, cost) {
+    const distances = new Map([[start, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+    const queue = [{ node: start, distance: 0 }];
+    
+    while (queue.length) {
+        // Small graphs: a sorted array is fast enough as a priority queue
+        queue.sort((a, b) => a.distance - b.distance);
+        const { node } = queue.shift();
+        if (visited.has(node)) continue;
+        visited.add(node);
+        if (node === goal) break;
+        
+        node.edges.forEach(edge => {
+            if (visited.has(edge.to)) return;
+            const distance = distances.get(node) + cost(edge);
+            if (distance < (distances.has(edge.to) ? distances.get(edge.to) : Infinity)) {
+                distances.set(edge.to, distance);
+                previous.set(edge.to, { node, edge });
+                queue.push({ node: edge.to, distance });
+            }
+        });
+    }
+    
+    if (!visited.has(goal)) return null;
+    
+    const edges = [];
+    let current = goal;
+    while (current !== start) {
+        const step = previous.get(current);
+        edges.unshift(step.edge);
+        current = step.node;
+    }
+    return { nodes: [start, ...edges.map(edge => edge.to)], edges };
+}
+
+function getEdgeSpeed(edge) {
+    if (edge.segment) return Math.max(5, edge.segment.averageSpeed);
+    return CONNECTOR_SPEED;
+}
+
+// Travel time in minutes
+function getEdgeTravelTime(edge) {
+    return edge.length / getEdgeSpeed(edge) * 60;
+}
+
+function getEdgeCongestion(edge) {
+    if (edge.segment) return edge.segment.congestion;
+    return 50;
+}
+
+function getEdgeRiskFactor(edge) {
+    if (!edge.road) return UNKNOWN_ROAD_PENALTY;
+    return 1 + (SAFETY_RISK_PENALTY - 1) * (100 - getSafetyScore(edge.road)) / 100;
+}
+
+// Plan one route per profile between two [lat, lng] points. Each route also
+// covers the way from the origin to its nearest node and from the last node
+// to the destination.
+function planRoutes(data, originLatLng, destinationLatLng) {
+    const graph = buildRoadGraph(data);
+    const start = findNearestNode(graph, originLatLng);
+    const goal = findNearestNode(graph, destinationLatLng);
+    if (!start || !goal) return [];
+    const snapDistance = haversineDistance(originLatLng, start.latLng) + haversineDistance(goal.latLng, destinationLatLng);
+    
+    return Object.entries(ROUTE_PROFILES).map(([key, profile]) => {
+        const path = findShortestPath(graph, start, goal, profile.cost);
+        if (!path) return null;
+        
+        const roads = [];
+        path.edges.forEach(edge => {
+            if (edge.road && !roads.includes(edge.road)) roads.push(edge.road);
+        });
+        
+        return {
+            key,
+            profile,
+            latLngs: [originLatLng, ...path.nodes.map(node => node.latLng), destinationLatLng],
+            distance: path.edges.reduce((sum, edge) => sum + edge.length, snapDistance),
+            eta: path.edges.reduce((sum, edge) => sum + getEdgeTravelTime(edge), snapDistance / CONNECTOR_SPEED * 60),
+            roads
+        };
+    }).filter(Boolean);
+}
+
+// Setup route planner controls
+function setupRoutePlanner() {
+    const datalist = document.getElementById('routeRoadNames');
+    datalist.innerHTML = trafficData.map(road => `<option value="${escapeHtml(getRoadName(road))}"></option>`).join('');
+    
+    ['origin', 'destination'].forEach(type => {
+        const input = document.getElementById(`${type}Input`);
+        if (input.dataset.bound) return;
+        input.dataset.bound = 'true';
+        
+        input.addEventListener('change', function() {
+            const name = this.value.trim().toLocaleLowerCase();
+            const road = trafficData.find(r => r.road.toLowerCase() === name || getRoadName(r).toLocaleLowerCase() === name);
+            if (road) setRouteEndpoint(type, road.location, getRoadName(road));
+        });
+        
+        document.getElementById(`${type}PickBtn`).addEventListener('click', () => startRoutePick(type));
+    });
+    
+    registerMapClickMode('route', {
+        start: () => map.getContainer().classList.add('route-picking'),
+        stop: () => {
+            map.getContainer().classList.remove('route-picking');
+            routePickMode = null;
+            renderRouteHint();
+        },
+        click: latLng => {
+            const type = routePickMode;
+            setMapClickMode(null);
+            const coordinate = value => formatNumber(value, { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+            setRouteEndpoint(type, latLng, t('route.mapPoint', { lat: coordinate(latLng[0]), lng: coordinate(latLng[1]) }));
+        }
+    });
+    
+    const planButton = document.getElementById('planRouteBtn');
+    if (!planButton.dataset.bound) {
+        planButton.dataset.bound = 'true';
+        planButton.addEventListener('click', () => updateRoutePlan({ fit: true }));
+        document.getElementById('clearRouteBtn').addEventListener('click', clearRoutePlan);
+    }
+    renderRouteHint();
+}
+
+// Switching from origin to destination keeps the mode on and only changes the target
+function startRoutePick(type) {
+    setMapClickMode('route');
+    routePickMode = type;
+    document.getElementById('routeHint').textContent = t(`route.click.${type}`);
+}
+
+function setRouteEndpoint(type, latLng, label) {
+    routeEndpoints[type] = { latLng, label };
+    document.getElementById(`${type}Input`).value = label;
+    renderRouteHint();
+}
+
+// Prompt for whichever endpoint is still missing
+function renderRouteHint() {
+    document.getElementById('routeHint').textContent = routeEndpoints.origin && routeEndpoints.destination
+        ? t('route.ready')
+        : t(routeEndpoints.origin ? 'route.chooseDestination' : 'route.chooseOrigin');
+}
+
+// `fit` moves the map to the routes; only asking for a plan does that
+function updateRoutePlan({ fit = false } = {}) {
+    const { origin, destination } = routeEndpoints;
+    if (!origin || !destination) {
+        document.getElementById('routeHint').textContent = t('route.chooseBoth');
+        return;
+    }
+    
+    const routes = planRoutes(trafficData, origin.latLng, destination.latLng);
+    renderRouteLayers(routes, fit);
+    renderRouteResults(routes);
+}
+
+// Re-plan with fresh costs after a data update, if a plan is showing, without
+// moving the map away from where the user has panned
+function refreshRoutePlan() {
+    if (routeLayers.length > 0) updateRoutePlan();
+}
+
+function clearRoutePlan() {
+    routeLayers.forEach(layer => map.removeLayer(layer));
+    routeLayers = [];
+    routeEndpoints = { origin: null, destination: null };
+    document.getElementById('originInput').value = '';
+    document.getElementById('destinationInput').value = '';
+    document.getElementById('routeResults').innerHTML = '';
+    renderRouteHint();
+}
+
+function renderRouteLayers(routes, fit) {
+    routeLayers.forEach(layer => map.removeLayer(layer));
+    routeLayers = [];
+    
+    // Draw in reverse so the fastest route ends up on top
+    [...routes].reverse().forEach((route, i) => {
+        const layer = L.polyline(route.latLngs, {
+            color: route.profile.color,
+            weight: 5,
+            opacity: 0.9,
+            dashArray: i === routes.length - 1 ? null : '8 8'
+        }).addTo(map).bindPopup(`<div class="popup-header">${t('route.routeTitle', { profile: t(route.profile.labelKey) })}</div>${formatRouteSummary(route)}`);
+        routeLayers.push(layer);
+    });
+    
+    const { origin, destination } = routeEndpoints;
+    routeLayers.push(
+        L.circleMarker(origin.latLng, { radius: 8, color: '#fff', weight: 2, fillColor: '#1f2937', fillOpacity: 1 })
+            .addTo(map).bindTooltip(t('route.originLabel', { label: origin.label })),
+        L.circleMarker(destination.latLng, { radius: 8, color: '#fff', weight: 2, fillColor: '#DC2626', fillOpacity: 1 })
+            .addTo(map).bindTooltip(t('route.destinationLabel', { label: destination.label }))
+    );
+    
+    if (fit && routes.length > 0) {
+        map.fitBounds(L.featureGroup(routeLayers).getBounds().pad(0.2));
+    }
+}
+
+function formatRouteSummary(route) {
+    return `${tn('time.minutes', Math.max(1, Math.round(route.eta)))} &middot; ${formatDistance(route.distance)}`;
+}
+
+function formatDistance(km) {
+    return t('format.km', { value: formatNumber(km, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+}
+
+function renderRouteResults(routes) {
+    const container = document.getElementById('routeResults');
+    container.innerHTML = '';
+    
+    if (routes.length === 0) {
+        container.innerHTML = `<p class="text-gray-500">${t('route.noRoute')}</p>`;
+        return;
+    }
+    
+    routes.forEach(route => {
+        const card = document.createElement('div');
+        card.className = 'rounded-lg p-4 border border-gray-200';
+        card.style.borderLeft = `4px solid ${route.profile.color}`;
+        card.innerHTML = `
+            <div class="flex justify-between items-center">
+                <h4 class="font-bold text-gray-800">
+                    <i class="fas ${route.profile.icon} mr-1" style="color: ${route.profile.color};"></i>
+                    ${t(route.profile.labelKey)}
+                </h4>
+                <div class="text-right">
+                    <div class="text-xl font-bold text-gray-800">${tn('time.minutes', Math.max(1, Math.round(route.eta)))}</div>
+                    <div class="text-xs text-gray-500">${formatDistance(route.distance)}</div>
+                </div>
+            </div>
+            <div class="mt-3 pt-3 border-t border-gray-100 flex flex-wrap gap-1">
+                ${route.roads.map(road => `
+                    <span class="route-road grade-${getSafetyRating(road)}" title="${t('route.safetyScore', { score: formatNumber(getSafetyScore(road)) })}">
+                        ${escapeHtml(getRoadName(road))} <strong>${getSafetyRating(road)}</strong>
+                    </span>
+                `).join('')}
+            </div>
+        `;
+        card.addEventListener('click', () => {
+            const layer = routeLayers.find(l => l.options && l.options.color === route.profile.color);
+            if (layer) layer.openPopup();
+        });
+        container.appendChild(card);
+    });
+}
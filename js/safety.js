@@ -0,0 +1,222 @@
+// Safety scoring: one 0-100 score per road from weighted risk factors, the
+// A-D grade derived from it and the weights settings panel. Everything that
+// calls a road "safe" goes through isSafeRoad().
+
+const SAFETY_WEIGHTS_KEY = 'geosense-safety-weights';
+const SAFETY_WEIGHT_MAX = 10;
+// Accidents today at which the frequency factor is fully at risk
+const SAFETY_ACCIDENT_CAP = 4;
+// Speeds start adding risk above the first value and max out at the second (km/h)
+const SAFETY_SPEED_RANGE = [30, 60];
+
+// Lowest score for each grade, best first; A is what counts as "safe"
+const SAFETY_GRADE_BANDS = [
+    { grade: 'A', min: 80, descriptionKey: 'safety.band.a' },
+    { grade: 'B', min: 65, descriptionKey: 'safety.band.b' },
+    { grade: 'C', min: 50, descriptionKey: 'safety.band.c' },
+    { grade: 'D', min: 0, descriptionKey: 'safety.band.d' }
+];
+
+// Each factor maps a road to a risk between 0 (none) and 1 (worst); names
+// and descriptions are message keys
+const SAFETY_FACTORS = {
+    accidents: {
+        labelKey: 'safety.factor.accidents',
+        descriptionKey: 'safety.factor.accidentsHint',
+        defaultWeight: 4,
+        value: road => tn('safety.accidentsToday', road.accidents),
+        risk: road => Math.min(road.accidents, SAFETY_ACCIDENT_CAP) / SAFETY_ACCIDENT_CAP
+    },
+    severity: {
+        labelKey: 'safety.factor.severity',
+        descriptionKey: 'safety.factor.severityHint',
+        defaultWeight: 2,
+        value: road => road.incidentSeverity > 0 ? formatPercent(Math.round(road.incidentSeverity * 100)) : t('safety.noneOpen'),
+        risk: road => Math.min(road.incidentSeverity || 0, 1)
+    },
+    congestion: {
+        labelKey: 'safety.factor.congestion',
+        descriptionKey: 'safety.factor.congestionHint',
+        defaultWeight: 2,
+        value: road => formatPercent(road.congestion),
+        risk: road => road.congestion / 100
+    },
+    speed: {
+        labelKey: 'safety.factor.speed',
+        descriptionKey: 'safety.factor.speedHint',
+        defaultWeight: 1,
+        value: road => formatSpeed(road.averageSpeed),
+        risk: road => clampRisk((road.averageSpeed - SAFETY_SPEED_RANGE[0]) / (SAFETY_SPEED_RANGE[1] - SAFETY_SPEED_RANGE[0]))
+    },
+    timeOfDay: {
+        labelKey: 'safety.factor.timeOfDay',
+        descriptionKey: 'safety.factor.timeOfDayHint',
+        defaultWeight: 1,
+        value: (road, time) => formatTime(time),
+        risk: (road, time) => getTimeOfDayRisk(time)
+    }
+};
+
+let safetyWeights = getDefaultSafetyWeights();
+
+function getDefaultSafetyWeights() {
+    return Object.fromEntries(Object.entries(SAFETY_FACTORS).map(([key, factor]) => [key, factor.defaultWeight]));
+}
+
+function loadSafetyWeights() {
+    safetyWeights = getDefaultSafetyWeights();
+    try {
+        const stored = JSON.parse(localStorage.getItem(SAFETY_WEIGHTS_KEY) || '{}');
+        Object.keys(safetyWeights).forEach(key => {
+            const weight = Number(stored[key]);
+            if (Number.isFinite(weight) && weight >= 0 && weight <= SAFETY_WEIGHT_MAX) safetyWeights[key] = weight;
+        });
+    } catch (error) {
+        console.warn('Ignoring unreadable safety weights:', error);
+    }
+    return safetyWeights;
+}
+
+function saveSafetyWeights() {
+    localStorage.setItem(SAFETY_WEIGHTS_KEY, JSON.stringify(safetyWeights));
+}
+
+function clampRisk(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function getTimeOfDayRisk(time) {
+    const hour = new Date(time).getHours();
+    if (hour >= 22 || hour < 5) return 1;
+    if (hour < 7 || hour >= 19) return 0.5;
+    return 0;
+}
+
+function describeSafetyFactor(factor) {
+    return t(factor.descriptionKey, {
+        cap: formatNumber(SAFETY_ACCIDENT_CAP),
+        from: formatSpeed(SAFETY_SPEED_RANGE[0]),
+        to: formatSpeed(SAFETY_SPEED_RANGE[1])
+    });
+}
+
+function getTotalSafetyWeight() {
+    return Object.values(safetyWeights).reduce((sum, weight) => sum + weight, 0);
+}
+
+// Score and per-factor breakdown; `pointsLost` of all factors add up to 100 - score
+function explainSafetyScore(road, time = getDisplayedTime()) {
+    const total = getTotalSafetyWeight();
+    const factors = Object.entries(SAFETY_FACTORS).map(([key, factor]) => {
+        const risk = factor.risk(road, time);
+        const share = total > 0 ? safetyWeights[key] / total : 0;
+        return {
+            key,
+            label: t(factor.labelKey),
+            description: describeSafetyFactor(factor),
+            value: factor.value(road, time),
+            risk,
+            share,
+            pointsLost: risk * share * 100
+        };
+    });
+    const score = Math.round(100 - factors.reduce((sum, factor) => sum + factor.pointsLost, 0));
+    return { score, band: getSafetyGradeBand(score), factors };
+}
+
+function getSafetyScore(road, time) {
+    return explainSafetyScore(road, time).score;
+}
+
+function getSafetyGradeBand(score) {
+    return SAFETY_GRADE_BANDS.find(band => score >= band.min);
+}
+
+function getSafetyRating(road, time) {
+    return getSafetyGradeBand(getSafetyScore(road, time)).grade;
+}
+
+function isSafeRoad(road, time) {
+    return getSafetyScore(road, time) >= SAFETY_GRADE_BANDS[0].min;
+}
+
+// Grade, score and a sentence naming the factors that cost the most points
+function explainSafetyRating(road, time) {
+    const { score, band, factors } = explainSafetyScore(road, time);
+    const ranked = factors.filter(factor => Math.round(factor.pointsLost) >= 1).sort((a, b) => b.pointsLost - a.pointsLost);
+    const main = ranked.slice(0, 2);
+    const summary = main.length === 0
+        ? t('safety.summaryNoRisk', { score: formatNumber(score) })
+        : t('safety.summary', {
+            score: formatNumber(score),
+            losses: main.map(factor => tn('safety.pointsLost', Math.round(factor.pointsLost), { factor: factor.label.toLocaleLowerCase(getLocale()) })).join(t('safety.and'))
+        });
+    return {
+        grade: band.grade,
+        score,
+        description: t(band.descriptionKey),
+        summary,
+        factors: factors.map(factor => ({ ...factor, limiting: main.includes(factor) }))
+    };
+}
+
+function describeSafetyBands() {
+    return SAFETY_GRADE_BANDS.map((band, i) => i === SAFETY_GRADE_BANDS.length - 1
+        ? t('safety.bandBelow', { grade: band.grade, min: formatNumber(SAFETY_GRADE_BANDS[i - 1].min) })
+        : `${band.grade} ${formatNumber(band.min)}+`
+    ).join(', ');
+}
+
+// Weights settings panel; `onChange` re-renders whatever shows scores
+function setupSafetySettings(onChange) {
+    loadSafetyWeights();
+    const panel = document.getElementById('safetySettings');
+    document.getElementById('safetySettingsBtn').addEventListener('click', () => {
+        panel.classList.toggle('hidden');
+    });
+    
+    const list = document.getElementById('safetyWeightList');
+    list.addEventListener('input', event => {
+        const key = event.target.dataset.safetyWeight;
+        if (!key) return;
+        safetyWeights[key] = Number(event.target.value);
+        saveSafetyWeights();
+        renderSafetyWeights();
+        onChange();
+    });
+    document.getElementById('resetSafetyWeightsBtn').addEventListener('click', () => {
+        safetyWeights = getDefaultSafetyWeights();
+        saveSafetyWeights();
+        renderSafetyWeights(true);
+        onChange();
+    });
+    renderSafetySettings();
+}
+
+// Grade bands and sliders, e.g. after the language changed
+function renderSafetySettings() {
+    document.getElementById('safetyBands').textContent = describeSafetyBands();
+    renderSafetyWeights(true);
+}
+
+// Update the share labels; `rebuild` also redraws the sliders
+function renderSafetyWeights(rebuild = false) {
+    const list = document.getElementById('safetyWeightList');
+    const total = getTotalSafetyWeight();
+    if (rebuild) {
+        list.innerHTML = Object.entries(SAFETY_FACTORS).map(([key, factor]) => `
+            <label class="block">
+                <div class="flex justify-between text-sm">
+                    <span class="font-medium text-gray-700">${t(factor.labelKey)}</span>
+                    <span class="text-gray-500" data-safety-share="${key}"></span>
+                </div>
+                <input type="range" min="0" max="${SAFETY_WEIGHT_MAX}" step="1" value="${safetyWeights[key]}" data-safety-weight="${key}" class="w-full">
+                <div class="text-xs text-gray-500">${describeSafetyFactor(factor)}</div>
+            </label>
+        `).join('');
+    }
+    list.querySelectorAll('[data-safety-share]').forEach(element => {
+        const share = total > 0 ? safetyWeights[element.dataset.safetyShare] / total : 0;
+        element.textContent = t('safety.share', { share: formatPercent(Math.round(share * 100)) });
+    });
+}
@@ -0,0 +1,22 @@
+// Store: holds a value and tells subscribers when it changes. Each change
+// carries a description ({ type: 'replace' } or { type: 'delta', roads }) so
+// views can update just what changed instead of redrawing everything.
+
+function createStore(initial) {
+    let value = initial;
+    const listeners = new Set();
+    
+    return {
+        get: () => value,
+        // Listeners are called with the new value and the change description
+        set(next, change = { type: 'replace' }) {
+            value = next;
+            listeners.forEach(listener => listener(value, change));
+        },
+        // Returns a function that removes the listener
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
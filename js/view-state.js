@@ -0,0 +1,166 @@
+// View state: map position, filters, hotspot mode, zone layer and the selected road,
+// kept in the URL hash so views survive reloads, can be shared and work
+// with back/forward. Named views are saved in localStorage, per region.
+
+const SAVED_VIEWS_KEY = 'geosense-saved-views';
+
+let selectedRoad = null;
+let savedViews = [];
+// Set while the view is restored, so the changes it triggers don't push history
+let applyingViewState = false;
+
+// Encode the current view as URL hash parameters
+function serializeViewState() {
+    const params = new URLSearchParams();
+    const center = map.getCenter();
+    params.set('map', `${map.getZoom()}/${center.lat.toFixed(4)}/${center.lng.toFixed(4)}`);
+    
+    if (filterState.search) params.set('q', filterState.search);
+    if (filterState.congestion !== 'all') params.set('band', filterState.congestion);
+    if (filterState.minSpeed !== null || filterState.maxSpeed !== null) {
+        params.set('speed', `${filterState.minSpeed ?? ''}-${filterState.maxSpeed ?? ''}`);
+    }
+    if (filterState.grades.length > 0) params.set('grade', filterState.grades.join(','));
+    if (filterState.accidents !== 'any') params.set('accidents', filterState.accidents);
+    if (filterState.zone) params.set('zone', filterState.zone);
+    if (filterState.area) {
+        params.set('area', filterState.area.map(([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`).join(';'));
+    }
+    if (hotspotMode) params.set('hotspots', '1');
+    if (zoneMetric) params.set('zones', zoneMetric);
+    if (selectedRoad) params.set('road', selectedRoad);
+    // Slashes and commas are safe in a hash; leaving them readable keeps links short
+    return params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',').replace(/%3B/g, ';');
+}
+
+// Decode a URL hash; anything missing or malformed falls back to the default
+function parseViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {
+        center: getRegion().center,
+        zoom: getRegion().zoom,
+        filters: createFilterState(),
+        hotspots: params.get('hotspots') === '1',
+        zoneMetric: ZONE_METRICS[params.get('zones')] ? params.get('zones') : null,
+        road: params.get('road')
+    };
+    
+    const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number);
+    if ([zoom, lat, lng].every(Number.isFinite)) {
+        state.center = [lat, lng];
+        state.zoom = zoom;
+    }
+    
+    const filters = state.filters;
+    filters.search = params.get('q') || '';
+    if (isCongestionLevel(params.get('band'))) filters.congestion = params.get('band');
+    const [minSpeed, maxSpeed] = (params.get('speed') || '-').split('-');
+    filters.minSpeed = minSpeed !== '' && Number.isFinite(Number(minSpeed)) ? Number(minSpeed) : null;
+    filters.maxSpeed = maxSpeed !== '' && maxSpeed !== undefined && Number.isFinite(Number(maxSpeed)) ? Number(maxSpeed) : null;
+    filters.grades = SAFETY_GRADES.filter(grade => (params.get('grade') || '').split(',').includes(grade));
+    if (['with', 'without'].includes(params.get('accidents'))) filters.accidents = params.get('accidents');
+    // Zones may still be loading, so any id is kept; an unknown one simply matches no road
+    filters.zone = params.get('zone') || null;
+    
+    const area = (params.get('area') || '').split(';')
+        .map(point => point.split(',').map(Number))
+        .filter(point => point.length === 2 && point.every(Number.isFinite));
+    if (area.length >= 3) filters.area = area;
+    
+    return state;
+}
+
+// Restore a decoded view; the road popup opens once its layer is on the map
+function applyViewState(state, onFilterChange) {
+    applyingViewState = true;
+    setFilterState(state.filters);
+    if (state.hotspots !== hotspotMode) setHotspotMode(state.hotspots);
+    if (state.zoneMetric !== zoneMetric) setZoneMetric(state.zoneMetric);
+    map.setView(state.center, state.zoom);
+    selectedRoad = state.road;
+    onFilterChange();
+    openSelectedRoadPopup();
+    applyingViewState = false;
+}
+
+// Record the current view as a new history entry (back/forward steps through these)
+function pushViewState() {
+    if (applyingViewState) return;
+    const hash = `#${serializeViewState()}`;
+    if (hash !== location.hash) history.pushState(null, '', hash);
+}
+
+// Update the current entry without adding to history, e.g. while panning
+function replaceViewState() {
+    if (applyingViewState) return;
+    history.replaceState(null, '', `#${serializeViewState()}`);
+}
+
+function selectRoad(roadName) {
+    if (selectedRoad === roadName) return;
+    selectedRoad = roadName;
+    pushViewState();
+    markSelectedTableRow();
+}
+
+function openSelectedRoadPopup() {
+    const layer = selectedRoad && markers.find(marker => marker.roadName === selectedRoad);
+    // A dot folded into a cluster isn't on the map to open from
+    if (layer && map.hasLayer(layer)) layer.openPopup();
+}
+
+// Restore the view from the URL and keep the URL in step with the view
+function setupViewState(onFilterChange) {
+    savedViews = loadSavedViews();
+    applyViewState(parseViewState(location.hash), onFilterChange);
+    
+    map.on('moveend', replaceViewState);
+    window.addEventListener('popstate', () => applyViewState(parseViewState(location.hash), onFilterChange));
+    
+    const select = document.getElementById('savedViewSelect');
+    select.addEventListener('change', function() {
+        document.getElementById('deleteViewBtn').disabled = !this.value;
+        const view = savedViews.find(v => v.name === this.value);
+        if (!view) return;
+        history.pushState(null, '', `#${view.hash}`);
+        applyViewState(parseViewState(view.hash), onFilterChange);
+    });
+    
+    document.getElementById('saveViewBtn').addEventListener('click', () => {
+        const name = (prompt(t('views.namePrompt'), select.value || '') || '').trim();
+        if (!name) return;
+        savedViews = savedViews.filter(v => v.name !== name).concat({ name, hash: serializeViewState() });
+        saveSavedViews();
+        renderSavedViews(name);
+    });
+    
+    document.getElementById('deleteViewBtn').addEventListener('click', () => {
+        if (!select.value || !confirm(t('views.deleteConfirm', { name: select.value }))) return;
+        savedViews = savedViews.filter(v => v.name !== select.value);
+        saveSavedViews();
+        renderSavedViews('');
+    });
+    
+    renderSavedViews('');
+}
+
+function loadSavedViews() {
+    try {
+        return JSON.parse(localStorage.getItem(getRegionStorageKey(SAVED_VIEWS_KEY)) || '[]');
+    } catch (error) {
+        console.warn('Ignoring unreadable saved views:', error);
+        return [];
+    }
+}
+
+function saveSavedViews() {
+    localStorage.setItem(getRegionStorageKey(SAVED_VIEWS_KEY), JSON.stringify(savedViews));
+}
+
+function renderSavedViews(selected) {
+    const select = document.getElementById('savedViewSelect');
+    select.innerHTML = `<option value="">${t('views.saved')}</option>` +
+        savedViews.map(view => `<option value="${escapeHtml(view.name)}">${escapeHtml(view.name)}</option>`).join('');
+    select.value = selected;
+    document.getElementById('deleteViewBtn').disabled = !selected;
+}
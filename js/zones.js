@@ -0,0 +1,223 @@
+// Zones: planning areas (Old City, Hiran Magri, ...) loaded from the
+// region's GeoJSON, roads assigned to them by point-in-polygon, per-zone
+// figures and a choropleth layer. Picking a zone narrows every view through
+// the filters.
+
+// Incidents inside a zone over this window give its incident rate
+const ZONE_INCIDENT_WINDOW_DAYS = 7;
+
+// Class breaks and colours per choropleth metric, worst class last
+const ZONE_METRICS = {
+    congestion: {
+        labelKey: 'zones.metric.congestion',
+        format: value => formatPercent(value),
+        breaks: [30, 45, 60, 75],
+        colors: ['#FEF3C7', '#FCD34D', '#F59E0B', '#EA580C', '#B91C1C']
+    },
+    averageSpeed: {
+        labelKey: 'zones.metric.averageSpeed',
+        format: value => formatSpeed(value),
+        // Slower is worse, so the breaks run downwards
+        breaks: [40, 32, 25, 18],
+        colors: ['#DBEAFE', '#93C5FD', '#3B82F6', '#1D4ED8', '#1E3A8A']
+    },
+    incidentRate: {
+        labelKey: 'zones.metric.incidentRate',
+        format: value => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+        breaks: [0.5, 1, 2, 4],
+        colors: ['#F3E8FF', '#D8B4FE', '#A855F7', '#7E22CE', '#4C1D95']
+    }
+};
+
+let zones = [];
+let zoneLayer = null;
+// Polygon of each zone id in the choropleth, restyled in place by live updates
+let zonePolygons = new Map();
+let zoneMetric = null; // metric key while the choropleth is shown
+// Zone id per road name, filled lazily; cleared when zones or roads change
+let roadZoneCache = new Map();
+
+// Polygon and MultiPolygon features as { id, name, polygons: [[lat, lng] rings] }
+function parseZones(geojson) {
+    const features = geojson && Array.isArray(geojson.features) ? geojson.features : [];
+    return features.map((feature, index) => {
+        const geometry = feature.geometry || {};
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+        const properties = feature.properties || {};
+        const name = properties.name || t('zones.unnamed', { number: formatNumber(index + 1) });
+        return {
+            id: String(properties.id || slugify(name)),
+            name,
+            // Outer rings only; holes are ignored
+            polygons: polygons.map(rings => rings[0].map(([lng, lat]) => [lat, lng]))
+        };
+    }).filter(zone => zone.polygons.length > 0);
+}
+
+async function loadZones() {
+    let geojson;
+    try {
+        const response = await fetch(getRegion().sources.zones);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        geojson = await response.json();
+    } catch (error) {
+        console.warn('Could not load zones, using the bundled copy:', error);
+        geojson = (window.SAMPLE_ZONES || {})[getRegion().id];
+    }
+    zones = parseZones(geojson);
+    roadZoneCache = new Map();
+    return zones;
+}
+
+function getZone(zoneId) {
+    return zones.find(zone => zone.id === zoneId) || null;
+}
+
+function isPointInZone(latLng, zone) {
+    return zone.polygons.some(polygon => isPointInPolygon(latLng, polygon));
+}
+
+// Zone id of the road's marker location, or null outside every zone
+function getRoadZoneId(road) {
+    if (!roadZoneCache.has(road.road)) {
+        const zone = zones.find(z => isPointInZone(road.location, z));
+        roadZoneCache.set(road.road, zone ? zone.id : null);
+    }
+    return roadZoneCache.get(road.road);
+}
+
+function resetRoadZones() {
+    roadZoneCache = new Map();
+}
+
+// Figures for one zone; averages are null for a zone without roads
+function getZoneStats(data, zone, until = getDisplayedTime()) {
+    const roads = data.filter(road => getRoadZoneId(road) === zone.id);
+    const average = key => roads.length > 0 ? Math.round(roads.reduce((sum, road) => sum + road[key], 0) / roads.length) : null;
+    const from = until - ZONE_INCIDENT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    const zoneIncidents = incidents.filter(incident =>
+        incident.timestamp > from && incident.timestamp <= until && isPointInZone(incident.latLng, zone)
+    );
+    return {
+        roadCount: roads.length,
+        congestion: average('congestion'),
+        averageSpeed: average('averageSpeed'),
+        incidentRate: zoneIncidents.length / ZONE_INCIDENT_WINDOW_DAYS
+    };
+}
+
+function getZoneClass(metricKey, value) {
+    const { breaks } = ZONE_METRICS[metricKey];
+    const ascending = breaks[0] < breaks[breaks.length - 1];
+    const index = breaks.findIndex(limit => ascending ? value < limit : value > limit);
+    return index === -1 ? breaks.length : index;
+}
+
+function getZoneColor(metricKey, value) {
+    if (value === null) return '#E5E7EB';
+    return ZONE_METRICS[metricKey].colors[getZoneClass(metricKey, value)];
+}
+
+// Choropleth of the displayed data; clicking a zone selects it in the filters
+function renderZoneLayer() {
+    if (zoneLayer) map.removeLayer(zoneLayer);
+    zoneLayer = null;
+    zonePolygons = new Map();
+    renderZoneLegend();
+    if (!zoneMetric || zones.length === 0) return;
+    
+    const data = getDisplayedData();
+    zoneLayer = L.layerGroup(zones.map(zone => {
+        const stats = getZoneStats(data, zone);
+        const selected = filterState.zone === zone.id;
+        const polygon = L.polygon(zone.polygons, {
+            color: selected ? '#1F2937' : '#FFFFFF',
+            weight: selected ? 3 : 1.5,
+            fillColor: getZoneColor(zoneMetric, stats[zoneMetric]),
+            fillOpacity: 0.55
+        });
+        polygon.bindTooltip(createZoneTooltip(zone, stats), { sticky: true });
+        polygon.on('click', () => {
+            // Clicks while a map click mode is on belong to that mode
+            if (getMapClickMode()) return;
+            document.getElementById('zoneFilter').value = filterState.zone === zone.id ? '' : zone.id;
+            document.getElementById('zoneFilter').dispatchEvent(new Event('change'));
+        });
+        zonePolygons.set(zone.id, polygon);
+        return polygon;
+    })).addTo(map);
+    // Roads and incidents stay clickable above the zones
+    zoneLayer.eachLayer(layer => layer.bringToBack());
+}
+
+// Recolour only the zones holding roads a live update changed
+function updateZoneLayer(changedRoads) {
+    if (!zoneLayer) return;
+    const data = getDisplayedData();
+    const zoneIds = new Set(changedRoads.map(name => {
+        const road = data.find(r => r.road === name);
+        return road ? getRoadZoneId(road) : null;
+    }));
+    zones.filter(zone => zoneIds.has(zone.id)).forEach(zone => {
+        const stats = getZoneStats(data, zone);
+        const polygon = zonePolygons.get(zone.id);
+        polygon.setStyle({ fillColor: getZoneColor(zoneMetric, stats[zoneMetric]) });
+        polygon.setTooltipContent(createZoneTooltip(zone, stats));
+    });
+}
+
+function createZoneTooltip(zone, stats) {
+    const format = (key, value) => value === null ? '–' : ZONE_METRICS[key].format(value);
+    return `
+        <strong>${escapeHtml(zone.name)}</strong> · ${tn('zones.roads', stats.roadCount)}<br>
+        ${Object.keys(ZONE_METRICS).map(key => `${t(ZONE_METRICS[key].labelKey)}: ${format(key, stats[key])}`).join('<br>')}
+    `;
+}
+
+function renderZoneLegend() {
+    const legend = document.getElementById('zoneLegend');
+    legend.classList.toggle('hidden', !zoneMetric);
+    if (!zoneMetric) return;
+    
+    const metric = ZONE_METRICS[zoneMetric];
+    const labels = metric.colors.map((color, i) => {
+        if (i === 0) return `${metric.breaks[0] < metric.breaks[1] ? '<' : '>'} ${metric.format(metric.breaks[0])}`;
+        if (i === metric.breaks.length) return `${metric.breaks[0] < metric.breaks[1] ? '≥' : '≤'} ${metric.format(metric.breaks[i - 1])}`;
+        return `${metric.format(metric.breaks[i - 1])}–${metric.format(metric.breaks[i])}`;
+    });
+    legend.innerHTML = `
+        <span class="text-gray-500">${t(metric.labelKey)}</span>
+        ${metric.colors.map((color, i) => `
+            <span class="inline-flex items-center"><span class="zone-swatch" style="background-color: ${color}"></span>${labels[i]}</span>
+        `).join('')}
+    `;
+}
+
+function setZoneMetric(metricKey) {
+    zoneMetric = ZONE_METRICS[metricKey] ? metricKey : null;
+    document.getElementById('zoneLayerSelect').value = zoneMetric || '';
+    renderZoneLayer();
+}
+
+// Fill the zone pickers once zones are loaded
+function renderZoneOptions() {
+    const select = document.getElementById('zoneFilter');
+    select.innerHTML = `<option value="">${t('zones.cityWide')}</option>` +
+        zones.map(zone => `<option value="${escapeHtml(zone.id)}">${escapeHtml(zone.name)}</option>`).join('');
+    select.value = filterState.zone || '';
+    select.disabled = zones.length === 0;
+}
+
+// Load the zones and wire the choropleth picker; `onLoad` redraws the views
+async function setupZones(onLoad) {
+    document.getElementById('zoneLayerSelect').addEventListener('change', function() {
+        setZoneMetric(this.value);
+        pushViewState();
+    });
+    
+    await loadZones();
+    renderZoneOptions();
+    onLoad();
+}
@@ -2,94 +2,223 @@
 let map;
 let markers = [];
 let trafficData = [];
+// The live dataset; `trafficData` mirrors it for the modules that read it directly
+const trafficStore = createStore([]);
 let congestionChart, peakHoursChart, speedTrendChart, safetyChart;
+let chartRoadSelection = { congestion: 'all', peakHours: 'all', speedTrend: 'all', safety: 'all' };
+const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', function() {
+    setupLocalePicker(handleLocaleChange);
     initializeMap();
+    setupRoadLayers();
+    trafficStore.subscribe(handleTrafficChange);
+    setupRegionPicker(switchRegion);
+    setupCongestionSettings(() => {
+        // A band of the previous scale may no longer exist
+        if (!isCongestionLevel(filterState.congestion)) filterState.congestion = 'all';
+        syncFilterControls();
+        refreshFilteredViews();
+        refreshRoadDrawer();
+        replaceViewState();
+    });
+    setupOffline();
+    loadIncidents();
+    setupIncidents(handleIncidentChange);
+    setupEvents(handleEventChange);
+    setupAlerts();
+    setupSafetySettings(() => {
+        refreshFilteredViews();
+        refreshRoadDrawer();
+        refreshRoutePlan();
+    });
     loadTrafficData();
     setupEventListeners();
+    setupViewState(refreshFilteredViews);
+    setupZones(() => {
+        syncFilterControls();
+        refreshFilteredViews();
+    });
+    setupDataImport(importTrafficData);
+    setupExports();
+    setupRoadDrawer();
+    setupRoadTable();
+    setupDataHealth(refreshFilteredViews);
+    setupForecastToggle(refreshDisplayedData);
+    setupTimeline();
     startLiveUpdates();
 });
 
 // Initialize Leaflet map
 function initializeMap() {
-    // Center on Udaipur
-    map = L.map('map').setView([24.5854, 73.7125], 13);
+    // Center on the current region
+    const region = getRegion();
+    map = L.map('map').setView(region.center, region.zoom);
     
     // Add OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    // CORS requests let the service worker cache tiles without opaque-response overhead
+    L.tileLayer(TILE_URL, {
         attribution: '© OpenStreetMap contributors',
-        maxZoom: 19
+        maxZoom: 19,
+        crossOrigin: true
     }).addTo(map);
     
     // Add scale
     L.control.scale().addTo(map);
+    
+    setupMapClickModes();
 }
 
 // Load traffic data from JSON
 async function loadTrafficData() {
+    let records;
+    const dataUrl = getRegion().sources.data;
+    let source = dataUrl;
+    // Only data that just came over the network counts as a sync
+    let fresh = false;
     try {
         // For GitHub Pages, use relative path
-        const response = await fetch('data/trafficData.json');
-        trafficData = await response.json();
-        
-        renderMapMarkers();
-        updateKPIs();
-        initializeCharts();
-        updateSafeRoutes();
-        updateAccidentList();
-        
-        console.log('Data loaded successfully:', trafficData.length, 'roads');
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        records = await response.json();
+        fresh = !response.headers.has(CACHED_RESPONSE_HEADER);
     } catch (error) {
         console.error('Error loading data:', error);
-        // Fallback to sample data if JSON fails
-        trafficData = getSampleData();
-        renderMapMarkers();
-        updateKPIs();
-        initializeCharts();
+        // Fallback to the bundled copy of the same dataset
+        records = getSampleData();
+        source = { key: 'data.source.offline' };
     }
+    
+    const result = validateTrafficRecords(records);
+    renderDataIssues(result, source);
+    
+    // Without fresh data (offline, server unreachable or too slow, so the
+    // service worker answered from its cache) the last synced values beat
+    // the dataset's defaults
+    let data = result.valid;
+    if (fresh) {
+        markDataSynced();
+    } else {
+        const restored = await restoreLastKnownData(data);
+        if (restored) data = restored.data;
+        setOfflineDataSource(restored || source === dataUrl ? 'synced' : 'sample', restored ? restored.timestamp : null);
+    }
+    setTrafficData(data);
+    console.log('Data loaded successfully:', trafficData.length, 'roads');
+    
+    loadObservationStats().then(updateCharts);
 }
 
-// Render markers on map
-function renderMapMarkers(filter = 'all') {
-    // Clear existing markers
-    markers.forEach(marker => map.removeLayer(marker));
-    markers = [];
+// Show another region: its stored incidents, events, alerts, views and
+// history replace the current ones, then its zones and dataset are loaded.
+// Filters tied to places (search, zone, area) are cleared, the rest kept.
+async function switchRegion(regionId) {
+    if (!setRegion(regionId)) return;
     
-    // Filter data based on selection
-    let filteredData = trafficData;
-    if (filter !== 'all') {
-        filteredData = trafficData.filter(road => {
-            const congestion = road.congestion;
-            if (filter === 'low') return congestion < 40;
-            if (filter === 'medium') return congestion >= 40 && congestion <= 70;
-            if (filter === 'high') return congestion > 70;
-            return true;
-        });
-    }
+    stopFeed();
+    closeRoadDrawer();
+    clearRoutePlan();
+    await resetHistory();
+    resetObservationStats();
+    resetForecasts();
+    resetAnomalies();
+    loadIncidents();
+    loadEvents();
+    renderEventList();
+    loadAlerts();
+    renderAlertPanel();
+    savedViews = loadSavedViews();
+    renderSavedViews('');
+    loadCongestionThresholds();
+    renderCongestionControls();
+    setFilterState({ ...filterState, search: '', zone: null, area: null });
     
-    // Add markers for each road
-    filteredData.forEach(road => {
-        const markerColor = getCongestionColor(road.congestion);
-        const icon = L.divIcon({
-            className: 'custom-marker',
-            html: `<div style="background-color: ${markerColor}; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 5px rgba(0,0,0,0.5);"></div>`,
-            iconSize: [24, 24],
-            iconAnchor: [12, 12]
-        });
-        
-        const marker = L.marker(road.location, { icon: icon })
-            .addTo(map)
-            .bindPopup(createPopupContent(road));
-        
-        markers.push(marker);
+    const region = getRegion();
+    map.setView(region.center, region.zoom);
+    await loadZones();
+    renderZoneOptions();
+    await loadTrafficData();
+    startFeed(feedState.key, applyTrafficUpdate);
+    replaceViewState();
+}
+
+// Replace the dataset and rebuild every view
+function setTrafficData(data) {
+    const loadedAt = Date.now();
+    data.forEach(road => {
+        if (!road.updatedAt) road.updatedAt = loadedAt;
     });
+    trafficStore.set(data, { type: 'replace' });
+}
+
+// Keep the dataset's dependants in step with the store: a new dataset
+// rebuilds every view, a delta only updates what the changed roads affect
+function handleTrafficChange(data, change) {
+    trafficData = data;
+    // Flag suspicious readings before any view shows them
+    checkReadings(trafficData);
+    if (change.type === 'replace') {
+        handleTrafficReplace();
+    } else {
+        handleTrafficDelta(change.roads);
+    }
+}
+
+function handleTrafficReplace() {
+    stopReplay();
+    resetRoadZones();
+    // New roads may bring new geometry under the same names
+    clearRoadLayers();
+    setReportedAccidents(trafficData);
+    syncRoadIncidents(trafficData);
+    
+    if (!congestionChart) initializeCharts();
+    setupRoutePlanner();
+    setupChartRoadPickers();
+    setupAlertRoadOptions(trafficData);
+    showLiveData();
+    openSelectedRoadPopup();
+    recordObservation();
+    evaluateAlertRules(trafficData);
+    resetTrafficAnnouncements(trafficData);
+}
+
+function handleTrafficDelta(changedRoads) {
+    syncRoadIncidents(trafficData);
+    if (isNetworkFeed()) markDataSynced();
+    recordObservation();
+    evaluateAlertRules(trafficData);
+    
+    // Update all visualizations, unless the user is looking at history
+    if (!isReplaying()) {
+        refreshChangedRoads(changedRoads);
+        refreshRoutePlan();
+        announceTrafficChanges(trafficData);
+    }
+    
+    // Add visual feedback
+    document.querySelector('header').classList.add('live-update');
+    setTimeout(() => {
+        document.querySelector('header').classList.remove('live-update');
+    }, 1000);
+}
+
+// Replace or merge the dataset with validated records from an imported file
+function importTrafficData(result, fileName, mode) {
+    renderDataIssues(result, fileName);
+    if (result.valid.length === 0) return;
     
-    // Adjust map view if needed
-    if (filteredData.length > 0 && filteredData.length < trafficData.length) {
-        const group = new L.featureGroup(markers);
-        map.fitBounds(group.getBounds().pad(0.1));
+    setTrafficData(mode === 'merge' ? mergeTrafficData(trafficData, result.valid) : result.valid);
+}
+
+// Zoom to the roads left by the filters
+function fitMapToFilteredRoads() {
+    if (markers.length > 0 && isFilterActive()) {
+        // Bounds are collected directly so the kept layers don't join a throwaway group
+        const bounds = L.latLngBounds([]);
+        markers.forEach(layer => bounds.extend(layer.getBounds ? layer.getBounds() : layer.getLatLng()));
+        map.fitBounds(bounds.pad(0.1));
     }
 }
 
@@ -97,52 +226,118 @@ function renderMapMarkers(filter = 'all') {
 function createPopupContent(road) {
     return `
         <div class="popup-content">
-            <div class="popup-header">${road.road}</div>
+            <div class="popup-header">${escapeHtml(getRoadName(road))}</div>
             <div style="margin-bottom: 5px;">
                 <span style="background-color: ${getCongestionColor(road.congestion)}; color: white; padding: 2px 8px; border-radius: 10px; font-size: 12px;">
-                    ${road.congestion}% Congestion
+                    ${formatPercent(road.congestion)} ${t(road.forecast ? 'popup.expected' : 'popup.congestion')}
                 </span>
             </div>
             <div class="popup-stats">
                 <div class="popup-stat">
-                    <span class="popup-stat-value">${road.averageSpeed}</span>
-                    <span class="popup-stat-label">km/h</span>
+                    <span class="popup-stat-value">${formatNumber(road.averageSpeed)}</span>
+                    <span class="popup-stat-label">${t('format.speedUnit')}</span>
                 </div>
                 <div class="popup-stat">
-                    <span class="popup-stat-value">${road.accidents}</span>
-                    <span class="popup-stat-label">Accidents</span>
+                    <span class="popup-stat-value">${formatNumber(road.accidents)}</span>
+                    <span class="popup-stat-label">${t('popup.accidents')}</span>
                 </div>
                 <div class="popup-stat">
                     <span class="popup-stat-value">${getCongestionLevel(road.congestion)}</span>
-                    <span class="popup-stat-label">Level</span>
+                    <span class="popup-stat-label">${t('popup.level')}</span>
                 </div>
                 <div class="popup-stat">
                     <span class="popup-stat-value">${getSafetyRating(road)}</span>
-                    <span class="popup-stat-label">Safety</span>
+                    <span class="popup-stat-label">${t('popup.safety', { score: formatNumber(getSafetyScore(road)) })}</span>
                 </div>
             </div>
-            <div style="margin-top: 10px; font-size: 12px; color: #666;">
-                <i class="fas fa-clock"></i> Last updated: Just now
+            ${createEventImpactNote(road)}
+            ${createAnomalyNote(road)}
+            ${createPopupFooter(road)}
+        </div>
+    `;
+}
+
+// Create popup content for a single road segment
+function createSegmentPopupContent(road, segment) {
+    const index = road.segments.indexOf(segment) + 1;
+    const lengthKm = Number(getSegmentLength(segment).toFixed(2));
+    return `
+        <div class="popup-content">
+            <div class="popup-header">${escapeHtml(getRoadName(road))}</div>
+            <div class="popup-subheader">${t('popup.segment', { index: formatNumber(index), count: formatNumber(road.segments.length), length: formatNumber(lengthKm, { maximumFractionDigits: 2 }) })}</div>
+            <div style="margin-bottom: 5px;">
+                <span style="background-color: ${getCongestionColor(segment.congestion)}; color: white; padding: 2px 8px; border-radius: 10px; font-size: 12px;">
+                    ${formatPercent(segment.congestion)} ${t(road.forecast ? 'popup.expected' : 'popup.congestion')}
+                </span>
+            </div>
+            <div class="popup-stats">
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${formatNumber(segment.averageSpeed)}</span>
+                    <span class="popup-stat-label">${t('format.speedUnit')}</span>
+                </div>
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${getCongestionLevel(segment.congestion)}</span>
+                    <span class="popup-stat-label">${t('popup.level')}</span>
+                </div>
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${formatPercent(road.congestion)}</span>
+                    <span class="popup-stat-label">${t('popup.roadAverage')}</span>
+                </div>
+                <div class="popup-stat">
+                    <span class="popup-stat-value">${getSafetyRating(road)}</span>
+                    <span class="popup-stat-label">${t('popup.roadSafety', { score: formatNumber(getSafetyScore(road)) })}</span>
+                </div>
             </div>
+            ${createEventImpactNote(road)}
+            ${createAnomalyNote(road)}
+            ${createPopupFooter(road)}
         </div>
     `;
 }
 
+// Popup footer: update time, or what a forecast is for and where it starts from
+function createPopupFooter(road) {
+    const detailsButton = `
+            <button class="popup-details-btn" data-road-details="${escapeHtml(road.road)}">
+                <i class="fas fa-chart-area"></i> ${t('popup.details')}
+            </button>
+        `;
+    if (road.forecast) {
+        const forecast = t('popup.forecastFor', {
+            time: formatTime(road.forecast.at),
+            horizon: formatNumber(road.forecast.horizon),
+            congestion: formatPercent(road.forecast.congestion),
+            speed: formatSpeed(road.forecast.averageSpeed)
+        });
+        return `
+            <div style="margin-top: 10px; font-size: 12px; color: #6d28d9;">
+                <i class="fas fa-chart-line"></i> ${forecast}
+            </div>
+            ${detailsButton}
+        `;
+    }
+    const updated = road.updatedAt ? formatTime(road.updatedAt) : t('popup.unknownTime');
+    return `
+            <div style="margin-top: 10px; font-size: 12px; color: #666;">
+                <i class="fas fa-clock"></i> ${t(isReplaying() ? 'popup.recorded' : 'popup.lastUpdated', { time: updated })}
+            </div>
+            ${detailsButton}
+        `;
+}
+
 // Initialize all charts
 function initializeCharts() {
+    const data = getFilteredData();
+    
     // Congestion Distribution Chart
     const congestionCtx = document.getElementById('congestionChart').getContext('2d');
     congestionChart = new Chart(congestionCtx, {
         type: 'doughnut',
         data: {
-            labels: ['Low (< 40%)', 'Medium (40-70%)', 'High (> 70%)'],
+            labels: getCongestionLevels().map(level => level.rangeLabel),
             datasets: [{
-                data: [
-                    trafficData.filter(r => r.congestion < 40).length,
-                    trafficData.filter(r => r.congestion >= 40 && r.congestion <= 70).length,
-                    trafficData.filter(r => r.congestion > 70).length
-                ],
-                backgroundColor: ['#10B981', '#F59E0B', '#EF4444'],
+                data: getCongestionDistribution(data, chartRoadSelection.congestion),
+                backgroundColor: getCongestionLevels().map(level => level.color),
                 borderWidth: 2,
                 borderColor: '#fff'
             }]
@@ -160,29 +355,32 @@ function initializeCharts() {
     
     // Peak Hours Chart
     const peakCtx = document.getElementById('peakHoursChart').getContext('2d');
-    const peakHours = generatePeakHourData();
     peakHoursChart = new Chart(peakCtx, {
         type: 'bar',
         data: {
-            labels: ['6AM', '8AM', '10AM', '12PM', '2PM', '4PM', '6PM', '8PM', '10PM'],
+            labels: getHourLabels(),
             datasets: [{
-                label: 'Congestion %',
-                data: peakHours,
+                label: t('charts.congestionAxis'),
+                data: getPeakHourData(chartRoadSelection.peakHours),
                 backgroundColor: 'rgba(59, 130, 246, 0.7)',
                 borderColor: 'rgb(59, 130, 246)',
                 borderWidth: 1
             }]
         },
+        plugins: [eventAnnotationPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            plugins: {
+                eventAnnotations: { ranges: getEventAnnotations('hour') }
+            },
             scales: {
                 y: {
                     beginAtZero: true,
                     max: 100,
                     title: {
                         display: true,
-                        text: 'Congestion %'
+                        text: t('charts.congestionAxis')
                     }
                 }
             }
@@ -191,29 +389,33 @@ function initializeCharts() {
     
     // Speed Trend Chart
     const speedCtx = document.getElementById('speedTrendChart').getContext('2d');
-    const speedTrends = generateSpeedTrendData();
     speedTrendChart = new Chart(speedCtx, {
         type: 'line',
         data: {
-            labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+            labels: getWeekdayLabels(),
             datasets: [{
-                label: 'Average Speed (km/h)',
-                data: speedTrends,
+                label: t('charts.averageSpeed'),
+                data: getSpeedTrendData(chartRoadSelection.speedTrend),
                 borderColor: 'rgb(34, 197, 94)',
                 backgroundColor: 'rgba(34, 197, 94, 0.1)',
                 fill: true,
+                spanGaps: true,
                 tension: 0.4
             }]
         },
+        plugins: [eventAnnotationPlugin],
         options: {
             responsive: true,
             maintainAspectRatio: false,
+            plugins: {
+                eventAnnotations: { ranges: getEventAnnotations('weekday') }
+            },
             scales: {
                 y: {
                     beginAtZero: false,
                     title: {
                         display: true,
-                        text: 'Speed (km/h)'
+                        text: t('charts.speedAxis')
                     }
                 }
             }
@@ -222,14 +424,13 @@ function initializeCharts() {
     
     // Safety Chart
     const safetyCtx = document.getElementById('safetyChart').getContext('2d');
-    const safetyData = generateSafetyData();
     safetyChart = new Chart(safetyCtx, {
         type: 'radar',
         data: {
-            labels: ['MG Road', 'Lake Pichola Rd', 'Airport Road', 'Hiran Magri', 'Sukhadia Circle', 'Fateh Sagar'],
+            labels: data.map(road => getRoadName(road)),
             datasets: [{
-                label: 'Safety Index',
-                data: safetyData,
+                label: t('charts.safetyScore'),
+                data: getSafetyData(data),
                 backgroundColor: 'rgba(139, 92, 246, 0.2)',
                 borderColor: 'rgb(139, 92, 246)',
                 pointBackgroundColor: 'rgb(139, 92, 246)'
@@ -241,412 +442,360 @@ function initializeCharts() {
             scales: {
                 r: {
                     beginAtZero: true,
-                    max: 10,
+                    max: 100,
                     ticks: {
-                        stepSize: 2
+                        stepSize: 20
+                    },
+                    pointLabels: {
+                        font: {
+                            size: 10
+                        }
                     }
                 }
             }
         }
     });
+    
+    updateCharts();
+}
+
+// Refresh every chart from the displayed data and recorded observations
+function updateCharts() {
+    if (!congestionChart) return;
+    const data = getFilteredData();
+    const roadNames = getFilteredRoadNames();
+    
+    const levels = getCongestionLevels();
+    congestionChart.data.labels = levels.map(level => level.rangeLabel);
+    congestionChart.data.datasets[0].backgroundColor = levels.map(level => level.color);
+    congestionChart.data.datasets[0].data = getCongestionDistribution(data, chartRoadSelection.congestion);
+    peakHoursChart.data.labels = getHourLabels();
+    peakHoursChart.data.datasets[0].label = t('charts.congestionAxis');
+    peakHoursChart.options.scales.y.title.text = t('charts.congestionAxis');
+    peakHoursChart.data.datasets[0].data = getPeakHourData(chartRoadSelection.peakHours, observationStats, roadNames);
+    speedTrendChart.data.labels = getWeekdayLabels();
+    speedTrendChart.data.datasets[0].label = t('charts.averageSpeed');
+    speedTrendChart.options.scales.y.title.text = t('charts.speedAxis');
+    speedTrendChart.data.datasets[0].data = getSpeedTrendData(chartRoadSelection.speedTrend, observationStats, roadNames);
+    peakHoursChart.options.plugins.eventAnnotations.ranges = getEventAnnotations('hour');
+    speedTrendChart.options.plugins.eventAnnotations.ranges = getEventAnnotations('weekday');
+    
+    // Highlight the selected road on the radar
+    const selected = chartRoadSelection.safety;
+    const safetyDataset = safetyChart.data.datasets[0];
+    safetyChart.data.labels = data.map(road => getRoadName(road));
+    safetyDataset.label = t('charts.safetyScore');
+    safetyDataset.data = getSafetyData(data);
+    safetyDataset.pointRadius = data.map(road => road.road === selected ? 7 : 3);
+    safetyDataset.pointBackgroundColor = data.map(road =>
+        selected === 'all' || road.road === selected ? 'rgb(139, 92, 246)' : 'rgba(139, 92, 246, 0.3)'
+    );
+    
+    // Only charts whose data changed are redrawn
+    patchChart(congestionChart);
+    patchChart(peakHoursChart, [peakHoursChart.options.plugins.eventAnnotations.ranges, peakHoursChart.options.scales.y.title.text]);
+    patchChart(speedTrendChart, [speedTrendChart.options.plugins.eventAnnotations.ranges, speedTrendChart.options.scales.y.title.text]);
+    patchChart(safetyChart);
+    renderChartSummaries();
+    
+    const zone = getZone(filterState.zone);
+    const filtered = roadNames ? tn('charts.filteredRoads', roadNames.length) : '';
+    const note = describeObservations() + (roadNames ? ` · ${zone ? `${zone.name}, ` : ''}${filtered}` : '');
+    document.getElementById('peakHoursNote').textContent = note;
+    document.getElementById('speedTrendNote').textContent = note;
+}
+
+// Fill the per-chart road pickers
+function setupChartRoadPickers() {
+    document.querySelectorAll('.chart-road-select').forEach(select => {
+        const current = chartRoadSelection[select.dataset.chart];
+        select.innerHTML = `<option value="all">${t('charts.wholeCity')}</option>` +
+            trafficData.map(road => `<option value="${escapeHtml(road.road)}">${escapeHtml(getRoadName(road))}</option>`).join('');
+        select.value = trafficData.some(road => road.road === current) ? current : 'all';
+        chartRoadSelection[select.dataset.chart] = select.value;
+        
+        if (select.dataset.bound) return;
+        select.dataset.bound = 'true';
+        select.addEventListener('change', function() {
+            chartRoadSelection[this.dataset.chart] = this.value;
+            updateCharts();
+        });
+    });
 }
 
 // Update KPI cards
 function updateKPIs() {
-    const totalCongestion = trafficData.reduce((sum, road) => sum + road.congestion, 0);
-    const avgCongestion = Math.round(totalCongestion / trafficData.length);
-    const totalAccidents = trafficData.reduce((sum, road) => sum + road.accidents, 0);
-    const avgSpeed = Math.round(trafficData.reduce((sum, road) => sum + road.averageSpeed, 0) / trafficData.length);
-    const safeRoutes = trafficData.filter(road => road.congestion < 50 && road.accidents === 0).length;
+    const data = getFilteredData();
+    renderFilterSummary(data.length, getDisplayedData().length);
+    const { avgCongestion, totalAccidents, avgSpeed, avgSafetyScore, safeRoutes } = getKPIs(data);
     
-    document.getElementById('avgCongestion').textContent = `${avgCongestion}%`;
-    document.getElementById('totalAccidents').textContent = totalAccidents;
-    document.getElementById('avgSpeed').textContent = `${avgSpeed} km/h`;
-    document.getElementById('safeRoutes').textContent = safeRoutes;
+    document.getElementById('avgCongestion').textContent = avgCongestion !== null ? formatPercent(avgCongestion) : '--';
+    document.getElementById('totalAccidents').textContent = formatNumber(totalAccidents);
+    document.getElementById('avgSpeed').textContent = avgSpeed !== null ? formatSpeed(avgSpeed) : '--';
+    document.getElementById('safeRoutes').textContent = formatNumber(safeRoutes);
     
     // Update trend indicators
     const congestionTrend = document.getElementById('congestionTrend');
     if (avgCongestion > 60) {
-        congestionTrend.innerHTML = '<i class="fas fa-arrow-up text-red-500 mr-1"></i><span>Higher than usual</span>';
+        congestionTrend.innerHTML = `<i class="fas fa-arrow-up text-red-500 mr-1"></i><span>${t('kpi.higherThanUsual')}</span>`;
     } else if (avgCongestion < 40) {
-        congestionTrend.innerHTML = '<i class="fas fa-arrow-down text-green-500 mr-1"></i><span>Lower than usual</span>';
+        congestionTrend.innerHTML = `<i class="fas fa-arrow-down text-green-500 mr-1"></i><span>${t('kpi.lowerThanUsual')}</span>`;
     } else {
-        congestionTrend.innerHTML = '<i class="fas fa-minus text-yellow-500 mr-1"></i><span>Normal levels</span>';
+        congestionTrend.innerHTML = `<i class="fas fa-minus text-yellow-500 mr-1"></i><span>${t('kpi.normalLevels')}</span>`;
     }
     
-    // Update safety status
+    // Update safety status from the average safety score
     const safetyStatus = document.getElementById('safetyStatus');
-    if (totalAccidents > 5) {
-        safetyStatus.innerHTML = '<i class="fas fa-exclamation-triangle text-red-500 mr-1"></i><span>Exercise caution</span>';
-    } else if (totalAccidents === 0) {
-        safetyStatus.innerHTML = '<i class="fas fa-shield-alt text-green-500 mr-1"></i><span>Safe conditions</span>';
+    const scoreText = avgSafetyScore !== null ? ` ${t('kpi.score', { score: formatNumber(avgSafetyScore) })}` : '';
+    const grade = avgSafetyScore !== null ? getSafetyGradeBand(avgSafetyScore).grade : null;
+    if (grade === 'C' || grade === 'D') {
+        safetyStatus.innerHTML = `<i class="fas fa-exclamation-triangle text-red-500 mr-1"></i><span>${t('kpi.exerciseCaution')}${scoreText}</span>`;
+    } else if (grade === 'A') {
+        safetyStatus.innerHTML = `<i class="fas fa-shield-alt text-green-500 mr-1"></i><span>${t('kpi.safeConditions')}${scoreText}</span>`;
     } else {
-        safetyStatus.innerHTML = '<i class="fas fa-info-circle text-yellow-500 mr-1"></i><span>Moderate safety</span>';
+        safetyStatus.innerHTML = `<i class="fas fa-info-circle text-yellow-500 mr-1"></i><span>${t('kpi.moderateSafety')}${scoreText}</span>`;
     }
 }
 
 // Update safe routes list
 function updateSafeRoutes() {
-    const safeRoutes = trafficData
-        .filter(road => road.congestion < 50 && road.accidents === 0)
-        .sort((a, b) => a.congestion - b.congestion)
-        .slice(0, 6);
-    
-    const container = document.getElementById('safeRoutesList');
-    container.innerHTML = '';
-    
-    safeRoutes.forEach(route => {
-        const routeCard = document.createElement('div');
-        routeCard.className = 'bg-green-50 rounded-lg p-4 border border-green-200';
-        routeCard.innerHTML = `
+    patchList(document.getElementById('safeRoutesList'), getSafeRoutes(), route => route.road, route => `
+        <div class="bg-green-50 rounded-lg p-4 border border-green-200">
             <div class="flex justify-between items-start">
                 <div>
-                    <h4 class="font-bold text-gray-800">${route.road}</h4>
+                    <h4 class="font-bold text-gray-800">${escapeHtml(getRoadName(route))} ${createAnomalyBadge(route.road)}</h4>
                     <div class="flex items-center mt-2">
                         <div class="text-sm text-gray-600 mr-4">
                             <i class="fas fa-tachometer-alt mr-1"></i>
-                            ${route.averageSpeed} km/h
+                            ${formatSpeed(route.averageSpeed)}
                         </div>
                         <div class="text-sm text-green-600">
                             <i class="fas fa-check-circle mr-1"></i>
-                            Safe
+                            ${t('safeRoutes.safe', { score: formatNumber(getSafetyScore(route)) })}
                         </div>
                     </div>
                 </div>
                 <div class="text-right">
-                    <div class="text-2xl font-bold text-green-600">${route.congestion}%</div>
-                    <div class="text-xs text-gray-500">Congestion</div>
+                    <div class="text-2xl font-bold text-green-600">${formatPercent(route.congestion)}</div>
+                    <div class="text-xs text-gray-500">${t('popup.congestion')}</div>
                 </div>
             </div>
             <div class="mt-3 pt-3 border-t border-green-100">
-                <div class="text-xs text-gray-500">
+                <button class="plan-route-btn text-xs text-blue-600 hover:underline">
                     <i class="fas fa-map-marker-alt mr-1"></i>
-                    Recommended route
-                </div>
+                    ${t('safeRoutes.planRoute')}
+                </button>
             </div>
-        `;
-        container.appendChild(routeCard);
-    });
+        </div>
+    `);
+}
+
+// Most recent accident on a road up to `until` (replayed snapshots only see incidents reported by then)
+function getLastAccident(roadName, until = isReplaying() ? replayTimestamp : Date.now()) {
+    return getTodaysAccidents(roadName, until)
+        .filter(incident => incident.timestamp <= until)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
 }
 
 // Update accident list
 function updateAccidentList() {
-    const accidentRoads = trafficData
-        .filter(road => road.accidents > 0)
-        .sort((a, b) => b.accidents - a.accidents);
-    
-    const container = document.getElementById('accidentList');
-    container.innerHTML = '';
-    
-    if (accidentRoads.length === 0) {
-        container.innerHTML = `
-            <div class="text-center py-4 text-gray-500">
-                <i class="fas fa-check-circle text-green-500 text-2xl mb-2"></i>
-                <p>No accident zones reported today</p>
-            </div>
-        `;
-        return;
-    }
-    
-    accidentRoads.forEach(road => {
-        const item = document.createElement('div');
-        item.className = 'flex items-center justify-between p-3 bg-red-50 rounded-lg';
-        item.innerHTML = `
-            <div>
-                <div class="font-medium text-gray-800">${road.road}</div>
-                <div class="text-sm text-gray-600 mt-1">
-                    <i class="fas fa-clock mr-1"></i>
-                    Last accident: Today
+    const empty = `
+        <div class="text-center py-4 text-gray-500">
+            <i class="fas fa-check-circle text-green-500 text-2xl mb-2"></i>
+            <p>${t('hotspots.noAccidents')}</p>
+        </div>
+    `;
+    patchList(document.getElementById('accidentList'), getAccidentRoads(), road => road.road, road => {
+        const last = getLastAccident(road.road);
+        const unrecorded = getUnrecordedAccidents(road, isReplaying() ? replayTimestamp : Date.now());
+        const openCount = getOpenIncidents(road.road).length;
+        return `
+            <div class="flex items-center justify-between p-3 bg-red-50 rounded-lg">
+                <div>
+                    <div class="font-medium text-gray-800">${escapeHtml(getRoadName(road))} ${createAnomalyBadge(road.road)}</div>
+                    <div class="text-sm text-gray-600 mt-1">
+                        <i class="fas fa-clock mr-1"></i>
+                        ${last
+                            ? t('hotspots.lastAccident', { time: formatIncidentTime(last.timestamp), severity: t(INCIDENT_SEVERITIES[last.severity].labelKey) })
+                            : t('hotspots.lastAccidentUnknown')}
+                    </div>
+                    ${last && unrecorded > 0 ? `<div class="text-xs text-gray-500 mt-1">${tn('hotspots.unrecorded', unrecorded)}</div>` : ''}
+                    ${openCount > 0 ? `<div class="text-xs text-red-700 mt-1">${tn('hotspots.openIncidents', openCount)}</div>` : ''}
+                </div>
+                <div class="text-right">
+                    <div class="text-xl font-bold text-red-600">${formatNumber(road.accidents)}</div>
+                    <div class="text-xs text-gray-500">${t('hotspots.incidents')}</div>
                 </div>
-            </div>
-            <div class="text-right">
-                <div class="text-xl font-bold text-red-600">${road.accidents}</div>
-                <div class="text-xs text-gray-500">Incidents</div>
             </div>
         `;
-        container.appendChild(item);
-    });
+    }, empty);
 }
 
 // Setup event listeners
 function setupEventListeners() {
-    // Filter buttons
-    document.querySelectorAll('.filter-btn').forEach(button => {
-        button.addEventListener('click', function() {
-            document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
-            this.classList.add('active');
-            renderMapMarkers(this.dataset.filter);
-        });
+    // Search, congestion, speed, grade, accident and area filters
+    setupFilters(() => {
+        refreshFilteredViews();
+        fitMapToFilteredRoads();
+        pushViewState();
     });
     
-    // Accident filter
-    document.getElementById('accidentFilter').addEventListener('click', function() {
-        const accidentRoads = trafficData.filter(road => road.accidents > 0);
-        
-        // Clear all markers
-        markers.forEach(marker => map.removeLayer(marker));
-        markers = [];
-        
-        // Add only accident markers
-        accidentRoads.forEach(road => {
-            const icon = L.divIcon({
-                className: 'custom-marker',
-                html: `<div style="background-color: #EF4444; width: 24px; height: 24px; border-radius: 50%; border: 3px solid white; box-shadow: 0 0 8px rgba(239,68,68,0.8); display: flex; align-items: center; justify-content: center;">
-                        <i class="fas fa-exclamation" style="color: white; font-size: 10px;"></i>
-                      </div>`,
-                iconSize: [28, 28],
-                iconAnchor: [14, 14]
-            });
-            
-            const marker = L.marker(road.location, { icon: icon })
-                .addTo(map)
-                .bindPopup(createPopupContent(road));
-            
-            markers.push(marker);
-        });
-        
-        // Adjust map view
-        if (accidentRoads.length > 0) {
-            const group = new L.featureGroup(markers);
-            map.fitBounds(group.getBounds().pad(0.2));
-        }
+    // Rows of the safe routes list are patched in place, so their buttons share one listener
+    document.getElementById('safeRoutesList').addEventListener('click', event => {
+        const button = event.target.closest('.plan-route-btn');
+        if (!button) return;
+        const route = getDisplayedRoad(button.closest('[data-key]').dataset.key);
+        if (!route) return;
+        setRouteEndpoint('destination', route.location, getRoadName(route));
+        document.getElementById('originInput').focus();
     });
     
-    // Search functionality
-    document.getElementById('searchInput').addEventListener('input', function(e) {
-        const searchTerm = e.target.value.toLowerCase().trim();
-        
-        if (searchTerm === '') {
-            markers.forEach(marker => map.removeLayer(marker));
-            renderMapMarkers('all');
-            return;
-        }
-        
-        const filtered = trafficData.filter(road => 
-            road.road.toLowerCase().includes(searchTerm)
-        );
-        
-        // Clear all markers
-        markers.forEach(marker => map.removeLayer(marker));
-        markers = [];
-        
-        // Add filtered markers
-        filtered.forEach(road => {
-            const markerColor = getCongestionColor(road.congestion);
-            const icon = L.divIcon({
-                className: 'custom-marker',
-                html: `<div style="background-color: ${markerColor}; width: 24px; height: 24px; border-radius: 50%; border: 3px solid white; box-shadow: 0 0 8px rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center;">
-                        <i class="fas fa-search" style="color: white; font-size: 10px;"></i>
-                      </div>`,
-                iconSize: [28, 28],
-                iconAnchor: [14, 14]
-            });
-            
-            const marker = L.marker(road.location, { icon: icon })
-                .addTo(map)
-                .bindPopup(createPopupContent(road));
-            
-            markers.push(marker);
-        });
-        
-        // Adjust map view
-        if (filtered.length > 0) {
-            const group = new L.featureGroup(markers);
-            map.fitBounds(group.getBounds().pad(0.2));
-        }
+    // Accident hotspot analysis
+    document.getElementById('accidentFilter').addEventListener('click', function() {
+        setHotspotMode(!hotspotMode);
+        pushViewState();
     });
 }
 
-// Start live updates simulation
+// Start receiving live updates from the selected feed
 function startLiveUpdates() {
-    setInterval(() => {
-        simulateLiveUpdate();
-    }, 30000); // Update every 30 seconds
-    
-    // Update sync time
-    setInterval(() => {
-        const now = new Date();
-        const timeString = now.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-        document.getElementById('syncTime').textContent = timeString;
-        document.getElementById('lastUpdate').textContent = timeString;
-    }, 1000);
+    startFeed(getInitialFeedKey(), applyTrafficUpdate);
+    setupFeedPicker(applyTrafficUpdate);
 }
 
 // Simulate live data updates
 function simulateLiveUpdate() {
-    // Randomly update some roads
-    trafficData.forEach(road => {
-        // 30% chance to update congestion
-        if (Math.random() < 0.3) {
-            const change = Math.floor(Math.random() * 10) - 5; // -5 to +5
-            road.congestion = Math.max(0, Math.min(100, road.congestion + change));
-        }
-        
-        // 10% chance to update speed
-        if (Math.random() < 0.1) {
-            const change = Math.floor(Math.random() * 8) - 4; // -4 to +4
-            road.averageSpeed = Math.max(5, Math.min(80, road.averageSpeed + change));
-        }
-        
-        // 5% chance to add an accident (if less than 3)
-        if (Math.random() < 0.05 && road.accidents < 3) {
-            road.accidents += 1;
-        }
-    });
-    
-    // Update all visualizations
-    markers.forEach(marker => map.removeLayer(marker));
-    renderMapMarkers('all');
+    applyTrafficUpdate(generateSimulatedDelta(trafficData));
+}
+
+// Apply a delta message from the feed; the store's listeners refresh the views
+function applyTrafficUpdate(message) {
+    const changedRoads = applyFeedDelta(trafficData, message);
+    if (changedRoads.length === 0) return;
+    trafficStore.set(trafficData, { type: 'delta', roads: changedRoads });
+}
+
+// Live data, the historical snapshot being replayed, or the selected
+// forecast. History takes precedence over forecasts.
+function getDisplayedData() {
+    return replayData || forecastData || trafficData;
+}
+
+// The moment the displayed data describes
+function getDisplayedTime() {
+    if (isReplaying()) return replayTimestamp;
+    return Date.now() + (forecastData ? forecastHorizon * 60 * 1000 : 0);
+}
+
+// The displayed data narrowed down by the active filters
+function getFilteredData() {
+    return applyFilters(getDisplayedData());
+}
+
+// Road names the charts aggregate over, or null for the whole city
+function getFilteredRoadNames() {
+    return isFilterActive() ? getFilteredData().map(road => road.road) : null;
+}
+
+// Redraw every view from the displayed data
+function refreshDisplayedData() {
+    updateForecastData(trafficData);
+    refreshFilteredViews();
+    renderIncidentMarkers();
+    renderEventMarkers();
+    renderHotspots();
+    refreshRoadDrawer();
+    renderDataHealth();
+}
+
+// After a live update, redraw only what the changed roads affect: their map
+// layers, table rows and zones, and the figures computed over all roads.
+// Incidents don't depend on road values, hotspots only on their accident
+// counts, and event markers only change when an event starts or ends.
+function refreshChangedRoads(changedRoads) {
+    // A forecast moves every road with the clock, so it is redrawn in full
+    if (forecastHorizon > 0) {
+        refreshDisplayedData();
+        return;
+    }
+    updateForecastData(trafficData);
+    renderMapMarkers(changedRoads);
     updateKPIs();
     updateSafeRoutes();
     updateAccidentList();
-    
-    // Add visual feedback
-    document.querySelector('header').classList.add('live-update');
-    setTimeout(() => {
-        document.querySelector('header').classList.remove('live-update');
-    }, 1000);
+    updateCharts();
+    updateZoneLayer(changedRoads);
+    renderRoadTable(changedRoads);
+    refreshEventMarkers();
+    refreshHotspots();
+    refreshRoadDrawer(changedRoads);
+    renderDataHealth();
 }
 
-// Helper functions
-function getCongestionColor(congestion) {
-    if (congestion < 40) return '#10B981'; // Green
-    if (congestion <= 70) return '#F59E0B'; // Yellow
-    return '#EF4444'; // Red
+// Redraw the views that follow the filters
+function refreshFilteredViews() {
+    renderMapMarkers();
+    updateKPIs();
+    updateSafeRoutes();
+    updateAccidentList();
+    updateCharts();
+    renderZoneLayer();
+    renderRoadTable();
 }
 
-function getCongestionLevel(congestion) {
-    if (congestion < 40) return 'Low';
-    if (congestion <= 70) return 'Medium';
-    return 'High';
+// Recount accidents after an incident is reported or cleared
+function handleIncidentChange() {
+    syncRoadIncidents(trafficData);
+    evaluateAlertRules(trafficData);
+    if (!isReplaying()) refreshDisplayedData();
 }
 
-function getSafetyRating(road) {
-    if (road.accidents === 0 && road.congestion < 50) return 'A';
-    if (road.accidents < 2 && road.congestion < 70) return 'B';
-    if (road.accidents < 3) return 'C';
-    return 'D';
+// Redraw event layers and re-estimate forecasts after an event is added or removed
+function handleEventChange() {
+    renderEventList();
+    updateTimelineControls();
+    refreshDisplayedData();
 }
 
-function generatePeakHourData() {
-    return [30, 75, 60, 45, 40, 65, 85, 70, 40];
+// Redraw everything that builds its text in code after the language changes;
+// static markup is already translated through its data-i18n attributes
+function handleLocaleChange() {
+    renderRegionLabels();
+    renderCongestionControls();
+    renderSafetySettings();
+    renderFeedOptions();
+    updateFeedStatus();
+    renderZoneOptions();
+    syncFilterControls();
+    renderSavedViews(document.getElementById('savedViewSelect').value);
+    setupChartRoadPickers();
+    setupRoutePlanner();
+    setupAlertRoadOptions(trafficData);
+    renderAlertPanel();
+    renderEventList();
+    renderDataIssues();
+    renderForecastAccuracy();
+    updateTimelineControls();
+    updateOfflineBanner();
+    refreshDisplayedData();
+    refreshRoutePlan();
 }
 
-function generateSpeedTrendData() {
-    return [32, 28, 30, 25, 22, 35, 38];
+// Persist the current data and add it to the chart statistics
+function recordObservation() {
+    const snapshot = createSnapshot(trafficData);
+    addObservation(snapshot);
+    addForecastObservation(snapshot, trafficData);
+    renderForecastAccuracy();
+    recordSnapshot(snapshot);
 }
 
-function generateSafetyData() {
-    return [7, 9, 8, 6, 5, 8];
+// Helper functions
+function formatTileUrl(zoom, x, y) {
+    return TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
 }
 
-// Sample data fallback
+// Sample data fallback for the current region, generated from its data file
 function getSampleData() {
-    return [
-        {
-            "road": "MG Road",
-            "location": [24.5854, 73.7125],
-            "congestion": 70,
-            "accidents": 2,
-            "averageSpeed": 25
-        },
-        {
-            "road": "Lake Pichola Road",
-            "location": [24.5754, 73.6900],
-            "congestion": 40,
-            "accidents": 0,
-            "averageSpeed": 35
-        },
-        {
-            "road": "Airport Road",
-            "location": [24.6050, 73.7250],
-            "congestion": 55,
-            "accidents": 1,
-            "averageSpeed": 30
-        },
-        {
-            "road": "Hiran Magri",
-            "location": [24.5700, 73.7300],
-            "congestion": 65,
-            "accidents": 1,
-            "averageSpeed": 28
-        },
-        {
-            "road": "Sukhadia Circle",
-            "location": [24.5800, 73.7000],
-            "congestion": 85,
-            "accidents": 3,
-            "averageSpeed": 15
-        },
-        {
-            "road": "Fateh Sagar Road",
-            "location": [24.5950, 73.6800],
-            "congestion": 35,
-            "accidents": 0,
-            "averageSpeed": 40
-        },
-        {
-            "road": "Chetak Circle",
-            "location": [24.5900, 73.7100],
-            "congestion": 75,
-            "accidents": 2,
-            "averageSpeed": 22
-        },
-        {
-            "road": "Bapu Bazaar",
-            "location": [24.5780, 73.6850],
-            "congestion": 90,
-            "accidents": 1,
-            "averageSpeed": 10
-        },
-        {
-            "road": "University Road",
-            "location": [24.6000, 73.7400],
-            "congestion": 45,
-            "accidents": 0,
-            "averageSpeed": 38
-        },
-        {
-            "road": "Shastri Circle",
-            "location": [24.5720, 73.7050],
-            "congestion": 60,
-            "accidents": 1,
-            "averageSpeed": 27
-        },
-        {
-            "road": "Rani Road",
-            "location": [24.5650, 73.6800],
-            "congestion": 30,
-            "accidents": 0,
-            "averageSpeed": 45
-        },
-        {
-            "road": "Delhi Gate",
-            "location": [24.5850, 73.6950],
-            "congestion": 80,
-            "accidents": 2,
-            "averageSpeed": 18
-        },
-        {
-            "road": "Ambamata Road",
-            "location": [24.5900, 73.6900],
-            "congestion": 50,
-            "accidents": 0,
-            "averageSpeed": 32
-        },
-        {
-            "road": "Ashwini Marg",
-            "location": [24.5950, 73.7200],
-            "congestion": 40,
-            "accidents": 0,
-            "averageSpeed": 36
-        },
-        {
-            "road": "Sector 14 Road",
-            "location": [24.6100, 73.7100],
-            "congestion": 25,
-            "accidents": 0,
-            "averageSpeed": 48
-        }
-    ];
-}
\ No newline at end of file
+    return JSON.parse(JSON.stringify((window.SAMPLE_TRAFFIC_DATA || {})[getRegion().id] || []));
+}
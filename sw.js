@@ -0,0 +1,201 @@
+// Service worker: precaches the app shell and vendored libraries, keeps map
+// tiles for offline use and serves the last fetched dataset when offline.
+
+const CACHE_VERSION = 'v14';
+const SHELL_CACHE = `geosense-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `geosense-data-${CACHE_VERSION}`;
+const CDN_CACHE = `geosense-cdn-${CACHE_VERSION}`;
+// Not versioned: tiles outlive app updates. js/offline.js fills the same cache.
+const TILE_CACHE = 'geosense-tiles';
+const TILE_HOST = 'tile.openstreetmap.org';
+// Least recently used tiles beyond this many are dropped; a saved region
+// area (zoom 12–15) is a few hundred tiles
+const TILE_CACHE_MAX_ENTRIES = 2000;
+// Serve the cached copy of a page or dataset when the network takes longer than this
+const NETWORK_TIMEOUT_MS = 6000;
+// Set on what networkFirst serves from the cache, so the page can tell it is not fresh
+const CACHED_RESPONSE_HEADER = 'X-GeoSense-Cached';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'data/sample-data.js',
+    'data/zones.geojson',
+    'data/regions/rajsamand/zones.geojson',
+    'data/regions/chittorgarh/zones.geojson',
+    'js/locales/en.js',
+    'js/locales/hi.js',
+    'js/i18n.js',
+    'js/regions.js',
+    'js/roads.js',
+    'js/congestion.js',
+    'js/store.js',
+    'js/render.js',
+    'js/map-modes.js',
+    'js/route-planner.js',
+    'js/history.js',
+    'js/analytics.js',
+    'js/forecast.js',
+    'js/anomalies.js',
+    'js/feeds.js',
+    'js/data-loader.js',
+    'js/incidents.js',
+    'js/events.js',
+    'js/safety.js',
+    'js/hotspots.js',
+    'js/alerts.js',
+    'js/filters.js',
+    'js/zones.js',
+    'js/view-state.js',
+    'js/exports.js',
+    'js/offline.js',
+    'js/road-drawer.js',
+    'js/road-layers.js',
+    'js/road-table.js',
+    'js/accessibility.js',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png',
+    'vendor/leaflet.heat/leaflet-heat.js',
+    'vendor/chart.js/chart.umd.min.js',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(cacheFirst(TILE_CACHE, request, TILE_CACHE_MAX_ENTRIES));
+    } else if (url.origin !== self.location.origin) {
+        // Tailwind and Font Awesome still come from their CDNs
+        event.respondWith(staleWhileRevalidate(CDN_CACHE, request));
+    } else if (url.pathname.includes('/feed/')) {
+        // Live feed endpoints are never cached
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(SHELL_CACHE, request, 'index.html'));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(DATA_CACHE, request));
+    } else {
+        event.respondWith(staleWhileRevalidate(SHELL_CACHE, request));
+    }
+});
+
+// Cached copy if there is one. With `maxEntries` the cache is kept in least
+// recently used order: a hit is stored again, which moves it to the end of
+// the keys, and the oldest entries are dropped after each new one.
+async function cacheFirst(cacheName, request, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        if (maxEntries) cache.put(request, cached.clone()).catch(() => {});
+        return cached;
+    }
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone())
+            .then(() => maxEntries && trimCache(cacheName, maxEntries))
+            .catch(() => {});
+    }
+    return response;
+}
+
+// Trims run one at a time, so parallel tile loads don't delete the same keys
+let cacheTrim = Promise.resolve();
+
+function trimCache(cacheName, maxEntries) {
+    cacheTrim = cacheTrim.then(async () => {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+    }).catch(() => {});
+    return cacheTrim;
+}
+
+// Fresh copy when online; the cached one (or `fallback`) when offline or when
+// the network is slower than NETWORK_TIMEOUT_MS. Without a cached copy the
+// slow response is still awaited.
+async function networkFirst(cacheName, request, fallback) {
+    const network = fetch(request).then(async response => {
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    try {
+        return await withTimeout(network, NETWORK_TIMEOUT_MS);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true }) ||
+            (fallback && await caches.match(fallback));
+        if (!cached) return network;
+        // A late response still refreshes the cache for next time
+        network.catch(() => {});
+        return markCachedResponse(cached);
+    }
+}
+
+function markCachedResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_RESPONSE_HEADER, 'true');
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No response within ${ms} ms`)), ms);
+        promise.then(
+            value => {
+                clearTimeout(timer);
+                resolve(value);
+            },
+            error => {
+                clearTimeout(timer);
+                reject(error);
+            }
+        );
+    });
+}
+
+async function staleWhileRevalidate(cacheName, request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    const update = fetch(request).then(async response => {
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, plain, readTrafficData } = require('./helpers/load-scripts');
+
+const NOON = new Date(2024, 0, 1, 12).getTime();
+
+function loadRoads(app) {
+    return readTrafficData().map(road => app.summarizeRoad(road));
+}
+
+const mean = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+test('KPIs average congestion and speed over the given roads', () => {
+    const app = loadScripts();
+    const data = loadRoads(app);
+    const kpis = app.getKPIs(data, NOON);
+    assert.strictEqual(kpis.roadCount, data.length);
+    assert.strictEqual(kpis.avgCongestion, mean(data.map(road => road.congestion)));
+    assert.strictEqual(kpis.avgSpeed, mean(data.map(road => road.averageSpeed)));
+    assert.strictEqual(kpis.avgSafetyScore, mean(data.map(road => app.getSafetyScore(road, NOON))));
+    assert.strictEqual(kpis.safeRoutes, data.filter(road => app.isSafeRoad(road, NOON)).length);
+});
+
+test('KPI averages are null when no road matches', () => {
+    const app = loadScripts();
+    assert.deepStrictEqual(plain(app.getKPIs([], NOON)), {
+        roadCount: 0, avgCongestion: null, totalAccidents: 0, avgSpeed: null, avgSafetyScore: null, safeRoutes: 0
+    });
+});
+
+test('reported accident counts are kept without creating records', () => {
+    const app = loadScripts();
+    const data = loadRoads(app);
+    const reported = data.map(road => road.accidents);
+    app.setReportedAccidents(data);
+    app.syncRoadIncidents(data);
+    app.syncRoadIncidents(data);
+    assert.strictEqual(evaluate(app, 'incidents.length'), 0);
+    assert.deepStrictEqual(data.map(road => road.accidents), reported);
+
+    const road = data.find(r => r.accidents > 0);
+    assert.strictEqual(app.getUnrecordedAccidents(road), road.accidents);
+    // Collisions recorded here count towards the reported figure until they exceed it
+    for (let i = 0; i <= road.reportedAccidents; i++) {
+        app.addIncident({ latLng: road.location, road: road.road });
+    }
+    app.syncRoadIncidents(data);
+    assert.strictEqual(road.accidents, road.reportedAccidents + 1);
+    assert.strictEqual(app.getUnrecordedAccidents(road), 0);
+});
+
+test('live accident total adds collisions away from roads, filtered totals the roads', () => {
+    const app = loadScripts();
+    const data = loadRoads(app);
+    app.setReportedAccidents(data);
+    app.syncRoadIncidents(data);
+    const roadTotal = data.reduce((sum, road) => sum + road.accidents, 0);
+    assert.strictEqual(app.getKPIs(data, NOON).totalAccidents, roadTotal);
+
+    // Far from every road, so unassigned; script.js owns the roads it is matched against
+    evaluate(app, 'var trafficData = []');
+    app.addIncident({ latLng: [0, 0] });
+    assert.strictEqual(app.getKPIs(data, NOON).totalAccidents, roadTotal + 1);
+
+    evaluate(app, "filterState.accidents = 'with'");
+    const withAccidents = app.applyFilters(data, undefined, NOON);
+    assert.strictEqual(app.getKPIs(withAccidents, NOON).totalAccidents, roadTotal);
+    assert.strictEqual(app.getKPIs(withAccidents.slice(0, 2), NOON).totalAccidents,
+        withAccidents[0].accidents + withAccidents[1].accidents);
+});
+
+test('safe routes are grade A roads, safest first, at most six', () => {
+    const app = loadScripts();
+    const routes = app.getSafeRoutes(loadRoads(app), NOON);
+    const scores = routes.map(road => app.getSafetyScore(road, NOON));
+    assert.ok(routes.length > 0 && routes.length <= 6);
+    assert.ok(routes.every(road => app.getSafetyRating(road, NOON) === 'A'));
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('accident list leaves out roads without accidents, most first', () => {
+    const app = loadScripts();
+    const counts = app.getAccidentRoads(loadRoads(app)).map(road => road.accidents);
+    assert.ok(counts.every(count => count > 0));
+    assert.deepStrictEqual(counts, [...counts].sort((a, b) => b - a));
+});
+
+test('observations average by hour and weekday, per road and city-wide', () => {
+    const app = loadScripts();
+    const stats = app.createObservationStats();
+    // Monday 1 January 2024, 08:00 and 08:30
+    const at = minutes => new Date(2024, 0, 1, 8, minutes).getTime();
+    app.addObservation({ timestamp: at(0), roads: [{ road: 'A', congestion: 80, averageSpeed: 20 }, { road: 'B', congestion: 40, averageSpeed: 40 }] }, stats);
+    app.addObservation({ timestamp: at(30), roads: [{ road: 'A', congestion: 60, averageSpeed: 30 }, { road: 'B', congestion: 20, averageSpeed: 50 }] }, stats);
+
+    const cityHours = app.getPeakHourData('all', stats);
+    assert.strictEqual(cityHours[8], 50);
+    assert.strictEqual(cityHours.filter(value => value !== null).length, 1);
+    assert.strictEqual(app.getPeakHourData('A', stats)[8], 70);
+    assert.strictEqual(app.getSpeedTrendData('B', stats)[0], 45);
+    // A filtered city view pools only the roads left
+    assert.strictEqual(app.getPeakHourData('all', stats, ['B'])[8], 30);
+    assert.strictEqual(stats.count, 2);
+    assert.strictEqual(stats.since, at(0));
+});
+
+test('congestion distribution counts roads, or one road\'s segments', () => {
+    const app = loadScripts();
+    const data = loadRoads(app);
+    const distribution = app.getCongestionDistribution(data);
+    assert.strictEqual(distribution.reduce((sum, count) => sum + count, 0), data.length);
+    const mgRoad = data.find(road => road.road === 'MG Road');
+    assert.strictEqual(app.getCongestionDistribution(data, 'MG Road').reduce((sum, count) => sum + count, 0), mgRoad.segments.length);
+});
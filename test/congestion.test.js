@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, plain } = require('./helpers/load-scripts');
+
+test('three-level scale splits at the region thresholds', () => {
+    const app = loadScripts();
+    assert.deepStrictEqual(plain(app.getCongestionThresholds()), [40, 70]);
+    assert.strictEqual(app.getCongestionLevel(0), 'Low');
+    assert.strictEqual(app.getCongestionLevel(39), 'Low');
+    assert.strictEqual(app.getCongestionLevel(40), 'Medium');
+    assert.strictEqual(app.getCongestionLevel(70), 'Medium');
+    assert.strictEqual(app.getCongestionLevel(71), 'High');
+    assert.strictEqual(app.getCongestionLevel(100), 'High');
+});
+
+test('each later threshold is the highest value of its level', () => {
+    const app = loadScripts();
+    const thresholds = [20, 40, 60, 80];
+    assert.deepStrictEqual([19, 20, 40, 41, 60, 80, 81].map(value => app.getCongestionLevelIndex(value, thresholds)),
+        [0, 1, 1, 2, 2, 3, 4]);
+});
+
+test('saved scale and palette choose the levels and colours', () => {
+    const app = loadScripts(undefined, {
+        storage: { 'geosense-congestion-scale': JSON.stringify({ scale: 'five', palette: 'colorblind' }) }
+    });
+    app.loadCongestionSettings();
+    const levels = app.getCongestionLevels();
+    assert.deepStrictEqual(plain(levels.map(level => level.key)), ['free', 'light', 'moderate', 'heavy', 'gridlock']);
+    assert.strictEqual(app.getCongestionColor(90), '#882255');
+    assert.strictEqual(levels[0].rangeLabel, 'Free-flow (< 20%)');
+});
+
+test('invalid saved thresholds fall back to the region defaults', () => {
+    const app = loadScripts(undefined, {
+        storage: { 'geosense-congestion-thresholds': JSON.stringify({ three: [70, 40], five: [10, 30, 50, 90] }) }
+    });
+    app.loadCongestionSettings();
+    assert.deepStrictEqual(plain(app.getCongestionThresholds('three')), [40, 70]);
+    assert.deepStrictEqual(plain(app.getCongestionThresholds('five')), [10, 30, 50, 90]);
+});
+
+test('threshold validation explains what is wrong', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.validateCongestionThresholds([30, 60]), null);
+    assert.match(app.validateCongestionThresholds([30]), /2/);
+    assert.notStrictEqual(app.validateCongestionThresholds([0, 60]), null);
+    assert.notStrictEqual(app.validateCongestionThresholds([60, 30]), null);
+    assert.notStrictEqual(app.validateCongestionThresholds([30, Number.NaN]), null);
+});
+
+test('congestion filter keys match one level, "all" matches every value', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.matchesCongestionFilter(85, 'high'), true);
+    assert.strictEqual(app.matchesCongestionFilter(85, 'low'), false);
+    assert.strictEqual(app.matchesCongestionFilter(85, 'all'), true);
+});
+
+test('level names follow the language', () => {
+    const app = loadScripts(undefined, { url: 'http://localhost/index.html?lang=hi' });
+    assert.strictEqual(app.getCongestionLevel(85), app.LOCALE_MESSAGES.hi['levels.high']);
+});
+
+test('levels are built once per language and settings', () => {
+    const app = loadScripts();
+    const levels = app.getCongestionLevels();
+    assert.strictEqual(app.getCongestionLevels(), levels);
+
+    evaluate(app, "currentLocale = 'hi'");
+    const hindi = app.getCongestionLevels();
+    assert.notStrictEqual(hindi, levels);
+    assert.strictEqual(hindi[2].label, app.LOCALE_MESSAGES.hi['levels.high']);
+
+    evaluate(app, 'congestionThresholds.three = [30, 60]');
+    assert.strictEqual(app.getCongestionLevelIndex(50), 1);
+    assert.match(app.getCongestionLevels()[0].rangeLabel, /30/);
+});
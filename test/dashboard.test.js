@@ -0,0 +1,294 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openDashboard } = require('./helpers/dashboard');
+
+const SEED = '?seed=1234';
+
+const mean = values => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+
+// The page's roads as plain objects of this realm
+function readRoads(dashboard) {
+    return JSON.parse(dashboard.evaluate('JSON.stringify(trafficData)'));
+}
+
+// KPI cards as shown, next to the figures recomputed from the page's data
+function readKPIs(dashboard) {
+    const roads = readRoads(dashboard);
+    return {
+        shown: ['avgCongestion', 'totalAccidents', 'avgSpeed', 'safeRoutes'].map(id => dashboard.text(id)),
+        expected: [
+            `${mean(roads.map(road => road.congestion))}%`,
+            String(roads.reduce((sum, road) => sum + road.accidents, 0)),
+            `${mean(roads.map(road => road.averageSpeed))} km/h`,
+            String(dashboard.evaluate('trafficData.filter(road => isSafeRoad(road)).length'))
+        ]
+    };
+}
+
+test('KPIs, lists and map layers match the loaded data', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const roads = readRoads(dashboard);
+        const { shown, expected } = readKPIs(dashboard);
+        assert.deepStrictEqual(shown, expected);
+
+        // Accident list: roads with accidents, most first
+        const accidentRows = [...dashboard.document.querySelectorAll('#accidentList [data-key]')];
+        const withAccidents = roads.filter(road => road.accidents > 0).sort((a, b) => b.accidents - a.accidents);
+        assert.deepStrictEqual(accidentRows.map(row => row.dataset.key), withAccidents.map(road => road.road));
+
+        // Safe routes: up to six grade A roads
+        const safeCount = dashboard.evaluate('trafficData.filter(road => isSafeRoad(road)).length');
+        assert.strictEqual(dashboard.document.querySelectorAll('#safeRoutesList [data-key]').length, Math.min(6, safeCount));
+
+        // One table row and one polyline per segment for every road
+        assert.strictEqual(dashboard.document.querySelectorAll('#roadTableBody tr').length, roads.length);
+        const segmentCount = roads.reduce((sum, road) => sum + road.segments.length, 0);
+        assert.strictEqual(dashboard.leaflet.filter(entry => entry.type === 'polyline').length, segmentCount);
+        assert.strictEqual(dashboard.evaluate('markers.length'), segmentCount);
+        assert.deepStrictEqual([...dashboard.evaluate('[...roadLayers.keys()]')].sort(), roads.map(road => road.road).sort());
+
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('a congestion filter narrows the markers, table and KPIs', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        dashboard.document.querySelector('#congestionFilters .filter-btn[data-filter="high"]').click();
+        const roads = readRoads(dashboard);
+        const isHigh = value => dashboard.evaluate(`getCongestionLevelIndex(${value})`) === 2;
+        const highRoads = roads.filter(road => road.segments.some(segment => isHigh(segment.congestion)));
+        const highSegments = highRoads.flatMap(road => road.segments.filter(segment => isHigh(segment.congestion)));
+
+        assert.ok(highRoads.length > 0 && highRoads.length < roads.length);
+        assert.strictEqual(dashboard.evaluate('markers.length'), highSegments.length);
+        assert.strictEqual(dashboard.document.querySelectorAll('#roadTableBody tr').length, highRoads.length);
+        assert.strictEqual(dashboard.text('avgCongestion'), `${mean(highRoads.map(road => road.congestion))}%`);
+        assert.strictEqual(dashboard.text('filterSummary'), `Showing ${highRoads.length} of ${roads.length} roads`);
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('simulated ticks keep the views in step with the data', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const before = readRoads(dashboard);
+        dashboard.tick(20);
+        const after = readRoads(dashboard);
+        assert.notDeepStrictEqual(after, before);
+
+        const { shown, expected } = readKPIs(dashboard);
+        assert.deepStrictEqual(shown, expected);
+        const rows = [...dashboard.document.querySelectorAll('#roadTableBody tr')];
+        rows.forEach(row => {
+            const road = after.find(r => r.road === row.dataset.key);
+            assert.match(row.textContent, new RegExp(`\\b${road.congestion}%`));
+        });
+        // Ticks restyle layers in place instead of drawing new ones
+        const segmentCount = after.reduce((sum, road) => sum + road.segments.length, 0);
+        assert.strictEqual(dashboard.leaflet.filter(entry => entry.type === 'polyline').length, segmentCount);
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('a live update only redraws the roads it changed', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const { document } = dashboard;
+        const rowsBefore = new Map([...document.querySelectorAll('#roadTableBody tr')].map(row => [row.dataset.key, row]));
+        const road = readRoads(dashboard).find(r => r.road === 'MG Road');
+        const congestion = road.congestion > 50 ? 10 : 95;
+        // Labelling runs per road updated on the map
+        const labelled = [];
+        dashboard.window.labelRoadLayers = target => labelled.push(target.road);
+        dashboard.evaluate(`applyTrafficUpdate(${JSON.stringify({
+            type: 'delta',
+            roads: [{ road: 'MG Road', segments: road.segments.map(segment => ({ id: segment.id, congestion })) }]
+        })})`);
+
+        assert.deepStrictEqual(labelled, ['MG Road']);
+        document.querySelectorAll('#roadTableBody tr').forEach(row => {
+            if (row.dataset.key === 'MG Road') assert.notStrictEqual(row, rowsBefore.get('MG Road'));
+            else assert.strictEqual(row, rowsBefore.get(row.dataset.key));
+        });
+        assert.match(document.querySelector('#roadTableBody tr[data-key="MG Road"]').textContent, new RegExp(`\\b${congestion}%`));
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('map click modes are exclusive', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const { document } = dashboard;
+        const active = () => ['reportIncidentBtn', 'addEventBtn'].filter(id => document.getElementById(id).classList.contains('active'));
+
+        document.getElementById('drawAreaBtn').click();
+        assert.strictEqual(dashboard.evaluate('getMapClickMode()'), 'area');
+        document.getElementById('reportIncidentBtn').click();
+        assert.deepStrictEqual(active(), ['reportIncidentBtn']);
+        assert.match(document.getElementById('drawAreaBtn').innerHTML, /filters\.drawArea/);
+        document.getElementById('addEventBtn').click();
+        assert.deepStrictEqual(active(), ['addEventBtn']);
+        document.getElementById('originPickBtn').click();
+        assert.strictEqual(dashboard.evaluate('getMapClickMode()'), 'route');
+        assert.deepStrictEqual(active(), []);
+
+        // The click goes to the route planner alone, which then leaves the mode
+        dashboard.evaluate('mapClickModes[getMapClickMode()].click([24.58, 73.71])');
+        assert.strictEqual(dashboard.evaluate('getMapClickMode()'), null);
+        assert.notStrictEqual(document.getElementById('originInput').value, '');
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('an alert raised by a live update shows in the alert panel', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const { document } = dashboard;
+        const road = readRoads(dashboard).find(r => r.road === 'MG Road');
+        dashboard.evaluate(`addAlertRule({ type: 'road', road: 'MG Road', metric: 'congestion', operator: '>', value: ${road.congestion}, durationMinutes: 0 })`);
+        assert.ok(document.getElementById('alertCount').classList.contains('hidden'));
+
+        dashboard.evaluate(`applyTrafficUpdate(${JSON.stringify({
+            type: 'delta',
+            roads: [{ road: 'MG Road', segments: road.segments.map(segment => ({ id: segment.id, congestion: 99 })) }]
+        })})`);
+
+        assert.strictEqual(document.getElementById('alertCount').textContent, '1');
+        assert.ok(!document.getElementById('alertCount').classList.contains('hidden'));
+        assert.match(document.getElementById('alertHistoryList').textContent, /MG Road/);
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('live updates redraw a planned route without moving the map', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const fitted = [];
+        dashboard.evaluate('map').fitBounds = bounds => fitted.push(bounds);
+        const [first, second] = readRoads(dashboard);
+        dashboard.evaluate(`setRouteEndpoint('origin', ${JSON.stringify(first.location)}, 'A')`);
+        dashboard.evaluate(`setRouteEndpoint('destination', ${JSON.stringify(second.location)}, 'B')`);
+        dashboard.document.getElementById('planRouteBtn').click();
+        assert.strictEqual(fitted.length, 1);
+
+        dashboard.evaluate(`applyTrafficUpdate(${JSON.stringify({
+            type: 'delta',
+            roads: [{ road: first.road, segments: first.segments.map(segment => ({ id: segment.id, congestion: 90 })) }]
+        })})`);
+        assert.strictEqual(fitted.length, 1);
+        assert.notStrictEqual(dashboard.document.getElementById('routeResults').innerHTML, '');
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('data the service worker served from its cache is not counted as a sync', async () => {
+    const dashboard = await openDashboard({
+        query: SEED,
+        respond: (pathname, response) => {
+            if (pathname.endsWith('trafficData.json')) response.headers.set('X-GeoSense-Cached', 'true');
+            return response;
+        }
+    });
+    try {
+        assert.strictEqual(dashboard.evaluate('getLastSyncTime()'), null);
+        assert.ok(!dashboard.document.getElementById('offlineBanner').classList.contains('hidden'));
+        assert.match(dashboard.text('offlineBanner'), /^Could not get fresh data from the server/);
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('a failed data request while online falls back with the offline banner', async () => {
+    const dashboard = await openDashboard({
+        query: SEED,
+        respond: (pathname, response) => {
+            if (pathname.endsWith('trafficData.json')) throw new TypeError('Failed to fetch');
+            return response;
+        }
+    });
+    try {
+        assert.ok(readRoads(dashboard).length > 0);
+        assert.strictEqual(dashboard.evaluate('getLastSyncTime()'), null);
+        assert.match(dashboard.text('offlineBanner'), /^Could not get fresh data from the server, showing the sample data/);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('live updates patch the open road drawer only for its own roads', async () => {
+    const dashboard = await openDashboard({ query: SEED });
+    try {
+        const { document } = dashboard;
+        const roads = readRoads(dashboard);
+        const road = roads.find(r => r.road === 'MG Road');
+        const other = roads.find(r => r.road !== 'MG Road');
+        const update = (target, congestion) => dashboard.evaluate(`applyTrafficUpdate(${JSON.stringify({
+            type: 'delta',
+            roads: [{ road: target.road, segments: target.segments.map(segment => ({ id: segment.id, congestion })) }]
+        })})`);
+        dashboard.evaluate("openRoadDrawer('MG Road')");
+        const select = document.getElementById('drawerCompareSelect');
+        select.focus();
+        const figures = document.getElementById('drawerFigures').firstElementChild;
+
+        update(other, other.congestion > 50 ? 10 : 95);
+        assert.strictEqual(document.getElementById('drawerFigures').firstElementChild, figures);
+
+        const congestion = road.congestion > 50 ? 10 : 95;
+        update(road, congestion);
+        assert.notStrictEqual(document.getElementById('drawerFigures').firstElementChild, figures);
+        assert.match(document.getElementById('drawerFigures').textContent, new RegExp(`\\b${congestion}%`));
+        assert.strictEqual(document.getElementById('drawerCompareSelect'), select);
+        assert.strictEqual(document.activeElement, select);
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
+
+test('the same seed gives the same session', async () => {
+    const run = async () => {
+        const dashboard = await openDashboard({ query: SEED });
+        try {
+            dashboard.tick(15);
+            return {
+                roads: JSON.parse(dashboard.evaluate('JSON.stringify(trafficData.map(({ road, congestion, averageSpeed, accidents }) => ({ road, congestion, averageSpeed, accidents })))')),
+                kpis: readKPIs(dashboard).shown
+            };
+        } finally {
+            dashboard.close();
+        }
+    };
+    const first = await run();
+    assert.deepStrictEqual(await run(), first);
+});
+
+test('the page loads in Hindi with ?lang=hi', async () => {
+    const dashboard = await openDashboard({ query: `${SEED}&lang=hi` });
+    try {
+        assert.strictEqual(dashboard.document.documentElement.lang, 'hi');
+        const messages = dashboard.evaluate('LOCALE_MESSAGES.hi');
+        assert.strictEqual(dashboard.document.querySelector('[data-i18n="charts.congestion"]').textContent, messages['charts.congestion']);
+        assert.match(dashboard.text('avgSpeed'), new RegExp(messages['format.speed'].replace('{value}', '\\d+')));
+        assert.deepStrictEqual(dashboard.errors, []);
+    } finally {
+        dashboard.close();
+    }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain, readTrafficData } = require('./helpers/load-scripts');
+
+const [ROAD] = readTrafficData();
+
+test('invalid records are rejected with one issue per field', () => {
+    const app = loadScripts();
+    const { valid, issues } = app.validateTrafficRecords([
+        ROAD,
+        { ...ROAD, road: 'Broken Road', congestion: 140, accidents: -1 },
+        { ...ROAD }
+    ]);
+    assert.strictEqual(valid.length, 1);
+    assert.deepStrictEqual(plain(issues.map(issue => [app.formatDataMessage(issue.row), app.formatDataMessage(issue.message)])), [
+        ['Row 2', 'congestion must be a number from 0 to 100'],
+        ['Row 2', 'accidents must be a non-negative whole number'],
+        ['Row 3', `road "${ROAD.road}" appears more than once`]
+    ]);
+});
+
+test('issue messages are built in the current language', () => {
+    const app = loadScripts(undefined, { url: 'http://localhost/index.html?lang=hi' });
+    const messages = app.LOCALE_MESSAGES.hi;
+    const { issues } = app.validateTrafficRecords([{ ...ROAD, location: [0, 0] }]);
+    assert.strictEqual(app.formatDataMessage(issues[0].row), messages['data.row.row'].replace('{number}', '1'));
+    assert.strictEqual(app.formatDataMessage(issues[0].message),
+        messages['data.rule.location'].replace('{field}', 'location').replace('{region}', app.getRegionName()));
+    assert.strictEqual(app.formatDataMessage(app.validateTrafficRecords({}).issues[0].message), messages['data.error.notList']);
+});
+
+test('each line of a MultiLineString becomes a segment with its own id', () => {
+    const app = loadScripts();
+    const records = app.geoJsonToRecords({
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            properties: { road: 'Ring Road', id: 'ring', congestion: 40, averageSpeed: 30 },
+            geometry: { type: 'MultiLineString', coordinates: [[[73.70, 24.58], [73.71, 24.58]], [[73.71, 24.58], [73.72, 24.59]]] }
+        }]
+    });
+    assert.deepStrictEqual(plain(records[0].segments.map(segment => segment.id)), ['ring-1', 'ring-2']);
+    assert.strictEqual(app.validateTrafficRecords(records).valid.length, 1);
+});
+
+test('repeated segment ids and segments without length reject the row', () => {
+    const app = loadScripts();
+    const [first] = ROAD.segments;
+    const { valid, issues } = app.validateTrafficRecords([
+        ROAD,
+        { ...ROAD, road: 'Copied Road', segments: [first] },
+        { ...ROAD, road: 'Dot Road', segments: [{ ...first, id: 'dot-1', geometry: { type: 'LineString', coordinates: [[73.71, 24.59], [73.71, 24.59]] } }] }
+    ]);
+    assert.deepStrictEqual(plain(valid.map(road => road.road)), [ROAD.road]);
+    assert.deepStrictEqual(plain(issues.map(issue => [issue.level, app.formatDataMessage(issue.row), app.formatDataMessage(issue.message)])), [
+        ['error', 'Row 2', `segment id "${first.id}" appears more than once`],
+        ['error', 'Row 3', 'segments[0].geometry has no length; it needs two different points']
+    ]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, plain, readTrafficData } = require('./helpers/load-scripts');
+
+const NOON = new Date(2024, 0, 1, 12).getTime();
+
+function setup() {
+    const app = loadScripts();
+    evaluate(app, 'zones = parseZones(SAMPLE_ZONES.udaipur)');
+    const data = readTrafficData().map(road => app.summarizeRoad(road));
+    const filter = state => app.applyFilters(data, { ...app.createFilterState(), ...state }, NOON).map(road => road.road);
+    return { app, data, filter };
+}
+
+test('no filter keeps every road', () => {
+    const { app, data, filter } = setup();
+    assert.strictEqual(app.isFilterActive(app.createFilterState()), false);
+    assert.strictEqual(filter({}).length, data.length);
+});
+
+test('search tolerates typos and abbreviations', () => {
+    const { filter } = setup();
+    assert.deepStrictEqual(filter({ search: 'pichola' }), ['Lake Pichola Road']);
+    assert.deepStrictEqual(filter({ search: 'Pichla' }), ['Lake Pichola Road']);
+    assert.deepStrictEqual(filter({ search: 'fateh sgr rd' }), ['Fateh Sagar Road']);
+    assert.deepStrictEqual(filter({ search: 'xyz' }), []);
+});
+
+test('search finds roads by their Hindi names', () => {
+    const { app, filter } = setup();
+    assert.deepStrictEqual(filter({ search: 'एमजी रोड' }), ['MG Road']);
+    assert.deepStrictEqual(filter({ search: 'पिछोला' }), ['Lake Pichola Road']);
+    assert.strictEqual(app.fuzzyMatch('रोड', 'Airport Road'), false);
+    assert.strictEqual(app.fuzzyMatch('एमजी रोड', 'MG Road'), false);
+    assert.strictEqual(app.fuzzyMatch('-', 'MG Road'), false);
+});
+
+test('congestion band matches a road when any of its segments is in it', () => {
+    const { app, data, filter } = setup();
+    const high = filter({ congestion: 'high' });
+    const expected = data
+        .filter(road => road.segments.some(segment => app.getCongestionLevelIndex(segment.congestion) === 2))
+        .map(road => road.road);
+    assert.deepStrictEqual(high, expected);
+    // The segments drawn are only those in the band
+    const state = { ...app.createFilterState(), congestion: 'high' };
+    assert.strictEqual(app.matchesSegmentFilter({ congestion: 90 }, state), true);
+    assert.strictEqual(app.matchesSegmentFilter({ congestion: 30 }, state), false);
+});
+
+test('speed range bounds are inclusive', () => {
+    const { data, filter } = setup();
+    const names = filter({ minSpeed: 25, maxSpeed: 35 });
+    const expected = data.filter(road => road.averageSpeed >= 25 && road.averageSpeed <= 35).map(road => road.road);
+    assert.deepStrictEqual(names, expected);
+    assert.ok(names.length > 0);
+});
+
+test('grades filter by the safety rating at the displayed time', () => {
+    const { app, data, filter } = setup();
+    const names = filter({ grades: ['C', 'D'] });
+    assert.deepStrictEqual(names, data.filter(road => ['C', 'D'].includes(app.getSafetyRating(road, NOON))).map(road => road.road));
+    assert.ok(names.length > 0);
+});
+
+test('accident filter picks roads with or without accidents', () => {
+    const { data, filter } = setup();
+    const withAccidents = filter({ accidents: 'with' });
+    const without = filter({ accidents: 'without' });
+    assert.strictEqual(withAccidents.length + without.length, data.length);
+    assert.ok(withAccidents.every(name => data.find(road => road.road === name).accidents > 0));
+});
+
+test('zone and drawn area keep roads inside them', () => {
+    const { app, filter } = setup();
+    const oldCity = filter({ zone: 'old-city' });
+    assert.ok(oldCity.length > 0);
+    assert.ok(oldCity.every(name => app.getRoadZoneId(readTrafficData().find(road => road.road === name)) === 'old-city'));
+    // A small square around Delhi Gate
+    const [lat, lng] = readTrafficData().find(road => road.road === 'Delhi Gate').location;
+    const area = [[lat - 0.002, lng - 0.002], [lat - 0.002, lng + 0.002], [lat + 0.002, lng + 0.002], [lat + 0.002, lng - 0.002]];
+    assert.ok(filter({ area }).includes('Delhi Gate'));
+    assert.ok(!filter({ area }).includes('Goverdhan Villas Road'));
+});
+
+test('every active filter gets a chip', () => {
+    const { app } = setup();
+    const state = { ...app.createFilterState(), search: 'mg', congestion: 'high', minSpeed: 10, grades: ['A'], accidents: 'with' };
+    assert.strictEqual(app.isFilterActive(state), true);
+    assert.deepStrictEqual(plain(app.getFilterChips(state).map(chip => chip.key)), ['search', 'congestion', 'speed', 'grades', 'accidents']);
+});
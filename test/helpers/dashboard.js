@@ -0,0 +1,158 @@
+// Opens index.html in jsdom with the page's own scripts and data files, and
+// stand-ins for what jsdom can't run: Leaflet, Chart.js, canvas drawing and
+// fetch. Resolves once the first dataset has been rendered.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT } = require('./load-scripts');
+
+const LOAD_TIMEOUT_MS = 5000;
+
+// Accepts any property access or call. Calling a method returns the object it
+// was read from, like Leaflet's chainable API; numbers read from it are 0.
+function createChainable(owner) {
+    const members = {};
+    const chainable = new Proxy(() => {}, {
+        get(target, key) {
+            if (key === Symbol.toPrimitive) return () => 0;
+            if (typeof key === 'symbol' || key === 'then') return undefined;
+            if (!(key in members)) members[key] = createChainable(chainable);
+            return members[key];
+        },
+        set(target, key, value) {
+            members[key] = value;
+            return true;
+        },
+        apply: () => owner || chainable
+    });
+    return chainable;
+}
+
+// L.map(), L.polyline() and the other factories, including namespaced ones
+// such as L.control.scale(), create chainable layers; each is recorded as
+// { type, args, layer } in `created`
+function createLeafletStub() {
+    const created = [];
+    const createFactory = type => {
+        const factories = {};
+        return new Proxy(() => {}, {
+            get(target, key) {
+                if (typeof key === 'symbol' || key === 'then') return undefined;
+                const name = type ? `${type}.${key}` : key;
+                if (!(key in factories)) factories[key] = createFactory(name);
+                return factories[key];
+            },
+            apply(target, thisArg, args) {
+                const layer = createChainable();
+                created.push({ type, args, layer });
+                return layer;
+            }
+        });
+    };
+    return { L: createFactory(''), created };
+}
+
+// Keeps each chart's config so tests can read what would have been drawn
+function createChartStub() {
+    const charts = [];
+    class Chart {
+        constructor(context, config) {
+            this.canvas = context.canvas;
+            this.config = config;
+            this.data = config.data;
+            this.options = config.options || {};
+            this.updates = 0;
+            charts.push(this);
+        }
+
+        update() {
+            this.updates++;
+        }
+
+        destroy() {
+            charts.splice(charts.indexOf(this), 1);
+        }
+    }
+    return { Chart, charts };
+}
+
+// Serves files from the repository for same-origin requests; anything else fails like a network error
+function createFetch(window, respond) {
+    return async url => {
+        const target = new URL(url, window.location.href);
+        if (target.origin !== window.location.origin) throw new window.TypeError('Failed to fetch');
+        const file = path.join(ROOT, decodeURIComponent(target.pathname));
+        if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+            return respond(target.pathname, { ok: false, status: 404, headers: new Headers(), json: async () => null, text: async () => '' });
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return respond(target.pathname, { ok: true, status: 200, headers: new Headers(), json: async () => window.JSON.parse(body), text: async () => body });
+    };
+}
+
+// Inline the page's own scripts and drop third-party ones, which are stubbed
+function readPage() {
+    return fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script\b[^>]*\bsrc="([^"]+)"[^>]*><\/script>/g, (tag, src) => {
+            if (/^(https?:)?\/\//.test(src) || src.startsWith('vendor/')) return '';
+            const code = fs.readFileSync(path.join(ROOT, src), 'utf8').replace(/<\/script>/g, '<\\/script>');
+            return `<script>${code}\n//# sourceURL=${src}</script>`;
+        });
+}
+
+// `query` is added to the page URL (?seed=, ?lang=, ?region=); `storage` pre-fills localStorage;
+// `respond(pathname, response)` may change or throw instead of a file response
+async function openDashboard({ query = '', storage = {}, respond = (pathname, response) => response } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    virtualConsole.on('error', (...args) => errors.push(new Error(args.join(' '))));
+
+    const leaflet = createLeafletStub();
+    const chart = createChartStub();
+    const dom = new JSDOM(readPage(), {
+        url: `http://localhost/index.html${query}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            window.L = leaflet.L;
+            window.Chart = chart.Chart;
+            window.fetch = createFetch(window, respond);
+            window.HTMLCanvasElement.prototype.getContext = function() {
+                const context = createChainable();
+                context.canvas = this;
+                return context;
+            };
+        }
+    });
+    const { window } = dom;
+
+    const started = Date.now();
+    while (window.eval('trafficData.length') === 0) {
+        if (Date.now() - started > LOAD_TIMEOUT_MS) {
+            window.close();
+            throw new Error(`Dashboard did not load: ${errors.map(error => error.message).join('; ')}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    return {
+        window,
+        document: window.document,
+        errors,
+        leaflet: leaflet.created,
+        charts: chart.charts,
+        // Evaluate page code, e.g. to call its functions or read top-level state
+        evaluate: code => window.eval(code),
+        text: id => window.document.getElementById(id).textContent.trim(),
+        tick(count = 1) {
+            for (let i = 0; i < count; i++) window.eval('simulateLiveUpdate()');
+        },
+        close: () => window.close()
+    };
+}
+
+module.exports = { openDashboard };
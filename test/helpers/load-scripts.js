@@ -0,0 +1,85 @@
+// Loads the dashboard's browser scripts into a fresh context, in the order
+// given, the way index.html loads them into a page. Their top-level functions
+// become properties of the returned context. Only what the scripts touch while
+// loading is provided, so anything that needs the DOM fails loudly if a test
+// reaches it.
+//
+// The context has its own built-ins: arrays and objects it returns are not
+// deep-equal to ones created in a test, so compare their JSON (see `plain`).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+// Every script with logic the tests call, in index.html order; none of them
+// needs a page to load
+const LOGIC_SCRIPTS = [
+    'data/sample-data.js',
+    'js/locales/en.js',
+    'js/locales/hi.js',
+    'js/i18n.js',
+    'js/regions.js',
+    'js/roads.js',
+    'js/congestion.js',
+    'js/route-planner.js',
+    'js/history.js',
+    'js/analytics.js',
+    'js/anomalies.js',
+    'js/feeds.js',
+    'js/data-loader.js',
+    'js/incidents.js',
+    'js/safety.js',
+    'js/hotspots.js',
+    'js/filters.js',
+    'js/zones.js'
+];
+
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// `url` sets location (and so ?lang=, ?region=, ?seed=); `storage` pre-fills localStorage
+function loadScripts(files = LOGIC_SCRIPTS, { url = 'http://localhost/index.html', storage = {}, language = 'en-US' } = {}) {
+    const context = {
+        console,
+        URL,
+        URLSearchParams,
+        location: new URL(url),
+        navigator: { language, languages: [language], onLine: true },
+        localStorage: createStorage(storage),
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval
+    };
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+// Run an expression in the context, e.g. to read or replace a top-level `let`
+function evaluate(context, code) {
+    return vm.runInContext(code, context);
+}
+
+// A copy of a value from the context built from this realm's objects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Roads from a region's data file, as the page fetches them
+function readTrafficData(file = 'data/trafficData.json') {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+module.exports = { ROOT, LOGIC_SCRIPTS, loadScripts, evaluate, plain, readTrafficData };
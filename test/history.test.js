@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, readTrafficData } = require('./helpers/load-scripts');
+
+// A history whose snapshot lookups wait until the test resolves them
+function loadDeferredHistory() {
+    const app = loadScripts();
+    const data = readTrafficData();
+    app.trafficData = data;
+    const lookups = [];
+    app.getSnapshotAt = timestamp => new Promise(resolve => {
+        lookups.push(() => resolve(app.createSnapshot(data, timestamp)));
+    });
+    // The page's redraws are not under test
+    app.refreshDisplayedData = () => {};
+    app.updateTimelineControls = () => {};
+    return { app, lookups };
+}
+
+test('a snapshot that arrives after going back to live is dropped', async () => {
+    const { app, lookups } = loadDeferredHistory();
+    const pending = app.showHistoricalMoment(1000);
+    app.showLiveData();
+    lookups[0]();
+    await pending;
+    assert.strictEqual(app.isReplaying(), false);
+    assert.strictEqual(evaluate(app, 'replayTimestamp'), null);
+});
+
+test('only the most recently requested moment is shown', async () => {
+    const { app, lookups } = loadDeferredHistory();
+    const older = app.showHistoricalMoment(1000);
+    const newer = app.showHistoricalMoment(2000);
+    lookups[1]();
+    await newer;
+    lookups[0]();
+    await older;
+    assert.strictEqual(app.isReplaying(), true);
+    assert.strictEqual(evaluate(app, 'replayTimestamp'), 2000);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, readTrafficData } = require('./helpers/load-scripts');
+
+const NOW = new Date(2024, 0, 1, 12).getTime();
+
+const road = values => ({ road: 'Test Road', location: [24.58, 73.71], congestion: 0, averageSpeed: 20, accidents: 0, ...values });
+
+test('the dataset\'s accident counts make hotspots without any reported incidents', () => {
+    const app = loadScripts();
+    // Zones are named after their road, looked up in the loaded data
+    app.trafficData = readTrafficData();
+    const zones = app.analyzeHotspots([], NOW, app.trafficData);
+    assert.ok(zones.length > 0);
+    assert.ok(zones.every(zone => zone.reportedCount === zone.count && zone.trend === 'stable'));
+});
+
+test('a road\'s count joins its recorded collisions without counting them twice', () => {
+    const app = loadScripts();
+    const collision = { latLng: [24.5801, 73.7101], road: 'Test Road', type: 'collision', severity: 'severe', status: 'open', timestamp: NOW - 60000 };
+    app.trafficData = [road({ accidents: 3 })];
+    evaluate(app, `incidents = ${JSON.stringify([collision])}`);
+    const [zone] = app.analyzeHotspots(evaluate(app, 'incidents'), NOW, app.trafficData);
+    assert.strictEqual(zone.count, 3);
+    assert.strictEqual(zone.reportedCount, 2);
+    assert.strictEqual(zone.name, 'Test Road');
+    // One severe collision (4) and two of unknown severity, weighed as minor (1 each)
+    assert.strictEqual(zone.severityScore, 6);
+});
+
+test('roads with too few accidents apart from each other make no zone', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.analyzeHotspots([], NOW, [road({ accidents: 2 })]).length, 0);
+});
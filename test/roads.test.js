@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const segment = (id, coordinates, congestion, averageSpeed) =>
+    ({ id, geometry: { type: 'LineString', coordinates }, congestion, averageSpeed });
+
+test('haversine distance matches a degree of latitude', () => {
+    const app = loadScripts();
+    assert.ok(Math.abs(app.haversineDistance([24, 73], [25, 73]) - 111.19) < 0.01);
+    assert.strictEqual(app.haversineDistance([24.58, 73.71], [24.58, 73.71]), 0);
+});
+
+test('segment coordinates turn from GeoJSON [lng, lat] into [lat, lng]', () => {
+    const app = loadScripts();
+    assert.deepStrictEqual(plain(app.getSegmentLatLngs(segment('a', [[73.7, 24.5], [73.8, 24.6]]))), [[24.5, 73.7], [24.6, 73.8]]);
+});
+
+test('road values are length-weighted averages of its segments', () => {
+    const app = loadScripts();
+    const road = {
+        road: 'Test Road',
+        segments: [
+            // Three times as long as the second
+            segment('long', [[73.7, 24.5], [73.7, 24.53]], 80, 20),
+            segment('short', [[73.7, 24.53], [73.7, 24.54]], 40, 40)
+        ]
+    };
+    app.summarizeRoad(road);
+    assert.strictEqual(road.congestion, 70);
+    assert.strictEqual(road.averageSpeed, 25);
+    assert.strictEqual(app.hasSegments(road), true);
+    assert.strictEqual(app.hasSegments({ road: 'Point', segments: [] }), false);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, plain } = require('./helpers/load-scripts');
+
+// One straight 30 km/h segment along a line of latitude
+const road = {
+    road: 'Test Road',
+    location: [24.58, 73.70],
+    congestion: 20,
+    averageSpeed: 30,
+    accidents: 0,
+    segments: [{
+        id: 'test-1',
+        congestion: 20,
+        averageSpeed: 30,
+        geometry: { type: 'LineString', coordinates: [[73.70, 24.58], [73.72, 24.58]] }
+    }]
+};
+
+test('routes include the way from the chosen points to the road network', () => {
+    const app = loadScripts();
+    // The safest profile grades roads at the time shown, which script.js keeps
+    evaluate(app, 'var getDisplayedTime = () => Date.now()');
+    const onRoad = app.planRoutes([road], [24.58, 73.70], [24.58, 73.72]).find(route => route.key === 'fastest');
+    const origin = [24.59, 73.70];
+    const destination = [24.57, 73.72];
+    const offRoad = app.planRoutes([road], origin, destination).find(route => route.key === 'fastest');
+    const snap = app.haversineDistance(origin, [24.58, 73.70]) + app.haversineDistance([24.58, 73.72], destination);
+
+    assert.ok(Math.abs(offRoad.distance - onRoad.distance - snap) < 1e-9);
+    assert.ok(Math.abs(offRoad.eta - onRoad.eta - snap / evaluate(app, 'CONNECTOR_SPEED') * 60) < 1e-9);
+    assert.deepStrictEqual(plain([offRoad.latLngs[0], offRoad.latLngs.at(-1)]), [origin, destination]);
+});
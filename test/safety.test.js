@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const NOON = new Date(2024, 0, 1, 12).getTime();
+const NIGHT = new Date(2024, 0, 1, 23).getTime();
+
+const road = values => ({ road: 'Test Road', location: [24.58, 73.71], congestion: 0, averageSpeed: 20, accidents: 0, ...values });
+
+test('a clear, slow road at midday scores 100 and the worst road 0', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.getSafetyScore(road(), NOON), 100);
+    assert.strictEqual(app.getSafetyRating(road(), NOON), 'A');
+    const worst = road({ congestion: 100, averageSpeed: 80, accidents: 9, incidentSeverity: 1 });
+    assert.strictEqual(app.getSafetyScore(worst, NIGHT), 0);
+    assert.strictEqual(app.getSafetyRating(worst, NIGHT), 'D');
+});
+
+test('grades change at the band minimums', () => {
+    const app = loadScripts();
+    assert.deepStrictEqual([100, 80, 79, 65, 64, 50, 49, 0].map(score => app.getSafetyGradeBand(score).grade),
+        ['A', 'A', 'B', 'B', 'C', 'C', 'D', 'D']);
+});
+
+test('only grade A roads count as safe', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.isSafeRoad(road({ congestion: 40 }), NOON), true);
+    assert.strictEqual(app.isSafeRoad(road({ congestion: 40, accidents: 2 }), NOON), false);
+});
+
+test('night hours cost the time-of-day share of the score', () => {
+    const app = loadScripts();
+    // Default weights: time of day is 1 of 10
+    assert.strictEqual(app.getSafetyScore(road(), NOON) - app.getSafetyScore(road(), NIGHT), 10);
+});
+
+test('points lost across factors add up to what the score is missing', () => {
+    const app = loadScripts();
+    const { score, factors } = app.explainSafetyScore(road({ congestion: 65, averageSpeed: 45, accidents: 1 }), NIGHT);
+    const lost = factors.reduce((sum, factor) => sum + factor.pointsLost, 0);
+    assert.strictEqual(Math.round(100 - lost), score);
+});
+
+test('saved weights change what the score depends on', () => {
+    const app = loadScripts(undefined, {
+        storage: { 'geosense-safety-weights': JSON.stringify({ accidents: 10, severity: 0, congestion: 0, speed: 0, timeOfDay: 0 }) }
+    });
+    app.loadSafetyWeights();
+    assert.strictEqual(app.getSafetyScore(road({ accidents: 2, congestion: 100 }), NIGHT), 50);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, evaluate, plain, readTrafficData } = require('./helpers/load-scripts');
+
+const TIMESTAMP = new Date(2024, 0, 1, 9).getTime();
+
+// Apply `ticks` simulated updates to the bundled data, as the simulator feed does
+function simulate(app, ticks) {
+    const data = readTrafficData().map(road => app.summarizeRoad(road));
+    const messages = [];
+    for (let i = 0; i < ticks; i++) {
+        const message = app.generateSimulatedDelta(data, undefined, TIMESTAMP + i);
+        messages.push(plain(message));
+        app.applyFeedDelta(data, message);
+    }
+    return { data: plain(data), messages };
+}
+
+test('a seeded generator repeats its sequence', () => {
+    const app = loadScripts();
+    const first = app.createSeededRandom(42);
+    const second = app.createSeededRandom(42);
+    const values = Array.from({ length: 100 }, () => first());
+    assert.deepStrictEqual(Array.from({ length: 100 }, () => second()), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    assert.notStrictEqual(app.createSeededRandom(43)(), values[0]);
+});
+
+test('without a numeric seed the simulator uses Math.random', () => {
+    const app = loadScripts();
+    const random = evaluate(app, 'Math.random');
+    assert.strictEqual(app.createSimulatorRandom(null), random);
+    assert.strictEqual(app.createSimulatorRandom('abc'), random);
+    assert.notStrictEqual(app.createSimulatorRandom('7'), random);
+});
+
+test('?seed= makes simulated sessions reproducible', () => {
+    const url = 'http://localhost/index.html?seed=2024';
+    const first = simulate(loadScripts(undefined, { url }), 25);
+    const second = simulate(loadScripts(undefined, { url }), 25);
+    assert.deepStrictEqual(second, first);
+    assert.notDeepStrictEqual(simulate(loadScripts(undefined, { url: 'http://localhost/index.html?seed=2025' }), 25), first);
+});
+
+test('simulated changes stay within the random-walk limits', () => {
+    const app = loadScripts();
+    const random = app.createSeededRandom(1);
+    const data = readTrafficData().map(road => app.summarizeRoad(road));
+    for (let tick = 0; tick < 50; tick++) {
+        const message = app.generateSimulatedDelta(data, random, TIMESTAMP);
+        assert.strictEqual(message.type, 'delta');
+        assert.strictEqual(message.timestamp, TIMESTAMP);
+        message.roads.forEach(delta => {
+            const road = data.find(r => r.road === delta.road);
+            assert.ok(Object.keys(delta).length > 1, 'roads without changes are left out');
+            (delta.segments || []).forEach(change => {
+                const segment = road.segments.find(s => s.id === change.id);
+                assert.ok(segment, `unknown segment ${change.id}`);
+                if ('congestion' in change) {
+                    assert.ok(Math.abs(change.congestion - segment.congestion) <= 5);
+                    assert.ok(change.congestion >= 0 && change.congestion <= 100);
+                }
+                if ('averageSpeed' in change) {
+                    assert.ok(Math.abs(change.averageSpeed - segment.averageSpeed) <= 4);
+                    assert.ok(change.averageSpeed >= 5 && change.averageSpeed <= 80);
+                }
+            });
+            // An accident is added one at a time, and only below three
+            if ('accidents' in delta) {
+                assert.strictEqual(delta.accidents, road.accidents + 1);
+                assert.ok(road.accidents < 3);
+            }
+        });
+        app.applyFeedDelta(data, message);
+    }
+});
+
+test('segment deltas update segments and re-summarise the road', () => {
+    const app = loadScripts();
+    const data = readTrafficData().map(road => app.summarizeRoad(road));
+    const road = data.find(r => r.road === 'MG Road');
+    const changed = app.applyFeedDelta(data, {
+        type: 'delta',
+        timestamp: TIMESTAMP,
+        roads: [
+            { road: 'MG Road', accidents: 4, segments: road.segments.map(segment => ({ id: segment.id, congestion: 150, averageSpeed: -3 })) },
+            { road: 'No Such Road', congestion: 10 }
+        ]
+    });
+    assert.deepStrictEqual(plain(changed), ['MG Road']);
+    assert.ok(road.segments.every(segment => segment.congestion === 100 && segment.averageSpeed === 0));
+    assert.strictEqual(road.congestion, 100);
+    assert.strictEqual(road.averageSpeed, 0);
+    assert.strictEqual(road.accidents, 4);
+    assert.strictEqual(road.updatedAt, TIMESTAMP);
+});
+
+test('a road-level delta shifts every segment by the same amount', () => {
+    const app = loadScripts();
+    const data = readTrafficData().map(road => app.summarizeRoad(road));
+    const road = data.find(r => r.road === 'Airport Road');
+    const before = road.segments.map(segment => segment.congestion);
+    app.applyFeedDelta(data, { type: 'delta', roads: [{ road: 'Airport Road', congestion: road.congestion + 10 }] });
+    assert.deepStrictEqual(road.segments.map(segment => segment.congestion), before.map(value => Math.min(100, value + 10)));
+});
+
+test('anything but a delta message changes nothing', () => {
+    const app = loadScripts();
+    const data = readTrafficData();
+    assert.strictEqual(app.applyFeedDelta(data, { type: 'heartbeat' }).length, 0);
+    assert.strictEqual(app.applyFeedDelta(data, null).length, 0);
+    assert.deepStrictEqual(plain(data), readTrafficData());
+});
+
+test('polling asks for the deltas since the last one and skips repeats', async () => {
+    const app = loadScripts();
+    const delta = timestamp => ({ type: 'delta', timestamp, roads: [] });
+    // A server that answers the first poll with the latest delta, then with a
+    // list, then ignores ?since= and keeps repeating its latest delta
+    const responses = [delta(1), [delta(2), delta(3)]];
+    const requested = [];
+    app.fetch = async url => {
+        requested.push(url);
+        const body = responses.shift() || delta(3);
+        return { ok: true, status: 200, json: async () => body };
+    };
+
+    const received = [];
+    const feed = app.createPollingFeed('http://localhost/feed/deltas', 200);
+    feed.connect({ onOpen: () => {}, onMessage: message => received.push(message.timestamp), onClose: () => {} });
+    await new Promise(resolve => setTimeout(resolve, 700));
+    feed.disconnect();
+    assert.deepStrictEqual(requested.slice(0, 3), [
+        'http://localhost/feed/deltas',
+        'http://localhost/feed/deltas?since=1',
+        'http://localhost/feed/deltas?since=3'
+    ]);
+    assert.deepStrictEqual(received, [1, 2, 3]);
+});
+
+test('only network feeds count as a sync', () => {
+    const app = loadScripts();
+    assert.strictEqual(app.isNetworkFeed('simulator'), false);
+    assert.strictEqual(app.isNetworkFeed('sse'), true);
+    assert.strictEqual(app.isNetworkFeed('polling'), true);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Draws the app icons referenced by manifest.webmanifest: a traffic light on
+// the dashboard blue, plus a full-bleed "maskable" variant whose artwork stays
+// inside the safe zone Android crops to.
+//
+// Usage: node tools/build-icons.js
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT = path.join(__dirname, '..', 'icons');
+const SUPERSAMPLE = 4;
+
+const BLUE = [37, 99, 235];
+const BODY = [31, 41, 55];
+const LIGHTS = [[239, 68, 68], [245, 158, 11], [16, 185, 129]];
+
+// Signed distance to a rounded rectangle centred on (cx, cy)
+function roundedRectDistance(x, y, cx, cy, halfWidth, halfHeight, radius) {
+    const dx = Math.abs(x - cx) - halfWidth + radius;
+    const dy = Math.abs(y - cy) - halfHeight + radius;
+    return Math.hypot(Math.max(dx, 0), Math.max(dy, 0)) + Math.min(Math.max(dx, dy), 0) - radius;
+}
+
+// Colour of one sample in unit coordinates (0..1), or null for transparent
+function sample(x, y, maskable) {
+    // Maskable icons fill the square; the artwork shrinks into the 80% safe zone
+    const scale = maskable ? 0.8 : 1;
+    const u = (x - 0.5) / scale + 0.5;
+    const v = (y - 0.5) / scale + 0.5;
+
+    if (!maskable && roundedRectDistance(x, y, 0.5, 0.5, 0.5, 0.5, 0.18) > 0) return null;
+
+    for (let i = 0; i < LIGHTS.length; i++) {
+        if (Math.hypot(u - 0.5, v - (0.29 + i * 0.21)) < 0.08) return LIGHTS[i];
+    }
+    if (roundedRectDistance(u, v, 0.5, 0.5, 0.15, 0.34, 0.08) < 0) return BODY;
+    return BLUE;
+}
+
+function renderIcon(size, maskable) {
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const total = [0, 0, 0, 0];
+            for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+                for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+                    const colour = sample((px + (sx + 0.5) / SUPERSAMPLE) / size, (py + (sy + 0.5) / SUPERSAMPLE) / size, maskable);
+                    if (!colour) continue;
+                    colour.forEach((channel, i) => { total[i] += channel; });
+                    total[3] += 255;
+                }
+            }
+            const covered = total[3] / 255;
+            const offset = (py * size + px) * 4;
+            for (let i = 0; i < 3; i++) pixels[offset + i] = covered ? Math.round(total[i] / covered) : 0;
+            pixels[offset + 3] = Math.round(total[3] / SUPERSAMPLE ** 2);
+        }
+    }
+    return encodePng(size, size, pixels);
+}
+
+// Minimal RGBA PNG encoder: signature, IHDR, one IDAT, IEND
+function encodePng(width, height, pixels) {
+    const crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+    const crc32 = buffer => {
+        let c = 0xffffffff;
+        for (const byte of buffer) c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    };
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Each scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+fs.mkdirSync(OUTPUT, { recursive: true });
+[
+    ['icon-192.png', 192, false],
+    ['icon-512.png', 512, false],
+    ['icon-maskable-512.png', 512, true],
+    ['apple-touch-icon.png', 180, true]
+].forEach(([name, size, maskable]) => {
+    fs.writeFileSync(path.join(OUTPUT, name), renderIcon(size, maskable));
+    console.log(`Wrote ${path.relative(process.cwd(), path.join(OUTPUT, name))}`);
+});
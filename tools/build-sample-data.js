@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Regenerates data/sample-data.js, the offline fallback bundled with the page,
+// from data/regions.json and each region's traffic data and zones, so the
+// bundled copies always describe the same regions, roads and zones.
+//
+// Usage: node tools/build-sample-data.js
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const REGIONS_SOURCE = path.join(ROOT, 'data', 'regions.json');
+const TARGET = path.join(ROOT, 'data', 'sample-data.js');
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const config = JSON.parse(fs.readFileSync(REGIONS_SOURCE, 'utf8'));
+const roadsByRegion = config.regions.map(region => [region.id, readJson(region.sources.data)]);
+const zonesByRegion = config.regions.map(region => [region.id, readJson(region.sources.zones)]);
+
+const trafficBody = roadsByRegion.map(([id, roads]) => [
+    `    ${JSON.stringify(id)}: [`,
+    roads.map(road => `        ${JSON.stringify(road)}`).join(',\n'),
+    '    ]'
+].join('\n')).join(',\n');
+const zonesBody = zonesByRegion.map(([id, zones]) => `    ${JSON.stringify(id)}: ${JSON.stringify(zones)}`).join(',\n');
+
+fs.writeFileSync(TARGET, [
+    '// Generated by tools/build-sample-data.js from data/regions.json and the traffic data and zones it lists.',
+    '// Do not edit by hand: change the source files and re-run the script.',
+    `window.REGION_CONFIG = ${JSON.stringify(config)};`,
+    '',
+    'window.SAMPLE_TRAFFIC_DATA = {',
+    trafficBody,
+    '};',
+    '',
+    'window.SAMPLE_ZONES = {',
+    zonesBody,
+    '};',
+    ''
+].join('\n'));
+
+roadsByRegion.forEach(([id, roads], index) => {
+    console.log(`${id}: ${roads.length} roads and ${zonesByRegion[index][1].features.length} zones`);
+});
+console.log(`Wrote ${config.regions.length} regions to ${path.relative(process.cwd(), TARGET)}`);
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Mock live feed for offline development. Serves the dashboard plus the
+// three feed endpoints the browser adapters expect:
+//   GET /feed/deltas  latest delta as JSON, or with ?since=<timestamp> a list
+//                     of every delta after it (REST polling)
+//   GET /feed/stream  Server-Sent Events stream of deltas
+//   WS  /feed/ws      WebSocket stream of deltas
+//
+// Usage: node tools/mock-feed-server.js [--port 8787] [--interval 5000] [--region udaipur]
+// then open http://localhost:8787/?feed=sse (or websocket / polling), adding
+// &region=<id> when simulating a region other than the default.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const REGIONS_FILE = path.join(ROOT, 'data', 'regions.json');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.webmanifest': 'application/manifest+json'
+};
+// Deltas kept for pollers that ask for everything since their last one
+const RECENT_DELTA_COUNT = 100;
+
+function parseArgs(argv) {
+    const options = { port: 8787, interval: 5000, region: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        if (argv[i] === '--interval') options.interval = Number(argv[++i]);
+        if (argv[i] === '--region') options.region = argv[++i];
+    }
+    return options;
+}
+
+// Roads of the requested region, or of the configured default
+function loadRoads(regionId) {
+    const config = JSON.parse(fs.readFileSync(REGIONS_FILE, 'utf8'));
+    const region = config.regions.find(r => r.id === (regionId || config.default));
+    if (!region) throw new Error(`Unknown region "${regionId}"`);
+    return JSON.parse(fs.readFileSync(path.join(ROOT, region.sources.data), 'utf8'));
+}
+
+const options = parseArgs(process.argv.slice(2));
+const roads = loadRoads(options.region);
+const sseClients = new Set();
+const wsClients = new Set();
+let latestDelta = { type: 'delta', timestamp: Date.now(), roads: [] };
+let recentDeltas = [];
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Nudge a handful of segments and report only what changed
+function nextDelta() {
+    const changed = [];
+    roads.forEach(road => {
+        const segments = (road.segments || [])
+            .filter(() => Math.random() < 0.3)
+            .map(segment => {
+                segment.congestion = clamp(segment.congestion + Math.round(Math.random() * 12) - 6, 0, 100);
+                segment.averageSpeed = clamp(Math.round(60 - segment.congestion * 0.55 + Math.random() * 6), 5, 80);
+                return { id: segment.id, congestion: segment.congestion, averageSpeed: segment.averageSpeed };
+            });
+        const delta = { road: road.road };
+        if (segments.length > 0) delta.segments = segments;
+        if (Math.random() < 0.03 && road.accidents < 3) delta.accidents = ++road.accidents;
+        if (Object.keys(delta).length > 1) changed.push(delta);
+    });
+    return { type: 'delta', timestamp: Date.now(), roads: changed };
+}
+
+// Server-to-client WebSocket text frame (unmasked, no fragmentation)
+function encodeWebSocketFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function broadcast(message) {
+    const text = JSON.stringify(message);
+    sseClients.forEach(res => res.write(`data: ${text}\n\n`));
+    wsClients.forEach(socket => socket.write(encodeWebSocketFrame(text)));
+}
+
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.normalize(path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    if (!filePath.startsWith(ROOT)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(filePath, (error, body) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(body);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    
+    if (pathname === '/feed/deltas') {
+        const since = Number(searchParams.get('since'));
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(searchParams.has('since') && Number.isFinite(since)
+            ? recentDeltas.filter(delta => delta.timestamp > since)
+            : latestDelta));
+        return;
+    }
+    
+    if (pathname === '/feed/stream') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        sseClients.add(res);
+        req.on('close', () => sseClients.delete(res));
+        return;
+    }
+    
+    serveStatic(req, res);
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (new URL(req.url, 'http://localhost').pathname !== '/feed/ws' || !key) {
+        socket.destroy();
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    wsClients.add(socket);
+    
+    socket.on('data', buffer => {
+        // Opcode 0x8 is a close frame: echo it and hang up
+        if ((buffer[0] & 0x0f) === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        }
+    });
+    socket.on('close', () => wsClients.delete(socket));
+    socket.on('error', () => wsClients.delete(socket));
+});
+
+setInterval(() => {
+    latestDelta = nextDelta();
+    recentDeltas = [...recentDeltas, latestDelta].slice(-RECENT_DELTA_COUNT);
+    broadcast(latestDelta);
+}, options.interval);
+
+server.listen(options.port, () => {
+    console.log(`Mock feed on http://localhost:${options.port} (delta every ${options.interval} ms)`);
+    console.log(`Try http://localhost:${options.port}/?feed=sse`);
+});